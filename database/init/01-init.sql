@@ -21,6 +21,16 @@ CREATE TABLE IF NOT EXISTS exchanges (
     UNIQUE KEY unique_exchange_name (name)
 ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 
+-- 거래소 코드 (이름이 바뀌어도 유지되는 어댑터 레지스트리 키)
+ALTER TABLE exchanges
+ADD COLUMN code VARCHAR(20) NULL COMMENT '거래소 코드 (예: upbit)' AFTER name,
+ADD UNIQUE KEY unique_exchange_code (code);
+
+-- 거래소별 maker/taker 수수료율 (NULL이면 trading_fee_rate 사용)
+ALTER TABLE exchanges
+ADD COLUMN maker_fee_rate DECIMAL(6, 4) NULL COMMENT 'maker(지정가) 수수료율' AFTER trading_fee_rate,
+ADD COLUMN taker_fee_rate DECIMAL(6, 4) NULL COMMENT 'taker(시장가) 수수료율' AFTER maker_fee_rate;
+
 -- ==============================================
 -- [신규] 사용자 정보 테이블
 -- ==============================================
@@ -64,6 +74,12 @@ ADD COLUMN is_verified TINYINT(1) DEFAULT 0 AFTER is_active,
 ADD COLUMN last_tested_at DATETIME NULL AFTER is_verified,
 ADD COLUMN last_test_result VARCHAR(100) NULL AFTER last_tested_at;
 
+-- 사용자 VIP 등급 수수료 (NULL이면 거래소 기본 수수료율)
+ALTER TABLE user_exchange_credentials
+ADD COLUMN fee_tier VARCHAR(20) NULL COMMENT '거래소 VIP 등급 (표시용)' AFTER last_test_result,
+ADD COLUMN maker_fee_rate DECIMAL(6, 4) NULL COMMENT '사용자 maker 수수료율' AFTER fee_tier,
+ADD COLUMN taker_fee_rate DECIMAL(6, 4) NULL COMMENT '사용자 taker 수수료율' AFTER maker_fee_rate;
+
 
 -- 세션 테이블 (express-mysql-session용)
 CREATE TABLE IF NOT EXISTS sessions (
@@ -115,6 +131,32 @@ ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIME
 ADD FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
 ADD FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL;
 
+-- 거래소별 마켓 매핑 추가 (매핑이 있는 국내/해외 거래소 쌍마다 김프 계산)
+ALTER TABLE coins
+ADD COLUMN bithumb_market VARCHAR(20) NULL COMMENT '빗썸 마켓명 (예: KRW-BTC)' AFTER binance_symbol;
+
+ALTER TABLE coins
+ADD COLUMN coinone_market VARCHAR(20) NULL COMMENT '코인원 마켓명 (예: KRW-BTC)' AFTER bithumb_market;
+
+ALTER TABLE coins
+ADD COLUMN coinbase_product VARCHAR(20) NULL COMMENT '코인베이스 상품 ID (예: BTC-USD, BTC-USDC)' AFTER coinone_market;
+
+-- 코인/출금 거래소/네트워크별 출금 수수료 (없으면 coins.withdrawal_fee, coins.min_withdrawal 사용)
+CREATE TABLE IF NOT EXISTS coin_networks (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    coin_id INT NOT NULL,
+    exchange_id INT NOT NULL COMMENT '출금 거래소',
+    network VARCHAR(50) NOT NULL COMMENT '네트워크 (예: ERC20, TRC20)',
+    withdrawal_fee DECIMAL(20, 8) NOT NULL DEFAULT 0 COMMENT '출금 수수료 (코인 수량)',
+    min_withdrawal DECIMAL(20, 8) NULL COMMENT '최소 출금량',
+    is_default BOOLEAN DEFAULT FALSE COMMENT '거래소 기본 출금 네트워크',
+    is_active BOOLEAN DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_coin_exchange_network (coin_id, exchange_id, network),
+    FOREIGN KEY (coin_id) REFERENCES coins(id) ON DELETE CASCADE,
+    FOREIGN KEY (exchange_id) REFERENCES exchanges(id) ON DELETE CASCADE
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
 
 
 -- 3. 코인 변경 이력 추적 테이블
@@ -182,6 +224,10 @@ CREATE TABLE IF NOT EXISTS trading_intensity (
     INDEX idx_trading_intensity_user (user_id)
 ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 
+-- 방향별 매매강도 (current_intensity: 김프 - 해외 매수 → 국내 매도, reverse_intensity: 역프 - 국내 매수 → 해외 매도)
+ALTER TABLE trading_intensity
+ADD COLUMN reverse_intensity INT DEFAULT 0 COMMENT '역프 방향 매매강도' AFTER current_intensity;
+
 -- ==============================================
 -- 5. 거래 내역 테이블
 -- ==============================================
@@ -212,6 +258,118 @@ CREATE TABLE IF NOT EXISTS trade_history (
     INDEX idx_trade_history_user_date (user_id, created_at)
 ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 
+-- 실거래 주문 체결 정보
+ALTER TABLE trade_history
+ADD COLUMN buy_order_id VARCHAR(100) NULL COMMENT '매수 주문 ID (거래소 발급)' AFTER quantity,
+ADD COLUMN sell_order_id VARCHAR(100) NULL COMMENT '매도 주문 ID (거래소 발급)' AFTER buy_order_id,
+ADD COLUMN sell_quantity DECIMAL(20, 8) NULL COMMENT '실제 매도 체결 수량' AFTER sell_order_id,
+ADD COLUMN trade_context JSON NULL COMMENT '재개용 거래 파라미터/체결 정보' AFTER sell_quantity;
+
+-- 코인 전송 확인 시간 초과 시 transfer_delayed (입금 확인 후 재개 가능)
+ALTER TABLE trade_history
+MODIFY COLUMN status ENUM('pending', 'buying', 'transferring', 'transfer_delayed', 'selling', 'completed', 'failed') DEFAULT 'pending';
+
+-- 수수료 내역 (매수/매도 거래 수수료, 출금 네트워크 수수료)
+ALTER TABLE trade_history
+ADD COLUMN fee_breakdown JSON NULL COMMENT '수수료 내역' AFTER transfer_fees;
+
+-- 거래 방향 (forward: 김프, reverse: 역프)과 매도 대금 정산 통화 (KRW, USDT 등)
+ALTER TABLE trade_history
+ADD COLUMN trade_direction ENUM('forward', 'reverse') NULL COMMENT '거래 방향' AFTER sell_exchange_id,
+ADD COLUMN settlement_currency VARCHAR(10) NULL COMMENT '매도 대금 정산 통화' AFTER trade_direction;
+
+-- 거래 실행 방식 (transfer: 매수 → 전송 → 매도, inventory: 보유 재고로 동시 매수/매도)과 재고 재분배 상태
+ALTER TABLE trade_history
+ADD COLUMN execution_mode ENUM('transfer', 'inventory') NOT NULL DEFAULT 'transfer' COMMENT '거래 실행 방식' AFTER settlement_currency,
+ADD COLUMN rebalance_status ENUM('pending', 'rebalancing', 'completed', 'failed') NULL COMMENT '재고 재분배 상태 (inventory 방식 실거래)' AFTER execution_mode,
+ADD COLUMN rebalance_withdrawal_id BIGINT NULL COMMENT '재분배 출금 ID (withdrawals.id)' AFTER rebalance_status,
+ADD INDEX idx_trade_history_rebalance (execution_mode, rebalance_status);
+
+-- 전송 구간 선물 숏 헤지 (바이낸스 USDⓈ-M, 전송 시작 시 진입 → 매도 체결 후 청산)
+ALTER TABLE trade_history
+ADD COLUMN hedge_status ENUM('open', 'closed', 'failed') NULL COMMENT '헤지 상태' AFTER rebalance_withdrawal_id,
+ADD COLUMN hedge_quantity DECIMAL(20, 8) NULL COMMENT '헤지 숏 수량' AFTER hedge_status,
+ADD COLUMN hedge_entry_price DECIMAL(20, 8) NULL COMMENT '헤지 진입가 (USDT)' AFTER hedge_quantity,
+ADD COLUMN hedge_exit_price DECIMAL(20, 8) NULL COMMENT '헤지 청산가 (USDT)' AFTER hedge_entry_price,
+ADD COLUMN hedge_fees DECIMAL(20, 8) NULL COMMENT '헤지 수수료 (원화)' AFTER hedge_exit_price,
+ADD COLUMN hedge_pnl DECIMAL(20, 8) NULL COMMENT '헤지 손익 (원화, 수수료 차감)' AFTER hedge_fees;
+
+-- 거래소 간 코인 전송 (출금 → 입금 확인)
+CREATE TABLE IF NOT EXISTS withdrawals (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    trade_id BIGINT NULL COMMENT '연결된 거래 ID',
+    user_id INT NOT NULL,
+    coin_id INT NOT NULL,
+    from_exchange_id INT NOT NULL COMMENT '출금 거래소',
+    to_exchange_id INT NOT NULL COMMENT '입금 거래소',
+    amount DECIMAL(20, 8) NOT NULL COMMENT '출금 요청 수량',
+    fee DECIMAL(20, 8) NULL COMMENT '출금 수수료',
+    received_amount DECIMAL(20, 8) NULL COMMENT '입금 반영 수량',
+    address VARCHAR(255) NOT NULL,
+    memo VARCHAR(255) NULL,
+    exchange_withdrawal_id VARCHAR(100) NULL COMMENT '출금 거래소 발급 ID',
+    txid VARCHAR(255) NULL COMMENT '블록체인 트랜잭션 ID',
+    status ENUM('requested', 'withdrawing', 'depositing', 'completed', 'failed', 'timeout') DEFAULT 'requested',
+    error_message TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (trade_id) REFERENCES trade_history(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (coin_id) REFERENCES coins(id),
+    FOREIGN KEY (from_exchange_id) REFERENCES exchanges(id),
+    FOREIGN KEY (to_exchange_id) REFERENCES exchanges(id),
+    INDEX idx_withdrawals_trade (trade_id),
+    INDEX idx_withdrawals_status (status, created_at)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- 거래소 간 재고 재분배 계획 (대시보드에서 승인하면 전송 실행)
+CREATE TABLE IF NOT EXISTS rebalance_plans (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    status ENUM('proposed', 'executing', 'completed', 'failed', 'cancelled') DEFAULT 'proposed',
+    total_krw DECIMAL(20, 2) NOT NULL DEFAULT 0 COMMENT '계획 시점 총 자산 (원화)',
+    estimated_fee_krw DECIMAL(20, 2) NOT NULL DEFAULT 0 COMMENT '예상 수수료 합계 (원화)',
+    allocations JSON NULL COMMENT '거래소별 현재/목표 배분',
+    transfers JSON NULL COMMENT '전송 목록과 진행 상태',
+    skipped JSON NULL COMMENT '제외된 이동과 사유',
+    error_message TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    approved_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    INDEX idx_rebalance_plans_user (user_id, created_at),
+    INDEX idx_rebalance_plans_status (status)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- 포트폴리오 스냅샷 (연결된 거래소 전체 자산의 원화 평가액, 일별 손익 계산용)
+CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    total_krw DECIMAL(20, 2) NOT NULL COMMENT '총 자산 (원화)',
+    fiat_krw DECIMAL(20, 2) NOT NULL DEFAULT 0 COMMENT '현금(KRW/USDT/USD) 원화 평가액',
+    coin_krw DECIMAL(20, 2) NOT NULL DEFAULT 0 COMMENT '코인 원화 평가액',
+    exchanges JSON NULL COMMENT '거래소별 평가액',
+    allocation JSON NULL COMMENT '자산별 비중',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_portfolio_snapshots_user (user_id, created_at)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- 거래 단계별 기록 (재시작 시 재개/정리 및 진행 단계 표시)
+CREATE TABLE IF NOT EXISTS trade_steps (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    trade_id BIGINT NOT NULL,
+    step ENUM('pending', 'buying', 'transferring', 'transfer_delayed', 'selling', 'completed', 'failed') NOT NULL,
+    status ENUM('started', 'completed', 'failed') DEFAULT 'started',
+    detail JSON NULL COMMENT '주문 ID, 출금 ID 등 단계별 정보',
+    error_message TEXT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    FOREIGN KEY (trade_id) REFERENCES trade_history(id),
+    INDEX idx_trade_steps_trade (trade_id, id)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
 
 
 -- ==============================================
@@ -226,20 +384,75 @@ CREATE TABLE IF NOT EXISTS price_logs (
     timestamp TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
     FOREIGN KEY (exchange_id) REFERENCES exchanges(id),
     FOREIGN KEY (coin_id) REFERENCES coins(id),
-    INDEX idx_exchange_coin_time (exchange_id, coin_id, timestamp)
+    INDEX idx_exchange_coin_time (exchange_id, coin_id, timestamp),
+    INDEX idx_price_logs_time (timestamp)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- 김프 스냅샷 (모니터링 주기마다 저장, 백테스트 재생용)
+CREATE TABLE IF NOT EXISTS premium_snapshots (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    coin_id INT NOT NULL,
+    domestic_exchange_id INT NOT NULL COMMENT '국내 거래소 (KRW)',
+    overseas_exchange_id INT NOT NULL COMMENT '해외 거래소 (USDT)',
+    domestic_price DECIMAL(20, 8) NULL COMMENT '국내 현재가 (KRW)',
+    overseas_price DECIMAL(20, 8) NULL COMMENT '해외 현재가 (USDT)',
+    domestic_ask DECIMAL(20, 8) NOT NULL COMMENT '국내 매도호가 평균 (KRW)',
+    domestic_bid DECIMAL(20, 8) NOT NULL COMMENT '국내 매수호가 평균 (KRW)',
+    overseas_ask DECIMAL(20, 8) NOT NULL COMMENT '해외 매도호가 평균 (USDT)',
+    overseas_bid DECIMAL(20, 8) NOT NULL COMMENT '해외 매수호가 평균 (USDT)',
+    exchange_rate DECIMAL(12, 4) NOT NULL COMMENT 'USD/KRW 환율',
+    premium_percent DECIMAL(10, 4) NOT NULL,
+    captured_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    FOREIGN KEY (coin_id) REFERENCES coins(id),
+    FOREIGN KEY (domestic_exchange_id) REFERENCES exchanges(id),
+    FOREIGN KEY (overseas_exchange_id) REFERENCES exchanges(id),
+    INDEX idx_premium_snapshots_coin_time (coin_id, captured_at),
+    INDEX idx_premium_snapshots_time (captured_at)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- 김프 1분 롤업 (원본 7일 보관 후에도 90일간 유지)
+CREATE TABLE IF NOT EXISTS premium_history_1m (
+    coin_id INT NOT NULL,
+    domestic_exchange_id INT NOT NULL,
+    overseas_exchange_id INT NOT NULL,
+    bucket_start TIMESTAMP NOT NULL COMMENT '구간 시작 시각',
+    domestic_price DECIMAL(20, 8) NULL,
+    overseas_price DECIMAL(20, 8) NULL,
+    domestic_ask DECIMAL(20, 8) NOT NULL,
+    domestic_bid DECIMAL(20, 8) NOT NULL,
+    overseas_ask DECIMAL(20, 8) NOT NULL,
+    overseas_bid DECIMAL(20, 8) NOT NULL,
+    exchange_rate DECIMAL(12, 4) NOT NULL,
+    premium_avg DECIMAL(10, 4) NOT NULL,
+    premium_min DECIMAL(10, 4) NOT NULL,
+    premium_max DECIMAL(10, 4) NOT NULL,
+    premium_close DECIMAL(10, 4) NOT NULL COMMENT '구간 마지막 김프',
+    sample_count INT NOT NULL,
+    PRIMARY KEY (coin_id, domestic_exchange_id, overseas_exchange_id, bucket_start),
+    INDEX idx_premium_history_1m_bucket (bucket_start)
 ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 
+-- 김프 1시간 롤업 (영구 보관)
+CREATE TABLE IF NOT EXISTS premium_history_1h LIKE premium_history_1m;
+
 -- ==============================================
 -- 기본 데이터 삽입
 -- ==============================================
 
 -- 거래소 정보 삽입
-INSERT IGNORE INTO exchanges (name, type, api_url, websocket_url, trading_fee_rate) VALUES
-('업비트', 'domestic', 'https://api.upbit.com', 'wss://api.upbit.com/websocket/v1', 0.0005),
-('빗썸', 'domestic', 'https://api.bithumb.com', NULL, 0.0025),
-('코인원', 'domestic', 'https://api.coinone.co.kr', NULL, 0.001),
-('바이낸스', 'overseas', 'https://api.binance.com', 'wss://stream.binance.com:9443', 0.001),
-('코인베이스', 'overseas', 'https://api.coinbase.com', 'wss://ws-feed.exchange.coinbase.com', 0.005);
+INSERT IGNORE INTO exchanges (name, code, type, api_url, websocket_url, trading_fee_rate) VALUES
+('업비트', 'upbit', 'domestic', 'https://api.upbit.com', 'wss://api.upbit.com/websocket/v1', 0.0005),
+('빗썸', 'bithumb', 'domestic', 'https://api.bithumb.com', NULL, 0.0025),
+('코인원', 'coinone', 'domestic', 'https://api.coinone.co.kr', NULL, 0.001),
+('바이낸스', 'binance', 'overseas', 'https://api.binance.com', 'wss://stream.binance.com:9443', 0.001),
+('코인베이스', 'coinbase', 'overseas', 'https://api.coinbase.com', 'wss://ws-feed.exchange.coinbase.com', 0.005);
+
+-- 거래소 maker/taker 수수료율 (기본 등급)
+UPDATE exchanges SET maker_fee_rate = 0.0005, taker_fee_rate = 0.0005 WHERE code = 'upbit' AND taker_fee_rate IS NULL;
+UPDATE exchanges SET maker_fee_rate = 0.0025, taker_fee_rate = 0.0025 WHERE code = 'bithumb' AND taker_fee_rate IS NULL;
+UPDATE exchanges SET maker_fee_rate = 0.001, taker_fee_rate = 0.001 WHERE code = 'coinone' AND taker_fee_rate IS NULL;
+UPDATE exchanges SET maker_fee_rate = 0.001, taker_fee_rate = 0.001 WHERE code = 'binance' AND taker_fee_rate IS NULL;
+UPDATE exchanges SET maker_fee_rate = 0.004, taker_fee_rate = 0.006 WHERE code = 'coinbase' AND taker_fee_rate IS NULL;
 
 -- 암호화폐 정보 삽입
 INSERT IGNORE INTO coins (symbol, name, network, withdrawal_fee, min_withdrawal) VALUES
@@ -251,16 +464,46 @@ INSERT IGNORE INTO coins (symbol, name, network, withdrawal_fee, min_withdrawal)
 ('MATIC', 'Polygon', 'MATIC', 0.1, 1),
 ('SOL', 'Solana', 'SOL', 0.01, 0.02);
 
+-- 모니터링 대상 코인 마켓 매핑 (KimchiMonitoringService가 coins 테이블에서 로드)
+UPDATE coins SET upbit_market = CONCAT('KRW-', symbol), binance_symbol = CONCAT(symbol, 'USDT')
+WHERE symbol IN ('BTC', 'ETH', 'XRP', 'ADA', 'DOT') AND upbit_market IS NULL;
+
+UPDATE coins SET bithumb_market = CONCAT('KRW-', symbol)
+WHERE symbol IN ('BTC', 'ETH', 'XRP', 'ADA', 'DOT') AND bithumb_market IS NULL;
+
+UPDATE coins SET coinone_market = CONCAT('KRW-', symbol)
+WHERE symbol IN ('BTC', 'ETH', 'XRP', 'ADA', 'DOT') AND coinone_market IS NULL;
+
+UPDATE coins SET coinbase_product = CONCAT(symbol, '-USD')
+WHERE symbol IN ('BTC', 'ETH', 'XRP', 'ADA', 'DOT') AND coinbase_product IS NULL;
+
+-- 출금 네트워크 기본값 (거래소별 실제 수수료는 관리자 화면에서 수정)
+INSERT IGNORE INTO coin_networks (coin_id, exchange_id, network, withdrawal_fee, min_withdrawal, is_default)
+SELECT c.id, e.id, c.network, COALESCE(c.withdrawal_fee, 0), c.min_withdrawal, TRUE
+FROM coins c
+    CROSS JOIN exchanges e
+WHERE c.network IS NOT NULL;
+
 -- 봇 기본 설정 삽입
 INSERT IGNORE INTO bot_settings (user_id, key_name, value, data_type, description) VALUES
 (1, 'search_interval_seconds', '60', 'number', '가격 검색 주기(초)'),
 (1, 'premium_threshold_percent', '1.0', 'number', '프리미엄 임계값(%)'),
+(1, 'threshold_basis', 'gross', 'string', '임계값 기준 (gross: 김프, net: 수수료 차감 후 예상 순수익률)'),
+(1, 'reverse_premium_threshold_percent', '1.0', 'number', '역프 임계값(%)'),
+(1, 'forward_trading_enabled', 'true', 'boolean', '김프 방향 자동 거래 (해외 매수 → 국내 매도)'),
+(1, 'reverse_trading_enabled', 'false', 'boolean', '역프 방향 자동 거래 (국내 매수 → 해외 매도)'),
+(1, 'execution_mode', 'transfer', 'string', '거래 실행 방식 (transfer: 매수 → 전송 → 매도, inventory: 양쪽 거래소 재고로 동시 매수/매도 후 재분배)'),
+(1, 'hedge_enabled', 'false', 'boolean', '전송 구간 바이낸스 선물 숏 헤지'),
+(1, 'hedge_leverage', '1', 'number', '헤지 선물 레버리지'),
 (1, 'trading_intensity_threshold', '5', 'number', '매수 조건 임계값'),
 (1, 'min_trade_amount_krw', '1000000', 'number', '최소 거래 금액(원)'),
 (1, 'max_trade_amount_krw', '10000000', 'number', '최대 거래 금액(원)'),
 (1, 'max_daily_trades', '20', 'number', '일일 최대 거래 횟수'),
 (1, 'bot_enabled', 'false', 'boolean', '봇 활성화 상태'),
-(1, 'emergency_stop', 'false', 'boolean', '긴급 정지 플래그');
+(1, 'emergency_stop', 'false', 'boolean', '긴급 정지 플래그'),
+(1, 'dry_run_enabled', 'true', 'boolean', '자동 거래 드라이런 모드'),
+(1, 'market_data_mode', 'rest', 'string', '시세 수집 방식 (rest: 주기별 REST 조회, stream: WebSocket 실시간 호가)'),
+(1, 'premium_basis', 'forex', 'string', '김프 기준 환율 (forex: USD/KRW 환율, usdt: 업비트 KRW-USDT 시세)');
 
 -- 매매강도 초기화
 INSERT IGNORE INTO trading_intensity (coin_id, current_intensity) 
@@ -3,13 +3,17 @@ const BinanceServiceClass = require('./services/BinanceService');
 const ExchangeRateServiceClass = require('./services/ExchangeRateService');
 const KimchiMonitoringServiceClass = require('./services/KimchiMonitoringService');
 const TimeUtilsClass = require('./services/TimeUtils');
+const TradeExecutionServiceClass = require('./services/TradeExecutionService');
+const RealtimeServiceClass = require('./services/RealtimeService');
+const PortfolioService = require('./services/PortfolioService');
 
 
 // create instance
 const upbitService = new UpbitServiceClass();
 const binanceService = new BinanceServiceClass();
 const exchangeRateService = new ExchangeRateServiceClass();
-const kimchiMonitoringService = new KimchiMonitoringServiceClass(upbitService, binanceService, exchangeRateService);
+const tradeExecutionService = new TradeExecutionServiceClass();
+const kimchiMonitoringService = new KimchiMonitoringServiceClass(upbitService, binanceService, exchangeRateService, tradeExecutionService);
 const timeUtils = new TimeUtilsClass();
 
 const express = require('express');
@@ -84,6 +88,10 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
+// 라우터(admin 등)에서 공유 서비스 인스턴스 접근용
+app.locals.kimchiMonitoringService = kimchiMonitoringService;
+app.locals.tradeExecutionService = tradeExecutionService;
+
 const sessionStore = new MySQLStore({
     clearExpired: true,
     checkExpirationInterval: 15 * 60 * 1000, // 15분
@@ -91,13 +99,16 @@ const sessionStore = new MySQLStore({
     createDatabaseTable: true
 }, db.pool);
 
-app.use(session({
+// WebSocket 업그레이드 요청 인증에도 같은 세션 미들웨어 사용
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     store: sessionStore,
     cookie: { maxAge: 1000 * 60 * 60 * 24 }
-}));
+});
+app.use(sessionMiddleware);
+const realtimeService = new RealtimeServiceClass(sessionMiddleware);
 
 app.use(passport.initialize());
 app.use(passport.session());
@@ -359,9 +370,9 @@ app.get('/api/monitoring/results', async (req, res) => {
 // ============================================
 
 // 모니터링 상태 확인
-app.get('/api/monitoring/status', (req, res) => {
+app.get('/api/monitoring/status', async (req, res) => {
     try {
-        const status = kimchiMonitoringService.getStatus();
+        const status = await kimchiMonitoringService.getStatus();
         const timeInfo = timeUtils.getTradingTimeInfo();
 
         res.json({
@@ -386,7 +397,7 @@ app.post('/api/monitoring/start', async (req, res) => {
             logger.info('김프 모니터링 시작 요청 성공');
             res.json({
                 message: '김프 모니터링이 시작되었습니다.',
-                status: kimchiMonitoringService.getStatus(),
+                status: await kimchiMonitoringService.getStatus(),
                 timestamp: timeUtils.now()
             });
         } else {
@@ -402,14 +413,14 @@ app.post('/api/monitoring/start', async (req, res) => {
 });
 
 // 모니터링 중지
-app.post('/api/monitoring/stop', (req, res) => {
+app.post('/api/monitoring/stop', async (req, res) => {
     try {
         const success = kimchiMonitoringService.stopMonitoring();
         if (success) {
             logger.info('김프 모니터링 중지 요청 성공');
             res.json({
                 message: '김프 모니터링이 중지되었습니다.',
-                status: kimchiMonitoringService.getStatus(),
+                status: await kimchiMonitoringService.getStatus(),
                 timestamp: timeUtils.now()
             });
         } else {
@@ -482,6 +493,52 @@ app.get('/api/monitoring/coin/:symbol', async (req, res) => {
 });
 
 
+// 코인별 김프/가격/매매강도 이력 조회 (차트용)
+// 로그인한 사용자는 본인 임계값과 거래 내역, 관리자는 전역 임계값과 전체 거래 내역 기준
+// 거래소 쌍: ?domestic=&overseas= (거래소 ID) → 사용자 거래소 설정 → 현재 최적 경로
+app.get('/api/monitoring/history/:symbol', async (req, res) => {
+    try {
+        const { from, to, interval } = req.query;
+        const options = {
+            from,
+            to,
+            interval,
+            includeTrades: false,
+            domesticExchangeId: parseInt(req.query.domestic) || null,
+            overseasExchangeId: parseInt(req.query.overseas) || null
+        };
+
+        if (req.isAuthenticated && req.isAuthenticated()) {
+            options.includeTrades = true;
+            if (req.user.role !== 'admin') {
+                const userSettings = await kimchiMonitoringService.getUserSettings(req.user.id);
+                options.userId = req.user.id;
+                options.premiumThresholdPercent = userSettings?.premiumThresholdPercent;
+                options.tradingIntensityThreshold = userSettings?.tradingIntensityThreshold;
+                options.domesticExchangeId = options.domesticExchangeId || userSettings?.domesticExchangeId || null;
+                options.overseasExchangeId = options.overseasExchangeId || userSettings?.overseasExchangeId || null;
+            }
+        }
+
+        const history = await kimchiMonitoringService.getPremiumHistory(req.params.symbol, options);
+        if (!history) {
+            return res.status(404).json({
+                error: `지원하지 않는 코인입니다: ${req.params.symbol}`,
+                timestamp: timeUtils.now()
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: history,
+            timestamp: timeUtils.now()
+        });
+    } catch (error) {
+        logger.error(`김프 이력 조회 실패: ${req.params.symbol}`, { error: error.message });
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // 거래 기회 목록 조회 (매매강도 5 이상인 경우들)
 app.get('/api/monitoring/opportunities', async (req, res) => {
     try {
@@ -493,12 +550,13 @@ app.get('/api/monitoring/opportunities', async (req, res) => {
         const connection = await db.getConnection();
         
         const [currentSignals] = await connection.execute(
-            `SELECT c.symbol, ti.current_intensity, ti.last_premium_rate, ti.last_updated 
+            `SELECT c.symbol, ti.current_intensity, ti.reverse_intensity, ti.last_premium_rate, ti.last_updated,
+                    IF(ti.reverse_intensity > ti.current_intensity, 'reverse', 'forward') AS direction
              FROM trading_intensity ti 
              JOIN coins c ON ti.coin_id = c.id 
-             WHERE ti.current_intensity >= ? AND c.is_active = TRUE
-             ORDER BY ti.current_intensity DESC, ti.last_updated DESC`,
-            [kimchiMonitoringService.settings.tradingIntensityThreshold]
+             WHERE (ti.current_intensity >= ? OR ti.reverse_intensity >= ?) AND c.is_active = TRUE
+             ORDER BY GREATEST(ti.current_intensity, ti.reverse_intensity) DESC, ti.last_updated DESC`,
+            [kimchiMonitoringService.settings.tradingIntensityThreshold, kimchiMonitoringService.settings.tradingIntensityThreshold]
         );
         await connection.end();
 
@@ -574,7 +632,7 @@ app.get('/api/dashboard', async (req, res) => {
 
         const dashboard = {
             timestamp: timeUtils.now(),
-            status: kimchiMonitoringService.getStatus(),
+            status: await kimchiMonitoringService.getStatus(),
             monitoring: monitoringResults.status === 'fulfilled' ? monitoringResults.value : null,
             recentOpportunities: opportunities.status === 'fulfilled' ? 
                 opportunities.value.map(op => JSON.parse(op)) : [],
@@ -689,17 +747,40 @@ app.locals.formatCurrency = function(amount) {
 
 kimchiMonitoringService.startMonitoring();
 
+// 재시작 전 진행 중이던 거래 재개/정리 (전송 대기가 길 수 있으므로 백그라운드 실행)
+tradeExecutionService.resumeInFlightTrades().catch(error => {
+    logger.error('진행 중 거래 재개 실패:', error);
+});
+
+// 재고 방식 거래로 한쪽에 쌓인 코인을 주기적으로 반대쪽 거래소로 재분배
+tradeExecutionService.startInventoryRebalancer();
+
+// 일별 손익 계산용 포트폴리오 스냅샷 (대시보드 접속과 무관하게 주기 저장)
+PortfolioService.startSnapshotScheduler(tradeExecutionService);
+
 // 서버 시작
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
     logger.info(`🚀 김프 봇 서버가 포트 ${PORT}에서 실행 중입니다.`);
     logger.info(`📊 대시보드: http://localhost:${PORT}`);
     logger.info(`🔍 헬스체크: http://localhost:${PORT}/health`);
     logger.info(`🤖 봇 상태: http://localhost:${PORT}/bot/status`);
 });
 
+// 대시보드 실시간 푸시 (/ws)
+realtimeService.attach(server);
+
 // 안전한 종료 처리
 process.on('SIGINT', async () => {
     logger.info('🛑 서버 종료 신호를 받았습니다...');
+
+    tradeExecutionService.stopInventoryRebalancer();
+    PortfolioService.stopSnapshotScheduler();
+
+    try {
+        await realtimeService.close();
+    } catch (error) {
+        logger.error('실시간 푸시 종료 중 오류:', error.message);
+    }
     
     try {
         await redis.quit();
@@ -0,0 +1,306 @@
+/**
+ * 김프 추이 차트 (외부 라이브러리 없이 canvas로 그림)
+ *
+ * 사용법:
+ *   <div class="premium-chart" data-symbols="BTC,ETH,XRP"></div>
+ *   <script src="/js/premium-chart.js"></script>
+ *
+ * /api/monitoring/history/:symbol 결과로 김프, 임계값, 매매강도, 거래 시점을 표시
+ */
+(function () {
+    const RANGES = [
+        { label: '6시간', hours: 6 },
+        { label: '24시간', hours: 24 },
+        { label: '7일', hours: 24 * 7 },
+        { label: '30일', hours: 24 * 30 }
+    ];
+
+    const COLORS = {
+        premium: '#007bff',
+        band: 'rgba(0, 123, 255, 0.12)',
+        threshold: '#dc3545',
+        zero: '#adb5bd',
+        intensity: 'rgba(255, 193, 7, 0.7)',
+        intensityAlert: 'rgba(220, 53, 69, 0.7)',
+        grid: '#eee',
+        text: '#666',
+        profit: '#28a745',
+        loss: '#dc3545',
+        pending: '#6c757d'
+    };
+
+    const PADDING = { top: 20, right: 60, bottom: 30, left: 60 };
+    const INTENSITY_HEIGHT = 60;
+
+    const formatTime = (time, hours) => {
+        const date = new Date(time);
+        return hours > 48 ?
+            `${date.getMonth() + 1}/${date.getDate()}` :
+            `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    };
+
+    const won = (amount) => isNaN(amount) ? '-' : `₩${Math.round(amount).toLocaleString('ko-KR')}`;
+
+    function PremiumChart(container) {
+        this.container = container;
+        this.symbols = (container.dataset.symbols || '').split(',').filter(Boolean);
+        this.symbol = this.symbols[0] || 'BTC';
+        this.hours = 24;
+        this.data = null;
+        this.render();
+        this.load();
+    }
+
+    PremiumChart.prototype.render = function () {
+        const symbolOptions = this.symbols
+            .map(symbol => `<option value="${symbol}">${symbol}</option>`)
+            .join('');
+        const rangeButtons = RANGES
+            .map(range => `<button type="button" data-hours="${range.hours}" class="premium-chart-range">${range.label}</button>`)
+            .join('');
+
+        this.container.innerHTML = `
+            <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin-bottom: 10px;">
+                <select class="premium-chart-symbol" style="padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px;">${symbolOptions}</select>
+                <div class="premium-chart-ranges" style="display: flex; gap: 4px;">${rangeButtons}</div>
+                <span class="premium-chart-status" style="color: #666; font-size: 12px;"></span>
+            </div>
+            <div style="position: relative;">
+                <canvas style="width: 100%; height: 320px; display: block;"></canvas>
+                <div class="premium-chart-tooltip" style="position: absolute; display: none; pointer-events: none; background: rgba(33, 37, 41, 0.9); color: white; padding: 8px 10px; border-radius: 4px; font-size: 12px; line-height: 1.5; white-space: nowrap;"></div>
+            </div>
+            <div style="color: #666; font-size: 12px; margin-top: 6px;">
+                <span style="color: ${COLORS.premium};">━</span> 김프
+                <span style="color: ${COLORS.threshold}; margin-left: 10px;">┅</span> 임계값
+                <span style="color: #ffc107; margin-left: 10px;">▮</span> 매매강도
+                <span style="color: ${COLORS.profit}; margin-left: 10px;">▲</span> 거래 (수익)
+                <span style="color: ${COLORS.loss}; margin-left: 10px;">▲</span> 거래 (손실)
+            </div>
+        `;
+
+        this.canvas = this.container.querySelector('canvas');
+        this.tooltip = this.container.querySelector('.premium-chart-tooltip');
+        this.status = this.container.querySelector('.premium-chart-status');
+
+        const select = this.container.querySelector('.premium-chart-symbol');
+        if (this.symbols.length === 0) select.style.display = 'none';
+        select.addEventListener('change', () => {
+            this.symbol = select.value;
+            this.load();
+        });
+
+        this.container.querySelectorAll('.premium-chart-range').forEach(button => {
+            button.style.cssText = 'padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer; font-size: 12px;';
+            button.addEventListener('click', () => {
+                this.hours = Number(button.dataset.hours);
+                this.load();
+            });
+        });
+
+        this.canvas.addEventListener('mousemove', event => this.showTooltip(event));
+        this.canvas.addEventListener('mouseleave', () => { this.tooltip.style.display = 'none'; });
+        window.addEventListener('resize', () => this.draw());
+    };
+
+    PremiumChart.prototype.load = async function () {
+        this.container.querySelectorAll('.premium-chart-range').forEach(button => {
+            const active = Number(button.dataset.hours) === this.hours;
+            button.style.background = active ? '#007bff' : 'white';
+            button.style.color = active ? 'white' : '#333';
+        });
+
+        const to = new Date();
+        const from = new Date(to.getTime() - this.hours * 60 * 60 * 1000);
+        const query = new URLSearchParams({ from: from.toISOString(), to: to.toISOString(), interval: 'auto' });
+
+        this.status.textContent = '불러오는 중...';
+        try {
+            const response = await fetch(`/api/monitoring/history/${encodeURIComponent(this.symbol)}?${query}`, {
+                credentials: 'same-origin'
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || response.statusText);
+
+            this.data = body.data;
+            const route = this.data.route;
+            const routeLabel = route.domesticExchange && route.overseasExchange ? `${route.domesticExchange}/${route.overseasExchange} · ` : '';
+            this.status.textContent = `${routeLabel}${this.data.points.length}개 구간 (${this.data.interval === 'raw' ? '원본' : this.data.interval}) · 거래 ${this.data.trades.length}건`;
+        } catch (error) {
+            this.data = null;
+            this.status.textContent = `조회 실패: ${error.message}`;
+        }
+        this.draw();
+    };
+
+    PremiumChart.prototype.layout = function () {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const points = this.data.points;
+        const threshold = this.data.threshold.premiumPercent;
+
+        const from = new Date(this.data.from).getTime();
+        const to = new Date(this.data.to).getTime();
+
+        const values = points.flatMap(p => [p.premiumMin, p.premiumMax, p.premium]).filter(v => !isNaN(v));
+        let min = Math.min(-threshold, 0, ...values);
+        let max = Math.max(threshold, 0, ...values);
+        const margin = (max - min) * 0.1 || 1;
+        min -= margin;
+        max += margin;
+
+        const premiumBottom = height - PADDING.bottom - INTENSITY_HEIGHT - 10;
+
+        return {
+            width, height, from, to, min, max, premiumBottom,
+            x: time => PADDING.left + (new Date(time).getTime() - from) / (to - from) * (width - PADDING.left - PADDING.right),
+            y: value => PADDING.top + (max - value) / (max - min) * (premiumBottom - PADDING.top)
+        };
+    };
+
+    PremiumChart.prototype.draw = function () {
+        const ratio = window.devicePixelRatio || 1;
+        const ctx = this.canvas.getContext('2d');
+        this.canvas.width = this.canvas.clientWidth * ratio;
+        this.canvas.height = this.canvas.clientHeight * ratio;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.clientWidth, this.canvas.clientHeight);
+        ctx.font = '11px sans-serif';
+
+        if (!this.data || this.data.points.length === 0) {
+            ctx.fillStyle = COLORS.text;
+            ctx.textAlign = 'center';
+            ctx.fillText(this.data ? '해당 기간의 김프 기록이 없습니다' : '데이터를 불러올 수 없습니다',
+                this.canvas.clientWidth / 2, this.canvas.clientHeight / 2);
+            return;
+        }
+
+        const l = this.layout();
+        const points = this.data.points;
+        const threshold = this.data.threshold;
+
+        // 가로 눈금 (김프 %)
+        ctx.strokeStyle = COLORS.grid;
+        ctx.fillStyle = COLORS.text;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const value = l.min + (l.max - l.min) * i / 4;
+            const y = l.y(value);
+            ctx.beginPath();
+            ctx.moveTo(PADDING.left, y);
+            ctx.lineTo(l.width - PADDING.right, y);
+            ctx.stroke();
+            ctx.fillText(`${value.toFixed(2)}%`, PADDING.left - 6, y + 4);
+        }
+
+        // 세로 눈금 (시간)
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 5; i++) {
+            const time = l.from + (l.to - l.from) * i / 5;
+            ctx.fillText(formatTime(time, this.hours), l.x(time), l.height - 8);
+        }
+
+        // 0% 및 임계값 (±) 기준선
+        const hline = (value, color, dash) => {
+            ctx.strokeStyle = color;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            ctx.moveTo(PADDING.left, l.y(value));
+            ctx.lineTo(l.width - PADDING.right, l.y(value));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+        hline(0, COLORS.zero, []);
+        hline(threshold.premiumPercent, COLORS.threshold, [6, 4]);
+        hline(-threshold.premiumPercent, COLORS.threshold, [6, 4]);
+        ctx.fillStyle = COLORS.threshold;
+        ctx.textAlign = 'left';
+        ctx.fillText(`+${threshold.premiumPercent}%`, l.width - PADDING.right + 4, l.y(threshold.premiumPercent) + 4);
+        ctx.fillText(`-${threshold.premiumPercent}%`, l.width - PADDING.right + 4, l.y(-threshold.premiumPercent) + 4);
+
+        // 구간 최저~최고 범위 (롤업 데이터)
+        if (this.data.interval !== 'raw') {
+            ctx.fillStyle = COLORS.band;
+            ctx.beginPath();
+            points.forEach((p, i) => i === 0 ? ctx.moveTo(l.x(p.time), l.y(p.premiumMax)) : ctx.lineTo(l.x(p.time), l.y(p.premiumMax)));
+            for (let i = points.length - 1; i >= 0; i--) ctx.lineTo(l.x(points[i].time), l.y(points[i].premiumMin));
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // 김프 선
+        ctx.strokeStyle = COLORS.premium;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach((p, i) => i === 0 ? ctx.moveTo(l.x(p.time), l.y(p.premium)) : ctx.lineTo(l.x(p.time), l.y(p.premium)));
+        ctx.stroke();
+
+        // 매매강도 막대 (하단 영역)
+        const intensityTop = l.premiumBottom + 10;
+        const maxIntensity = Math.max(threshold.intensity, ...points.map(p => p.intensity));
+        const barWidth = Math.max(1, (l.width - PADDING.left - PADDING.right) / points.length - 1);
+        points.forEach(p => {
+            if (p.intensity <= 0) return;
+            const barHeight = p.intensity / maxIntensity * INTENSITY_HEIGHT;
+            ctx.fillStyle = p.intensity >= threshold.intensity ? COLORS.intensityAlert : COLORS.intensity;
+            ctx.fillRect(l.x(p.time) - barWidth / 2, intensityTop + INTENSITY_HEIGHT - barHeight, barWidth, barHeight);
+        });
+        ctx.fillStyle = COLORS.text;
+        ctx.textAlign = 'right';
+        ctx.fillText('강도', PADDING.left - 6, intensityTop + INTENSITY_HEIGHT / 2 + 4);
+
+        // 거래 시점 표시
+        this.data.trades.forEach(trade => {
+            const x = l.x(trade.time);
+            const color = trade.status !== 'completed' ? COLORS.pending :
+                (trade.netProfit >= 0 ? COLORS.profit : COLORS.loss);
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x, l.premiumBottom - 12);
+            ctx.lineTo(x - 6, l.premiumBottom);
+            ctx.lineTo(x + 6, l.premiumBottom);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        this.lastLayout = l;
+    };
+
+    PremiumChart.prototype.showTooltip = function (event) {
+        if (!this.data || this.data.points.length === 0 || !this.lastLayout) return;
+
+        const l = this.lastLayout;
+        const route = this.data.route;
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = event.clientX - rect.left;
+
+        let nearest = this.data.points[0];
+        this.data.points.forEach(p => {
+            if (Math.abs(l.x(p.time) - mouseX) < Math.abs(l.x(nearest.time) - mouseX)) nearest = p;
+        });
+
+        const trades = this.data.trades.filter(t => Math.abs(l.x(t.time) - mouseX) <= 6);
+        const tradeLines = trades.map(t =>
+            `거래 #${t.id} ${t.buyExchange || '?'} → ${t.sellExchange || '?'} (${t.status}) ${t.status === 'completed' ? won(t.netProfit) : ''}`
+        );
+
+        this.tooltip.innerHTML = [
+            new Date(nearest.time).toLocaleString('ko-KR'),
+            `김프: ${nearest.premium.toFixed(3)}%`,
+            `${route.domesticExchange || '국내'}: ${won(nearest.domesticPrice)}`,
+            `${route.overseasExchange || '해외'}: $${nearest.overseasPrice.toLocaleString('en-US')} (${won(nearest.overseasPriceKrw)})`,
+            `환율: ${nearest.exchangeRate.toFixed(2)}`,
+            `매매강도: ${nearest.intensity} / ${this.data.threshold.intensity}`,
+            ...tradeLines
+        ].join('<br>');
+
+        this.tooltip.style.display = 'block';
+        const left = Math.min(mouseX + 12, rect.width - this.tooltip.offsetWidth - 4);
+        this.tooltip.style.left = `${Math.max(0, left)}px`;
+        this.tooltip.style.top = '10px';
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('.premium-chart').forEach(container => new PremiumChart(container));
+    });
+})();
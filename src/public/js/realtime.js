@@ -0,0 +1,70 @@
+/**
+ * 대시보드 실시간 이벤트 수신 (/ws)
+ *
+ * 사용법:
+ *   <script src="/js/realtime.js"></script>
+ *   Realtime.on('intensity', data => { ... });
+ *
+ * 연결이 끊기면 최대 30초 간격으로 재연결
+ */
+(function () {
+    const handlers = {};
+    let socket = null;
+    let retryDelay = 1000;
+
+    function emit(type, data, timestamp) {
+        (handlers[type] || []).forEach(handler => handler(data, timestamp));
+        (handlers['*'] || []).forEach(handler => handler({ type, data, timestamp }));
+    }
+
+    function connect() {
+        const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+        socket = new WebSocket(`${protocol}://${location.host}/ws`);
+
+        socket.addEventListener('open', () => {
+            retryDelay = 1000;
+            emit('status', { connected: true });
+        });
+
+        socket.addEventListener('message', event => {
+            try {
+                const message = JSON.parse(event.data);
+                emit(message.type, message.data, message.timestamp);
+            } catch (error) {
+                console.warn('실시간 이벤트 처리 실패:', error);
+            }
+        });
+
+        socket.addEventListener('close', () => {
+            emit('status', { connected: false });
+            setTimeout(connect, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, 30000);
+        });
+    }
+
+    // 화면 우측 하단 알림
+    function toast(message, color) {
+        let container = document.getElementById('realtime-toasts');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'realtime-toasts';
+            container.style.cssText = 'position: fixed; right: 20px; bottom: 20px; display: flex; flex-direction: column; gap: 8px; z-index: 1000;';
+            document.body.appendChild(container);
+        }
+
+        const item = document.createElement('div');
+        item.style.cssText = `background: white; border-left: 4px solid ${color || '#007bff'}; padding: 10px 14px; border-radius: 4px; box-shadow: 0 2px 8px rgba(0,0,0,0.15); font-size: 13px; max-width: 320px;`;
+        item.textContent = message;
+        container.appendChild(item);
+        setTimeout(() => item.remove(), 8000);
+    }
+
+    window.Realtime = {
+        on(type, handler) {
+            (handlers[type] = handlers[type] || []).push(handler);
+        },
+        toast
+    };
+
+    document.addEventListener('DOMContentLoaded', connect);
+})();
@@ -8,6 +8,7 @@ const CoinService = require('../services/CoinService');
 const UserSettingsService = require('../services/UserSettingsService');
 const ApiKeyService = require('../services/ApiKeyService');
 const ExchangeManagementService = require('../services/ExchangeManagementService');
+const ExchangeService = require('../services/ExchangeService');
 
 // 관리자 권한 확인 미들웨어
 function requireAdmin(req, res, next) {
@@ -46,8 +47,8 @@ router.get('/', requireAdmin, async (req, res) => {
         let monitoringStatus = {
             isRunning: false,
             settings: { searchIntervalSeconds: 60, premiumThresholdPercent: 1.0 },
-            coinCount: 5,
-            coins: ['BTC', 'ETH', 'XRP', 'ADA', 'DOT'],
+            coinCount: 0,
+            coins: [],
             nextExecution: null
         };
 
@@ -101,8 +102,8 @@ router.get('/', requireAdmin, async (req, res) => {
             monitoringStatus: {
                 isRunning: false,
                 settings: { searchIntervalSeconds: 60 },
-                coinCount: 5,
-                coins: ['BTC', 'ETH', 'XRP', 'ADA', 'DOT'],
+                coinCount: 0,
+                coins: [],
                 nextExecution: null
             },
             recentLogins: [],
@@ -251,6 +252,13 @@ router.post('/users/:userId/api-keys/:keyId/test', requireAdmin, async (req, res
                 `코인 ${result.balance.coinBalances.length}종류`
             );
         }
+
+        if (result.capabilities) {
+            const supported = result.capabilities.filter(capability => capability.supported).map(capability => capability.label);
+            req.flash(result.success ? 'success' : 'error',
+                `지원 기능: ${supported.length > 0 ? supported.join(', ') : '없음 (연동 어댑터 없음)'}`
+            );
+        }
     } catch (error) {
         req.flash('error', `테스트 실패: ${error.message}`);
     }
@@ -288,6 +296,8 @@ router.get('/coins', requireAdmin, async (req, res) => {
             coins: coins,
             recentLogs: recentLogs,
             editCoin: null,
+            coinNetworks: [],
+            exchanges: [],
             success: req.flash('success'),
             error: req.flash('error')
         });
@@ -301,10 +311,12 @@ router.get('/coins', requireAdmin, async (req, res) => {
 // 코인 수정 페이지
 router.get('/coins/edit/:id', requireAdmin, async (req, res) => {
     try {
-        const [coin, allCoins, recentLogs] = await Promise.all([
+        const [coin, allCoins, recentLogs, coinNetworks, exchanges] = await Promise.all([
             CoinService.getCoinById(req.params.id),
             CoinService.getAllCoins(),
-            CoinService.getAllAuditLogs(10)
+            CoinService.getAllAuditLogs(10),
+            CoinService.getCoinNetworks(req.params.id),
+            getExchanges()
         ]);
 
         if (!coin) {
@@ -318,6 +330,8 @@ router.get('/coins/edit/:id', requireAdmin, async (req, res) => {
             coins: allCoins,
             recentLogs: recentLogs,
             editCoin: coin,
+            coinNetworks,
+            exchanges,
             success: req.flash('success'),
             error: req.flash('error')
         });
@@ -337,6 +351,9 @@ router.post('/coins', requireAdmin, async (req, res) => {
             network: req.body.network?.trim(),
             upbit_market: req.body.upbit_market?.trim() || `KRW-${req.body.symbol?.trim().toUpperCase()}`,
             binance_symbol: req.body.binance_symbol?.trim() || `${req.body.symbol?.trim().toUpperCase()}USDT`,
+            bithumb_market: req.body.bithumb_market?.trim().toUpperCase() || null, // 빗썸 미상장 코인은 비워둠
+            coinone_market: req.body.coinone_market?.trim().toUpperCase() || null,
+            coinbase_product: req.body.coinbase_product?.trim().toUpperCase() || null,
             withdrawal_fee: req.body.withdrawal_fee,
             min_withdrawal: req.body.min_withdrawal,
             description: req.body.description?.trim(),
@@ -374,6 +391,9 @@ router.post('/coins/:id', requireAdmin, async (req, res) => {
             network: req.body.network?.trim(),
             upbit_market: req.body.upbit_market?.trim(),
             binance_symbol: req.body.binance_symbol?.trim(),
+            bithumb_market: req.body.bithumb_market?.trim().toUpperCase() || null,
+            coinone_market: req.body.coinone_market?.trim().toUpperCase() || null,
+            coinbase_product: req.body.coinbase_product?.trim().toUpperCase() || null,
             withdrawal_fee: req.body.withdrawal_fee,
             min_withdrawal: req.body.min_withdrawal,
             description: req.body.description?.trim(),
@@ -413,6 +433,34 @@ router.post('/coins/:id/toggle/:field', requireAdmin, async (req, res) => {
     }
 });
 
+// 코인 출금 네트워크 저장
+router.post('/coins/:id/networks', requireAdmin, async (req, res) => {
+    const coinId = req.params.id;
+
+    try {
+        await CoinService.saveCoinNetwork(req.user.id, coinId, req.body);
+        req.flash('success', `${req.body.network?.trim().toUpperCase()} 출금 네트워크가 저장되었습니다.`);
+    } catch (error) {
+        console.error(`출금 네트워크 저장 오류 (코인 ID: ${coinId}):`, error);
+        req.flash('error', `출금 네트워크 저장 중 오류가 발생했습니다: ${error.message}`);
+    }
+    res.redirect(`/admin/coins/edit/${coinId}`);
+});
+
+// 코인 출금 네트워크 삭제
+router.post('/coins/:id/networks/:networkId/delete', requireAdmin, async (req, res) => {
+    const coinId = req.params.id;
+
+    try {
+        await CoinService.deleteCoinNetwork(req.user.id, coinId, req.params.networkId);
+        req.flash('success', '출금 네트워크가 삭제되었습니다.');
+    } catch (error) {
+        console.error(`출금 네트워크 삭제 오류 (코인 ID: ${coinId}):`, error);
+        req.flash('error', `출금 네트워크 삭제 중 오류가 발생했습니다: ${error.message}`);
+    }
+    res.redirect(`/admin/coins/edit/${coinId}`);
+});
+
 // 코인 변경 이력 조회
 router.get('/coins/:id/audit', requireAdmin, async (req, res) => {
     const coinId = req.params.id;
@@ -557,6 +605,7 @@ router.get('/exchanges', requireAdmin, async (req, res) => {
             title: '거래소 관리',
             user: req.user,
             exchanges: exchanges,
+            supportedCodes: ExchangeService.getSupportedExchanges(),
             success: req.flash('success'),
             error: req.flash('error')
         });
@@ -572,10 +621,13 @@ router.post('/exchanges', requireAdmin, async (req, res) => {
     try {
         const exchangeData = {
             name: req.body.name?.trim(),
+            code: req.body.code?.trim(),
             type: req.body.type,
             api_url: req.body.api_url?.trim(),
             websocket_url: req.body.websocket_url?.trim(),
             trading_fee_rate: req.body.trading_fee_rate,
+            maker_fee_rate: req.body.maker_fee_rate,
+            taker_fee_rate: req.body.taker_fee_rate,
             withdrawal_fee_rate: req.body.withdrawal_fee_rate
         };
 
@@ -605,10 +657,13 @@ router.post('/exchanges/:id', requireAdmin, async (req, res) => {
     try {
         const exchangeData = {
             name: req.body.name?.trim(),
+            code: req.body.code?.trim(),
             type: req.body.type,
             api_url: req.body.api_url?.trim(),
             websocket_url: req.body.websocket_url?.trim(),
             trading_fee_rate: req.body.trading_fee_rate,
+            maker_fee_rate: req.body.maker_fee_rate,
+            taker_fee_rate: req.body.taker_fee_rate,
             withdrawal_fee_rate: req.body.withdrawal_fee_rate
         };
 
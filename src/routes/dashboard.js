@@ -5,7 +5,10 @@ const db = require('../config/database');
 const router = express.Router();
 const ApiKeyService = require('../services/ApiKeyService');
 const UserSettingsService = require('../services/UserSettingsService');
-const TradeExecutionService = require('../services/TradeExecutionService');
+const BacktestService = require('../services/BacktestService');
+const ExchangeService = require('../services/ExchangeService');
+const RebalancePlannerService = require('../services/RebalancePlannerService');
+const PortfolioService = require('../services/PortfolioService');
 
 // 인증 미들웨어
 function requireAuth(req, res, next) {
@@ -28,6 +31,15 @@ router.get('/', requireAuth, async (req, res) => {
             userBotService.getTradeHistory(10)
         ]);
 
+        // 포트폴리오 평가 실패가 대시보드 전체를 막지 않도록 분리
+        let portfolio = null;
+        try {
+            const portfolioService = new PortfolioService(req.user.id, req.app.locals.tradeExecutionService);
+            portfolio = await portfolioService.getSummary(exchangeBalances);
+        } catch (error) {
+            console.error('포트폴리오 평가 오류:', error);
+        }
+
         res.render('dashboard', {
             title: `${req.user.username}님의 김프 봇 대시보드`,
             user: req.user,
@@ -35,6 +47,9 @@ router.get('/', requireAuth, async (req, res) => {
             exchangeBalances: exchangeBalances,
             tradingIntensity: tradingIntensity,
             tradeHistory: tradeHistory,
+            portfolio: portfolio,
+            monitoredSymbols: (req.app.locals.kimchiMonitoringService?.coinMappings || []).map(c => c.symbol),
+            routePremiums: req.app.locals.kimchiMonitoringService?.getRoutePremiums() || { routes: [], coins: [] },
             success: req.flash('success'),
             error: req.flash('error')
         });
@@ -79,7 +94,10 @@ router.get('/', requireAuth, async (req, res) => {
 router.get('/settings', requireAuth, async (req, res) => {
     try {
         const userBotService = new UserBotService(req.user.id);
-        const botSettings = await userBotService.getBotSettings();
+        const [botSettings, exchanges] = await Promise.all([
+            userBotService.getBotSettings(),
+            getActiveExchanges()
+        ]);
 
         console.log(`사용자 ${req.user.username} 설정 페이지 접근`);
         
@@ -87,6 +105,7 @@ router.get('/settings', requireAuth, async (req, res) => {
             title: `${req.user.username}님의 봇 설정`,
             user: req.user,
             botSettings: botSettings,
+            exchanges: exchanges,
             success: req.flash('success'),
             error: req.flash('error')
         });
@@ -113,10 +132,25 @@ router.post('/settings', requireAuth, async (req, res) => {
         const settings = {
             search_interval_seconds: Math.max(30, Math.min(300, normalizeValue(req.body.search_interval_seconds, 60))),
             premium_threshold_percent: Math.max(0.1, Math.min(5.0, normalizeValue(req.body.premium_threshold_percent, 1.0))),
+            // 임계값 기준 (gross: 김프, net: 수수료/출금/슬리피지 차감 후 예상 순수익률)
+            threshold_basis: req.body.threshold_basis === 'net' ? 'net' : 'gross',
+            // 방향별 임계값/자동 거래 (김프: 해외 매수 → 국내 매도, 역프: 국내 매수 → 해외 매도)
+            reverse_premium_threshold_percent: Math.max(0.1, Math.min(5.0, normalizeValue(req.body.reverse_premium_threshold_percent, 1.0))),
+            forward_trading_enabled: req.body.forward_trading_enabled !== 'false',
+            reverse_trading_enabled: req.body.reverse_trading_enabled === 'true',
+            // 거래 실행 방식 (transfer: 매수 → 전송 → 매도, inventory: 보유 재고로 동시 매수/매도)
+            execution_mode: req.body.execution_mode === 'inventory' ? 'inventory' : 'transfer',
+            // 전송 구간 바이낸스 선물 숏 헤지 (레버리지 1~5배)
+            hedge_enabled: req.body.hedge_enabled === 'true',
+            hedge_leverage: Math.max(1, Math.min(5, Math.floor(normalizeValue(req.body.hedge_leverage, 1)))),
             trading_intensity_threshold: Math.max(1, Math.min(10, normalizeValue(req.body.trading_intensity_threshold, 5))),
             min_trade_amount_krw: Math.max(100000, normalizeValue(req.body.min_trade_amount_krw, 1000000)),
             max_trade_amount_krw: Math.max(1000000, normalizeValue(req.body.max_trade_amount_krw, 10000000)),
-            bot_enabled: req.body.bot_enabled === 'true' || req.body.bot_enabled === 'on' || req.body.bot_enabled === true
+            bot_enabled: req.body.bot_enabled === 'true' || req.body.bot_enabled === 'on' || req.body.bot_enabled === true,
+            dry_run_enabled: req.body.dry_run_enabled !== 'false',
+            // 거래소 쌍 (빈 값이면 모니터링 최적 경로)
+            domestic_exchange_id: req.body.domestic_exchange_id ? String(parseInt(req.body.domestic_exchange_id) || '') : '',
+            overseas_exchange_id: req.body.overseas_exchange_id ? String(parseInt(req.body.overseas_exchange_id) || '') : ''
         };
         
         // 최대 거래 금액이 최소 거래 금액보다 작으면 자동 조정
@@ -219,12 +253,35 @@ router.post('/api-keys/:id/test', requireAuth, async (req, res) => {
                 `코인 ${result.balance.coinBalances.length}종류`
             );
         }
+
+        if (result.capabilities) {
+            const supported = result.capabilities.filter(capability => capability.supported).map(capability => capability.label);
+            req.flash(result.success ? 'success' : 'error',
+                `지원 기능: ${supported.length > 0 ? supported.join(', ') : '없음 (연동 어댑터 없음)'}`
+            );
+        }
     } catch (error) {
         req.flash('error', `테스트 실패: ${error.message}`);
     }
     res.redirect('/dashboard/api-keys');
 });
 
+// 거래소 수수료 등급 저장
+router.post('/api-keys/:id/fees', requireAuth, async (req, res) => {
+    try {
+        const apiKeyService = new ApiKeyService(req.user.id);
+        await apiKeyService.updateFeeTier(req.params.id, {
+            feeTier: req.body.fee_tier,
+            makerFeeRate: req.body.maker_fee_rate,
+            takerFeeRate: req.body.taker_fee_rate
+        });
+        req.flash('success', '수수료 등급이 저장되었습니다.');
+    } catch (error) {
+        req.flash('error', `수수료 등급 저장 실패: ${error.message}`);
+    }
+    res.redirect('/dashboard/api-keys');
+});
+
 // API 키 삭제
 router.post('/api-keys/:id/delete', requireAuth, async (req, res) => {
     try {
@@ -303,8 +360,76 @@ router.post('/deposit-addresses/:exchangeId/:symbol/delete', requireAuth, async
 });
 
 
+// 백테스트 페이지 (조회 조건이 있으면 실행 결과 포함)
+router.get('/backtest', requireAuth, async (req, res) => {
+    const userBotService = new UserBotService(req.user.id);
+    const backtestService = new BacktestService(req.app.locals.tradeExecutionService);
+
+    let botSettings = null;
+    let availableRange = [];
+    let report = null;
+    let error = req.flash('error');
+
+    try {
+        [botSettings, availableRange] = await Promise.all([
+            userBotService.getBotSettings(),
+            backtestService.getAvailableRange()
+        ]);
+
+        if (req.query.run) {
+            report = await backtestService.run({
+                symbols: req.query.symbol ? [req.query.symbol] : [],
+                from: req.query.from,
+                to: req.query.to,
+                premiumThresholdPercent: req.query.premium_threshold_percent,
+                thresholdBasis: req.query.threshold_basis,
+                tradingIntensityThreshold: req.query.trading_intensity_threshold,
+                minTradeAmountKrw: req.query.min_trade_amount_krw,
+                maxTradeAmountKrw: req.query.max_trade_amount_krw,
+                transferMinutes: req.query.transfer_minutes,
+                userId: req.user.id
+            });
+        }
+    } catch (err) {
+        console.error('백테스트 오류:', err);
+        error = [`백테스트 실패: ${err.message}`];
+    }
+
+    res.render('user/backtest', {
+        title: `${req.user.username}님의 백테스트`,
+        user: req.user,
+        botSettings: botSettings || { defaults: {} },
+        availableRange,
+        query: req.query,
+        report,
+        success: req.flash('success'),
+        error
+    });
+});
+
 // 수동 거래 테스트 페이지
-router.get('/trade/manual', requireAuth, async (req, res) => {
+router.get('/trade/manual', requireAuth, (req, res) => renderManualTrade(req, res));
+
+// 수동 거래 미리보기 (주문 없이 예상 수익/수수료 내역 표시)
+router.post('/trade/preview', requireAuth, async (req, res) => {
+    const { symbol, budget, direction } = req.body;
+    const budgetAmount = parseFloat(budget);
+
+    if (!symbol || isNaN(budgetAmount) || budgetAmount <= 0) {
+        req.flash('error', '코인과 거래 금액을 입력해주세요.');
+        return res.redirect('/dashboard/trade/manual');
+    }
+
+    const preview = await req.app.locals.tradeExecutionService.previewTrade(
+        req.user.id,
+        symbol.toUpperCase(),
+        budgetAmount,
+        parseTradeDirection(direction)
+    );
+    renderManualTrade(req, res, { ...preview, requestedDirection: parseTradeDirection(direction)?.direction || '' });
+});
+
+async function renderManualTrade(req, res, preview = null) {
     try {
         const connection = await db.getConnection();
         const [coins] = await connection.execute(`
@@ -322,6 +447,7 @@ router.get('/trade/manual', requireAuth, async (req, res) => {
             user: req.user,
             coins: coins,
             botSettings: botSettings,
+            preview,
             success: req.flash('success'),
             error: req.flash('error')
         });
@@ -330,12 +456,12 @@ router.get('/trade/manual', requireAuth, async (req, res) => {
         req.flash('error', '페이지를 불러오는 중 오류가 발생했습니다.');
         res.redirect('/dashboard');
     }
-});
+}
 
 // 수동 거래 실행
 router.post('/trade/execute', requireAuth, async (req, res) => {
     try {
-        const { symbol, budget, dryRun } = req.body;
+        const { symbol, budget, dryRun, direction } = req.body;
         
         if (!symbol || !budget) {
             req.flash('error', '코인과 거래 금액을 입력해주세요.');
@@ -348,28 +474,31 @@ router.post('/trade/execute', requireAuth, async (req, res) => {
             return res.redirect('/dashboard/trade/manual');
         }
 
-        const tradeService = new TradeExecutionService();
-        const result = await tradeService.executeOnce(
-            req.user.id,ㄴ
-            symbol.toUpperCase(),
-            budgetAmount,
-            dryRun === 'true'
-        );
+        // 전송 대기(최대 30분) 동안 요청을 붙잡지 않도록 백그라운드 실행
+        // 거래 내역이 생성되면 바로 응답하고, 진행 상황은 실시간 채널(trade 이벤트)로 대시보드에 표시
+        // 거래 내역 생성 전에 끝나면(검증/사전 점검 실패 등) 결과를 그대로 표시
+        const result = await new Promise(resolve => {
+            req.app.locals.tradeExecutionService.executeOnce(
+                req.user.id,
+                symbol.toUpperCase(),
+                budgetAmount,
+                dryRun === 'true',
+                parseTradeDirection(direction),
+                { onTradeCreated: tradeId => resolve({ started: true, tradeId }) }
+            ).then(resolve).catch(error => {
+                console.error('수동 거래 실행 오류:', error);
+                resolve({ success: false, error: error.message });
+            });
+        });
 
-        if (result.success) {
-            const mode = result.dryRun ? '시뮬레이션' : '실거래';
-            const profit = result.netProfit >= 0 ? 
-                `+${result.netProfit.toLocaleString()}원 (${result.profitRate.toFixed(4)}%)` :
-                `${result.netProfit.toLocaleString()}원 (${result.profitRate.toFixed(4)}%)`;
-            
-            req.flash('success', 
-                `${symbol} ${mode} 완료! ` +
-                `거래 ID: ${result.tradeId}, 수익: ${profit}`
-            );
-        } else {
-            req.flash('error', `거래 실패: ${result.error}`);
+        if (result.started) {
+            const mode = dryRun === 'true' ? '시뮬레이션' : '실거래';
+            req.flash('success', `${symbol.toUpperCase()} ${mode} 시작 - 거래 ID: ${result.tradeId}. 진행 상황은 거래 내역에서 실시간으로 확인할 수 있습니다.`);
+            return res.redirect('/dashboard');
         }
 
+        req.flash('error', `거래 실패: ${result.error}`);
+
     } catch (error) {
         console.error('거래 실행 오류:', error);
         req.flash('error', `거래 실행 중 오류가 발생했습니다: ${error.message}`);
@@ -378,8 +507,112 @@ router.post('/trade/execute', requireAuth, async (req, res) => {
     res.redirect('/dashboard/trade/manual');
 });
 
+// 재고 재분배 페이지 (실행 중인 계획은 진행 상황을 확인한 뒤 표시)
+router.get('/rebalance', requireAuth, async (req, res) => {
+    try {
+        const planner = new RebalancePlannerService(req.user.id, req.app.locals.tradeExecutionService);
+        const apiKeyService = new ApiKeyService(req.user.id);
+
+        const executing = (await planner.getPlans()).filter(plan => plan.status === 'executing');
+        for (const plan of executing) {
+            await planner.refreshPlan(plan.id);
+        }
+
+        const [plans, verifiedExchanges] = await Promise.all([
+            planner.getPlans(),
+            apiKeyService.getVerifiedExchanges()
+        ]);
+
+        res.render('user/rebalance', {
+            title: `${req.user.username}님의 재고 재분배`,
+            user: req.user,
+            plans,
+            verifiedExchanges,
+            defaults: {
+                minTransferKrw: RebalancePlannerService.DEFAULT_MIN_TRANSFER_KRW,
+                maxFeePercent: RebalancePlannerService.DEFAULT_MAX_FEE_PERCENT
+            },
+            success: req.flash('success'),
+            error: req.flash('error')
+        });
+    } catch (error) {
+        console.error('재고 재분배 페이지 오류:', error);
+        req.flash('error', '재고 재분배 페이지를 불러오는 중 오류가 발생했습니다.');
+        res.redirect('/dashboard');
+    }
+});
+
+// 재분배 계획 계산 (승인 전까지 실행하지 않음)
+router.post('/rebalance/plan', requireAuth, async (req, res) => {
+    try {
+        const weights = {};
+        Object.keys(req.body).forEach(key => {
+            const match = key.match(/^weight_(\d+)$/);
+            if (match && req.body[key] !== '') {
+                weights[match[1]] = parseFloat(req.body[key]);
+            }
+        });
+
+        const minTransferKrw = parseFloat(req.body.min_transfer_krw);
+        const maxFeePercent = parseFloat(req.body.max_fee_percent);
+
+        const planner = new RebalancePlannerService(req.user.id, req.app.locals.tradeExecutionService);
+        const plan = await planner.createPlan({
+            weights,
+            minTransferKrw: minTransferKrw >= 0 ? minTransferKrw : RebalancePlannerService.DEFAULT_MIN_TRANSFER_KRW,
+            maxFeePercent: maxFeePercent > 0 ? maxFeePercent : RebalancePlannerService.DEFAULT_MAX_FEE_PERCENT
+        });
+
+        req.flash('success', plan.transfers.length > 0 ?
+            `재분배 계획 #${plan.id}: 전송 ${plan.transfers.length}건, 예상 수수료 ${Math.round(plan.estimatedFeeKrw).toLocaleString()}원` :
+            `재분배 계획 #${plan.id}: 조건을 만족하는 전송이 없습니다.`);
+    } catch (error) {
+        console.error('재분배 계획 오류:', error);
+        req.flash('error', `재분배 계획 실패: ${error.message}`);
+    }
+    res.redirect('/dashboard/rebalance');
+});
+
+// 재분배 계획 승인 (출금 요청까지 진행, 도착 확인은 재고 재분배 주기/페이지 새로고침)
+router.post('/rebalance/:id/approve', requireAuth, async (req, res) => {
+    try {
+        const planner = new RebalancePlannerService(req.user.id, req.app.locals.tradeExecutionService);
+        const plan = await planner.approvePlan(Number(req.params.id));
+        const failed = plan.transfers.filter(t => t.status === 'failed');
+
+        if (failed.length > 0) {
+            req.flash('error', `재분배 계획 #${plan.id}: ${failed.length}건 실패 - ${failed.map(t => t.error).join(' / ')}`);
+        }
+        if (failed.length < plan.transfers.length) {
+            req.flash('success', `재분배 계획 #${plan.id}: ${plan.transfers.length - failed.length}건 출금 요청 완료`);
+        }
+    } catch (error) {
+        console.error('재분배 승인 오류:', error);
+        req.flash('error', `재분배 실행 실패: ${error.message}`);
+    }
+    res.redirect('/dashboard/rebalance');
+});
+
+// 재분배 계획 취소
+router.post('/rebalance/:id/cancel', requireAuth, async (req, res) => {
+    try {
+        const planner = new RebalancePlannerService(req.user.id, req.app.locals.tradeExecutionService);
+        await planner.cancelPlan(Number(req.params.id));
+        req.flash('success', '재분배 계획이 취소되었습니다.');
+    } catch (error) {
+        req.flash('error', `취소 실패: ${error.message}`);
+    }
+    res.redirect('/dashboard/rebalance');
+});
+
 
 // 헬퍼 함수
+
+// 수동 거래 방향 (자동이면 null → 현재 김프 부호로 결정)
+function parseTradeDirection(direction) {
+    return ['forward', 'reverse'].includes(direction) ? { direction } : null;
+}
+
 async function getExchanges() {
     // const connection = await db.getConnection();
     // const [rows] = await connection.execute(`
@@ -393,15 +626,18 @@ async function getExchanges() {
     return await ExchangeManagementService.getActiveExchanges();
 }
 
+// 거래를 지원하는 활성 거래소 (입금주소/거래소 쌍 선택용, 주문과 입출금 모두 지원해야 거래 가능)
 async function getActiveExchanges() {
     const connection = await db.getConnection();
     const [rows] = await connection.execute(`
-        SELECT id, name, type FROM exchanges 
-        WHERE is_active = TRUE AND name IN ('업비트', '바이낸스') 
+        SELECT id, name, code, type FROM exchanges 
+        WHERE is_active = TRUE 
         ORDER BY type, name
     `);
     connection.release();
-    return rows;
+    return rows.filter(row =>
+        ExchangeService.hasCapability(row.code, 'orders') && ExchangeService.hasCapability(row.code, 'withdrawals')
+    );
 }
 
 async function getTradableCoins() {
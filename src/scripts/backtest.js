@@ -0,0 +1,98 @@
+/**
+ * 김프 백테스트 CLI
+ *
+ * 사용법:
+ *   npm run backtest -- --symbol BTC --from 2024-01-01 --to 2024-01-08 \
+ *       --premium 1.0 --intensity 5 --min 1000000 --max 10000000 --transfer-minutes 30 [--trades] [--json]
+ *
+ * 옵션을 생략하면 최근 7일, 전체 코인, 기본 봇 설정값으로 실행
+ */
+const BacktestService = require('../services/BacktestService');
+const TradeExecutionService = require('../services/TradeExecutionService');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+const won = (amount) => `₩${Math.round(amount).toLocaleString()}`;
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const tradeExecutionService = new TradeExecutionService();
+    const backtestService = new BacktestService(tradeExecutionService);
+
+    const report = await backtestService.run({
+        symbols: args.symbol ? String(args.symbol).split(',') : [],
+        from: args.from,
+        to: args.to,
+        premiumThresholdPercent: args.premium,
+        tradingIntensityThreshold: args.intensity,
+        minTradeAmountKrw: args.min,
+        maxTradeAmountKrw: args.max,
+        transferMinutes: args['transfer-minutes']
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    const { settings, summary } = report;
+
+    console.log('\n=== 백테스트 결과 ===');
+    console.log(`기간: ${settings.from.toLocaleString('ko-KR')} ~ ${settings.to.toLocaleString('ko-KR')}`);
+    console.log(`코인: ${report.coins.join(', ') || '없음'} (스냅샷 ${report.snapshotCount}건)`);
+    console.log(`설정: 프리미엄 ${settings.premiumThresholdPercent}% / 매매강도 ${settings.tradingIntensityThreshold} / ` +
+        `금액 ${won(settings.minTradeAmountKrw)} ~ ${won(settings.maxTradeAmountKrw)} / 전송 ${settings.transferMinutes}분`);
+    console.log('');
+    console.log(`거래 횟수:   ${summary.totalTrades} (승 ${summary.wins} / 패 ${summary.losses})`);
+    console.log(`승률:        ${summary.winRate.toFixed(1)}%`);
+    console.log(`순수익:      ${won(summary.totalNetProfit)}`);
+    console.log(`평균 수익률: ${summary.averageProfitRate.toFixed(3)}%`);
+    console.log(`최대 낙폭:   ${won(summary.maxDrawdown)}`);
+    console.log(`총 수수료:   ${won(summary.totalFees)}`);
+
+    if (report.bySymbol.length > 1) {
+        console.log('\n코인별:');
+        console.table(report.bySymbol.map(row => ({
+            코인: row.symbol,
+            거래: row.totalTrades,
+            승률: `${row.winRate.toFixed(1)}%`,
+            순수익: won(row.totalNetProfit),
+            최대낙폭: won(row.maxDrawdown)
+        })));
+    }
+
+    if (args.trades && report.trades.length > 0) {
+        console.log('\n거래 내역:');
+        console.table(report.trades.map(trade => ({
+            진입: new Date(trade.enteredAt).toLocaleString('ko-KR'),
+            코인: trade.symbol,
+            방향: trade.direction,
+            김프: `${trade.premium.toFixed(3)}%`,
+            금액: won(trade.budgetKrw),
+            순수익: won(trade.netProfit),
+            수익률: `${trade.profitRate.toFixed(3)}%`
+        })));
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('백테스트 실패:', error.message);
+        process.exit(1);
+    });
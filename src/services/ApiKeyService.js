@@ -1,5 +1,6 @@
 const db = require('../config/database');
 const CryptoUtil = require('../utils/CryptoUtil');
+const ExchangeService = require('./ExchangeService');
 
 class ApiKeyService {
     constructor(userId) {
@@ -14,7 +15,10 @@ class ApiKeyService {
                 SELECT 
                     uec.id, uec.exchange_id, uec.is_active, uec.is_verified,
                     uec.last_tested_at, uec.last_test_result, uec.created_at,
-                    e.name as exchange_name, e.type as exchange_type
+                    uec.fee_tier, uec.maker_fee_rate, uec.taker_fee_rate,
+                    e.name as exchange_name, e.type as exchange_type,
+                    e.trading_fee_rate, e.maker_fee_rate as exchange_maker_fee_rate,
+                    e.taker_fee_rate as exchange_taker_fee_rate
                 FROM user_exchange_credentials uec
                 JOIN exchanges e ON uec.exchange_id = e.id
                 WHERE uec.user_id = ?
@@ -43,24 +47,26 @@ class ApiKeyService {
 
             // 거래소별 키 형식 검증
             const connection = await db.getConnection();
-            const [exchangeRows] = await connection.execute('SELECT name FROM exchanges WHERE id = ?', [exchangeId]);
+            const [exchangeRows] = await connection.execute('SELECT name, code FROM exchanges WHERE id = ?', [exchangeId]);
             
             if (exchangeRows.length === 0) {
                 connection.release();
                 throw new Error('존재하지 않는 거래소입니다');
             }
 
-            const exchangeName = exchangeRows[0].name;
-            let keyType = 'general';
-            if (exchangeName === '업비트') keyType = 'upbit';
-            else if (exchangeName === '바이낸스') keyType = 'binance';
-
+            // 거래소 코드로 형식 검증 (형식 규칙이 없는 거래소는 기본 검증)
+            const keyType = exchangeRows[0].code || 'general';
             const validation = CryptoUtil.validateApiKey(apiKey, keyType);
             if (!validation.valid) {
                 connection.release();
                 throw new Error(validation.message);
             }
 
+            if (keyType === 'coinbase' && !passphrase) {
+                connection.release();
+                throw new Error('코인베이스 API 키는 passphrase가 필요합니다');
+            }
+
             // API 키 암호화
             const encryptedApiKey = CryptoUtil.encrypt(apiKey);
             const encryptedSecretKey = CryptoUtil.encrypt(secretKey);
@@ -121,10 +127,11 @@ class ApiKeyService {
 
     // API 키 연결 테스트
     async testApiKey(credentialId) {
+        let capabilities = ExchangeService.describeCapabilities(null);
         try {
             const connection = await db.getConnection();
             const [rows] = await connection.execute(`
-                SELECT uec.*, e.name as exchange_name
+                SELECT uec.*, e.name as exchange_name, e.code as exchange_code
                 FROM user_exchange_credentials uec
                 JOIN exchanges e ON uec.exchange_id = e.id
                 WHERE uec.id = ? AND uec.user_id = ?
@@ -136,6 +143,7 @@ class ApiKeyService {
             }
 
             const credential = rows[0];
+            capabilities = ExchangeService.describeCapabilities(credential.exchange_code);
             
             // API 키 복호화
             const apiKey = CryptoUtil.decrypt(credential.api_key);
@@ -154,7 +162,6 @@ class ApiKeyService {
 
             // 실제 거래소 API 테스트
             console.log(`API 키 테스트 시작: ${credential.exchange_name} (사용자 ${this.userId})`);
-            const ExchangeService = require('./ExchangeService');
             const balance = await ExchangeService.getBalance(credential.exchange_id, apiKey, secretKey, passphrase);
 
             // 테스트 성공 시 결과 저장
@@ -170,7 +177,8 @@ class ApiKeyService {
             return { 
                 success: true, 
                 message: `✅ ${credential.exchange_name} 연결 성공`,
-                balance: balance
+                balance: balance,
+                capabilities
             };
 
         } catch (error) {
@@ -190,11 +198,50 @@ class ApiKeyService {
             console.error(`API 키 테스트 실패 (ID: ${credentialId}):`, error.message);
             return { 
                 success: false, 
-                message: `❌ 연결 실패: ${error.message}` 
+                message: `❌ 연결 실패: ${error.message}`,
+                capabilities
             };
         }
     }
 
+    // 거래소 수수료 등급 저장 (VIP 등급 수수료율, 비워두면 거래소 기본값 사용)
+    async updateFeeTier(credentialId, { feeTier, makerFeeRate, takerFeeRate }) {
+        const parseRate = (value) => {
+            if (value === undefined || value === null || String(value).trim() === '') return null;
+            const rate = parseFloat(value);
+            if (!isFinite(rate) || rate < 0 || rate >= 1) {
+                throw new Error('수수료율은 0 이상 1 미만의 소수로 입력해주세요 (예: 0.0004)');
+            }
+            return rate;
+        };
+
+        try {
+            const connection = await db.getConnection();
+            const [result] = await connection.execute(`
+                UPDATE user_exchange_credentials
+                SET fee_tier = ?, maker_fee_rate = ?, taker_fee_rate = ?, updated_at = NOW()
+                WHERE id = ? AND user_id = ?
+            `, [
+                feeTier?.trim() || null,
+                parseRate(makerFeeRate),
+                parseRate(takerFeeRate),
+                credentialId,
+                this.userId
+            ]);
+            connection.release();
+
+            if (result.affectedRows === 0) {
+                throw new Error('수수료 등급을 저장할 API 키를 찾을 수 없습니다');
+            }
+
+            console.log(`사용자 ${this.userId} 수수료 등급 저장 완료 (ID: ${credentialId})`);
+            return true;
+        } catch (error) {
+            console.error(`수수료 등급 저장 오류:`, error);
+            throw error;
+        }
+    }
+
     // API 키 삭제
     async deleteApiKey(credentialId) {
         try {
@@ -0,0 +1,437 @@
+const db = require('../config/database');
+const winston = require('winston');
+const KimchiMonitoringService = require('./KimchiMonitoringService');
+const FeeModelService = require('./FeeModelService');
+
+/**
+ * 김프 백테스트 서비스
+ *
+ * premium_snapshots에 저장된 김프 기록을 시간순으로 재생하며
+ * 실거래와 동일한 매매강도 계산(KimchiMonitoringService)과
+ * 거래 파라미터/수익 계산(TradeExecutionService)을 적용해 설정값의 성과를 평가
+ * (국내/해외 거래소 쌍이 여러 개 기록된 코인은 거래소 쌍별로 따로 재생)
+ */
+class BacktestService {
+    /**
+     * @param {TradeExecutionService} tradeExecutionService - 거래 파라미터/수익 계산에 사용
+     */
+    constructor(tradeExecutionService) {
+        this.tradeExecutionService = tradeExecutionService;
+        this.feeModelService = new FeeModelService();
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [Backtest] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console()
+            ]
+        });
+    }
+
+    /**
+     * 백테스트 실행
+     * @param {Object} options
+     * @param {string[]} options.symbols - 대상 코인 (비어 있으면 스냅샷이 있는 전체 코인)
+     * @param {Date|string} options.from - 시작 시각
+     * @param {Date|string} options.to - 종료 시각
+     * @param {number} options.premiumThresholdPercent - 프리미엄 임계값(%)
+     * @param {string} options.thresholdBasis - 임계값 기준 ('gross': 김프, 'net': 수수료 차감 후 예상 순수익률)
+     * @param {number} options.tradingIntensityThreshold - 매수 조건 임계값
+     * @param {number} options.minTradeAmountKrw - 최소 거래 금액
+     * @param {number} options.maxTradeAmountKrw - 최대 거래 금액
+     * @param {number} options.transferMinutes - 전송 소요 시간(분). 0이면 진입 시점 가격으로 매도
+     * @param {number|null} options.userId - 수수료 등급을 적용할 사용자 (없으면 거래소 기본 수수료율)
+     */
+    async run(options) {
+        const settings = this.normalizeOptions(options);
+        const startTime = Date.now();
+
+        const coins = await this.loadCoins(settings.symbols);
+        const exchanges = await this.loadExchanges();
+        const trades = [];
+        let snapshotCount = 0;
+
+        for (const coin of coins) {
+            const snapshots = await this.loadSnapshots(coin.id, settings.from, settings.to);
+            snapshotCount += snapshots.length;
+
+            for (const group of this.groupByRoute(snapshots, exchanges)) {
+                group.route.feeModel = await this.feeModelService.buildFeeModel({
+                    userId: settings.userId,
+                    coin,
+                    exchanges: [group.route.domestic, group.route.overseas]
+                });
+                const coinTrades = await this.replayCoin(coin, group.snapshots, settings, group.route);
+                trades.push(...coinTrades);
+            }
+        }
+
+        trades.sort((a, b) => new Date(a.enteredAt) - new Date(b.enteredAt));
+
+        const report = {
+            settings,
+            coins: coins.map(c => c.symbol),
+            snapshotCount,
+            trades,
+            summary: this.summarize(trades),
+            bySymbol: this.summarizeBySymbol(trades),
+            elapsedMs: Date.now() - startTime
+        };
+
+        this.logger.info('백테스트 완료', {
+            coins: report.coins.length,
+            snapshots: snapshotCount,
+            trades: trades.length,
+            netProfit: report.summary.totalNetProfit.toFixed(0)
+        });
+
+        return report;
+    }
+
+    normalizeOptions(options = {}) {
+        const to = options.to ? new Date(options.to) : new Date();
+        const from = options.from ? new Date(options.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            throw new Error('기간 형식이 올바르지 않습니다');
+        }
+        if (from >= to) {
+            throw new Error('시작 시각은 종료 시각보다 이전이어야 합니다');
+        }
+
+        const settings = {
+            symbols: (options.symbols || []).map(s => s.toUpperCase()).filter(Boolean),
+            from,
+            to,
+            premiumThresholdPercent: parseFloat(options.premiumThresholdPercent) || 1.0,
+            thresholdBasis: options.thresholdBasis === 'net' ? 'net' : 'gross',
+            tradingIntensityThreshold: parseInt(options.tradingIntensityThreshold) || 5,
+            minTradeAmountKrw: parseFloat(options.minTradeAmountKrw) || 1000000,
+            maxTradeAmountKrw: parseFloat(options.maxTradeAmountKrw) || 10000000,
+            transferMinutes: Math.max(parseFloat(options.transferMinutes) || 0, 0),
+            userId: options.userId || null
+        };
+
+        if (settings.maxTradeAmountKrw < settings.minTradeAmountKrw) {
+            settings.maxTradeAmountKrw = settings.minTradeAmountKrw;
+        }
+
+        return settings;
+    }
+
+    /**
+     * 코인 하나의 스냅샷 재생
+     * 실거래와 같이 신호 발생 시 매매강도를 초기화하고, 전송 중에는 같은 코인을 다시 거래하지 않음
+     */
+    async replayCoin(coin, snapshots, settings, route) {
+        const trades = [];
+        let intensity = 0;
+        let busyUntil = 0;
+
+        for (let i = 0; i < snapshots.length; i++) {
+            const snapshot = snapshots[i];
+            const premium = parseFloat(snapshot.premium_percent);
+            const capturedAt = new Date(snapshot.captured_at).getTime();
+            const signalPercent = this.getSignalPercent(premium, snapshot, settings, route);
+
+            intensity = KimchiMonitoringService.calculateNextIntensity(intensity, signalPercent, settings.premiumThresholdPercent);
+
+            if (intensity < settings.tradingIntensityThreshold || capturedAt < busyUntil) {
+                continue;
+            }
+
+            intensity = 0;
+
+            const exitSnapshot = this.findExitSnapshot(snapshots, i, settings.transferMinutes);
+            if (!exitSnapshot) {
+                // 기간 종료 전에 매도 시점이 없으면 미완료 거래로 제외
+                break;
+            }
+
+            const budgetKrw = KimchiMonitoringService.calculateTradeBudget(signalPercent, settings);
+            const trade = await this.simulateTrade(coin, snapshot, exitSnapshot, budgetKrw, route);
+            trades.push(trade);
+
+            busyUntil = new Date(exitSnapshot.captured_at).getTime();
+        }
+
+        return trades;
+    }
+
+    // 임계값과 비교할 김프 (net 기준이면 최대 거래 금액 기준 예상 순수익률, 모니터링과 동일)
+    getSignalPercent(premium, snapshot, settings, route) {
+        if (settings.thresholdBasis !== 'net') {
+            return premium;
+        }
+
+        const net = FeeModelService.estimateNetPremium(route.feeModel, {
+            premiumPercent: premium,
+            domesticExchangeId: route.domestic.id,
+            overseasExchangeId: route.overseas.id,
+            priceKrw: parseFloat(snapshot.overseas_ask) * parseFloat(snapshot.exchange_rate),
+            amountKrw: settings.maxTradeAmountKrw
+        });
+        return KimchiMonitoringService.getSignalPercent({ premiumPercent: premium, netProfitPercent: net.netProfitPercent }, 'net');
+    }
+
+    findExitSnapshot(snapshots, entryIndex, transferMinutes) {
+        if (transferMinutes <= 0) {
+            return snapshots[entryIndex];
+        }
+
+        const exitTime = new Date(snapshots[entryIndex].captured_at).getTime() + transferMinutes * 60 * 1000;
+        for (let j = entryIndex + 1; j < snapshots.length; j++) {
+            if (new Date(snapshots[j].captured_at).getTime() >= exitTime) {
+                return snapshots[j];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 스냅샷 기준 단일 거래 시뮬레이션 (TradeExecutionService와 동일한 계산)
+     */
+    async simulateTrade(coin, entry, exit, budgetKrw, route) {
+        const marketAnalysis = this.buildMarketAnalysis(coin.symbol, entry, route);
+        const tradeParams = await this.tradeExecutionService.calculateTradeParameters(budgetKrw, marketAnalysis, {}, route.feeModel);
+
+        // 전송 시간을 반영하면 도착 시점 호가로 매도
+        if (exit !== entry) {
+            const exitAnalysis = this.buildMarketAnalysis(coin.symbol, exit, route);
+            const exitPrice = exitAnalysis[tradeParams.sellSide].bidPriceKrw;
+            tradeParams.sellPrice = exitPrice * (1 - tradeParams.slippageRate);
+        }
+
+        const profit = this.tradeExecutionService.calculateProfit(tradeParams, coin);
+
+        return {
+            symbol: coin.symbol,
+            enteredAt: entry.captured_at,
+            exitedAt: exit.captured_at,
+            direction: tradeParams.direction,
+            buyExchange: tradeParams.buyExchange,
+            sellExchange: tradeParams.sellExchange,
+            premium: marketAnalysis.premium,
+            budgetKrw,
+            quantity: tradeParams.quantity,
+            buyPrice: tradeParams.buyPrice,
+            sellPrice: tradeParams.sellPrice,
+            grossProfit: profit.grossProfit,
+            netProfit: profit.netProfit,
+            profitRate: profit.profitRate,
+            tradingFees: profit.tradingFees,
+            transferFees: profit.transferFees
+        };
+    }
+
+    // 스냅샷 → TradeExecutionService.analyzeMarket 결과 형태
+    buildMarketAnalysis(symbol, snapshot, route) {
+        const rate = parseFloat(snapshot.exchange_rate);
+        const domesticAsk = parseFloat(snapshot.domestic_ask);
+        const domesticBid = parseFloat(snapshot.domestic_bid);
+        const overseasAsk = parseFloat(snapshot.overseas_ask);
+        const overseasBid = parseFloat(snapshot.overseas_bid);
+
+        // analyzeMarket과 동일: 국내 매수호가 vs 해외 매도호가(원화)
+        const overseasAskKrw = overseasAsk * rate;
+        const premium = ((domesticBid - overseasAskKrw) / overseasAskKrw) * 100;
+
+        return {
+            symbol,
+            exchangeRate: { rate },
+            domestic: {
+                exchangeId: route.domestic.id,
+                exchange: route.domestic.name,
+                code: route.domestic.code,
+                askPrice: domesticAsk,
+                bidPrice: domesticBid,
+                askPriceKrw: domesticAsk,
+                bidPriceKrw: domesticBid
+            },
+            overseas: {
+                exchangeId: route.overseas.id,
+                exchange: route.overseas.name,
+                code: route.overseas.code,
+                askPrice: overseasAsk,
+                bidPrice: overseasBid,
+                askPriceKrw: overseasAskKrw,
+                bidPriceKrw: overseasBid * rate
+            },
+            premium,
+            timestamp: snapshot.captured_at
+        };
+    }
+
+    // 스냅샷을 국내/해외 거래소 쌍별로 분리 (시간순 유지)
+    groupByRoute(snapshots, exchanges) {
+        const groups = new Map();
+        snapshots.forEach(snapshot => {
+            const key = `${snapshot.domestic_exchange_id}-${snapshot.overseas_exchange_id}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    route: {
+                        domestic: exchanges.get(snapshot.domestic_exchange_id),
+                        overseas: exchanges.get(snapshot.overseas_exchange_id)
+                    },
+                    snapshots: []
+                });
+            }
+            groups.get(key).snapshots.push(snapshot);
+        });
+        return [...groups.values()].filter(group => group.route.domestic && group.route.overseas);
+    }
+
+    /**
+     * 거래 목록 요약 (수익, 승률, 최대 낙폭)
+     */
+    summarize(trades) {
+        let cumulative = 0;
+        let peak = 0;
+        let maxDrawdown = 0;
+        const equityCurve = [];
+
+        trades.forEach(trade => {
+            cumulative += trade.netProfit;
+            peak = Math.max(peak, cumulative);
+            maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+            equityCurve.push({ time: trade.exitedAt, cumulativeProfit: cumulative });
+        });
+
+        const wins = trades.filter(t => t.netProfit > 0).length;
+        const totalBudget = trades.reduce((sum, t) => sum + t.budgetKrw, 0);
+
+        return {
+            totalTrades: trades.length,
+            wins,
+            losses: trades.length - wins,
+            winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+            totalNetProfit: cumulative,
+            totalFees: trades.reduce((sum, t) => sum + t.tradingFees + t.transferFees, 0),
+            averageProfitRate: trades.length > 0 ?
+                trades.reduce((sum, t) => sum + t.profitRate, 0) / trades.length : 0,
+            returnOnBudget: totalBudget > 0 ? (cumulative / totalBudget) * 100 : 0,
+            maxDrawdown,
+            maxDrawdownPercent: peak > 0 ? (maxDrawdown / peak) * 100 : 0,
+            equityCurve
+        };
+    }
+
+    summarizeBySymbol(trades) {
+        const groups = {};
+        trades.forEach(trade => {
+            if (!groups[trade.symbol]) groups[trade.symbol] = [];
+            groups[trade.symbol].push(trade);
+        });
+
+        return Object.keys(groups).sort().map(symbol => {
+            const { equityCurve, ...summary } = this.summarize(groups[symbol]);
+            return { symbol, ...summary };
+        });
+    }
+
+    async loadCoins(symbols) {
+        const connection = await db.getConnection();
+        try {
+            let rows;
+            if (symbols.length > 0) {
+                [rows] = await connection.query(
+                    'SELECT * FROM coins WHERE symbol IN (?) ORDER BY symbol',
+                    [symbols]
+                );
+            } else {
+                [rows] = await connection.execute(`
+                    SELECT * FROM coins
+                    WHERE id IN (SELECT DISTINCT coin_id FROM premium_snapshots)
+                       OR id IN (SELECT DISTINCT coin_id FROM premium_history_1m)
+                    ORDER BY symbol
+                `);
+            }
+            return rows;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // 거래소 ID → { id, name, code }
+    async loadExchanges() {
+        const connection = await db.getConnection();
+        try {
+            const [rows] = await connection.execute(
+                'SELECT id, name, code, trading_fee_rate, maker_fee_rate, taker_fee_rate FROM exchanges'
+            );
+            return new Map(rows.map(row => [row.id, {
+                ...row,
+                code: row.code || `exchange${row.id}`
+            }]));
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 기간 내 김프 기록 조회
+     * 원본 보관 기간(7일)이 지난 구간은 1분 롤업(premium_history_1m)으로 대체
+     */
+    async loadSnapshots(coinId, from, to) {
+        const connection = await db.getConnection();
+        try {
+            const [rawRows] = await connection.execute(`
+                SELECT domestic_exchange_id, overseas_exchange_id,
+                       domestic_ask, domestic_bid, overseas_ask, overseas_bid,
+                       exchange_rate, premium_percent, captured_at
+                FROM premium_snapshots
+                WHERE coin_id = ? AND captured_at BETWEEN ? AND ?
+                ORDER BY captured_at
+            `, [coinId, from, to]);
+
+            const rawStart = rawRows.length > 0 ? new Date(rawRows[0].captured_at) : to;
+            if (rawStart <= from) {
+                return rawRows;
+            }
+
+            const [minuteRows] = await connection.execute(`
+                SELECT domestic_exchange_id, overseas_exchange_id,
+                       domestic_ask, domestic_bid, overseas_ask, overseas_bid,
+                       exchange_rate, premium_close as premium_percent, bucket_start as captured_at
+                FROM premium_history_1m
+                WHERE coin_id = ? AND bucket_start >= ? AND bucket_start < ?
+                ORDER BY bucket_start
+            `, [coinId, from, rawStart]);
+
+            return minuteRows.concat(rawRows);
+        } finally {
+            connection.release();
+        }
+    }
+
+    // 백테스트 가능한 코인/기간 조회 (화면 기본값용)
+    async getAvailableRange() {
+        const connection = await db.getConnection();
+        try {
+            const [rows] = await connection.execute(`
+                SELECT c.symbol, SUM(history.snapshot_count) as snapshot_count,
+                       MIN(history.first_at) as first_at, MAX(history.last_at) as last_at
+                FROM (
+                    SELECT coin_id, COUNT(*) as snapshot_count, MIN(captured_at) as first_at, MAX(captured_at) as last_at
+                    FROM premium_snapshots GROUP BY coin_id
+                    UNION ALL
+                    SELECT coin_id, COUNT(*), MIN(bucket_start), MAX(bucket_start)
+                    FROM premium_history_1m GROUP BY coin_id
+                ) history
+                JOIN coins c ON history.coin_id = c.id
+                GROUP BY c.symbol
+                ORDER BY c.symbol
+            `);
+            return rows;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = BacktestService;
@@ -5,6 +5,15 @@ const ExchangeService = require('./ExchangeService');
 class BinanceService extends ExchangeService {
     constructor() {
         super('Binance', 'https://api.binance.com/api/v3', 'wss://stream.binance.com:9443/ws');
+        this.symbolFilters = new Map(); // 심볼별 수량/가격 단위 캐시
+        this.sapiUrl = 'https://api.binance.com/sapi/v1'; // 입출금 등 지갑 API
+        this.futuresUrl = 'https://fapi.binance.com/fapi/v1'; // USDⓈ-M 선물 API (전송 구간 헤지)
+        this.futuresSymbolFilters = new Map();
+        this.quoteCurrency = 'USDT';
+    }
+
+    getMarketSymbol(coin) {
+        return coin.binance_symbol || null;
     }
 
     // 바이낸스 티커 정보 조회
@@ -27,9 +36,11 @@ class BinanceService extends ExchangeService {
     // 바이낸스 호가창 정보 조회
     async getOrderbook(symbol, limit = 5) {
         try {
+            // 바이낸스는 5/10/20/50/100/500/1000/5000개 단위로만 조회 가능
+            const size = [5, 10, 20, 50, 100, 500, 1000, 5000].find(value => value >= limit) || 5000;
             const data = await this.makeRequest('/depth', { 
                 symbol: symbol.toUpperCase(), 
-                limit: limit 
+                limit: size 
             });
             
             return {
@@ -73,36 +84,44 @@ class BinanceService extends ExchangeService {
         }
     }
 
-    // WebSocket 실시간 데이터 구독
-    subscribeRealtime(symbol, onTicker, onOrderbook) {
+    // WebSocket 실시간 데이터 구독 (combined stream: 여러 심볼을 한 연결로 구독)
+    // depth20은 부분 호가 스냅샷이라 이벤트 타입(e)이 없으므로 스트림 이름으로 구분
+    subscribeRealtime(symbols, onTicker, onOrderbook) {
         if (!this.wsUrl) {
             throw new Error('WebSocket URL이 설정되지 않았습니다.');
         }
 
-        const streamName = `${symbol.toLowerCase()}@ticker/${symbol.toLowerCase()}@depth5@100ms`;
-        const wsUrl = `${this.wsUrl}/${streamName}`;
+        const symbolList = (Array.isArray(symbols) ? symbols : [symbols]).map(symbol => symbol.toLowerCase());
+        const streams = symbolList.flatMap(symbol => [`${symbol}@ticker`, `${symbol}@depth20@100ms`]);
+        const wsUrl = `${this.wsUrl.replace(/\/ws$/, '/stream')}?streams=${streams.join('/')}`;
 
-        const ws = this.createWebSocket(wsUrl, (data) => {
+        const ws = this.createWebSocket(wsUrl, (message) => {
             try {
+                const { stream, data } = message;
+                if (!stream || !data) return;
+
+                const streamSymbol = stream.split('@')[0].toUpperCase();
+
                 if (data.e === '24hrTicker' && onTicker) {
                     onTicker({
                         exchange: 'binance',
                         symbol: data.s,
                         price: parseFloat(data.c),
                         volume: parseFloat(data.v),
+                        volume24h: parseFloat(data.v),
                         change: parseFloat(data.P),
                         timestamp: new Date(data.E)
                     });
-                } else if (data.e === 'depthUpdate' && onOrderbook) {
+                } else if (stream.includes('@depth') && onOrderbook) {
                     onOrderbook({
                         exchange: 'binance',
-                        symbol: data.s,
+                        symbol: streamSymbol,
                         timestamp: new Date(),
-                        asks: data.a.map(ask => ({
+                        asks: data.asks.map(ask => ({
                             price: parseFloat(ask[0]),
                             quantity: parseFloat(ask[1])
                         })),
-                        bids: data.b.map(bid => ({
+                        bids: data.bids.map(bid => ({
                             price: parseFloat(bid[0]),
                             quantity: parseFloat(bid[1])
                         }))
@@ -113,9 +132,427 @@ class BinanceService extends ExchangeService {
             }
         });
 
+        ws.on('open', () => {
+            this.logger.info('바이낸스 실시간 구독 시작', { symbols: symbolList });
+        });
+
         return ws;
     }
 
+    // 바이낸스 서명 요청 (HMAC SHA256)
+    async makeSignedRequest(method, endpoint, params = {}, apiKey, secretKey, baseUrl = this.baseUrl) {
+        try {
+            const query = new URLSearchParams({
+                ...params,
+                recvWindow: 5000,
+                timestamp: Date.now()
+            }).toString();
+
+            const signature = crypto
+                .createHmac('sha256', secretKey)
+                .update(query)
+                .digest('hex');
+
+            const response = await axios({
+                method,
+                url: `${baseUrl}${endpoint}?${query}&signature=${signature}`,
+                headers: {
+                    'X-MBX-APIKEY': apiKey,
+                    'User-Agent': 'CoinBot/1.0'
+                },
+                timeout: 10000
+            });
+
+            return response.data;
+        } catch (error) {
+            const binanceError = error.response?.data;
+            this.logger.error(`바이낸스 서명 요청 실패: ${method} ${endpoint}`, {
+                error: error.message,
+                status: error.response?.status,
+                code: binanceError?.code,
+                msg: binanceError?.msg
+            });
+
+            if (error.response?.status === 401 || binanceError?.code === -2015) {
+                throw new Error('API 키 인증 실패 - 키와 IP 허용 설정을 확인해주세요');
+            } else if (binanceError?.msg) {
+                throw new Error(`바이낸스 오류 (${binanceError.code}): ${binanceError.msg}`);
+            }
+
+            throw error;
+        }
+    }
+
+    // 심볼별 주문 단위 조회 (LOT_SIZE, PRICE_FILTER)
+    async getSymbolFilters(symbol) {
+        const key = symbol.toUpperCase();
+        if (this.symbolFilters.has(key)) {
+            return this.symbolFilters.get(key);
+        }
+
+        const data = await this.makeRequest('/exchangeInfo', { symbol: key });
+        const info = data.symbols?.[0];
+        if (!info) {
+            throw new Error(`바이낸스 심볼 정보를 찾을 수 없습니다: ${key}`);
+        }
+
+        const lotSize = info.filters.find(f => f.filterType === 'LOT_SIZE') || {};
+        const marketLotSize = info.filters.find(f => f.filterType === 'MARKET_LOT_SIZE') || {};
+        const priceFilter = info.filters.find(f => f.filterType === 'PRICE_FILTER') || {};
+
+        const filters = {
+            baseAsset: info.baseAsset,
+            quoteAsset: info.quoteAsset,
+            stepSize: parseFloat(lotSize.stepSize || marketLotSize.stepSize || '0.00000001'),
+            minQty: parseFloat(lotSize.minQty || 0),
+            tickSize: parseFloat(priceFilter.tickSize || '0.00000001'),
+            quotePrecision: info.quoteAssetPrecision ?? info.quotePrecision ?? 8
+        };
+
+        this.symbolFilters.set(key, filters);
+        return filters;
+    }
+
+    // 단위에 맞춰 내림 처리 후 문자열 변환
+    roundToStep(value, step) {
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        const rounded = Math.floor(value / step + 1e-9) * step;
+        return rounded.toFixed(decimals);
+    }
+
+    // 바이낸스 주문 상태 → 공통 상태
+    mapOrderStatus(status) {
+        if (status === 'FILLED') return 'filled';
+        if (status === 'NEW' || status === 'PARTIALLY_FILLED' || status === 'PENDING_NEW') return 'open';
+        if (status === 'REJECTED') return 'failed';
+        return 'cancelled'; // CANCELED, EXPIRED, EXPIRED_IN_MATCH
+    }
+
+    // 바이낸스 주문 응답 정규화 (fills 또는 myTrades 기준 수수료 합산)
+    parseOrder(order, trades = null) {
+        const fills = trades || order.fills || [];
+        const fee = fills.reduce((sum, fill) => sum + parseFloat(fill.commission || 0), 0);
+        const feeCurrency = fills.length > 0 ? (fills[0].commissionAsset) : null;
+
+        return this.normalizeOrder({
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side === 'BUY' ? 'buy' : 'sell',
+            type: order.type === 'LIMIT' ? 'limit' : 'market',
+            status: this.mapOrderStatus(order.status),
+            price: parseFloat(order.price) > 0 ? order.price : null,
+            quantity: parseFloat(order.origQty) > 0 ? order.origQty : null,
+            executedQty: order.executedQty,
+            executedQuote: order.cummulativeQuoteQty,
+            fee,
+            feeCurrency,
+            raw: order
+        });
+    }
+
+    // 바이낸스 주문 생성 (인증 필요)
+    async placeOrder(symbol, side, type, price, quantity, apiKey, secretKey) {
+        const filters = await this.getSymbolFilters(symbol);
+        const params = {
+            symbol: symbol.toUpperCase(),
+            side: side === 'buy' ? 'BUY' : 'SELL',
+            type: type === 'limit' ? 'LIMIT' : 'MARKET',
+            newOrderRespType: 'FULL'
+        };
+
+        if (type === 'limit') {
+            params.timeInForce = 'GTC';
+            params.price = this.roundToStep(price, filters.tickSize);
+            params.quantity = this.roundToStep(quantity, filters.stepSize);
+        } else if (side === 'buy' && !quantity) {
+            // 시장가 매수: 지출할 USDT 금액 지정
+            params.quoteOrderQty = this.roundToStep(price, Math.pow(10, -Math.min(filters.quotePrecision, 8)));
+        } else {
+            params.quantity = this.roundToStep(quantity, filters.stepSize);
+        }
+
+        if (params.quantity !== undefined && parseFloat(params.quantity) < filters.minQty) {
+            throw new Error(`주문 수량이 최소 수량보다 작습니다: ${params.quantity} < ${filters.minQty}`);
+        }
+
+        this.logger.info('바이낸스 주문 요청', params);
+        const order = await this.makeSignedRequest('POST', '/order', params, apiKey, secretKey);
+        this.logger.info('바이낸스 주문 접수', { orderId: order.orderId, symbol, side, type, status: order.status });
+
+        return this.parseOrder(order);
+    }
+
+    // 바이낸스 주문 조회 (인증 필요) - 체결 시 수수료 확인을 위해 myTrades 함께 조회
+    async getOrder(symbol, orderId, apiKey, secretKey) {
+        const params = { symbol: symbol.toUpperCase(), orderId };
+        const order = await this.makeSignedRequest('GET', '/order', params, apiKey, secretKey);
+
+        let trades = null;
+        if (parseFloat(order.executedQty) > 0 && order.status !== 'NEW') {
+            trades = await this.makeSignedRequest('GET', '/myTrades', params, apiKey, secretKey);
+        }
+
+        return this.parseOrder(order, trades);
+    }
+
+    // 바이낸스 주문 취소 (인증 필요)
+    async cancelOrder(symbol, orderId, apiKey, secretKey) {
+        const order = await this.makeSignedRequest('DELETE', '/order', { symbol: symbol.toUpperCase(), orderId }, apiKey, secretKey);
+        this.logger.info('바이낸스 주문 취소', { orderId, symbol });
+        return this.parseOrder(order);
+    }
+
+    // 바이낸스 출금 상태 코드 → 공통 상태
+    // 0: 이메일 발송, 2: 승인 대기, 4: 처리중, 6: 완료 / 1: 취소, 3: 거절, 5: 실패
+    mapWithdrawalStatus(status) {
+        if (status === 6) return 'done';
+        if ([1, 3, 5].includes(status)) return 'failed';
+        return 'pending';
+    }
+
+    // 바이낸스 입금 상태 코드 → 공통 상태
+    // 0: 대기, 1: 완료, 6: 입금 완료(출금 잠금), 7: 잘못된 입금, 8: 사용자 확인 대기
+    mapDepositStatus(status) {
+        if (status === 1 || status === 6) return 'credited';
+        if (status === 7) return 'failed';
+        return 'pending';
+    }
+
+    // 바이낸스 코인 출금 (인증 필요)
+    async withdraw(currency, amount, address, memo, network, apiKey, secretKey) {
+        // 네트워크별 출금 단위(withdrawIntegerMultiple)로 내림 (반올림하면 보유 수량을 넘을 수 있음)
+        const config = await this.getCoinNetworkConfig(currency, network, apiKey, secretKey);
+        const step = parseFloat(config?.network.withdrawIntegerMultiple) || 0.00000001;
+        const params = {
+            coin: currency.toUpperCase(),
+            address,
+            amount: this.roundToStep(amount, step)
+        };
+
+        if (memo) params.addressTag = memo;
+        if (network) params.network = network;
+
+        const result = await this.makeSignedRequest('POST', '/capital/withdraw/apply', params, apiKey, secretKey, this.sapiUrl);
+        this.logger.info('바이낸스 출금 요청', { id: result.id, coin: params.coin, amount: params.amount });
+
+        return this.normalizeWithdrawal({
+            withdrawalId: result.id,
+            currency: params.coin,
+            status: 'pending',
+            amount: params.amount,
+            raw: result
+        });
+    }
+
+    // 바이낸스 출금 조회 (인증 필요)
+    async getWithdrawal(currency, withdrawalId, apiKey, secretKey) {
+        const history = await this.makeSignedRequest('GET', '/capital/withdraw/history', {
+            coin: currency.toUpperCase(),
+            idList: withdrawalId
+        }, apiKey, secretKey, this.sapiUrl);
+
+        const withdrawal = history.find(w => w.id === withdrawalId);
+        if (!withdrawal) {
+            throw new Error(`바이낸스 출금 내역을 찾을 수 없습니다: ${withdrawalId}`);
+        }
+
+        return this.normalizeWithdrawal({
+            withdrawalId: withdrawal.id,
+            currency: withdrawal.coin,
+            status: this.mapWithdrawalStatus(withdrawal.status),
+            amount: withdrawal.amount,
+            fee: withdrawal.transactionFee,
+            txid: withdrawal.txId,
+            raw: withdrawal
+        });
+    }
+
+    // 바이낸스 입금 조회 (인증 필요)
+    async findDeposit(currency, txid, apiKey, secretKey) {
+        const deposits = await this.makeSignedRequest('GET', '/capital/deposit/hisrec', {
+            coin: currency.toUpperCase(),
+            txId: txid
+        }, apiKey, secretKey, this.sapiUrl);
+
+        const deposit = deposits.find(d => d.txId === txid);
+        if (!deposit) {
+            return null;
+        }
+
+        return this.normalizeDeposit({
+            depositId: deposit.id,
+            currency: deposit.coin,
+            status: this.mapDepositStatus(deposit.status),
+            amount: deposit.amount,
+            txid: deposit.txId,
+            raw: deposit
+        });
+    }
+
+    /**
+     * 코인 네트워크 설정 조회 (인증 필요, 입출금 가능 여부/출금 단위)
+     * @param {string|null} network - 네트워크 (null이면 기본 네트워크)
+     * @returns {Promise<Object|null>} { coin, network } - 코인이나 네트워크가 없으면 null
+     */
+    async getCoinNetworkConfig(currency, network, apiKey, secretKey) {
+        const coins = await this.makeSignedRequest('GET', '/capital/config/getall', {}, apiKey, secretKey, this.sapiUrl);
+        const coin = coins.find(c => c.coin === currency.toUpperCase());
+        if (!coin) {
+            return null;
+        }
+
+        const networks = coin.networkList || [];
+        const selected = network ?
+            networks.find(n => n.network === network.toUpperCase()) :
+            networks.find(n => n.isDefault);
+        return selected ? { coin, network: selected } : null;
+    }
+
+    // 바이낸스 입출금 상태 조회 (인증 필요, 네트워크별 depositEnable/withdrawEnable)
+    async getWalletStatus(currency, network, apiKey, secretKey) {
+        const config = await this.getCoinNetworkConfig(currency, network, apiKey, secretKey);
+        if (!config) {
+            return null;
+        }
+
+        const { coin, network: selected } = config;
+        return this.normalizeWalletStatus({
+            currency: coin.coin,
+            network: selected.network,
+            depositEnabled: coin.depositAllEnable !== false && selected.depositEnable,
+            withdrawEnabled: coin.withdrawAllEnable !== false && selected.withdrawEnable,
+            raw: selected
+        });
+    }
+
+    // USDⓈ-M 선물 심볼별 주문 단위 조회 (무기한 계약이 없으면 null)
+    async getFuturesSymbolFilters(symbol) {
+        const key = symbol.toUpperCase();
+        if (this.futuresSymbolFilters.has(key)) {
+            return this.futuresSymbolFilters.get(key);
+        }
+
+        const response = await axios.get(`${this.futuresUrl}/exchangeInfo`, {
+            timeout: 10000,
+            headers: { 'User-Agent': 'CoinBot/1.0' }
+        });
+        const info = response.data.symbols?.find(s =>
+            s.symbol === key && s.contractType === 'PERPETUAL' && s.status === 'TRADING'
+        );
+
+        let filters = null;
+        if (info) {
+            const marketLotSize = info.filters.find(f => f.filterType === 'MARKET_LOT_SIZE') || {};
+            const lotSize = info.filters.find(f => f.filterType === 'LOT_SIZE') || {};
+            filters = {
+                stepSize: parseFloat(marketLotSize.stepSize || lotSize.stepSize || '0.001'),
+                minQty: parseFloat(marketLotSize.minQty || lotSize.minQty || 0)
+            };
+        }
+
+        this.futuresSymbolFilters.set(key, filters);
+        return filters;
+    }
+
+    // 선물 레버리지 설정 (인증 필요)
+    async setFuturesLeverage(symbol, leverage, apiKey, secretKey) {
+        return this.makeSignedRequest('POST', '/leverage', {
+            symbol: symbol.toUpperCase(),
+            leverage: Math.max(1, Math.floor(leverage))
+        }, apiKey, secretKey, this.futuresUrl);
+    }
+
+    // 선물 포지션 모드 조회 (true: 양방향 모드 - 주문에 positionSide 필요)
+    async isFuturesHedgeMode(apiKey, secretKey) {
+        const result = await this.makeSignedRequest('GET', '/positionSide/dual', {}, apiKey, secretKey, this.futuresUrl);
+        return result.dualSidePosition === true;
+    }
+
+    // 선물 주문 응답 정규화 (userTrades 기준 수수료 합산, USDT)
+    parseFuturesOrder(order, trades = null) {
+        const fills = trades || [];
+        const fee = fills.reduce((sum, fill) => sum + parseFloat(fill.commission || 0), 0);
+
+        return this.normalizeOrder({
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side === 'BUY' ? 'buy' : 'sell',
+            type: 'market',
+            status: this.mapOrderStatus(order.status),
+            quantity: parseFloat(order.origQty) > 0 ? order.origQty : null,
+            executedQty: order.executedQty,
+            executedQuote: order.cumQuote,
+            fee,
+            feeCurrency: fills.length > 0 ? fills[0].commissionAsset : null,
+            raw: order
+        });
+    }
+
+    /**
+     * 선물 시장가 주문 (인증 필요)
+     * @param {Object} options - { reduceOnly, positionSide } (양방향 모드는 positionSide 지정, reduceOnly 사용 불가)
+     */
+    async placeFuturesOrder(symbol, side, quantity, options, apiKey, secretKey) {
+        const { reduceOnly = false, positionSide = null } = options || {};
+        const filters = await this.getFuturesSymbolFilters(symbol);
+        if (!filters) {
+            throw new Error(`바이낸스 선물 ${symbol} 무기한 계약이 없습니다`);
+        }
+
+        const params = {
+            symbol: symbol.toUpperCase(),
+            side: side === 'buy' ? 'BUY' : 'SELL',
+            type: 'MARKET',
+            quantity: this.roundToStep(quantity, filters.stepSize),
+            newOrderRespType: 'RESULT'
+        };
+        if (positionSide) {
+            params.positionSide = positionSide;
+        } else if (reduceOnly) {
+            params.reduceOnly = 'true';
+        }
+
+        if (parseFloat(params.quantity) < filters.minQty || parseFloat(params.quantity) <= 0) {
+            throw new Error(`선물 주문 수량이 최소 수량보다 작습니다: ${params.quantity} < ${filters.minQty}`);
+        }
+
+        this.logger.info('바이낸스 선물 주문 요청', params);
+        const order = await this.makeSignedRequest('POST', '/order', params, apiKey, secretKey, this.futuresUrl);
+        this.logger.info('바이낸스 선물 주문 접수', { orderId: order.orderId, symbol, side, status: order.status });
+
+        return this.parseFuturesOrder(order);
+    }
+
+    // 선물 주문 조회 (인증 필요) - 체결 시 수수료 확인을 위해 userTrades 함께 조회
+    async getFuturesOrder(symbol, orderId, apiKey, secretKey) {
+        const params = { symbol: symbol.toUpperCase(), orderId };
+        const order = await this.makeSignedRequest('GET', '/order', params, apiKey, secretKey, this.futuresUrl);
+
+        let trades = null;
+        if (parseFloat(order.executedQty) > 0) {
+            trades = await this.makeSignedRequest('GET', '/userTrades', params, apiKey, secretKey, this.futuresUrl);
+        }
+
+        return this.parseFuturesOrder(order, trades);
+    }
+
+    // 선물 주문 체결 대기 (시장가 주문이므로 짧게 폴링)
+    async waitForFuturesOrderFill(symbol, orderId, apiKey, secretKey, options = {}) {
+        const { timeoutMs = 30000, intervalMs = 1000 } = options;
+        const deadline = Date.now() + timeoutMs;
+        let order = null;
+
+        while (Date.now() < deadline) {
+            order = await this.getFuturesOrder(symbol, orderId, apiKey, secretKey);
+            if (order.isDone) {
+                return order;
+            }
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+
+        return order;
+    }
+
     // 바이낸스 잔고 조회 (인증 필요)
     async getBalance(apiKey, secretKey) {
         try {
@@ -190,4 +627,14 @@ class BinanceService extends ExchangeService {
     }
 }
 
+// 지원 기능 (ExchangeService 어댑터 레지스트리에서 사용)
+BinanceService.capabilities = {
+    marketData: true,
+    balance: true,
+    orders: true,
+    withdrawals: true,
+    websocket: true,
+    futures: true
+};
+
 module.exports = BinanceService;
\ No newline at end of file
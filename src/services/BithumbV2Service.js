@@ -6,6 +6,12 @@ const axios = require('axios');
 class BithumbV2Service extends ExchangeService {
     constructor() {
         super('BithumbV2', 'https://api.bithumb.com', null);
+        this.code = 'bithumb';
+    }
+
+    // 빗썸 마켓 (업비트와 같은 KRW-BTC 형식으로 저장)
+    getMarketSymbol(coin) {
+        return coin.bithumb_market || null;
     }
 
     // 빗썸 Open API 2.0 JWT 인증 방식
@@ -210,61 +216,86 @@ class BithumbV2Service extends ExchangeService {
         }
     }
 
-    // v2 공개 API (기존 로직 유지 가능)
+    // 마켓명을 KRW-BTC 형식으로 통일 (BTC, BTC_KRW 입력도 허용)
+    normalizeMarket(symbol) {
+        const upper = String(symbol).toUpperCase();
+        if (upper.startsWith('KRW-')) return upper;
+        return `KRW-${upper.replace(/_KRW$/, '')}`;
+    }
+
+    // 공개 API 티커 (업비트와 같은 형식의 /v1/ticker 사용)
     async getTicker(symbol) {
+        const market = this.normalizeMarket(symbol);
         try {
-            const bithumbSymbol = symbol.replace('KRW-', '').toUpperCase();
-            const data = await this.makeRequest(`/public/ticker/${bithumbSymbol}_KRW`);
-            
-            if (!data || data.status !== '0000') {
-                throw new Error(`빗썸 티커 데이터 오류: ${data?.message || '응답 없음'}`);
+            const data = await this.makeRequest('/v1/ticker', { markets: market });
+
+            if (!Array.isArray(data) || data.length === 0) {
+                throw new Error(`빗썸 티커 데이터 오류: ${data?.error?.message || '응답 없음'}`);
             }
 
-            const ticker = data.data;
+            const ticker = data[0];
             return {
                 exchange: 'bithumb',
-                symbol: `${bithumbSymbol}_KRW`,
-                price: parseFloat(ticker.closing_price),
-                volume: parseFloat(ticker.units_traded_24H),
-                change: parseFloat(ticker.fluctate_24H),
-                changeRate: parseFloat(ticker.fluctate_rate_24H),
-                timestamp: new Date(parseInt(ticker.date))
+                symbol: ticker.market,
+                price: parseFloat(ticker.trade_price),
+                volume: parseFloat(ticker.trade_volume),
+                volume24h: parseFloat(ticker.acc_trade_volume_24h),
+                change: ticker.change,
+                changeRate: parseFloat(ticker.change_rate),
+                timestamp: new Date(ticker.timestamp || Date.now())
             };
         } catch (error) {
-            this.logger.error(`빗썸 V2 티커 조회 실패: ${symbol}`, { error: error.message });
+            this.logger.error(`빗썸 V2 티커 조회 실패: ${market}`, { error: error.message });
             throw error;
         }
     }
 
+    /**
+     * 공개 API 호가창 (다른 거래소와 같은 { asks, bids } 형태로 정규화)
+     * asks는 낮은 가격순, bids는 높은 가격순으로 정렬한 뒤 limit개만 사용
+     */
     async getOrderbook(symbol, limit = 5) {
+        const market = this.normalizeMarket(symbol);
         try {
-            const bithumbSymbol = symbol.replace('KRW-', '').toUpperCase();
-            const data = await this.makeRequest(`/public/orderbook/${bithumbSymbol}_KRW`);
-            
-            if (!data || data.status !== '0000') {
-                throw new Error(`빗썸 호가창 데이터 오류: ${data?.message || '응답 없음'}`);
+            const data = await this.makeRequest('/v1/orderbook', { markets: market });
+
+            if (!Array.isArray(data) || data.length === 0) {
+                throw new Error(`빗썸 호가창 데이터 오류: ${data?.error?.message || '응답 없음'}`);
             }
 
-            const orderbook = data.data;
-            
+            const orderbook = data[0];
+            const units = orderbook.orderbook_units || [];
+
             return {
                 exchange: 'bithumb',
-                symbol: `${bithumbSymbol}_KRW`,
-                timestamp: new Date(parseInt(orderbook.timestamp) || Date.now()),
-                asks: orderbook.asks.slice(0, limit).map(ask => ({
-                    price: parseFloat(ask.price),
-                    quantity: parseFloat(ask.quantity)
-                })).sort((a, b) => a.price - b.price),
-                bids: orderbook.bids.slice(0, limit).map(bid => ({
-                    price: parseFloat(bid.price),
-                    quantity: parseFloat(bid.quantity)
-                })).sort((a, b) => b.price - a.price)
+                symbol: orderbook.market,
+                timestamp: new Date(orderbook.timestamp || Date.now()),
+                asks: units
+                    .map(unit => ({ price: parseFloat(unit.ask_price), quantity: parseFloat(unit.ask_size) }))
+                    .filter(order => order.price > 0 && order.quantity > 0)
+                    .sort((a, b) => a.price - b.price)
+                    .slice(0, limit),
+                bids: units
+                    .map(unit => ({ price: parseFloat(unit.bid_price), quantity: parseFloat(unit.bid_size) }))
+                    .filter(order => order.price > 0 && order.quantity > 0)
+                    .sort((a, b) => b.price - a.price)
+                    .slice(0, limit)
             };
         } catch (error) {
-            this.logger.error(`빗썸 V2 호가창 조회 실패: ${symbol}`, { error: error.message });
+            this.logger.error(`빗썸 V2 호가창 조회 실패: ${market}`, { error: error.message });
             throw error;
         }
     }
 }
 
+// 지원 기능 (ExchangeService 어댑터 레지스트리에서 사용)
+BithumbV2Service.capabilities = {
+    marketData: true,
+    balance: true,
+    orders: false,
+    withdrawals: false,
+    websocket: false,
+    futures: false
+};
+
 module.exports = BithumbV2Service;
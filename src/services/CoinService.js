@@ -1,8 +1,11 @@
 // src/services/CoinService.js
+const EventEmitter = require('events');
 const db = require('../config/database');
 
-class CoinService {
+// 코인 변경 시 'coinsChanged' 이벤트 발생 (KimchiMonitoringService가 구독)
+class CoinService extends EventEmitter {
     constructor() {
+        super();
         this.supportedNetworks = ['BTC', 'ERC20', 'TRC20', 'BEP20', 'XRP', 'ADA', 'DOT', 'SOL'];
     }
 
@@ -43,7 +46,7 @@ class CoinService {
 
     // 코인 추가
     async createCoin(userId, coinData) {
-        const { symbol, name, network, upbit_market, binance_symbol, withdrawal_fee, min_withdrawal, description, website_url, is_active, is_tradable } = coinData;
+        const { symbol, name, network, upbit_market, binance_symbol, bithumb_market, coinone_market, coinbase_product, withdrawal_fee, min_withdrawal, description, website_url, is_active, is_tradable } = coinData;
         
         try {
             const connection = await db.getConnection();
@@ -59,11 +62,11 @@ class CoinService {
 
             // 코인 생성
             const [result] = await connection.execute(`
-                INSERT INTO coins (symbol, name, network, upbit_market, binance_symbol, withdrawal_fee, min_withdrawal, 
+                INSERT INTO coins (symbol, name, network, upbit_market, binance_symbol, bithumb_market, coinone_market, coinbase_product, withdrawal_fee, min_withdrawal, 
                                  description, website_url, is_active, is_tradable, created_by, updated_by, created_at, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
             `, [
-                symbol.toUpperCase(), name, network, upbit_market, binance_symbol,
+                symbol.toUpperCase(), name, network, upbit_market, binance_symbol, bithumb_market || null, coinone_market || null, coinbase_product || null,
                 withdrawal_fee ? parseFloat(withdrawal_fee) : null,
                 min_withdrawal ? parseFloat(min_withdrawal) : null,
                 description, website_url, is_active, is_tradable, userId, userId
@@ -78,6 +81,7 @@ class CoinService {
             connection.release();
 
             console.log(`새 코인 추가: ${symbol} (ID: ${coinId}) by user ${userId}`);
+            this.emit('coinsChanged', { action: 'CREATE', coinId, symbol: symbol.toUpperCase() });
             return coinId;
         } catch (error) {
             console.error('코인 생성 오류:', error);
@@ -100,17 +104,17 @@ class CoinService {
             }
 
             const oldCoin = oldRows[0];
-            const { symbol, name, network, upbit_market, binance_symbol, withdrawal_fee, min_withdrawal, description, website_url, is_active, is_tradable } = coinData;
+            const { symbol, name, network, upbit_market, binance_symbol, bithumb_market, coinone_market, coinbase_product, withdrawal_fee, min_withdrawal, description, website_url, is_active, is_tradable } = coinData;
 
             // 코인 업데이트
             await connection.execute(`
                 UPDATE coins 
-                SET name = ?, network = ?, upbit_market = ?, binance_symbol = ?, withdrawal_fee = ?, 
+                SET name = ?, network = ?, upbit_market = ?, binance_symbol = ?, bithumb_market = ?, coinone_market = ?, coinbase_product = ?, withdrawal_fee = ?, 
                     min_withdrawal = ?, description = ?, website_url = ?, is_active = ?, is_tradable = ?, 
                     updated_by = ?, updated_at = NOW()
                 WHERE id = ?
             `, [
-                name, network, upbit_market, binance_symbol,
+                name, network, upbit_market, binance_symbol, bithumb_market || null, coinone_market || null, coinbase_product || null,
                 withdrawal_fee ? parseFloat(withdrawal_fee) : null,
                 min_withdrawal ? parseFloat(min_withdrawal) : null,
                 description, website_url, is_active, is_tradable, userId, coinId
@@ -128,6 +132,7 @@ class CoinService {
             connection.release();
 
             console.log(`코인 수정: ${oldCoin.symbol} (ID: ${coinId}) by user ${userId}`);
+            this.emit('coinsChanged', { action: 'UPDATE', coinId, symbol: oldCoin.symbol });
             return true;
         } catch (error) {
             console.error(`코인 수정 오류 (ID: ${coinId}):`, error);
@@ -171,6 +176,7 @@ class CoinService {
             connection.release();
 
             console.log(`코인 상태 변경: ${symbol} ${field} = ${newStatus} by user ${userId}`);
+            this.emit('coinsChanged', { action: 'TOGGLE_STATUS', coinId, symbol, field, value: newStatus });
             return true;
         } catch (error) {
             console.error(`코인 상태 토글 오류 (ID: ${coinId}):`, error);
@@ -225,6 +231,104 @@ class CoinService {
         }
     }
 
+    // 코인 출금 네트워크 목록 (거래소별 네트워크 수수료)
+    async getCoinNetworks(coinId) {
+        try {
+            const connection = await db.getConnection();
+            const [rows] = await connection.execute(`
+                SELECT cn.*, e.name as exchange_name
+                FROM coin_networks cn
+                JOIN exchanges e ON cn.exchange_id = e.id
+                WHERE cn.coin_id = ?
+                ORDER BY e.type, e.name, cn.is_default DESC, cn.network
+            `, [coinId]);
+            connection.release();
+            return rows;
+        } catch (error) {
+            console.error(`코인 ID ${coinId} 네트워크 조회 오류:`, error);
+            throw error;
+        }
+    }
+
+    // 출금 네트워크 추가/수정 (코인/거래소/네트워크 기준)
+    async saveCoinNetwork(userId, coinId, networkData) {
+        const exchangeId = parseInt(networkData.exchange_id);
+        const network = networkData.network?.trim().toUpperCase();
+        const withdrawalFee = parseFloat(networkData.withdrawal_fee);
+        const minWithdrawal = parseFloat(networkData.min_withdrawal) || 0;
+        const isDefault = networkData.is_default === 'true' || networkData.is_default === true;
+
+        if (!exchangeId || !network) {
+            throw new Error('거래소와 네트워크는 필수 입력 항목입니다.');
+        }
+        if (!isFinite(withdrawalFee) || withdrawalFee < 0) {
+            throw new Error('출금 수수료를 올바르게 입력해주세요.');
+        }
+
+        try {
+            const connection = await db.getConnection();
+            await connection.beginTransaction();
+
+            // 기본 네트워크는 거래소당 하나
+            if (isDefault) {
+                await connection.execute(
+                    'UPDATE coin_networks SET is_default = FALSE WHERE coin_id = ? AND exchange_id = ?',
+                    [coinId, exchangeId]
+                );
+            }
+
+            await connection.execute(`
+                INSERT INTO coin_networks (coin_id, exchange_id, network, withdrawal_fee, min_withdrawal, is_default, is_active)
+                VALUES (?, ?, ?, ?, ?, ?, TRUE)
+                ON DUPLICATE KEY UPDATE
+                    withdrawal_fee = VALUES(withdrawal_fee),
+                    min_withdrawal = VALUES(min_withdrawal),
+                    is_default = VALUES(is_default),
+                    is_active = TRUE
+            `, [coinId, exchangeId, network, withdrawalFee, minWithdrawal, isDefault]);
+
+            await this.logChange(connection, coinId, userId, 'UPDATE', null,
+                `${exchangeId}:${network} fee=${withdrawalFee} min=${minWithdrawal}`,
+                '출금 네트워크 저장', 'coin_networks');
+
+            await connection.commit();
+            connection.release();
+
+            console.log(`코인 출금 네트워크 저장: 코인 ${coinId}, 거래소 ${exchangeId}, ${network} by user ${userId}`);
+            return true;
+        } catch (error) {
+            console.error(`출금 네트워크 저장 오류 (코인 ID: ${coinId}):`, error);
+            throw error;
+        }
+    }
+
+    // 출금 네트워크 삭제
+    async deleteCoinNetwork(userId, coinId, networkId) {
+        try {
+            const connection = await db.getConnection();
+            const [rows] = await connection.execute(
+                'SELECT exchange_id, network FROM coin_networks WHERE id = ? AND coin_id = ?',
+                [networkId, coinId]
+            );
+            if (rows.length === 0) {
+                connection.release();
+                throw new Error('출금 네트워크를 찾을 수 없습니다.');
+            }
+
+            await connection.execute('DELETE FROM coin_networks WHERE id = ?', [networkId]);
+            await this.logChange(connection, coinId, userId, 'DELETE',
+                `${rows[0].exchange_id}:${rows[0].network}`, null,
+                '출금 네트워크 삭제', 'coin_networks');
+            connection.release();
+
+            console.log(`코인 출금 네트워크 삭제: 코인 ${coinId}, ${rows[0].network} by user ${userId}`);
+            return true;
+        } catch (error) {
+            console.error(`출금 네트워크 삭제 오류 (ID: ${networkId}):`, error);
+            throw error;
+        }
+    }
+
     // 변경 이력 로그 기록 (내부 메서드)
     async logChange(connection, coinId, userId, actionType, oldValue, newValue, reason, fieldName = null) {
         try {
@@ -246,7 +350,7 @@ class CoinService {
     // 변경된 필드 식별 (내부 메서드)
     identifyChanges(oldCoin, newData) {
         const changes = [];
-        const fieldsToCheck = ['name', 'network', 'upbit_market', 'binance_symbol', 'withdrawal_fee', 'min_withdrawal', 'description', 'website_url', 'is_active', 'is_tradable'];
+        const fieldsToCheck = ['name', 'network', 'upbit_market', 'binance_symbol', 'bithumb_market', 'coinone_market', 'coinbase_product', 'withdrawal_fee', 'min_withdrawal', 'description', 'website_url', 'is_active', 'is_tradable'];
 
         fieldsToCheck.forEach(field => {
             if (newData[field] !== undefined && newData[field] !== oldCoin[field]) {
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const ExchangeService = require('./ExchangeService');
+
+class CoinbaseService extends ExchangeService {
+    constructor() {
+        super('Coinbase', 'https://api.exchange.coinbase.com', 'wss://ws-feed.exchange.coinbase.com');
+        this.code = 'coinbase';
+        this.quoteCurrency = 'USD'; // USD/USDC 마켓 (원화 환산은 항상 USD/KRW 환율)
+    }
+
+    // 코인베이스 상품 ID (예: BTC-USD, BTC-USDC)
+    getMarketSymbol(coin) {
+        return coin.coinbase_product || null;
+    }
+
+    // 코인베이스 티커 정보 조회 (24시간 변동은 stats에서 계산)
+    async getTicker(productId) {
+        try {
+            const [ticker, stats] = await Promise.all([
+                this.makeRequest(`/products/${productId}/ticker`),
+                this.makeRequest(`/products/${productId}/stats`)
+            ]);
+
+            const price = parseFloat(ticker.price);
+            const open = parseFloat(stats.open);
+            return {
+                exchange: 'coinbase',
+                symbol: productId,
+                price,
+                volume: parseFloat(ticker.volume),
+                volume24h: parseFloat(stats.volume),
+                change: price - open,
+                changeRate: open > 0 ? (price - open) / open : 0,
+                timestamp: new Date(ticker.time || Date.now())
+            };
+        } catch (error) {
+            this.logger.error(`코인베이스 티커 조회 실패: ${productId}`, { error: error.message });
+            throw error;
+        }
+    }
+
+    // 코인베이스 호가창 정보 조회 (level 2: 가격대별 합산, [price, size, num_orders])
+    async getOrderbook(productId, limit = 5) {
+        try {
+            const data = await this.makeRequest(`/products/${productId}/book`, { level: 2 });
+
+            const normalize = orders => (orders || [])
+                .map(([price, size]) => ({ price: parseFloat(price), quantity: parseFloat(size) }))
+                .filter(order => order.price > 0 && order.quantity > 0);
+
+            return {
+                exchange: 'coinbase',
+                symbol: productId,
+                timestamp: new Date(data.time || Date.now()),
+                asks: normalize(data.asks).sort((a, b) => a.price - b.price).slice(0, limit), // 낮은 가격순
+                bids: normalize(data.bids).sort((a, b) => b.price - a.price).slice(0, limit)  // 높은 가격순
+            };
+        } catch (error) {
+            this.logger.error(`코인베이스 호가창 조회 실패: ${productId}`, { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 코인베이스 인증 요청
+     * timestamp + method + requestPath + body를 base64 디코딩한 시크릿으로 HMAC-SHA256 서명 (passphrase 필수)
+     */
+    async makePrivateRequest(method, endpoint, params = {}, apiKey, secretKey, passphrase) {
+        if (!passphrase) {
+            throw new Error('코인베이스 API는 passphrase가 필요합니다');
+        }
+
+        try {
+            const queryString = method === 'GET' ? new URLSearchParams(params).toString() : '';
+            const requestPath = queryString ? `${endpoint}?${queryString}` : endpoint;
+            const body = ['POST', 'PUT'].includes(method) ? JSON.stringify(params) : '';
+            const timestamp = (Date.now() / 1000).toFixed(3);
+
+            const signature = crypto
+                .createHmac('sha256', Buffer.from(secretKey, 'base64'))
+                .update(`${timestamp}${method}${requestPath}${body}`)
+                .digest('base64');
+
+            const response = await axios({
+                method,
+                url: `${this.baseUrl}${requestPath}`,
+                data: body || undefined,
+                headers: {
+                    'CB-ACCESS-KEY': apiKey,
+                    'CB-ACCESS-SIGN': signature,
+                    'CB-ACCESS-TIMESTAMP': timestamp,
+                    'CB-ACCESS-PASSPHRASE': passphrase,
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CoinBot/1.0'
+                },
+                timeout: 10000
+            });
+
+            return response.data;
+        } catch (error) {
+            const coinbaseMessage = error.response?.data?.message;
+            this.logger.error(`코인베이스 인증 요청 실패: ${method} ${endpoint}`, {
+                error: error.message,
+                status: error.response?.status,
+                coinbaseMessage
+            });
+
+            if (error.response?.status === 401) {
+                throw new Error(`API 키 인증 실패 - ${coinbaseMessage || '키와 passphrase를 확인해주세요'}`);
+            } else if (error.response?.status === 403) {
+                throw new Error(`API 권한 부족 - ${coinbaseMessage || '키 권한을 확인해주세요'}`);
+            } else if (coinbaseMessage) {
+                throw new Error(`코인베이스 오류: ${coinbaseMessage}`);
+            }
+
+            throw error;
+        }
+    }
+
+    // 코인베이스 주문 상태 → 공통 상태
+    mapOrderStatus(order) {
+        if (order.status === 'rejected') return 'failed';
+        if (order.status !== 'done') return 'open';
+        // 시장가 매수(funds)는 남은 금액이 취소되며 종료될 수 있으므로 체결분이 있으면 체결 처리
+        if (order.done_reason === 'canceled') {
+            return order.type === 'market' && parseFloat(order.filled_size || 0) > 0 ? 'filled' : 'cancelled';
+        }
+        return 'filled';
+    }
+
+    // 코인베이스 주문 응답 정규화
+    parseOrder(order) {
+        return this.normalizeOrder({
+            orderId: order.id,
+            symbol: order.product_id,
+            side: order.side,
+            type: order.type === 'limit' ? 'limit' : 'market',
+            status: this.mapOrderStatus(order),
+            price: order.price || null,
+            quantity: order.size || null,
+            executedQty: order.filled_size,
+            executedQuote: order.executed_value,
+            fee: order.fill_fees,
+            feeCurrency: order.product_id ? order.product_id.split('-')[1] : 'USD',
+            raw: order
+        });
+    }
+
+    // 코인베이스 주문 생성 (인증 필요)
+    async placeOrder(productId, side, type, price, quantity, apiKey, secretKey, passphrase) {
+        const params = {
+            product_id: productId,
+            side
+        };
+
+        if (type === 'limit') {
+            params.type = 'limit';
+            params.price = String(price);
+            params.size = String(quantity);
+        } else if (side === 'buy') {
+            // 시장가 매수: 총 지출 금액(USD/USDC) 지정
+            params.type = 'market';
+            params.funds = parseFloat(price).toFixed(2);
+        } else {
+            // 시장가 매도: 수량 지정
+            params.type = 'market';
+            params.size = String(parseFloat(quantity).toFixed(8));
+        }
+
+        this.logger.info('코인베이스 주문 요청', params);
+        const order = await this.makePrivateRequest('POST', '/orders', params, apiKey, secretKey, passphrase);
+        this.logger.info('코인베이스 주문 접수', { id: order.id, productId, side, type });
+
+        return this.parseOrder(order);
+    }
+
+    // 코인베이스 주문 조회 (인증 필요)
+    async getOrder(productId, orderId, apiKey, secretKey, passphrase) {
+        const order = await this.makePrivateRequest('GET', `/orders/${orderId}`, {}, apiKey, secretKey, passphrase);
+        return this.parseOrder(order);
+    }
+
+    // 코인베이스 주문 취소 (인증 필요)
+    async cancelOrder(productId, orderId, apiKey, secretKey, passphrase) {
+        await this.makePrivateRequest('DELETE', `/orders/${orderId}`, {}, apiKey, secretKey, passphrase);
+        this.logger.info('코인베이스 주문 취소', { id: orderId, productId });
+
+        try {
+            return await this.getOrder(productId, orderId, apiKey, secretKey, passphrase);
+        } catch (error) {
+            // 체결 없이 취소된 주문은 조회되지 않음
+            return this.normalizeOrder({
+                orderId,
+                symbol: productId,
+                side: null,
+                type: null,
+                status: 'cancelled',
+                raw: null
+            });
+        }
+    }
+
+    // 코인베이스 전송(입출금) 상태 → 공통 상태
+    mapTransferStatus(transfer, doneStatus) {
+        if (transfer.canceled_at) return 'failed';
+        if (transfer.completed_at) return doneStatus;
+        return 'pending';
+    }
+
+    // 코인베이스 코인 출금 (인증 필요)
+    async withdraw(currency, amount, address, memo, network, apiKey, secretKey, passphrase) {
+        const params = {
+            currency: currency.toUpperCase(),
+            amount: parseFloat(amount).toFixed(8),
+            crypto_address: address
+        };
+
+        if (memo) {
+            params.destination_tag = memo;
+        } else {
+            params.no_destination_tag = true;
+        }
+        if (network) params.network = network;
+
+        const result = await this.makePrivateRequest('POST', '/withdrawals/crypto', params, apiKey, secretKey, passphrase);
+        this.logger.info('코인베이스 출금 요청', { id: result.id, currency: params.currency, amount: params.amount });
+
+        return this.normalizeWithdrawal({
+            withdrawalId: result.id,
+            currency: params.currency,
+            status: 'pending',
+            amount: result.amount || params.amount,
+            fee: result.fee,
+            raw: result
+        });
+    }
+
+    // 코인베이스 출금 조회 (인증 필요)
+    async getWithdrawal(currency, withdrawalId, apiKey, secretKey, passphrase) {
+        const transfer = await this.makePrivateRequest('GET', `/transfers/${withdrawalId}`, {}, apiKey, secretKey, passphrase);
+
+        return this.normalizeWithdrawal({
+            withdrawalId: transfer.id,
+            currency: currency.toUpperCase(),
+            status: this.mapTransferStatus(transfer, 'done'),
+            amount: transfer.amount,
+            fee: transfer.details?.fee,
+            txid: transfer.details?.crypto_transaction_hash,
+            raw: transfer
+        });
+    }
+
+    // 코인베이스 입금 조회 (인증 필요, 최근 입금 내역에서 트랜잭션 ID로 검색)
+    async findDeposit(currency, txid, apiKey, secretKey, passphrase) {
+        const transfers = await this.makePrivateRequest('GET', '/transfers', { type: 'deposit' }, apiKey, secretKey, passphrase);
+
+        const deposit = (transfers || []).find(t => t.details?.crypto_transaction_hash === txid);
+        if (!deposit) {
+            return null;
+        }
+
+        return this.normalizeDeposit({
+            depositId: deposit.id,
+            currency: currency.toUpperCase(),
+            status: this.mapTransferStatus(deposit, 'credited'),
+            amount: deposit.amount,
+            txid,
+            raw: deposit
+        });
+    }
+
+    // 코인베이스 잔고 조회 (인증 필요)
+    async getBalance(apiKey, secretKey, passphrase = null) {
+        try {
+            const accounts = await this.makePrivateRequest('GET', '/accounts', {}, apiKey, secretKey, passphrase);
+
+            // 코인베이스 잔고 데이터 정규화 (available: 주문 가능, hold: 주문/출금 중)
+            const balances = accounts.map(account => ({
+                currency: account.currency,
+                balance: parseFloat(account.available || 0),
+                locked: parseFloat(account.hold || 0)
+            }));
+
+            // USD 잔고와 코인 잔고 분리 (USDC는 코인 잔고로 표시)
+            const usdBalance = balances.find(b => b.currency === 'USD');
+            const coinBalances = balances.filter(b => b.currency !== 'USD' && (b.balance > 0 || b.locked > 0));
+
+            this.logger.info('코인베이스 잔고 조회 성공', {
+                totalAssets: balances.length,
+                usdBalance: usdBalance?.balance || 0,
+                coinCount: coinBalances.length
+            });
+
+            return {
+                exchange: 'coinbase',
+                fiatCurrency: 'USD',
+                fiatBalance: usdBalance?.balance || 0,
+                fiatLocked: usdBalance?.locked || 0,
+                coinBalances: coinBalances,
+                totalAssets: balances.length,
+                timestamp: new Date()
+            };
+
+        } catch (error) {
+            this.logger.error('코인베이스 잔고 조회 실패', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+// 지원 기능 (ExchangeService 어댑터 레지스트리에서 사용)
+CoinbaseService.capabilities = {
+    marketData: true,
+    balance: true,
+    orders: true,
+    withdrawals: true,
+    websocket: false,
+    futures: false
+};
+
+module.exports = CoinbaseService;
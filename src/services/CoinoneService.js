@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const ExchangeService = require('./ExchangeService');
+
+class CoinoneService extends ExchangeService {
+    constructor() {
+        super('Coinone', 'https://api.coinone.co.kr', null);
+        this.code = 'coinone';
+        this.withdrawFeeFromBalance = true; // 코인원은 출금액 + 수수료가 잔고에서 차감됨
+    }
+
+    // 코인원 마켓 (업비트와 같은 KRW-BTC 형식으로 저장, API 호출 시 KRW/BTC로 분리)
+    getMarketSymbol(coin) {
+        return coin.coinone_market || null;
+    }
+
+    // KRW-BTC → { quote: 'KRW', target: 'BTC' } (BTC만 입력하면 원화 마켓)
+    parseMarket(market) {
+        const upper = String(market).toUpperCase();
+        const [quote, target] = upper.includes('-') ? upper.split('-') : ['KRW', upper];
+        return { quote, target, market: `${quote}-${target}` };
+    }
+
+    // 코인원 공개 API 응답 확인 (오류도 HTTP 200으로 오는 경우가 있음)
+    checkResponse(data, label) {
+        if (!data || data.result !== 'success') {
+            throw new Error(`코인원 ${label} 오류 (${data?.error_code || '응답 없음'}): ${data?.error_msg || '알 수 없는 오류'}`);
+        }
+        return data;
+    }
+
+    // 코인원 티커 정보 조회
+    async getTicker(symbol) {
+        const { quote, target, market } = this.parseMarket(symbol);
+        try {
+            const data = this.checkResponse(
+                await this.makeRequest(`/public/v2/ticker_new/${quote}/${target}`),
+                '티커'
+            );
+
+            const ticker = data.tickers?.[0];
+            if (!ticker) {
+                throw new Error('코인원 티커 데이터가 없습니다.');
+            }
+
+            const price = parseFloat(ticker.last);
+            const open = parseFloat(ticker.first);
+            return {
+                exchange: 'coinone',
+                symbol: market,
+                price,
+                volume: parseFloat(ticker.target_volume),
+                volume24h: parseFloat(ticker.target_volume),
+                change: price - open,
+                changeRate: open > 0 ? (price - open) / open : 0,
+                timestamp: new Date(ticker.timestamp || Date.now())
+            };
+        } catch (error) {
+            this.logger.error(`코인원 티커 조회 실패: ${market}`, { error: error.message });
+            throw error;
+        }
+    }
+
+    // 코인원 호가창 정보 조회 (다른 거래소와 같은 { asks, bids } 형태로 정규화)
+    async getOrderbook(symbol, limit = 5) {
+        const { quote, target, market } = this.parseMarket(symbol);
+        try {
+            // 코인원은 5/10/15/16개 단위로만 조회 가능
+            const size = [5, 10, 15, 16].find(value => value >= limit) || 16;
+            const data = this.checkResponse(
+                await this.makeRequest(`/public/v2/orderbook/${quote}/${target}`, { size }),
+                '호가창'
+            );
+
+            const normalize = orders => (orders || [])
+                .map(order => ({ price: parseFloat(order.price), quantity: parseFloat(order.qty) }))
+                .filter(order => order.price > 0 && order.quantity > 0);
+
+            return {
+                exchange: 'coinone',
+                symbol: market,
+                timestamp: new Date(parseInt(data.timestamp) || Date.now()),
+                asks: normalize(data.asks).sort((a, b) => a.price - b.price).slice(0, limit), // 낮은 가격순
+                bids: normalize(data.bids).sort((a, b) => b.price - a.price).slice(0, limit)  // 높은 가격순
+            };
+        } catch (error) {
+            this.logger.error(`코인원 호가창 조회 실패: ${market}`, { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 코인원 인증 요청 (Private API v2.1)
+     * 요청 본문을 base64로 인코딩해 X-COINONE-PAYLOAD, 시크릿 키로 HMAC-SHA512 서명해 X-COINONE-SIGNATURE로 전송
+     */
+    async makePrivateRequest(endpoint, params = {}, apiKey, secretKey) {
+        try {
+            const body = {
+                access_token: apiKey,
+                nonce: uuidv4(),
+                ...params
+            };
+            const payload = Buffer.from(JSON.stringify(body)).toString('base64');
+            const signature = crypto.createHmac('sha512', secretKey).update(payload).digest('hex');
+
+            const response = await axios.post(`${this.baseUrl}${endpoint}`, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-COINONE-PAYLOAD': payload,
+                    'X-COINONE-SIGNATURE': signature,
+                    'User-Agent': 'CoinBot/1.0'
+                },
+                timeout: 10000
+            });
+
+            return this.checkResponse(response.data, '인증 요청');
+        } catch (error) {
+            const coinoneError = error.response?.data;
+            this.logger.error(`코인원 인증 요청 실패: ${endpoint}`, {
+                error: error.message,
+                status: error.response?.status,
+                errorCode: coinoneError?.error_code,
+                errorMessage: coinoneError?.error_msg
+            });
+
+            if (error.response?.status === 401) {
+                throw new Error(`API 키 인증 실패 - ${coinoneError?.error_msg || '키를 확인해주세요'}`);
+            } else if (coinoneError?.error_msg) {
+                throw new Error(`코인원 오류 (${coinoneError.error_code}): ${coinoneError.error_msg}`);
+            }
+
+            throw error;
+        }
+    }
+
+    // 소수점 8자리로 절사 (반올림하면 보유 수량을 넘어 주문/출금이 거부될 수 있음)
+    truncateAmount(value) {
+        return (Math.floor(parseFloat(value) * 1e8 + 1e-6) / 1e8).toFixed(8);
+    }
+
+    // 코인원 주문 상태 → 공통 상태
+    mapOrderStatus(order) {
+        const executedQty = parseFloat(order.executed_qty || 0);
+
+        if (order.status === 'FILLED') return 'filled';
+        // 시장가 주문은 남은 수량이 취소되며 종료되므로 체결분이 있으면 체결 처리
+        if (order.status === 'PARTIALLY_CANCELED') {
+            return order.type === 'MARKET' && executedQty > 0 ? 'filled' : 'cancelled';
+        }
+        if (order.status === 'CANCELED') return 'cancelled';
+        return 'open';
+    }
+
+    // 코인원 주문 응답 정규화
+    parseOrder(order) {
+        const executedQty = parseFloat(order.executed_qty || 0);
+        const averagePrice = parseFloat(order.average_executed_price || 0);
+
+        return this.normalizeOrder({
+            orderId: order.order_id,
+            symbol: `${order.quote_currency}-${order.target_currency}`,
+            side: order.side === 'BUY' ? 'buy' : 'sell',
+            type: order.type === 'LIMIT' ? 'limit' : 'market',
+            status: this.mapOrderStatus(order),
+            price: order.price || null,
+            quantity: order.original_qty || null,
+            executedQty,
+            executedQuote: executedQty * averagePrice,
+            fee: order.fee,
+            feeCurrency: 'KRW',
+            raw: order
+        });
+    }
+
+    // 코인원 주문 생성 (인증 필요)
+    async placeOrder(market, side, type, price, quantity, apiKey, secretKey) {
+        const { quote, target } = this.parseMarket(market);
+        const params = {
+            side: side === 'buy' ? 'BUY' : 'SELL',
+            quote_currency: quote,
+            target_currency: target
+        };
+
+        if (type === 'limit') {
+            params.type = 'LIMIT';
+            params.price = String(price);
+            params.qty = String(quantity);
+            params.post_only = false;
+        } else if (side === 'buy') {
+            // 시장가 매수: 총 지출 금액(KRW) 지정
+            params.type = 'MARKET';
+            params.amount = String(Math.floor(price));
+        } else {
+            // 시장가 매도: 수량 지정
+            params.type = 'MARKET';
+            params.qty = this.truncateAmount(quantity);
+        }
+
+        this.logger.info('코인원 주문 요청', params);
+        const result = await this.makePrivateRequest('/v2.1/order', params, apiKey, secretKey);
+        this.logger.info('코인원 주문 접수', { orderId: result.order_id, market, side, type });
+
+        // 주문 접수 응답에는 주문 ID만 있으므로 상세 조회로 정규화
+        return this.getOrder(market, result.order_id, apiKey, secretKey);
+    }
+
+    // 코인원 주문 조회 (인증 필요)
+    async getOrder(market, orderId, apiKey, secretKey) {
+        const { quote, target } = this.parseMarket(market);
+        const result = await this.makePrivateRequest('/v2.1/order/detail', {
+            order_id: orderId,
+            quote_currency: quote,
+            target_currency: target
+        }, apiKey, secretKey);
+
+        return this.parseOrder(result.order);
+    }
+
+    // 코인원 주문 취소 (인증 필요)
+    async cancelOrder(market, orderId, apiKey, secretKey) {
+        const { quote, target } = this.parseMarket(market);
+        await this.makePrivateRequest('/v2.1/order/cancel', {
+            order_id: orderId,
+            quote_currency: quote,
+            target_currency: target
+        }, apiKey, secretKey);
+
+        this.logger.info('코인원 주문 취소', { orderId, market });
+        return this.getOrder(market, orderId, apiKey, secretKey);
+    }
+
+    // 코인원 입출금 상태 → 공통 상태 (출금: pending/done/failed, 입금: pending/credited/failed)
+    mapTransactionStatus(status, doneStatus) {
+        const upper = (status || '').toUpperCase();
+        if (upper.endsWith('_SUCCESS')) return doneStatus;
+        if (['_FAIL', '_REJECT', '_REFUND', '_CANCEL'].some(suffix => upper.includes(suffix))) return 'failed';
+        return 'pending';
+    }
+
+    // 코인원 입출금 내역 조회 (인증 필요, 최근 100건)
+    async getTransactions(currency, isDeposit, apiKey, secretKey) {
+        const result = await this.makePrivateRequest('/v2.1/transaction/coin/history', {
+            currency: currency.toUpperCase(),
+            is_deposit: isDeposit,
+            size: 100
+        }, apiKey, secretKey);
+
+        return result.transactions || [];
+    }
+
+    parseWithdrawal(transaction) {
+        return this.normalizeWithdrawal({
+            withdrawalId: transaction.id,
+            currency: transaction.currency,
+            status: this.mapTransactionStatus(transaction.status, 'done'),
+            amount: transaction.amount,
+            fee: transaction.fee,
+            txid: transaction.txid,
+            raw: transaction
+        });
+    }
+
+    // 코인원 코인 출금 (인증 필요, 코인원에 등록된 출금 주소로만 가능하고 네트워크는 코인별 고정)
+    async withdraw(currency, amount, address, memo, network, apiKey, secretKey) {
+        const params = {
+            currency: currency.toUpperCase(),
+            amount: this.truncateAmount(amount),
+            address
+        };
+
+        if (memo) {
+            params.secondary_address = memo;
+        }
+
+        const result = await this.makePrivateRequest('/v2.1/transaction/coin/withdrawal', params, apiKey, secretKey);
+        this.logger.info('코인원 출금 요청', { id: result.transaction?.id, currency: params.currency, amount: params.amount });
+
+        return this.parseWithdrawal(result.transaction);
+    }
+
+    // 코인원 출금 조회 (인증 필요, 최근 출금 내역에서 출금 ID로 검색)
+    async getWithdrawal(currency, withdrawalId, apiKey, secretKey) {
+        const transactions = await this.getTransactions(currency, false, apiKey, secretKey);
+
+        const withdrawal = transactions.find(t => String(t.id) === String(withdrawalId));
+        if (!withdrawal) {
+            throw new Error(`코인원 출금 내역을 찾을 수 없습니다 (${withdrawalId})`);
+        }
+
+        return this.parseWithdrawal(withdrawal);
+    }
+
+    // 코인원 입금 조회 (인증 필요, 최근 입금 내역에서 트랜잭션 ID로 검색)
+    async findDeposit(currency, txid, apiKey, secretKey) {
+        const transactions = await this.getTransactions(currency, true, apiKey, secretKey);
+
+        const deposit = transactions.find(t => t.txid === txid);
+        if (!deposit) {
+            return null;
+        }
+
+        return this.normalizeDeposit({
+            depositId: deposit.id,
+            currency: deposit.currency,
+            status: this.mapTransactionStatus(deposit.status, 'credited'),
+            amount: deposit.amount,
+            txid: deposit.txid,
+            raw: deposit
+        });
+    }
+
+    // 코인원 잔고 조회 (인증 필요)
+    async getBalance(apiKey, secretKey) {
+        try {
+            const result = await this.makePrivateRequest('/v2.1/account/balance/all', {}, apiKey, secretKey);
+
+            // 코인원 잔고 데이터 정규화 (available: 주문 가능, limit: 주문 중)
+            const balances = (result.balances || []).map(account => ({
+                currency: account.currency.toUpperCase(),
+                balance: parseFloat(account.available || 0),
+                locked: parseFloat(account.limit || 0),
+                avgBuyPrice: parseFloat(account.average_price || 0)
+            }));
+
+            // KRW 잔고와 코인 잔고 분리
+            const krwBalance = balances.find(b => b.currency === 'KRW');
+            const coinBalances = balances.filter(b => b.currency !== 'KRW' && (b.balance > 0 || b.locked > 0));
+
+            this.logger.info('코인원 잔고 조회 성공', {
+                totalAssets: balances.length,
+                krwBalance: krwBalance?.balance || 0,
+                coinCount: coinBalances.length
+            });
+
+            return {
+                exchange: 'coinone',
+                fiatCurrency: 'KRW',
+                fiatBalance: krwBalance?.balance || 0,
+                fiatLocked: krwBalance?.locked || 0,
+                coinBalances: coinBalances,
+                totalAssets: balances.length,
+                timestamp: new Date()
+            };
+
+        } catch (error) {
+            this.logger.error('코인원 잔고 조회 실패', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+// 지원 기능 (ExchangeService 어댑터 레지스트리에서 사용)
+CoinoneService.capabilities = {
+    marketData: true,
+    balance: true,
+    orders: true,
+    withdrawals: true,
+    websocket: false,
+    futures: false
+};
+
+module.exports = CoinoneService;
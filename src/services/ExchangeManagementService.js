@@ -1,6 +1,36 @@
 const db = require('../config/database');
+const ExchangeService = require('./ExchangeService');
 
 class ExchangeManagementService {
+    // 거래소 행에 어댑터 지원 기능 추가 (code로 레지스트리 조회)
+    withCapabilities(rows) {
+        return rows.map(row => ({
+            ...row,
+            hasAdapter: ExchangeService.hasAdapter(row.code),
+            capabilities: ExchangeService.describeCapabilities(row.code)
+        }));
+    }
+
+    // 거래소 코드 정규화 (소문자 영숫자/밑줄, 비어 있으면 null)
+    normalizeCode(code) {
+        const normalized = (code || '').trim().toLowerCase();
+        if (!normalized) return null;
+        if (!/^[a-z0-9_]+$/.test(normalized)) {
+            throw new Error('거래소 코드는 영문 소문자, 숫자, 밑줄만 사용할 수 있습니다.');
+        }
+        return normalized;
+    }
+
+    // 선택 입력 수수료율 (비어 있으면 null → trading_fee_rate 사용)
+    normalizeFeeRate(value) {
+        if (value === undefined || value === null || String(value).trim() === '') return null;
+        const rate = parseFloat(value);
+        if (!isFinite(rate) || rate < 0 || rate >= 1) {
+            throw new Error('수수료율은 0 이상 1 미만의 소수로 입력해주세요.');
+        }
+        return rate;
+    }
+
     // 모든 거래소 조회
     async getAllExchanges() {
         try {
@@ -10,7 +40,7 @@ class ExchangeManagementService {
                 ORDER BY type, name
             `);
             connection.release();
-            return rows;
+            return this.withCapabilities(rows);
         } catch (error) {
             console.error('거래소 목록 조회 오류:', error);
             throw error;
@@ -27,7 +57,7 @@ class ExchangeManagementService {
                 ORDER BY type, name
             `);
             connection.release();
-            return rows;
+            return this.withCapabilities(rows);
         } catch (error) {
             console.error('활성 거래소 조회 오류:', error);
             throw error;
@@ -39,6 +69,9 @@ class ExchangeManagementService {
         const { name, type, api_url, websocket_url, trading_fee_rate, withdrawal_fee_rate } = exchangeData;
         
         try {
+            const code = this.normalizeCode(exchangeData.code);
+            const makerFeeRate = this.normalizeFeeRate(exchangeData.maker_fee_rate);
+            const takerFeeRate = this.normalizeFeeRate(exchangeData.taker_fee_rate);
             const connection = await db.getConnection();
             await connection.beginTransaction();
             
@@ -54,15 +87,28 @@ class ExchangeManagementService {
                 throw new Error('이미 존재하는 거래소 이름입니다.');
             }
 
+            // 중복 코드 확인
+            if (code) {
+                const [duplicateCode] = await connection.execute('SELECT id FROM exchanges WHERE code = ?', [code]);
+                if (duplicateCode.length > 0) {
+                    await connection.rollback();
+                    connection.release();
+                    throw new Error('이미 존재하는 거래소 코드입니다.');
+                }
+            }
+
             const [result] = await connection.execute(`
-                INSERT INTO exchanges (name, type, api_url, websocket_url, trading_fee_rate, withdrawal_fee_rate, is_active, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, TRUE, NOW())
+                INSERT INTO exchanges (name, code, type, api_url, websocket_url, trading_fee_rate, maker_fee_rate, taker_fee_rate, withdrawal_fee_rate, is_active, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, NOW())
             `, [
                 name.trim(),
+                code,
                 type,
                 api_url.trim(),
                 websocket_url?.trim() || null,
                 parseFloat(trading_fee_rate) || 0.0025,
+                makerFeeRate,
+                takerFeeRate,
                 parseFloat(withdrawal_fee_rate) || 0.001
             ]);
 
@@ -83,6 +129,9 @@ class ExchangeManagementService {
         const { name, type, api_url, websocket_url, trading_fee_rate, withdrawal_fee_rate } = exchangeData;
         
         try {
+            const code = this.normalizeCode(exchangeData.code);
+            const makerFeeRate = this.normalizeFeeRate(exchangeData.maker_fee_rate);
+            const takerFeeRate = this.normalizeFeeRate(exchangeData.taker_fee_rate);
             const connection = await db.getConnection();
             await connection.beginTransaction();
             
@@ -106,17 +155,33 @@ class ExchangeManagementService {
                 throw new Error('이미 존재하는 거래소 이름입니다.');
             }
 
+            // 중복 코드 확인 (자기 자신 제외)
+            if (code) {
+                const [duplicateCode] = await connection.execute(
+                    'SELECT id FROM exchanges WHERE code = ? AND id != ?',
+                    [code, exchangeId]
+                );
+                if (duplicateCode.length > 0) {
+                    await connection.rollback();
+                    connection.release();
+                    throw new Error('이미 존재하는 거래소 코드입니다.');
+                }
+            }
+
             await connection.execute(`
                 UPDATE exchanges 
-                SET name = ?, type = ?, api_url = ?, websocket_url = ?, 
-                    trading_fee_rate = ?, withdrawal_fee_rate = ?
+                SET name = ?, code = ?, type = ?, api_url = ?, websocket_url = ?, 
+                    trading_fee_rate = ?, maker_fee_rate = ?, taker_fee_rate = ?, withdrawal_fee_rate = ?
                 WHERE id = ?
             `, [
                 name.trim(),
+                code,
                 type,
                 api_url.trim(),
                 websocket_url?.trim() || null,
                 parseFloat(trading_fee_rate) || 0.0025,
+                makerFeeRate,
+                takerFeeRate,
                 parseFloat(withdrawal_fee_rate) || 0.001,
                 exchangeId
             ]);
@@ -235,6 +300,7 @@ class ExchangeManagementService {
             const defaultExchanges = [
                 {
                     name: '업비트',
+                    code: 'upbit',
                     type: 'domestic',
                     api_url: 'https://api.upbit.com/v1',
                     websocket_url: 'wss://api.upbit.com/websocket/v1',
@@ -243,6 +309,7 @@ class ExchangeManagementService {
                 },
                 {
                     name: '바이낸스',
+                    code: 'binance',
                     type: 'overseas',
                     api_url: 'https://api.binance.com/api/v3',
                     websocket_url: 'wss://stream.binance.com:9443/ws',
@@ -251,6 +318,7 @@ class ExchangeManagementService {
                 },
                 {
                     name: '빗썸',
+                    code: 'bithumb',
                     type: 'domestic',
                     api_url: 'https://api.bithumb.com',
                     websocket_url: null,
@@ -261,10 +329,11 @@ class ExchangeManagementService {
 
             for (const exchange of defaultExchanges) {
                 await connection.execute(`
-                    INSERT INTO exchanges (name, type, api_url, websocket_url, trading_fee_rate, withdrawal_fee_rate, is_active, created_at)
-                    VALUES (?, ?, ?, ?, ?, ?, TRUE, NOW())
+                    INSERT INTO exchanges (name, code, type, api_url, websocket_url, trading_fee_rate, withdrawal_fee_rate, is_active, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, TRUE, NOW())
                 `, [
                     exchange.name,
+                    exchange.code,
                     exchange.type,
                     exchange.api_url,
                     exchange.websocket_url,
@@ -1,6 +1,14 @@
 const axios = require('axios');
 const winston = require('winston');
 
+/**
+ * 환율 서비스
+ *
+ * - 여러 환율 제공자를 동시에 조회해 중앙값 사용 (중앙값에서 벗어난 값은 제외)
+ * - 마지막 정상 환율을 보관하고, 모든 제공자가 실패하면 허용 시간 동안만 재사용
+ * - 허용 시간이 지나면 '환율 사용 불가' 상태로 예외 발생 (고정 환율로 대체하지 않음)
+ * - premium_basis = 'usdt'이면 외환 환율 대신 업비트 KRW-USDT 시세를 기준 환율로 사용
+ */
 class ExchangeRateService {
     constructor() {
         this.logger = winston.createLogger({
@@ -16,42 +24,179 @@ class ExchangeRateService {
                 new winston.transports.File({ filename: '../logs/exchange.log' })
             ]
         });
-    }
 
-    // USD/KRW 환율 조회 (업비트 운영사 Dunamu API 사용)
-    async getUsdKrwRate() {
-        try {
+        this.maxStaleMs = 10 * 60 * 1000;      // 마지막 정상 환율 재사용 허용 시간 (10분)
+        this.maxDeviationPercent = 1.0;        // 중앙값 대비 허용 편차 (%)
+        this.requestTimeoutMs = 5000;
+
+        // USD/KRW 제공자 (registerProvider로 추가 가능)
+        this.providers = [];
+        this.registerProvider('dunamu', async () => {
             const response = await axios.get(
                 'https://quotation-api-cdn.dunamu.com/v1/forex/recent?codes=FRX.KRWUSD',
-                { timeout: 10000 }
+                { timeout: this.requestTimeoutMs }
             );
-            
-            if (!response.data || response.data.length === 0) {
-                throw new Error('환율 데이터를 가져올 수 없습니다.');
+            return response.data?.[0]?.basePrice;
+        });
+        this.registerProvider('open-er-api', async () => {
+            const response = await axios.get('https://open.er-api.com/v6/latest/USD', { timeout: this.requestTimeoutMs });
+            return response.data?.rates?.KRW;
+        });
+        this.registerProvider('frankfurter', async () => {
+            const response = await axios.get('https://api.frankfurter.app/latest?from=USD&to=KRW', { timeout: this.requestTimeoutMs });
+            return response.data?.rates?.KRW;
+        });
+
+        // 기준별 마지막 정상 환율 및 최근 조회 결과
+        this.lastGood = { forex: null, usdt: null };
+        this.lastResults = [];
+        this.lastError = { forex: null, usdt: null };
+    }
+
+    /**
+     * 환율 제공자 등록
+     * @param {string} name - 제공자 이름
+     * @param {Function} fetchRate - USD 1달러당 원화 값을 반환하는 async 함수
+     */
+    registerProvider(name, fetchRate) {
+        this.providers = this.providers.filter(provider => provider.name !== name);
+        this.providers.push({ name, fetchRate });
+    }
+
+    /**
+     * 해외 거래소 호가 통화의 원화 환산 기준
+     * USDT 마켓만 premium_basis를 따르고, USD/USDC 마켓(코인베이스 등)은 항상 USD/KRW 환율 사용
+     */
+    static basisForQuote(quoteCurrency, premiumBasis = 'forex') {
+        return quoteCurrency === 'USDT' ? premiumBasis : 'forex';
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    /**
+     * 기준에 따른 환율 조회
+     * @param {string} basis - 'forex' (USD/KRW) | 'usdt' (업비트 KRW-USDT)
+     */
+    async getRate(basis = 'forex') {
+        return basis === 'usdt' ? this.getUsdtKrwRate() : this.getUsdKrwRate();
+    }
+
+    // USD/KRW 환율 조회 (여러 제공자 중앙값)
+    async getUsdKrwRate() {
+        const results = await Promise.all(this.providers.map(async provider => {
+            try {
+                const rate = parseFloat(await provider.fetchRate());
+                if (!isFinite(rate) || rate <= 0) {
+                    throw new Error(`잘못된 환율 값: ${rate}`);
+                }
+                return { name: provider.name, rate };
+            } catch (error) {
+                return { name: provider.name, error: error.message };
+            }
+        }));
+        this.lastResults = results.map(result => ({ ...result, timestamp: new Date() }));
+
+        const valid = results.filter(result => result.rate !== undefined);
+        if (valid.length > 0) {
+            const median = ExchangeRateService.median(valid.map(result => result.rate));
+            const agreed = valid.filter(result =>
+                Math.abs(result.rate - median) / median * 100 <= this.maxDeviationPercent
+            );
+            const rejected = valid.filter(result => !agreed.includes(result));
+
+            if (rejected.length > 0) {
+                this.logger.warn('중앙값과 차이가 큰 환율 제외', { median, rejected });
+            }
+
+            const rate = ExchangeRateService.median(agreed.map(result => result.rate));
+            const failed = results.filter(result => result.error);
+            if (failed.length > 0) {
+                this.logger.warn('일부 환율 제공자 조회 실패', { failed });
             }
 
-            const rate = parseFloat(response.data[0].basePrice);
-            this.logger.info('USD/KRW 환율 조회 성공', { rate });
-            
-            return {
+            return this.storeRate('forex', {
                 rate,
                 timestamp: new Date(),
-                source: 'dunamu'
-            };
-        } catch (error) {
-            this.logger.error('USD/KRW 환율 조회 실패', { error: error.message });
-            
-            // 백업 환율 (고정값 사용 - 실제 운영에서는 다른 API 사용 권장)
-            const fallbackRate = 1300; // 대략적인 환율
-            this.logger.warn('백업 환율 사용', { fallbackRate });
-            
-            return {
-                rate: fallbackRate,
+                source: agreed.map(result => result.name).join(','),
+                providers: agreed.length
+            });
+        }
+
+        return this.useLastGood('forex', results.map(result => `${result.name}: ${result.error}`).join(', '));
+    }
+
+    // 업비트 KRW-USDT 시세 (테더 기준 김프 계산용)
+    async getUsdtKrwRate() {
+        try {
+            const response = await axios.get('https://api.upbit.com/v1/ticker?markets=KRW-USDT', { timeout: this.requestTimeoutMs });
+            const rate = parseFloat(response.data?.[0]?.trade_price);
+            if (!isFinite(rate) || rate <= 0) {
+                throw new Error(`잘못된 KRW-USDT 시세: ${rate}`);
+            }
+
+            return this.storeRate('usdt', {
+                rate,
                 timestamp: new Date(),
-                source: 'fallback'
-            };
+                source: 'upbit-usdt',
+                providers: 1
+            });
+        } catch (error) {
+            return this.useLastGood('usdt', error.message);
         }
     }
+
+    storeRate(basis, rate) {
+        const result = { ...rate, basis, stale: false, ageMs: 0 };
+        this.lastGood[basis] = result;
+        this.lastError[basis] = null;
+        this.logger.info('환율 조회 성공', { basis, rate: result.rate, source: result.source });
+        return result;
+    }
+
+    /**
+     * 모든 제공자 실패 시 마지막 정상 환율 사용 (허용 시간 초과 시 예외)
+     */
+    useLastGood(basis, reason) {
+        this.lastError[basis] = { message: reason, timestamp: new Date() };
+        const lastGood = this.lastGood[basis];
+        const ageMs = lastGood ? Date.now() - lastGood.timestamp.getTime() : null;
+
+        if (lastGood && ageMs <= this.maxStaleMs) {
+            this.logger.warn('환율 조회 실패, 마지막 정상 환율 사용', { basis, rate: lastGood.rate, ageMs, reason });
+            return { ...lastGood, stale: true, ageMs };
+        }
+
+        this.logger.error('환율 사용 불가', { basis, ageMs, reason });
+        throw new Error(`환율을 확인할 수 없습니다 (${basis}): ${reason}`);
+    }
+
+    /**
+     * 환율 사용 가능 여부 (마지막 정상 환율이 허용 시간 이내인지)
+     */
+    isAvailable(basis = 'forex') {
+        const lastGood = this.lastGood[basis];
+        return !!lastGood && Date.now() - lastGood.timestamp.getTime() <= this.maxStaleMs;
+    }
+
+    getStatus() {
+        const status = {};
+        Object.keys(this.lastGood).forEach(basis => {
+            const lastGood = this.lastGood[basis];
+            status[basis] = {
+                available: this.isAvailable(basis),
+                rate: lastGood ? lastGood.rate : null,
+                source: lastGood ? lastGood.source : null,
+                ageMs: lastGood ? Date.now() - lastGood.timestamp.getTime() : null,
+                lastError: this.lastError[basis]
+            };
+        });
+        status.providers = this.lastResults;
+        return status;
+    }
 }
 
-module.exports = ExchangeRateService;
\ No newline at end of file
+module.exports = ExchangeRateService;
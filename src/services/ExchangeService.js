@@ -3,12 +3,28 @@ const WebSocket = require('ws');
 const winston = require('winston');
 const db = require('../config/database');
 
+// 거래소 어댑터 기능 (관리 화면/API 키 테스트 결과에 표시)
+const CAPABILITIES = {
+    marketData: '시세 조회',
+    balance: '잔고 조회',
+    orders: '주문',
+    withdrawals: '입출금',
+    websocket: '실시간 스트림',
+    futures: '선물 헤지'
+};
+
+// 거래소 코드(exchanges.code)별 어댑터 모듈 (모듈은 처음 사용할 때 로드)
+const EXCHANGE_ADAPTERS = new Map();
+
 // 거래소 API 기본 클래스
 class ExchangeService {
     constructor(name, baseUrl, wsUrl = null) {
         this.name = name;
         this.baseUrl = baseUrl;
         this.wsUrl = wsUrl;
+        this.code = name.toLowerCase();       // 거래 방향/라우트 키에 사용 (예: upbit, binance)
+        this.quoteCurrency = 'KRW';           // 호가 통화 (해외 거래소는 USDT 등)
+        this.withdrawFeeFromBalance = false; // true: 출금 수수료를 출금액과 별도로 잔고에서 차감
         this.logger = winston.createLogger({
             level: 'info',
             format: winston.format.combine(
@@ -139,61 +155,338 @@ class ExchangeService {
         }
     }
 
+    /**
+     * 거래 규모 기준 체결 예상가 (호가창을 순서대로 소진하며 VWAP 계산)
+     * @param {Object} orderbookData - { asks: 낮은 가격순, bids: 높은 가격순 }
+     * @param {string} side - 'ask' (매수 시 매도호가 소진) | 'bid' (매도 시 매수호가 소진)
+     * @param {Object} target - { quoteAmount: 호가 통화 기준 금액 } 또는 { quantity: 코인 수량 }
+     * @returns {Object|null} calculateAveragePrice 결과 + { worstPrice, bestPrice, slippagePercent, insufficientDepth, ... }
+     *   호가 잔량이 부족하면 조회된 호가 전체 기준으로 계산하고 insufficientDepth = true
+     */
+    static calculateExecutablePrice(orderbookData, side = 'ask', target = {}) {
+        const orders = (side === 'ask' ? orderbookData?.asks : orderbookData?.bids) || [];
+        const byAmount = target.quoteAmount !== undefined;
+        const requested = parseFloat(byAmount ? target.quoteAmount : target.quantity);
+        if (!orders.length || !(requested > 0)) return null;
+
+        let totalQuantity = 0;
+        let totalAmount = 0;
+        let ordersCount = 0;
+        let worstPrice = null;
+
+        for (const order of orders) {
+            const price = parseFloat(order.price);
+            const available = parseFloat(order.quantity);
+            if (!(price > 0) || !(available > 0)) continue;
+
+            const remaining = byAmount ? (requested - totalAmount) / price : requested - totalQuantity;
+            const quantity = Math.min(available, remaining);
+
+            totalQuantity += quantity;
+            totalAmount += price * quantity;
+            ordersCount++;
+            worstPrice = price;
+
+            if (quantity < available || (byAmount ? totalAmount >= requested : totalQuantity >= requested)) break;
+        }
+
+        if (totalQuantity === 0) return null;
+
+        const bestPrice = parseFloat(orders[0].price);
+        const averagePrice = totalAmount / totalQuantity;
+        const filled = byAmount ? totalAmount : totalQuantity;
+
+        return {
+            averagePrice,
+            totalQuantity,
+            totalAmount,
+            ordersCount,
+            bestPrice,
+            worstPrice,
+            slippagePercent: Math.abs(averagePrice - bestPrice) / bestPrice * 100,
+            requestedAmount: byAmount ? requested : null,
+            requestedQuantity: byAmount ? null : requested,
+            // 부동소수점 오차는 무시 (요청량의 0.0001% 미만)
+            insufficientDepth: filled < requested * (1 - 1e-6)
+        };
+    }
+
+    /**
+     * 거래소 어댑터 등록
+     * @param {string} code - exchanges.code (예: upbit)
+     * @param {string} modulePath - 서비스 모듈 경로 (클래스의 capabilities로 지원 기능 선언)
+     */
+    static registerAdapter(code, modulePath) {
+        EXCHANGE_ADAPTERS.set(code, { code, modulePath, Service: null });
+    }
+
+    // 등록된 어댑터 ({ code, Service, capabilities }, 없으면 null)
+    static getAdapter(code) {
+        const adapter = EXCHANGE_ADAPTERS.get(code);
+        if (!adapter) return null;
+
+        if (!adapter.Service) {
+            adapter.Service = require(adapter.modulePath);
+        }
+        return {
+            code,
+            Service: adapter.Service,
+            capabilities: ExchangeService.normalizeCapabilities(adapter.Service.capabilities)
+        };
+    }
+
+    static hasAdapter(code) {
+        return EXCHANGE_ADAPTERS.has(code);
+    }
+
+    // 선언되지 않은 기능은 false로 채움
+    static normalizeCapabilities(declared = {}) {
+        const capabilities = {};
+        Object.keys(CAPABILITIES).forEach(name => {
+            capabilities[name] = !!declared[name];
+        });
+        return capabilities;
+    }
+
+    // 거래소 코드의 지원 기능 (어댑터가 없으면 모두 false)
+    static getCapabilities(code) {
+        const adapter = ExchangeService.getAdapter(code);
+        return adapter ? adapter.capabilities : ExchangeService.normalizeCapabilities();
+    }
+
+    static hasCapability(code, capability) {
+        return ExchangeService.getCapabilities(code)[capability] === true;
+    }
+
+    // 표시용 기능 목록 [{ name, label, supported }]
+    static describeCapabilities(code) {
+        const capabilities = ExchangeService.getCapabilities(code);
+        return Object.keys(CAPABILITIES).map(name => ({
+            name,
+            label: CAPABILITIES[name],
+            supported: capabilities[name]
+        }));
+    }
+
+    /**
+     * 거래소 코드(exchanges.code)로 서비스 인스턴스 생성
+     * @throws 어댑터가 없는 거래소
+     */
+    static createService(code) {
+        const adapter = ExchangeService.getAdapter(code);
+        if (!adapter) {
+            throw new Error(`${code || '코드 없는'} 거래소는 아직 지원하지 않습니다.`);
+        }
+
+        const service = new adapter.Service();
+        service.code = code;
+        return service;
+    }
+
     // 정적 메서드: 거래소별 잔고 조회
     static async getBalance(exchangeId, apiKey, secretKey, passphrase = null) {
         try {
             const connection = await db.getConnection();
-            const [rows] = await connection.execute('SELECT name FROM exchanges WHERE id = ? AND is_active = TRUE', [exchangeId]);
+            const [rows] = await connection.execute('SELECT code, name FROM exchanges WHERE id = ? AND is_active = TRUE', [exchangeId]);
             connection.release();
             
             if (rows.length === 0) {
                 throw new Error('지원하지 않는 거래소이거나 비활성화된 거래소입니다.');
             }
             
-            const exchangeName = rows[0].name;
-            let service;
-            
-            // 거래소별 서비스 인스턴스 생성 (빗썸 V2 적용)
-            switch (exchangeName) {
-                case '업비트':
-                    const UpbitService = require('./UpbitService');
-                    service = new UpbitService();
-                    break;
-                    
-                case '바이낸스':
-                    const BinanceService = require('./BinanceService');
-                    service = new BinanceService();
-                    break;
-                    
-                case '빗썸':
-                    const BithumbV2Service = require('./BithumbV2Service');
-                    service = new BithumbV2Service();
-                    break;
-                    
-                default:
-                    throw new Error(`${exchangeName}는 아직 지원하지 않는 거래소입니다.`);
+            if (!ExchangeService.hasCapability(rows[0].code, 'balance')) {
+                throw new Error(`${rows[0].name}는 잔고 조회를 지원하지 않습니다.`);
             }
-            
-        return await service.getBalance(apiKey, secretKey, passphrase);
+
+            const service = ExchangeService.createService(rows[0].code);
+            return await service.getBalance(apiKey, secretKey, passphrase);
         
-    } catch (error) {
-        console.error(`거래소 ${exchangeId} 잔고 조회 실패:`, error);
-        throw error;
+        } catch (error) {
+            console.error(`거래소 ${exchangeId} 잔고 조회 실패:`, error);
+            throw error;
+        }
     }
-}
 
-    // 지원되는 거래소 목록 반환 
+    // 어댑터가 등록된 거래소 코드 목록
     static getSupportedExchanges() {
-        return ['업비트', '바이낸스', '빗썸'];
+        return [...EXCHANGE_ADAPTERS.keys()];
     }
+
+    /**
+     * 코인의 거래소 마켓 심볼 (coins 테이블의 거래소별 매핑 컬럼)
+     * @param {Object} coin - coins 테이블 행
+     * @returns {string|null} 매핑이 없으면 null (해당 거래소에서 거래하지 않는 코인)
+     */
+    getMarketSymbol(coin) {
+        return null;
+    }
+
     // 각 거래소에서 구현해야 할 추상 메서드들 (인증 API)
     async getBalance(apiKey, secretKey, passphrase = null) {
         throw new Error('getBalance 메서드를 구현해야 합니다.');
     }
 
+    /**
+     * 주문 생성
+     * @param {string} symbol - 거래소 마켓 심볼 (예: KRW-BTC, BTCUSDT)
+     * @param {string} side - 'buy' | 'sell'
+     * @param {string} type - 'market' | 'limit'
+     * @param {number|null} price - 지정가 주문 가격. 시장가 매수는 지출할 호가통화 금액(KRW/USDT)
+     * @param {number|null} quantity - 주문 수량 (시장가 매수는 null)
+     * @returns {Promise<Object>} normalizeOrder 형태의 주문 정보
+     */
     async placeOrder(symbol, side, type, price, quantity, apiKey, secretKey, passphrase = null) {
         throw new Error('placeOrder 메서드를 구현해야 합니다.');
     }
+
+    async getOrder(symbol, orderId, apiKey, secretKey, passphrase = null) {
+        throw new Error('getOrder 메서드를 구현해야 합니다.');
+    }
+
+    async cancelOrder(symbol, orderId, apiKey, secretKey, passphrase = null) {
+        throw new Error('cancelOrder 메서드를 구현해야 합니다.');
+    }
+
+    /**
+     * 코인 출금 요청
+     * @param {string} currency - 코인 심볼 (예: BTC)
+     * @param {number} amount - 출금 수량
+     * @param {string} address - 받는 거래소 입금 주소
+     * @param {string|null} memo - 보조 주소 (메모/태그)
+     * @param {string|null} network - 출금 네트워크 (null이면 거래소 기본 네트워크)
+     * @returns {Promise<Object>} normalizeWithdrawal 형태의 출금 정보
+     */
+    async withdraw(currency, amount, address, memo, network, apiKey, secretKey, passphrase = null) {
+        throw new Error('withdraw 메서드를 구현해야 합니다.');
+    }
+
+    async getWithdrawal(currency, withdrawalId, apiKey, secretKey, passphrase = null) {
+        throw new Error('getWithdrawal 메서드를 구현해야 합니다.');
+    }
+
+    /**
+     * 트랜잭션 ID로 입금 내역 조회
+     * @returns {Promise<Object|null>} normalizeDeposit 형태의 입금 정보 (아직 감지되지 않았으면 null)
+     */
+    async findDeposit(currency, txid, apiKey, secretKey, passphrase = null) {
+        throw new Error('findDeposit 메서드를 구현해야 합니다.');
+    }
+
+    /**
+     * 코인 입출금 상태 (거래소 점검/지갑 일시 중단 확인)
+     * @param {string} currency - 코인 심볼
+     * @param {string|null} network - 네트워크 (null이면 거래소 기본 네트워크)
+     * @returns {Promise<Object|null>} normalizeWalletStatus 형태, 조회를 지원하지 않는 거래소는 null (확인 생략)
+     */
+    async getWalletStatus(currency, network, apiKey, secretKey, passphrase = null) {
+        return null;
+    }
+
+    // 거래소별 입출금 상태를 공통 형태로 정규화
+    normalizeWalletStatus({ currency, network = null, depositEnabled, withdrawEnabled, raw = null }) {
+        return {
+            exchange: this.name.toLowerCase(),
+            currency,
+            network,
+            depositEnabled: depositEnabled === true,
+            withdrawEnabled: withdrawEnabled === true,
+            raw
+        };
+    }
+
+    // 거래소별 출금 응답을 공통 형태로 정규화
+    normalizeWithdrawal({ withdrawalId, currency, status, amount = 0, fee = 0, txid = null, raw = null }) {
+        return {
+            exchange: this.name.toLowerCase(),
+            withdrawalId: String(withdrawalId),
+            currency,
+            status,                                   // 'pending' | 'done' | 'failed'
+            amount: parseFloat(amount) || 0,
+            fee: parseFloat(fee) || 0,
+            txid: txid || null,
+            isDone: status !== 'pending',
+            raw
+        };
+    }
+
+    // 거래소별 입금 응답을 공통 형태로 정규화
+    normalizeDeposit({ depositId, currency, status, amount = 0, txid = null, raw = null }) {
+        return {
+            exchange: this.name.toLowerCase(),
+            depositId: String(depositId),
+            currency,
+            status,                                   // 'pending' | 'credited' | 'failed'
+            amount: parseFloat(amount) || 0,
+            txid: txid || null,
+            isDone: status !== 'pending',
+            raw
+        };
+    }
+
+    // 거래소별 주문 응답을 공통 형태로 정규화
+    normalizeOrder({ orderId, symbol, side, type, status, price = null, quantity = null, executedQty = 0, executedQuote = 0, fee = 0, feeCurrency = null, raw = null }) {
+        const executed = parseFloat(executedQty) || 0;
+        const quote = parseFloat(executedQuote) || 0;
+
+        return {
+            exchange: this.name.toLowerCase(),
+            orderId: String(orderId),
+            symbol,
+            side,
+            type,
+            status,                                   // 'open' | 'filled' | 'cancelled' | 'failed'
+            price: price !== null ? parseFloat(price) : null,
+            quantity: quantity !== null ? parseFloat(quantity) : null,
+            executedQty: executed,
+            executedQuote: quote,
+            avgFillPrice: executed > 0 ? quote / executed : null,
+            fee: parseFloat(fee) || 0,
+            feeCurrency,
+            isDone: status !== 'open',
+            timestamp: new Date(),
+            raw
+        };
+    }
+
+    // 주문 체결 대기 (체결/취소될 때까지 폴링, 시간 초과 시 미체결분 취소)
+    async waitForOrderFill(symbol, orderId, apiKey, secretKey, passphrase = null, options = {}) {
+        const { timeoutMs = 60000, intervalMs = 1000, cancelOnTimeout = true } = options;
+        const deadline = Date.now() + timeoutMs;
+        let order = null;
+
+        while (Date.now() < deadline) {
+            order = await this.getOrder(symbol, orderId, apiKey, secretKey, passphrase);
+            if (order.isDone) {
+                return order;
+            }
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+
+        this.logger.warn('주문 체결 대기 시간 초과', { symbol, orderId, timeoutMs });
+
+        if (cancelOnTimeout) {
+            try {
+                await this.cancelOrder(symbol, orderId, apiKey, secretKey, passphrase);
+            } catch (error) {
+                this.logger.error('시간 초과 주문 취소 실패', { symbol, orderId, error: error.message });
+            }
+            order = await this.getOrder(symbol, orderId, apiKey, secretKey, passphrase);
+        }
+
+        return order;
+    }
 }
 
+ExchangeService.CAPABILITIES = CAPABILITIES;
+
+// 체결 예상가 계산에 사용할 호가 단계 수 (김프 모니터링/거래 실행에서 조회)
+ExchangeService.ORDERBOOK_DEPTH = 15;
+
+// 기본 어댑터 (빗썸은 V2 API 사용)
+ExchangeService.registerAdapter('upbit', './UpbitService');
+ExchangeService.registerAdapter('binance', './BinanceService');
+ExchangeService.registerAdapter('bithumb', './BithumbV2Service');
+ExchangeService.registerAdapter('coinone', './CoinoneService');
+ExchangeService.registerAdapter('coinbase', './CoinbaseService');
+
 module.exports = ExchangeService;
\ No newline at end of file
@@ -0,0 +1,247 @@
+const db = require('../config/database');
+const winston = require('winston');
+
+// 거래소 수수료율이 설정되지 않았을 때 사용하는 기본값
+const DEFAULT_TRADING_FEE_RATE = 0.0025;
+// 호가 조회 후 주문까지의 시세 변동 (매수/매도 각각)
+const SLIPPAGE_RATE = 0.001;
+
+/**
+ * 수수료 모델
+ *
+ * - 거래 수수료: 거래소별 maker/taker 수수료율 (없으면 trading_fee_rate)
+ *   사용자가 API 키에 VIP 등급 수수료율을 입력했으면 거래소 기본값 대신 사용
+ * - 출금 수수료: coin_networks의 코인/출금 거래소/네트워크별 수수료와 최소 출금량
+ *   (등록된 네트워크가 없으면 coins.withdrawal_fee, coins.min_withdrawal)
+ *
+ * 거래 실행/미리보기/백테스트/모니터링 순수익 김프가 같은 모델로 수수료를 계산
+ */
+class FeeModelService {
+    constructor() {
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [FeeModel] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console(),
+                new winston.transports.File({
+                    filename: '../logs/trade-execution.log',
+                    level: 'info'
+                })
+            ]
+        });
+    }
+
+    static toRate(value) {
+        const rate = parseFloat(value);
+        return isFinite(rate) && rate >= 0 ? rate : null;
+    }
+
+    /**
+     * 거래소 거래 수수료율
+     * @param {Object} exchange - exchanges 테이블 행
+     * @param {Object|null} userFees - 사용자 수수료 등급 { fee_tier, maker_fee_rate, taker_fee_rate }
+     * @returns {Object} { exchangeId, exchange, makerFeeRate, takerFeeRate, feeTier, source: 'user' | 'exchange' | 'default' }
+     */
+    static resolveTradingFees(exchange, userFees = null) {
+        const base = FeeModelService.toRate(exchange.trading_fee_rate);
+        const exchangeMaker = FeeModelService.toRate(exchange.maker_fee_rate) ?? base;
+        const exchangeTaker = FeeModelService.toRate(exchange.taker_fee_rate) ?? base;
+        const userMaker = userFees ? FeeModelService.toRate(userFees.maker_fee_rate) : null;
+        const userTaker = userFees ? FeeModelService.toRate(userFees.taker_fee_rate) : null;
+
+        let source = 'default';
+        if (userMaker !== null || userTaker !== null) source = 'user';
+        else if (exchangeMaker !== null || exchangeTaker !== null) source = 'exchange';
+
+        return {
+            exchangeId: exchange.id,
+            exchange: exchange.name,
+            makerFeeRate: userMaker ?? exchangeMaker ?? DEFAULT_TRADING_FEE_RATE,
+            takerFeeRate: userTaker ?? exchangeTaker ?? DEFAULT_TRADING_FEE_RATE,
+            feeTier: userFees?.fee_tier || null,
+            source
+        };
+    }
+
+    /**
+     * 사용자 수수료 등급 (API 키에 입력한 거래소별 수수료율)
+     * @returns {Promise<Map>} exchange_id → { fee_tier, maker_fee_rate, taker_fee_rate }
+     */
+    async getUserFeeTiers(userId) {
+        if (!userId) return new Map();
+
+        const connection = await db.getConnection();
+        try {
+            const [rows] = await connection.execute(`
+                SELECT exchange_id, fee_tier, maker_fee_rate, taker_fee_rate
+                FROM user_exchange_credentials
+                WHERE user_id = ? AND is_active = TRUE
+            `, [userId]);
+            return new Map(rows.map(row => [row.exchange_id, row]));
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 출금 네트워크 수수료 (지정한 네트워크 → 기본 네트워크 → 코인 기본값 순)
+     * @param {Object} coin - coins 테이블 행
+     * @param {number} exchangeId - 출금 거래소 ID
+     * @param {string|null} network - 네트워크 (null이면 거래소 기본 네트워크)
+     * @returns {Promise<Object>} { network, withdrawalFee, minWithdrawal, source: 'network' | 'coin' }
+     */
+    async getWithdrawalFee(coin, exchangeId, network = null) {
+        const connection = await db.getConnection();
+        try {
+            const [rows] = await connection.execute(`
+                SELECT network, withdrawal_fee, min_withdrawal, is_default
+                FROM coin_networks
+                WHERE coin_id = ? AND exchange_id = ? AND is_active = TRUE
+                ORDER BY is_default DESC, withdrawal_fee ASC
+            `, [coin.id, exchangeId]);
+
+            return FeeModelService.selectWithdrawalFee(coin, rows, network);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 코인/거래소의 coin_networks 행 중 출금 네트워크 선택 (기본 네트워크 우선 정렬된 행)
+     * 등록된 네트워크가 없으면 coins 테이블 기본값
+     */
+    static selectWithdrawalFee(coin, networkRows, network = null) {
+        const row = network ?
+            networkRows.find(r => r.network.toUpperCase() === network.toUpperCase()) :
+            networkRows[0];
+
+        if (row) {
+            return {
+                network: row.network,
+                withdrawalFee: parseFloat(row.withdrawal_fee) || 0,
+                minWithdrawal: parseFloat(row.min_withdrawal) || 0,
+                source: 'network'
+            };
+        }
+
+        return {
+            network: network || coin.network || null,
+            withdrawalFee: parseFloat(coin.withdrawal_fee) || 0,
+            minWithdrawal: parseFloat(coin.min_withdrawal) || 0,
+            source: 'coin'
+        };
+    }
+
+    /**
+     * 거래소 쌍의 수수료 모델
+     * 출금 수수료는 거래 방향에 따라 매수 거래소에서 출금하므로 양쪽 거래소 모두 조회
+     * @param {Object} params
+     * @param {number|null} params.userId - 사용자 ID (없으면 거래소 기본 수수료율)
+     * @param {Object} params.coin - coins 테이블 행
+     * @param {Array} params.exchanges - exchanges 테이블 행 (국내/해외)
+     * @returns {Promise<Object>} { trading: { [exchangeId]: 수수료율 }, withdrawals: { [exchangeId]: 출금 수수료 } }
+     */
+    async buildFeeModel({ userId = null, coin, exchanges }) {
+        const userFeeTiers = await this.getUserFeeTiers(userId);
+
+        const feeModel = { coin: coin.symbol, trading: {}, withdrawals: {} };
+        for (const exchange of exchanges) {
+            feeModel.trading[exchange.id] = FeeModelService.resolveTradingFees(exchange, userFeeTiers.get(exchange.id));
+            feeModel.withdrawals[exchange.id] = await this.getWithdrawalFee(coin, exchange.id);
+        }
+
+        this.logger.debug('수수료 모델 구성', feeModel);
+        return feeModel;
+    }
+
+    /**
+     * 거래 방향의 수수료율 (시장가 주문이므로 taker 수수료율 적용)
+     * @returns {Object} { buyFeeRate, sellFeeRate, withdrawal }
+     */
+    static getTradeFees(feeModel, buyExchangeId, sellExchangeId, orderType = 'market') {
+        const rateKey = orderType === 'limit' ? 'makerFeeRate' : 'takerFeeRate';
+        const buy = feeModel?.trading[buyExchangeId];
+        const sell = feeModel?.trading[sellExchangeId];
+
+        return {
+            buyFeeRate: buy ? buy[rateKey] : DEFAULT_TRADING_FEE_RATE,
+            sellFeeRate: sell ? sell[rateKey] : DEFAULT_TRADING_FEE_RATE,
+            buyFeeSource: buy ? buy.source : 'default',
+            sellFeeSource: sell ? sell.source : 'default',
+            feeTier: buy?.feeTier || sell?.feeTier || null,
+            withdrawal: feeModel?.withdrawals[buyExchangeId] || null
+        };
+    }
+
+    /**
+     * 김프 방향으로 거래했을 때의 예상 비용과 순수익률 (%)
+     * 김프 양수면 해외 매수 → 국내 매도, 음수면 국내 매수 → 해외 매도 (출금은 매수 거래소에서)
+     * @param {Object|null} feeModel - buildFeeModel 결과 형태
+     * @param {Object} params
+     * @param {number} params.premiumPercent - 김프(%)
+     * @param {number} params.domesticExchangeId - 국내 거래소 ID
+     * @param {number} params.overseasExchangeId - 해외 거래소 ID
+     * @param {number} params.priceKrw - 출금 수수료 원화 환산 가격
+     * @param {number} params.amountKrw - 거래 금액 (출금 수수료 비율 계산 기준)
+     * @returns {Object} { grossPercent, tradingFeePercent, withdrawalFeePercent, slippagePercent, costPercent, netProfitPercent, withdrawalNetwork }
+     */
+    static estimateNetPremium(feeModel, { premiumPercent, domesticExchangeId, overseasExchangeId, priceKrw, amountKrw, slippageRate = SLIPPAGE_RATE }) {
+        const isPositive = premiumPercent > 0;
+        const fees = FeeModelService.getTradeFees(
+            feeModel,
+            isPositive ? overseasExchangeId : domesticExchangeId,
+            isPositive ? domesticExchangeId : overseasExchangeId
+        );
+
+        const grossPercent = Math.abs(premiumPercent);
+        const tradingFeePercent = (fees.buyFeeRate + fees.sellFeeRate) * 100;
+        const withdrawalFeePercent = fees.withdrawal && amountKrw > 0 ?
+            (fees.withdrawal.withdrawalFee * priceKrw / amountKrw) * 100 :
+            0;
+        const slippagePercent = slippageRate * 2 * 100;
+        const costPercent = tradingFeePercent + withdrawalFeePercent + slippagePercent;
+
+        return {
+            grossPercent,
+            tradingFeePercent,
+            withdrawalFeePercent,
+            slippagePercent,
+            costPercent,
+            netProfitPercent: grossPercent - costPercent,
+            withdrawalNetwork: fees.withdrawal?.network || null
+        };
+    }
+
+    /**
+     * 수수료 내역 (원화)
+     * @param {Object} params - { buyAmountKrw, sellAmountKrw, buyFeeRate, sellFeeRate, withdrawalFee, sellPriceKrw, network }
+     * @returns {Object} 매수/매도/출금 수수료와 합계
+     */
+    static buildBreakdown({ buyAmountKrw, sellAmountKrw, buyFeeRate, sellFeeRate, buyFeeKrw = null, sellFeeKrw = null, withdrawalFee = 0, sellPriceKrw, network = null }) {
+        const buyFee = buyFeeKrw ?? buyAmountKrw * buyFeeRate;
+        const sellFee = sellFeeKrw ?? sellAmountKrw * sellFeeRate;
+        const withdrawalFeeKrw = (withdrawalFee || 0) * sellPriceKrw;
+
+        return {
+            buyFeeRate,
+            sellFeeRate,
+            buyFeeKrw: buyFee,
+            sellFeeKrw: sellFee,
+            tradingFeesKrw: buyFee + sellFee,
+            withdrawalNetwork: network,
+            withdrawalFee: withdrawalFee || 0,
+            withdrawalFeeKrw,
+            totalFeesKrw: buyFee + sellFee + withdrawalFeeKrw
+        };
+    }
+}
+
+FeeModelService.DEFAULT_TRADING_FEE_RATE = DEFAULT_TRADING_FEE_RATE;
+FeeModelService.SLIPPAGE_RATE = SLIPPAGE_RATE;
+
+module.exports = FeeModelService;
@@ -1,24 +1,33 @@
 const winston = require('winston');
 const mysql = require('mysql2/promise');
 const Redis = require('ioredis');
+const CoinService = require('./CoinService');
+const PriceHistoryService = require('./PriceHistoryService');
+const RealtimeService = require('./RealtimeService');
+const MarketStreamService = require('./MarketStreamService');
+const ExchangeService = require('./ExchangeService');
+const ExchangeRateService = require('./ExchangeRateService');
+const FeeModelService = require('./FeeModelService');
 
 /**
  * 김프 차익거래 모니터링 서비스 - 시스템의 핵심 엔진
  * 
  * 주요 책임:
- * 1. 60초 주기로 5개 코인의 김프 계산
+ * 1. 60초 주기로 coins 테이블의 활성 코인 김프 계산 (활성 국내 × 해외 거래소 쌍마다 계산 후 최적 경로 선택)
  * 2. 호가창 5틱 기반 정확한 평균가 산출
- * 3. 매매강도 시스템 (기획서 로직 구현)
+ * 3. 매매강도 시스템 (기획서 로직 구현, 김프 또는 수수료 차감 후 순수익률 기준)
  * 4. 거래 기회 발생 시 알림 및 로깅
  * 
  * 데이터 흐름:
  * 거래소 API → 김프 계산 → 매매강도 업데이트 → 캐싱/저장 → 거래 신호
  */
 class KimchiMonitoringService {
-    constructor(upbitService, binanceService, exchangeRateService) {
+    constructor(upbitService, binanceService, exchangeRateService, tradeExecutionService = null) {
         this.upbitService = upbitService;
         this.binanceService = binanceService;
         this.exchangeRateService = exchangeRateService;
+        this.exchangeServices = { upbit: upbitService, binance: binanceService }; // 거래소 코드별 서비스 (나머지는 필요 시 생성)
+        this.tradeExecutionService = tradeExecutionService; // 매매강도 달성 시 자동 거래 실행
         this.isRunning = false;
         this.monitoringInterval = null;
         
@@ -59,21 +68,180 @@ class KimchiMonitoringService {
         this.settings = {
             searchIntervalSeconds: 60,
             premiumThresholdPercent: 1.0,
-            tradingIntensityThreshold: 5
+            reversePremiumThresholdPercent: 1.0,    // 역프 방향 매매강도 임계값
+            tradingIntensityThreshold: 5,
+            marketDataMode: 'rest',     // 'rest': 주기마다 REST 조회, 'stream': WebSocket 호가 (stale 시 REST)
+            premiumBasis: 'forex',      // 'forex': USD/KRW 환율, 'usdt': 업비트 KRW-USDT 시세
+            thresholdBasis: 'gross',    // 'gross': 김프, 'net': 수수료/출금/슬리피지 차감 후 예상 순수익률
+            tradeAmountKrw: 10000000    // 순수익률 계산 기준 거래 금액 (출금 수수료 비율)
         };
 
-        // 모니터링할 코인 목록 
-        // TODO - load from DB(table design require)
-        this.coinMappings = [
-            { symbol: 'BTC', upbitMarket: 'KRW-BTC', binanceSymbol: 'BTCUSDT' },
-            { symbol: 'ETH', upbitMarket: 'KRW-ETH', binanceSymbol: 'ETHUSDT' },
-            { symbol: 'XRP', upbitMarket: 'KRW-XRP', binanceSymbol: 'XRPUSDT' },
-            { symbol: 'ADA', upbitMarket: 'KRW-ADA', binanceSymbol: 'ADAUSDT' },
-            { symbol: 'DOT', upbitMarket: 'KRW-DOT', binanceSymbol: 'DOTUSDT' }
-        ];
+        // 실시간 호가 스트림 (market_data_mode = 'stream')
+        this.marketStreamService = new MarketStreamService(upbitService, binanceService);
+        this.marketStreamService.on('update', (event) => this.handleStreamUpdate(event));
+        this.livePremiumUpdatedAt = new Map();  // 코인별 마지막 실시간 김프 계산 시각
+        this.livePremiumIntervalMs = 1000;
+        this.cachedExchangeRate = null;        // premium_basis 기준 환율 (요약/상태 표시용)
+        this.exchangeRateCache = new Map();    // 기준별 { rate, at } (USD 마켓은 basis와 관계없이 forex 사용)
+        this.rateUnavailable = false;   // 환율 사용 불가 시 김프 계산/자동 거래 중지
+
+        // 모니터링할 코인 목록 (coins 테이블에서 로드 - loadCoinMappings)
+        this.coinMappings = [];
+        this.coinMappingsLoadedAt = null;
+
+        // 김프 계산 경로 (활성 국내 거래소 × 해외 거래소 - loadRoutes)
+        this.routes = [];
+        this.tradingFees = {};           // 거래소 ID별 거래 수수료율 (거래소 기본값)
+        this.exchangeFeeRows = new Map(); // 사용자 수수료 등급 적용용 거래소 수수료 설정
+        this.latestResults = new Map();  // 코인별 최근 계산 결과 (실시간 갱신 시 다른 경로 결과 유지용)
+
+        // 가격/김프 이력 저장 (price_logs, premium_snapshots + 롤업)
+        this.priceHistoryService = new PriceHistoryService();
+        this.feeModelService = new FeeModelService();
 
         // 다중 사용자 지원을 위한 최소한의 새 속성 추가
         this.globalMode = true; // 관리자용 전역 모니터링 활성화
+
+        // 관리자 코인 편집(추가/수정/토글) 시 재시작 없이 목록 갱신
+        CoinService.on('coinsChanged', (event) => {
+            this.logger.info('코인 설정 변경 감지, 모니터링 목록 재로드', event);
+            this.loadCoinMappings().then(() => {
+                if (this.marketStreamService.isRunning) {
+                    this.marketStreamService.updateMarkets(this.coinMappings);
+                }
+            });
+        });
+    }
+
+    // 거래소 코드별 서비스 (시세 조회 어댑터가 없는 거래소는 null)
+    getExchangeService(code) {
+        if (this.exchangeServices[code] === undefined) {
+            this.exchangeServices[code] = ExchangeService.hasCapability(code, 'marketData') ?
+                ExchangeService.createService(code) :
+                null;
+        }
+        return this.exchangeServices[code];
+    }
+
+    // 활성 거래소로 김프 계산 경로 구성 (국내 × 해외, 시세 조회를 지원하는 거래소만)
+    async loadRoutes(connection) {
+        const [rows] = await connection.execute(
+            `SELECT id, name, code, type, trading_fee_rate, maker_fee_rate, taker_fee_rate
+                FROM exchanges WHERE is_active = TRUE ORDER BY id`
+        );
+
+        // 순수익 김프 계산용 거래 수수료율
+        this.exchangeFeeRows = new Map(rows.map(row => [row.id, row]));
+        this.tradingFees = this.resolveTradingFees();
+
+        const exchanges = rows
+            .map(row => ({ id: row.id, name: row.name, code: row.code, type: row.type, service: this.getExchangeService(row.code) }))
+            .filter(exchange => exchange.service);
+
+        const routes = [];
+        exchanges.filter(e => e.type === 'domestic').forEach(domestic => {
+            exchanges.filter(e => e.type === 'overseas').forEach(overseas => {
+                routes.push({ key: `${domestic.code}-${overseas.code}`, domestic, overseas });
+            });
+        });
+
+        this.routes = routes;
+        return routes;
+    }
+
+    // 거래소별 거래 수수료율 (사용자 수수료 등급이 있으면 적용)
+    resolveTradingFees(userFeeTiers = new Map()) {
+        const trading = {};
+        this.exchangeFeeRows.forEach((exchange, id) => {
+            trading[id] = FeeModelService.resolveTradingFees(exchange, userFeeTiers.get(id));
+        });
+        return trading;
+    }
+
+    // 코인 수수료 모델 (FeeModelService.buildFeeModel 형태, trading 미지정 시 거래소 기본 수수료율)
+    getFeeModel(coinMapping, trading = this.tradingFees) {
+        return { coin: coinMapping.symbol, trading, withdrawals: coinMapping.withdrawals || {} };
+    }
+
+    // 코인이 양쪽 마켓에 모두 매핑된 경로
+    getCoinRoutes(coinMapping) {
+        return this.routes.filter(route =>
+            coinMapping.markets[route.domestic.code] && coinMapping.markets[route.overseas.code]
+        );
+    }
+
+    // 모니터링 코인 목록을 데이터베이스에서 로드 (활성 + 국내/해외 마켓 매핑이 한 쌍 이상 있는 코인)
+    async loadCoinMappings() {
+        try {
+            const connection = await mysql.createConnection(this.dbConfig);
+            await this.loadRoutes(connection);
+
+            const [rows] = await connection.execute(
+                `SELECT id, symbol, network, upbit_market, binance_symbol, bithumb_market, coinone_market, coinbase_product,
+                        withdrawal_fee, min_withdrawal, is_tradable
+                    FROM coins
+                    WHERE is_active = TRUE
+                    ORDER BY symbol ASC`
+            );
+
+            // 출금 네트워크 수수료 (순수익 김프 계산용, 기본 네트워크 우선)
+            const [networkRows] = await connection.execute(
+                `SELECT coin_id, exchange_id, network, withdrawal_fee, min_withdrawal
+                    FROM coin_networks
+                    WHERE is_active = TRUE
+                    ORDER BY is_default DESC, withdrawal_fee ASC`
+            );
+
+            // 새로 활성화된 코인의 전역 매매강도 행 보장
+            await connection.execute(
+                `INSERT IGNORE INTO trading_intensity (coin_id, current_intensity)
+                    SELECT id, 0 FROM coins WHERE is_active = TRUE`
+            );
+            await connection.end();
+
+            // 거래소 코드별 마켓 심볼 (예: { upbit: 'KRW-BTC', binance: 'BTCUSDT' })
+            const exchanges = [...new Map(
+                this.routes.flatMap(route => [route.domestic, route.overseas]).map(e => [e.code, e])
+            ).values()];
+
+            this.coinMappings = rows
+                .map(row => {
+                    const markets = {};
+                    exchanges.forEach(exchange => {
+                        const market = exchange.service.getMarketSymbol(row);
+                        if (market) markets[exchange.code] = market;
+                    });
+
+                    // 거래소 ID별 출금 수수료 (매수 거래소에서 출금)
+                    const withdrawals = {};
+                    exchanges.forEach(exchange => {
+                        withdrawals[exchange.id] = FeeModelService.selectWithdrawalFee(
+                            row,
+                            networkRows.filter(n => n.coin_id === row.id && n.exchange_id === exchange.id)
+                        );
+                    });
+
+                    return {
+                        coinId: row.id,
+                        symbol: row.symbol,
+                        markets,
+                        withdrawals,
+                        isTradable: !!row.is_tradable
+                    };
+                })
+                .filter(coinMapping => this.getCoinRoutes(coinMapping).length > 0);
+            this.coinMappingsLoadedAt = new Date();
+
+            this.logger.info('모니터링 코인 목록 로드 완료', {
+                coins: this.coinMappings.map(c => c.symbol),
+                routes: this.routes.map(r => r.key)
+            });
+            return this.coinMappings;
+        } catch (error) {
+            // 로드 실패 시 기존 목록 유지
+            this.logger.error('모니터링 코인 목록 로드 실패, 기존 목록 유지', { error: error.message });
+            return this.coinMappings;
+        }
     }
 
     // 설정값을 데이터베이스에서 로드
@@ -86,8 +254,22 @@ class KimchiMonitoringService {
                     WHERE is_active = TRUE
                         AND user_id IS NULL`
             );
+
+            // 시세 수집 방식/김프 기준 환율은 시스템 전체에 하나만 적용 (key_name이 테이블 전체에서 유일)
+            const [systemRows] = await connection.execute(
+                `SELECT key_name, value FROM bot_settings
+                    WHERE key_name IN ('market_data_mode', 'premium_basis') AND is_active = TRUE`
+            );
             await connection.end();
 
+            systemRows.forEach(({ key_name, value }) => {
+                if (key_name === 'market_data_mode' && ['rest', 'stream'].includes(value)) {
+                    this.settings.marketDataMode = value;
+                } else if (key_name === 'premium_basis' && ['forex', 'usdt'].includes(value)) {
+                    this.settings.premiumBasis = value;
+                }
+            });
+
             rows.forEach(row => {
                 const { key_name, value } = row;
                 
@@ -95,8 +277,14 @@ class KimchiMonitoringService {
                     this.settings.searchIntervalSeconds = parseInt(value);
                 } else if (key_name === 'premium_threshold_percent') {
                     this.settings.premiumThresholdPercent = parseFloat(value);
+                } else if (key_name === 'reverse_premium_threshold_percent') {
+                    this.settings.reversePremiumThresholdPercent = parseFloat(value);
                 } else if (key_name === 'trading_intensity_threshold') {
                     this.settings.tradingIntensityThreshold = parseInt(value);
+                } else if (key_name === 'threshold_basis' && ['gross', 'net'].includes(value)) {
+                    this.settings.thresholdBasis = value;
+                } else if (key_name === 'max_trade_amount_krw') {
+                    this.settings.tradeAmountKrw = parseInt(value) || this.settings.tradeAmountKrw;
                 }
             });
 
@@ -106,62 +294,30 @@ class KimchiMonitoringService {
         }
     }
 
-    // 단일 코인의 김프 계산 
+    // 단일 코인의 김프 계산 (경로별 계산 후 김프 절댓값이 가장 큰 경로 선택)
     async calculateCoinPremium(coinMapping) {
         try {
-            const startTime = Date.now();
-            
-            // 병렬로 데이터 수집
-            const [upbitTicker, upbitOrderbook, binanceTicker, binanceOrderbook, exchangeRate] = await Promise.all([
-                this.upbitService.getTicker(coinMapping.upbitMarket),
-                this.upbitService.getOrderbook(coinMapping.upbitMarket, 5),
-                this.binanceService.getTicker(coinMapping.binanceSymbol),
-                this.binanceService.getOrderbook(coinMapping.binanceSymbol, 5),
-                this.exchangeRateService.getUsdKrwRate()
-            ]);
-
-            // 호가창 5틱 평균가 계산 
-            const upbitAskAvg = this.upbitService.calculateAveragePrice(upbitOrderbook, 'ask');
-            const upbitBidAvg = this.upbitService.calculateAveragePrice(upbitOrderbook, 'bid');
-            const binanceAskAvg = this.binanceService.calculateAveragePrice(binanceOrderbook, 'ask');
-            const binanceBidAvg = this.binanceService.calculateAveragePrice(binanceOrderbook, 'bid');
-
-            // 김프 계산 (매도호가 기준 - 기획서: 싼 곳에서 사서 비싼 곳에서 판매)
-            const upbitSellPrice = upbitAskAvg.averagePrice;  // 업비트에서 매도할 가격
-            const binanceBuyPriceKrw = binanceAskAvg.averagePrice * exchangeRate.rate;  // 바이낸스에서 매수할 가격(원화)
-            const premium = ((upbitSellPrice - binanceBuyPriceKrw) / binanceBuyPriceKrw) * 100;
-
-            const result = {
-                symbol: coinMapping.symbol,
-                timestamp: new Date(),
-                responseTime: Date.now() - startTime,
-                
-                // 업비트 데이터
-                upbit: {
-                    ticker: upbitTicker,
-                    askAverage: upbitAskAvg,
-                    bidAverage: upbitBidAvg
-                },
-                
-                // 바이낸스 데이터  
-                binance: {
-                    ticker: binanceTicker,
-                    askAverage: binanceAskAvg,
-                    bidAverage: binanceBidAvg
-                },
-                
-                // 환율 정보
-                exchangeRate: exchangeRate,
-                
-                // 김프 계산 결과
-                premium: {
-                    upbitSellPrice,
-                    binanceBuyPriceKrw,
-                    premiumPercent: premium,
-                    isPositive: premium > 0,
-                    calculation: `((${upbitSellPrice} - ${Math.round(binanceBuyPriceKrw)}) / ${Math.round(binanceBuyPriceKrw)}) * 100 = ${premium.toFixed(4)}%`
+            const routes = this.getCoinRoutes(coinMapping);
+            const settled = await Promise.allSettled(
+                routes.map(route => this.calculateRoutePremium(coinMapping, route))
+            );
+
+            const routeResults = [];
+            settled.forEach((outcome, index) => {
+                if (outcome.status === 'fulfilled') {
+                    routeResults.push(outcome.value);
+                } else {
+                    this.logger.warn(`${coinMapping.symbol} ${routes[index].key} 김프 계산 실패`, {
+                        error: outcome.reason.message
+                    });
                 }
-            };
+            });
+
+            if (routeResults.length === 0) {
+                throw new Error('모든 거래소 쌍의 시세 조회 실패');
+            }
+
+            const result = this.storeCoinResult(routeResults);
 
             // Redis에 최신 데이터 저장 (TTL 5분)
             await this.redis.setex(
@@ -172,7 +328,9 @@ class KimchiMonitoringService {
 
             this.logger.debug(`${coinMapping.symbol} 김프 계산 완료`, {
                 symbol: coinMapping.symbol,
-                premium: premium.toFixed(4),
+                route: result.route.key,
+                premium: result.premium.premiumPercent.toFixed(4),
+                source: result.source,
                 responseTime: result.responseTime
             });
 
@@ -187,14 +345,429 @@ class KimchiMonitoringService {
         }
     }
 
+    // 경로 하나의 김프 계산
+    async calculateRoutePremium(coinMapping, route) {
+        const startTime = Date.now();
+        const marketData = await this.collectMarketData(coinMapping, route);
+        return this.buildPremiumResult(coinMapping, route, marketData, startTime);
+    }
+
+    /**
+     * 경로별 결과 중 최적 경로를 대표 결과로 하고 전체 경로 결과를 routes에 포함
+     */
+    storeCoinResult(routeResults) {
+        const best = KimchiMonitoringService.selectBestRoute(routeResults, this.settings.thresholdBasis);
+        const result = { ...best, routes: routeResults };
+        this.latestResults.set(best.symbol, result);
+        return result;
+    }
+
+    // 경로별 김프 요약 (모니터링 요약/대시보드 비교 표시용)
+    static summarizeRoutes(result) {
+        return (result.routes || [result]).map(routeResult => ({
+            route: routeResult.route.key,
+            domesticExchange: routeResult.route.domesticExchange,
+            overseasExchange: routeResult.route.overseasExchange,
+            premium: routeResult.premium.premiumPercent.toFixed(4),
+            netProfitPercent: routeResult.premium.netProfitPercent?.toFixed(4) ?? null
+        }));
+    }
+
+    /**
+     * 거래소별 현재가 원화 환산 (재분배 계획/자산 평가용)
+     * 국내는 현재가 그대로, 해외는 현재가 × 경로 환율
+     * @returns {Object} { prices: { [exchangeId]: 원화 가격 }, quoteRates: { [exchangeId]: 호가통화 원화 환율 } }
+     */
+    static extractPricesKrw(result) {
+        const prices = {};
+        const quoteRates = {};
+
+        (result.routes || [result]).forEach(routeResult => {
+            const { route, domestic, overseas, exchangeRate } = routeResult;
+            const domesticPrice = parseFloat(domestic?.ticker?.price);
+            const overseasPrice = parseFloat(overseas?.ticker?.price);
+            const rate = parseFloat(exchangeRate?.rate);
+
+            if (domesticPrice > 0) {
+                prices[route.domesticExchangeId] = domesticPrice;
+                quoteRates[route.domesticExchangeId] = 1;
+            }
+            if (overseasPrice > 0 && rate > 0) {
+                prices[route.overseasExchangeId] = overseasPrice * rate;
+                quoteRates[route.overseasExchangeId] = rate;
+            }
+        });
+
+        return { prices, quoteRates };
+    }
+
+    /**
+     * 코인별 거래소 쌍 김프 (최근 계산 결과 기준, 같은 코인의 국내 거래소별 김프 비교용)
+     * @returns {Object} { routes: [{ key, domesticExchange, overseasExchange }], coins: [{ symbol, premiums: { 경로 키: 김프 } }] }
+     */
+    getRoutePremiums() {
+        const coins = this.coinMappings
+            .filter(coinMapping => this.latestResults.has(coinMapping.symbol))
+            .map(coinMapping => {
+                const premiums = {};
+                KimchiMonitoringService.summarizeRoutes(this.latestResults.get(coinMapping.symbol)).forEach(route => {
+                    premiums[route.route] = route.premium;
+                });
+                return { symbol: coinMapping.symbol, premiums };
+            });
+
+        return {
+            routes: this.routes.map(r => ({
+                key: r.key,
+                domesticExchange: r.domestic.name,
+                overseasExchange: r.overseas.name
+            })),
+            coins
+        };
+    }
+
+    // 김프 부호로 거래 방향 판단 (양수: 김프 - 해외 매수 → 국내 매도, 음수: 역프 - 국내 매수 → 해외 매도)
+    static getPremiumDirection(premiumPercent) {
+        return premiumPercent > 0 ? 'forward' : 'reverse';
+    }
+
+    /**
+     * 경로의 거래 우위 (gross 기준은 김프 절댓값, net 기준은 예상 순수익률)
+     * direction을 지정하면 반대 방향 김프는 -Infinity (해당 방향으로 거래할 수 없음)
+     */
+    static getRouteEdge(premium, basis = 'gross', direction = null) {
+        if (direction && (premium.premiumPercent === 0 ||
+            KimchiMonitoringService.getPremiumDirection(premium.premiumPercent) !== direction)) {
+            return -Infinity;
+        }
+        return basis === 'net' && premium.netProfitPercent !== undefined ?
+            premium.netProfitPercent :
+            Math.abs(premium.premiumPercent);
+    }
+
+    /**
+     * 최적 경로 (양수면 해외→국내, 음수면 국내→해외 방향으로 거래)
+     * gross 기준은 김프 절댓값, net 기준은 예상 순수익률이 가장 큰 경로
+     * direction을 지정하면 해당 방향 김프가 가장 큰 경로 (해당 방향 경로가 없으면 null)
+     */
+    static selectBestRoute(routeResults, basis = 'gross', direction = null) {
+        const edge = (routeResult) => KimchiMonitoringService.getRouteEdge(routeResult.premium, basis, direction);
+        const best = routeResults.reduce((best, candidate) => edge(candidate) > edge(best) ? candidate : best);
+
+        return direction && edge(best) === -Infinity ? null : best;
+    }
+
+    /**
+     * 임계값과 비교할 김프 (threshold_basis)
+     * net 기준은 순수익률이 음수면 0으로 처리 (calculateNextIntensity가 절댓값으로 비교하므로)
+     * direction을 지정하면 반대 방향 김프는 0 (방향별 매매강도가 서로 상쇄되지 않도록)
+     */
+    static getSignalPercent(premium, basis = 'gross', direction = null) {
+        if (direction) {
+            return Math.max(KimchiMonitoringService.getRouteEdge(premium, basis, direction), 0);
+        }
+        if (basis === 'net' && premium.netProfitPercent !== undefined) {
+            return Math.max(premium.netProfitPercent, 0);
+        }
+        return premium.premiumPercent;
+    }
+
+    /**
+     * 수수료/출금 수수료/슬리피지 차감 후 예상 순수익률 추가
+     * @param {Object} premium - 김프 계산 결과 (premiumPercent, overseasBuyPriceKrw)
+     * @param {Object} feeModel - 코인 수수료 모델
+     * @param {Object} route - 결과의 route (domesticExchangeId, overseasExchangeId)
+     * @param {number} amountKrw - 거래 금액 (출금 수수료 비율 기준)
+     */
+    static applyNetPremium(premium, feeModel, route, amountKrw) {
+        const costs = FeeModelService.estimateNetPremium(feeModel, {
+            premiumPercent: premium.premiumPercent,
+            domesticExchangeId: route.domesticExchangeId,
+            overseasExchangeId: route.overseasExchangeId,
+            priceKrw: premium.overseasBuyPriceKrw,
+            amountKrw
+        });
+
+        return {
+            ...premium,
+            netProfitPercent: costs.netProfitPercent,
+            costPercent: costs.costPercent,
+            costs
+        };
+    }
+
+    /**
+     * 사용자 거래소 설정에 맞는 경로 결과 (지정하지 않은 쪽은 모든 거래소 허용)
+     * @param {Object} result - calculateCoinPremium 결과 (routes 포함)
+     * @param {Object} preference - { domesticExchangeId, overseasExchangeId, thresholdBasis }
+     * @param {string|null} direction - 'forward' | 'reverse' (null이면 방향 무관)
+     * @returns {Object|null} 조건에 맞는 경로 중 최적 결과
+     */
+    static selectUserRoute(result, preference = {}, direction = null) {
+        const { domesticExchangeId, overseasExchangeId, thresholdBasis } = preference;
+        const candidates = (result.routes || [result]).filter(routeResult =>
+            (!domesticExchangeId || routeResult.route.domesticExchangeId === domesticExchangeId) &&
+            (!overseasExchangeId || routeResult.route.overseasExchangeId === overseasExchangeId)
+        );
+
+        return candidates.length > 0 ? KimchiMonitoringService.selectBestRoute(candidates, thresholdBasis, direction) : null;
+    }
+
+    /**
+     * 거래 규모 기준 김프 (5틱 평균 대신 거래 금액만큼 호가를 소진한 체결 예상가 사용)
+     * 모니터링 김프와 같은 기준(양쪽 매도호가)으로 계산하며, 해외 거래 금액은 경로 환율로 환산
+     * @param {Object} routeResult - buildPremiumResult 결과 (호가창 포함)
+     * @param {number} amountKrw - 거래 금액 (원화)
+     * @returns {Object} premium을 체결 예상가 기준으로 바꾼 결과 (호가창이 없으면 그대로 반환)
+     */
+    static applyTradeSize(routeResult, amountKrw) {
+        const rate = routeResult.exchangeRate.rate;
+        const domesticFill = ExchangeService.calculateExecutablePrice(routeResult.domestic.orderbook, 'ask', { quoteAmount: amountKrw });
+        const overseasFill = ExchangeService.calculateExecutablePrice(routeResult.overseas.orderbook, 'ask', { quoteAmount: amountKrw / rate });
+        if (!domesticFill || !overseasFill) return routeResult;
+
+        const domesticSellPrice = domesticFill.averagePrice;
+        const overseasBuyPriceKrw = overseasFill.averagePrice * rate;
+        const premium = ((domesticSellPrice - overseasBuyPriceKrw) / overseasBuyPriceKrw) * 100;
+
+        return {
+            ...routeResult,
+            execution: {
+                amountKrw,
+                domestic: domesticFill,
+                overseas: overseasFill,
+                insufficientDepth: domesticFill.insufficientDepth || overseasFill.insufficientDepth
+            },
+            premium: {
+                domesticSellPrice,
+                overseasBuyPriceKrw,
+                premiumPercent: premium,
+                isPositive: premium > 0,
+                averagePremiumPercent: routeResult.premium.premiumPercent, // 5틱 평균 기준 김프
+                calculation: `((${Math.round(domesticSellPrice)} - ${Math.round(overseasBuyPriceKrw)}) / ${Math.round(overseasBuyPriceKrw)}) * 100 = ${premium.toFixed(4)}% (${amountKrw}원 체결 기준)`
+            }
+        };
+    }
+
+    // 코인 결과의 모든 경로에 거래 규모 기준 김프 적용 (수수료 모델이 있으면 순수익률도 거래 금액 기준으로 재계산)
+    static applyTradeSizeToRoutes(result, amountKrw, feeModel = null) {
+        const routes = (result.routes || [result]).map(routeResult => {
+            const sized = KimchiMonitoringService.applyTradeSize(routeResult, amountKrw);
+            return feeModel ?
+                { ...sized, premium: KimchiMonitoringService.applyNetPremium(sized.premium, feeModel, sized.route, amountKrw) } :
+                sized;
+        });
+        return { ...result, routes };
+    }
+
+    /**
+     * 김프 계산에 필요한 시세 수집
+     * stream 모드에서는 실시간 호가를 사용하고, 호가가 없거나 오래되었으면 REST로 조회
+     * (실시간 스트림을 지원하지 않는 거래소가 포함된 경로는 항상 REST)
+     */
+    async collectMarketData(coinMapping, route) {
+        const domesticMarket = coinMapping.markets[route.domestic.code];
+        const overseasMarket = coinMapping.markets[route.overseas.code];
+
+        if (this.settings.marketDataMode === 'stream' && this.isStreamRoute(route)) {
+            const domestic = this.marketStreamService.getSnapshot(route.domestic.code, domesticMarket);
+            const overseas = this.marketStreamService.getSnapshot(route.overseas.code, overseasMarket);
+
+            if (domestic && overseas) {
+                // 티커는 체결 시에만 들어오므로 아직 없으면 REST로 보완
+                const [domesticTicker, overseasTicker, exchangeRate] = await Promise.all([
+                    domestic.ticker || route.domestic.service.getTicker(domesticMarket),
+                    overseas.ticker || route.overseas.service.getTicker(overseasMarket),
+                    this.getRouteExchangeRate(route)
+                ]);
+
+                return {
+                    domesticTicker,
+                    domesticOrderbook: domestic.orderbook,
+                    overseasTicker,
+                    overseasOrderbook: overseas.orderbook,
+                    exchangeRate,
+                    source: 'stream'
+                };
+            }
+
+            this.logger.warn(`${coinMapping.symbol} ${route.key} 실시간 호가 없음 또는 지연, REST로 조회`, {
+                domestic: !!domestic,
+                overseas: !!overseas
+            });
+        }
+
+        // 병렬로 데이터 수집
+        const [domesticTicker, domesticOrderbook, overseasTicker, overseasOrderbook, exchangeRate] = await Promise.all([
+            route.domestic.service.getTicker(domesticMarket),
+            route.domestic.service.getOrderbook(domesticMarket, ExchangeService.ORDERBOOK_DEPTH),
+            route.overseas.service.getTicker(overseasMarket),
+            route.overseas.service.getOrderbook(overseasMarket, ExchangeService.ORDERBOOK_DEPTH),
+            this.getRouteExchangeRate(route)
+        ]);
+
+        return { domesticTicker, domesticOrderbook, overseasTicker, overseasOrderbook, exchangeRate, source: 'rest' };
+    }
+
+    isStreamRoute(route) {
+        return this.marketStreamService.supports(route.domestic.code) &&
+            this.marketStreamService.supports(route.overseas.code);
+    }
+
+    // 환율은 분 단위로만 변하므로 1분간 재사용 (기준에 따라 USD/KRW 또는 KRW-USDT)
+    async getCachedExchangeRate(maxAgeMs = 60000, basis = this.settings.premiumBasis) {
+        const cached = this.exchangeRateCache.get(basis);
+        if (cached && Date.now() - cached.at < maxAgeMs) {
+            return cached.rate;
+        }
+
+        const rate = await this.exchangeRateService.getRate(basis);
+        this.exchangeRateCache.set(basis, { rate, at: Date.now() });
+        if (basis === this.settings.premiumBasis) {
+            this.cachedExchangeRate = rate;
+        }
+        return rate;
+    }
+
+    // 경로의 해외 거래소 호가 통화에 맞는 환율 기준 (USDT → premium_basis, USD/USDC → forex)
+    getRouteRateBasis(route) {
+        return ExchangeRateService.basisForQuote(route.overseas.service.quoteCurrency, this.settings.premiumBasis);
+    }
+
+    getRouteExchangeRate(route) {
+        return this.getCachedExchangeRate(60000, this.getRouteRateBasis(route));
+    }
+
+    // 수집한 시세로 경로별 김프 계산 결과 구성
+    buildPremiumResult(coinMapping, route, marketData, startTime) {
+        const { domesticTicker, domesticOrderbook, overseasTicker, overseasOrderbook, exchangeRate, source } = marketData;
+
+        // 호가창 5틱 평균가 계산 
+        const domesticAskAvg = route.domestic.service.calculateAveragePrice(domesticOrderbook, 'ask');
+        const domesticBidAvg = route.domestic.service.calculateAveragePrice(domesticOrderbook, 'bid');
+        const overseasAskAvg = route.overseas.service.calculateAveragePrice(overseasOrderbook, 'ask');
+        const overseasBidAvg = route.overseas.service.calculateAveragePrice(overseasOrderbook, 'bid');
+
+        // 김프 계산 (매도호가 기준 - 기획서: 싼 곳에서 사서 비싼 곳에서 판매)
+        const domesticSellPrice = domesticAskAvg.averagePrice;  // 국내 거래소에서 매도할 가격
+        const overseasBuyPriceKrw = overseasAskAvg.averagePrice * exchangeRate.rate;  // 해외 거래소에서 매수할 가격(원화)
+        const premium = ((domesticSellPrice - overseasBuyPriceKrw) / overseasBuyPriceKrw) * 100;
+        const routeIds = { domesticExchangeId: route.domestic.id, overseasExchangeId: route.overseas.id };
+
+        return {
+            symbol: coinMapping.symbol,
+            timestamp: new Date(),
+            responseTime: Date.now() - startTime,
+            source,
+
+            // 계산 경로 (국내 거래소 - 해외 거래소)
+            route: {
+                key: route.key,
+                domesticExchangeId: route.domestic.id,
+                domesticExchange: route.domestic.name,
+                overseasExchangeId: route.overseas.id,
+                overseasExchange: route.overseas.name
+            },
+            
+            // 국내 거래소 데이터 (KRW)
+            domestic: {
+                market: coinMapping.markets[route.domestic.code],
+                ticker: domesticTicker,
+                orderbook: domesticOrderbook,   // 사용자 거래 규모별 체결가 계산용
+                askAverage: domesticAskAvg,
+                bidAverage: domesticBidAvg
+            },
+            
+            // 해외 거래소 데이터 (USDT 등)
+            overseas: {
+                market: coinMapping.markets[route.overseas.code],
+                ticker: overseasTicker,
+                orderbook: overseasOrderbook,
+                askAverage: overseasAskAvg,
+                bidAverage: overseasBidAvg
+            },
+            
+            // 환율 정보
+            exchangeRate: exchangeRate,
+            
+            // 김프 계산 결과 (순수익률은 기준 거래 금액, 거래소 기본 수수료율 기준)
+            premium: KimchiMonitoringService.applyNetPremium({
+                domesticSellPrice,
+                overseasBuyPriceKrw,
+                premiumPercent: premium,
+                isPositive: premium > 0,
+                calculation: `((${domesticSellPrice} - ${Math.round(overseasBuyPriceKrw)}) / ${Math.round(overseasBuyPriceKrw)}) * 100 = ${premium.toFixed(4)}%`
+            }, this.getFeeModel(coinMapping), routeIds, this.settings.tradeAmountKrw)
+        };
+    }
+
+    /**
+     * 실시간 호가 갱신 시 김프 재계산 (코인별 1초 간격)
+     * 스트림 경로만 다시 계산하고 REST 경로는 최근 결과를 유지한 채 최적 경로를 다시 선택
+     * 최신 김프 캐시만 갱신하며, 매매강도는 검색 주기마다 monitorAllCoins에서 반영
+     */
+    async handleStreamUpdate({ exchange, market }) {
+        const coinMapping = this.coinMappings.find(c =>
+            (c.markets[exchange] || '').toUpperCase() === market.toUpperCase()
+        );
+        if (!coinMapping || !this.cachedExchangeRate || this.rateUnavailable) return;
+
+        const lastUpdatedAt = this.livePremiumUpdatedAt.get(coinMapping.symbol) || 0;
+        if (Date.now() - lastUpdatedAt < this.livePremiumIntervalMs) return;
+
+        try {
+            const updated = [];
+            this.getCoinRoutes(coinMapping).filter(route => this.isStreamRoute(route)).forEach(route => {
+                const domestic = this.marketStreamService.getSnapshot(route.domestic.code, coinMapping.markets[route.domestic.code]);
+                const overseas = this.marketStreamService.getSnapshot(route.overseas.code, coinMapping.markets[route.overseas.code]);
+                const exchangeRate = this.exchangeRateCache.get(this.getRouteRateBasis(route));
+                if (!domestic || !overseas || !exchangeRate) return;
+
+                updated.push(this.buildPremiumResult(coinMapping, route, {
+                    domesticTicker: domestic.ticker,
+                    domesticOrderbook: domestic.orderbook,
+                    overseasTicker: overseas.ticker,
+                    overseasOrderbook: overseas.orderbook,
+                    exchangeRate: exchangeRate.rate,
+                    source: 'stream'
+                }, Date.now()));
+            });
+            if (updated.length === 0) return;
+
+            this.livePremiumUpdatedAt.set(coinMapping.symbol, Date.now());
+
+            const previous = this.latestResults.get(coinMapping.symbol);
+            const routeResults = previous ?
+                previous.routes
+                    .filter(r => !updated.some(u => u.route.key === r.route.key))
+                    .concat(updated) :
+                updated;
+
+            const result = this.storeCoinResult(routeResults);
+            await this.redis.setex(`premium:${coinMapping.symbol}:latest`, 300, JSON.stringify(result));
+        } catch (error) {
+            this.logger.error(`${coinMapping.symbol} 실시간 김프 계산 실패`, { error: error.message });
+        }
+    }
+
+    // 매매강도 계산 (임계값 이상이면 +1, 미만이면 -1, 최저 0) - 백테스트에서도 사용
+    static calculateNextIntensity(currentIntensity, premiumPercent, thresholdPercent) {
+        if (Math.abs(premiumPercent) >= thresholdPercent) {
+            return currentIntensity + 1;
+        }
+        return Math.max(currentIntensity - 1, 0);
+    }
+
     // 매매강도 업데이트 (기획서 로직: 0.5% 이상이면 +1, 미만이면 -1, 최저 0)
-    async updateTradingIntensity(symbol, premiumPercent) {
+    // 김프(forward)/역프(reverse) 방향별로 따로 누적 (current_intensity: 김프, reverse_intensity: 역프)
+    // signals: 방향별 임계값과 비교할 값 (threshold_basis가 net이면 순수익률, 반대 방향이면 0), 저장/표시는 김프
+    async updateTradingIntensity(symbol, premiumPercent, signals) {
         try {
             const connection = await mysql.createConnection(this.dbConfig);
             
             // 전역 매매강도 조회 (user_id IS NULL)
             const [rows] = await connection.execute(
-                `SELECT ti.current_intensity 
+                `SELECT ti.current_intensity, ti.reverse_intensity 
                     FROM trading_intensity ti 
                         JOIN coins c 
                             ON ti.coin_id = c.id 
@@ -203,64 +776,68 @@ class KimchiMonitoringService {
                 [symbol]
             );
 
-            let currentIntensity = rows.length > 0 ? rows[0].current_intensity : 0;
-            let newIntensity = currentIntensity;
+            const currentIntensity = rows.length > 0 ? rows[0].current_intensity : 0;
+            const currentReverseIntensity = rows.length > 0 ? (rows[0].reverse_intensity || 0) : 0;
 
-            // 매매강도 계산 
-            if (Math.abs(premiumPercent) >= this.settings.premiumThresholdPercent) {
-                newIntensity = currentIntensity + 1;
-                this.logger.debug(`${symbol} 매매강도 증가`, { 
-                    premium: premiumPercent.toFixed(4), 
-                    intensity: `${currentIntensity} → ${newIntensity}` 
-                });
-            } else {
-                newIntensity = Math.max(currentIntensity - 1, 0); // 최저 0
-                this.logger.debug(`${symbol} 매매강도 감소`, { 
-                    premium: premiumPercent.toFixed(4), 
-                    intensity: `${currentIntensity} → ${newIntensity}` 
-                });
-            }
+            // 방향별 매매강도 계산 
+            const newIntensity = KimchiMonitoringService.calculateNextIntensity(currentIntensity, signals.forward, this.settings.premiumThresholdPercent);
+            const newReverseIntensity = KimchiMonitoringService.calculateNextIntensity(currentReverseIntensity, signals.reverse, this.settings.reversePremiumThresholdPercent);
+            this.logger.debug(`${symbol} 매매강도 갱신`, { 
+                premium: premiumPercent.toFixed(4), 
+                intensity: `${currentIntensity} → ${newIntensity}`,
+                reverseIntensity: `${currentReverseIntensity} → ${newReverseIntensity}`
+            });
 
             // 매매강도 업데이트
-            if (newIntensity !== currentIntensity) {
+            if (newIntensity !== currentIntensity || newReverseIntensity !== currentReverseIntensity) {
                 await connection.execute(
                     `UPDATE trading_intensity ti 
                         JOIN coins c 
                             ON ti.coin_id = c.id 
                      SET 
                         ti.current_intensity = ?, 
+                        ti.reverse_intensity = ?, 
                         ti.last_premium_rate = ?, 
                         ti.last_updated = NOW() 
                      WHERE c.symbol = ? 
                         AND ti.user_id IS NULL`,
-                    [newIntensity, premiumPercent, symbol]
+                    [newIntensity, newReverseIntensity, premiumPercent, symbol]
                 );
 
                 // Redis에도 저장
                 await this.redis.setex(`intensity:${symbol}`, 300, newIntensity.toString());
+                await this.redis.setex(`intensity:${symbol}:reverse`, 300, newReverseIntensity.toString());
             }
 
             await connection.end();
 
             // 매수 조건 체크 (매매강도가 5가 되었을 때)
-            if (newIntensity >= this.settings.tradingIntensityThreshold) {
-                this.logger.warn(`🚨 ${symbol} 매수 조건 달성!`, {
+            const triggered = [
+                ['forward', newIntensity],
+                ['reverse', newReverseIntensity]
+            ].filter(([, intensity]) => intensity >= this.settings.tradingIntensityThreshold);
+
+            for (const [direction, intensity] of triggered) {
+                this.logger.warn(`🚨 ${symbol} ${direction === 'reverse' ? '역프' : '김프'} 매수 조건 달성!`, {
                     symbol,
-                    intensity: newIntensity,
+                    direction,
+                    intensity,
                     threshold: this.settings.tradingIntensityThreshold,
                     premium: premiumPercent.toFixed(4)
                 });
 
                 // 거래 기회 알림 (향후 실제 거래 로직 연결 지점)
-                await this.notifyTradingOpportunity(symbol, premiumPercent, newIntensity);
+                await this.notifyTradingOpportunity(symbol, premiumPercent, intensity, null, direction);
             }
 
             return {
                 symbol,
                 previousIntensity: currentIntensity,
                 currentIntensity: newIntensity,
+                previousReverseIntensity: currentReverseIntensity,
+                reverseIntensity: newReverseIntensity,
                 premiumPercent,
-                tradingSignal: newIntensity >= this.settings.tradingIntensityThreshold
+                tradingSignal: triggered.length > 0
             };
 
         } catch (error) {
@@ -270,59 +847,57 @@ class KimchiMonitoringService {
     }
 
     // 사용자별 매매강도 업데이트 (새로운 기능 - 기존 로직 재사용)
-    async updateUserTradingIntensity(userId, symbol, premiumPercent, userThreshold) {
+    // signals: { forward: { signalPercent, thresholdPercent }, reverse: { signalPercent, thresholdPercent } }
+    async updateUserTradingIntensity(userId, symbol, premiumPercent, signals) {
         try {
 
             const connection = await mysql.createConnection(this.dbConfig);
             
             // 사용자별 매매강도 조회
             const [rows] = await connection.execute(
-                'SELECT ti.current_intensity FROM trading_intensity ti JOIN coins c ON ti.coin_id = c.id WHERE c.symbol = ? AND ti.user_id = ?',
+                'SELECT ti.current_intensity, ti.reverse_intensity FROM trading_intensity ti JOIN coins c ON ti.coin_id = c.id WHERE c.symbol = ? AND ti.user_id = ?',
                 [symbol, userId]
             );
 
-            let currentIntensity = rows.length > 0 ? rows[0].current_intensity : 0;
-            let newIntensity = currentIntensity;
-
-            
-
-            // 기존과 동일한 매매강도 계산 로직 적용
-            if (Math.abs(premiumPercent) >= userThreshold) {
-                newIntensity = currentIntensity + 1;
-            } else {
-                newIntensity = Math.max(currentIntensity - 1, 0);
-            }
+            const currentIntensity = rows.length > 0 ? rows[0].current_intensity : 0;
+            const currentReverseIntensity = rows.length > 0 ? (rows[0].reverse_intensity || 0) : 0;
 
-            // console.log(`updateUserTradingIntensity`, 
-            //     {
-            //         currentIntensity:currentIntensity,
-            //         newIntensity:newIntensity,
-            //         userThreshold:userThreshold,
-            //         premiumPercent:premiumPercent,
-            //         symbol:symbol,
-            //         userId:userId,
-            //     });
+            // 기존과 동일한 매매강도 계산 로직을 방향별로 적용
+            const newIntensity = KimchiMonitoringService.calculateNextIntensity(currentIntensity, signals.forward.signalPercent, signals.forward.thresholdPercent);
+            const newReverseIntensity = KimchiMonitoringService.calculateNextIntensity(currentReverseIntensity, signals.reverse.signalPercent, signals.reverse.thresholdPercent);
 
             // 사용자별 매매강도 업데이트
-            if (newIntensity !== currentIntensity) {
+            if (newIntensity !== currentIntensity || newReverseIntensity !== currentReverseIntensity) {
                 const [coinRows] = await connection.execute('SELECT id FROM coins WHERE symbol = ?', [symbol]);
                 if (coinRows.length > 0) {
                     await connection.execute(
-                        `INSERT INTO trading_intensity (user_id, coin_id, current_intensity, last_premium_rate, last_updated)
-                         VALUES (?, ?, ?, ?, NOW())
+                        `INSERT INTO trading_intensity (user_id, coin_id, current_intensity, reverse_intensity, last_premium_rate, last_updated)
+                         VALUES (?, ?, ?, ?, ?, NOW())
                          ON DUPLICATE KEY UPDATE 
                          current_intensity = VALUES(current_intensity), 
+                         reverse_intensity = VALUES(reverse_intensity), 
                          last_premium_rate = VALUES(last_premium_rate), 
                          last_updated = VALUES(last_updated)`,
-                        [userId, coinRows[0].id, newIntensity, premiumPercent]
+                        [userId, coinRows[0].id, newIntensity, newReverseIntensity, premiumPercent]
                     );
 
                     await this.redis.setex(`intensity:user:${userId}:${symbol}`, 300, newIntensity.toString());
+                    await this.redis.setex(`intensity:user:${userId}:${symbol}:reverse`, 300, newReverseIntensity.toString());
+                    await RealtimeService.publish(this.redis, 'intensity', {
+                        symbol,
+                        intensity: newIntensity,
+                        reverseIntensity: newReverseIntensity,
+                        premiumThresholdPercent: signals.forward.thresholdPercent,
+                        reversePremiumThresholdPercent: signals.reverse.thresholdPercent,
+                        premiumPercent: premiumPercent.toFixed(4),
+                        signalPercent: signals.forward.signalPercent.toFixed(4),
+                        reverseSignalPercent: signals.reverse.signalPercent.toFixed(4)
+                    }, userId);
                 }
             }
 
             await connection.end();
-            return { userId, symbol, currentIntensity: newIntensity, premiumPercent };
+            return { userId, symbol, currentIntensity: newIntensity, reverseIntensity: newReverseIntensity, premiumPercent };
 
         } catch (error) {
             this.logger.error(`사용자 ${userId} ${symbol} 매매강도 업데이트 실패`, { error: error.message });
@@ -330,10 +905,12 @@ class KimchiMonitoringService {
         }
     }
 
-    // 거래 기회 알림 (향후 실제 거래 로직 연결 지점)
-    async notifyTradingOpportunity(symbol, premiumPercent, intensity) {
+    // 거래 기회 알림 (사용자별 신호는 userId 포함, direction: 'forward' 김프 | 'reverse' 역프)
+    async notifyTradingOpportunity(symbol, premiumPercent, intensity, userId = null, direction = 'forward') {
         const opportunity = {
+            userId,
             symbol,
+            direction,
             premiumPercent: premiumPercent.toFixed(4),
             intensity,
             timestamp: new Date().toISOString(),
@@ -343,10 +920,107 @@ class KimchiMonitoringService {
         // Redis에 거래 기회 저장
         await this.redis.lpush('trading_opportunities', JSON.stringify(opportunity));
         await this.redis.ltrim('trading_opportunities', 0, 99); // 최근 100개만 유지
+        await RealtimeService.publish(this.redis, 'opportunity', opportunity, userId);
 
         this.logger.warn('🚨 거래 기회 발생!', opportunity);
     }
 
+    // 거래 예산 계산: 임계값에서 최소 금액, 임계값의 2배 이상 김프에서 최대 금액
+    // premiumThresholdPercent: 거래 방향의 임계값 (역프는 reversePremiumThresholdPercent)
+    static calculateTradeBudget(premiumPercent, userSettings, premiumThresholdPercent = userSettings.premiumThresholdPercent) {
+        const { minTradeAmountKrw, maxTradeAmountKrw } = userSettings;
+        const excess = (Math.abs(premiumPercent) - premiumThresholdPercent) / premiumThresholdPercent;
+        const ratio = Math.min(Math.max(excess, 0), 1);
+        const budget = minTradeAmountKrw + (maxTradeAmountKrw - minTradeAmountKrw) * ratio;
+
+        return Math.floor(budget / 1000) * 1000; // 천원 단위 절사
+    }
+
+    // 사용자 매수 조건 달성 → 해당 방향 매매강도 초기화 후 거래 실행 요청 (route: 신호가 발생한 거래소 쌍)
+    // 거래 예산은 임계값 기준(signalPercent)과 방향별 임계값으로 계산
+    async dispatchUserTrade(user, symbol, premiumPercent, intensity, userSettings, route, signalPercent = premiumPercent, direction = 'forward') {
+        if (userSettings.emergencyStop) {
+            this.logger.warn(`사용자 ${user.id} 긴급 정지 상태 - ${symbol} 자동 거래 건너뜀`);
+            return;
+        }
+
+        if (this.rateUnavailable) {
+            this.logger.warn(`환율 사용 불가 상태 - 사용자 ${user.id} ${symbol} 자동 거래 건너뜀`);
+            return;
+        }
+
+        const thresholdPercent = direction === 'reverse' ?
+            userSettings.reversePremiumThresholdPercent :
+            userSettings.premiumThresholdPercent;
+        const budgetKrw = KimchiMonitoringService.calculateTradeBudget(signalPercent, userSettings, thresholdPercent);
+        const dryRun = userSettings.dryRunEnabled;
+
+        this.logger.warn(`🚨 사용자 ${user.id} ${symbol} ${direction === 'reverse' ? '역프' : '김프'} 매수 조건 달성 - 자동 거래 실행`, {
+            direction,
+            intensity,
+            threshold: userSettings.tradingIntensityThreshold,
+            premium: premiumPercent.toFixed(4),
+            signal: signalPercent.toFixed(4),
+            thresholdBasis: userSettings.thresholdBasis,
+            route: route.key,
+            budgetKrw,
+            dryRun
+        });
+
+        await this.notifyTradingOpportunity(symbol, premiumPercent, intensity, user.id, direction);
+
+        // 같은 신호로 중복 실행되지 않도록 거래 요청 시점에 해당 방향 매매강도 초기화
+        await this.resetUserTradingIntensity(user.id, symbol, direction);
+
+        if (!this.tradeExecutionService) {
+            this.logger.warn('거래 실행 서비스가 연결되지 않아 자동 거래를 실행할 수 없습니다.');
+            return;
+        }
+
+        // 전송 대기 등으로 오래 걸리므로 모니터링 루프를 막지 않고 백그라운드 실행
+        const tradeRoute = { domesticExchangeId: route.domesticExchangeId, overseasExchangeId: route.overseasExchangeId, direction };
+        this.tradeExecutionService.executeOnce(user.id, symbol, budgetKrw, dryRun, tradeRoute)
+            .then(result => {
+                this.logger.info(`사용자 ${user.id} ${symbol} 자동 거래 결과`, {
+                    success: result.success,
+                    tradeId: result.tradeId,
+                    netProfit: result.netProfit,
+                    error: result.error,
+                    reasons: result.reasons ? result.reasons.map(reason => reason.code) : undefined
+                });
+            })
+            .catch(error => {
+                this.logger.error(`사용자 ${user.id} ${symbol} 자동 거래 실패`, { error: error.message });
+            });
+    }
+
+    // 사용자별 매매강도 초기화 (direction: 'forward'는 current_intensity, 'reverse'는 reverse_intensity)
+    async resetUserTradingIntensity(userId, symbol, direction = 'forward') {
+        const column = direction === 'reverse' ? 'reverse_intensity' : 'current_intensity';
+        try {
+            const connection = await mysql.createConnection(this.dbConfig);
+            await connection.execute(
+                `UPDATE trading_intensity ti
+                    JOIN coins c
+                        ON ti.coin_id = c.id
+                 SET ti.${column} = 0, ti.last_updated = NOW()
+                 WHERE c.symbol = ? AND ti.user_id = ?`,
+                [symbol, userId]
+            );
+            await connection.end();
+
+            await this.redis.setex(`intensity:user:${userId}:${symbol}${direction === 'reverse' ? ':reverse' : ''}`, 300, '0');
+            await RealtimeService.publish(this.redis, 'intensity', {
+                symbol,
+                direction,
+                [direction === 'reverse' ? 'reverseIntensity' : 'intensity']: 0,
+                reset: true
+            }, userId);
+        } catch (error) {
+            this.logger.error(`사용자 ${userId} ${symbol} 매매강도 초기화 실패`, { error: error.message });
+        }
+    }
+
     // 활성 사용자 봇 조회 (새로운 기능)
     async getActiveUserBots() {
         try {
@@ -381,20 +1055,44 @@ class KimchiMonitoringService {
 
             const settings = {
                 premiumThresholdPercent: 1.0,
+                reversePremiumThresholdPercent: 1.0,    // 역프 방향 임계값
+                forwardTradingEnabled: true,    // 김프 방향 (해외 매수 → 국내 매도) 자동 거래
+                reverseTradingEnabled: false,   // 역프 방향 (국내 매수 → 해외 매도) 자동 거래
+                thresholdBasis: 'gross',    // 'gross': 김프, 'net': 수수료 차감 후 예상 순수익률
                 tradingIntensityThreshold: 5,
                 minTradeAmountKrw: 1000000,
-                maxTradeAmountKrw: 10000000
+                maxTradeAmountKrw: 10000000,
+                dryRunEnabled: true,
+                emergencyStop: false,
+                domesticExchangeId: null,   // 거래할 국내 거래소 (null이면 최적 경로)
+                overseasExchangeId: null    // 거래할 해외 거래소 (null이면 최적 경로)
             };
 
             rows.forEach(row => {
                 if (row.key_name === 'premium_threshold_percent') {
                     settings.premiumThresholdPercent = parseFloat(row.value);
+                } else if (row.key_name === 'reverse_premium_threshold_percent') {
+                    settings.reversePremiumThresholdPercent = parseFloat(row.value);
+                } else if (row.key_name === 'forward_trading_enabled') {
+                    settings.forwardTradingEnabled = row.value !== 'false';
+                } else if (row.key_name === 'reverse_trading_enabled') {
+                    settings.reverseTradingEnabled = row.value === 'true';
+                } else if (row.key_name === 'threshold_basis' && ['gross', 'net'].includes(row.value)) {
+                    settings.thresholdBasis = row.value;
                 } else if (row.key_name === 'trading_intensity_threshold') {
                     settings.tradingIntensityThreshold = parseInt(row.value);
                 } else if (row.key_name === 'min_trade_amount_krw') {
                     settings.minTradeAmountKrw = parseInt(row.value);
                 } else if (row.key_name === 'max_trade_amount_krw') {
                     settings.maxTradeAmountKrw = parseInt(row.value);
+                } else if (row.key_name === 'dry_run_enabled') {
+                    settings.dryRunEnabled = row.value !== 'false';
+                } else if (row.key_name === 'emergency_stop') {
+                    settings.emergencyStop = row.value === 'true';
+                } else if (row.key_name === 'domestic_exchange_id') {
+                    settings.domesticExchangeId = parseInt(row.value) || null;
+                } else if (row.key_name === 'overseas_exchange_id') {
+                    settings.overseasExchangeId = parseInt(row.value) || null;
                 }
             });
 
@@ -409,11 +1107,41 @@ class KimchiMonitoringService {
     async monitorAllCoins() {
         try {
             const startTime = Date.now();
+
+            if (this.coinMappings.length === 0) {
+                await this.loadCoinMappings();
+            }
+
             this.logger.info('김프 모니터링 시작', { 
                 coins: this.coinMappings.length,
                 interval: this.settings.searchIntervalSeconds 
             });
 
+            // 환율을 확인할 수 없으면 잘못된 김프로 매매강도가 쌓이지 않도록 이번 주기 중단
+            try {
+                await this.getCachedExchangeRate();
+                if (this.rateUnavailable) {
+                    this.logger.info('환율 복구 - 김프 계산 및 자동 거래 재개');
+                }
+                this.rateUnavailable = false;
+            } catch (error) {
+                this.rateUnavailable = true;
+                this.logger.error('환율 사용 불가 - 김프 계산 및 자동 거래 일시 중지', { error: error.message });
+
+                const summary = {
+                    timestamp: new Date().toISOString(),
+                    totalCoins: this.coinMappings.length,
+                    successful: 0,
+                    failed: this.coinMappings.length,
+                    rateUnavailable: true,
+                    error: error.message,
+                    premiums: []
+                };
+                await this.redis.setex('monitoring:latest', 300, JSON.stringify(summary));
+                await RealtimeService.publish(this.redis, 'monitoring', summary);
+                return summary;
+            }
+
             // 모든 코인 병렬 처리
             const results = await Promise.allSettled(
                 this.coinMappings.map(coin => this.calculateCoinPremium(coin))
@@ -430,14 +1158,24 @@ class KimchiMonitoringService {
                 if (result.status === 'fulfilled' && result.value) {
                     successful.push(result.value);
                     
-                    // 매매강도 업데이트
-                    const premium = result.value.premium.premiumPercent;
-                    await this.updateTradingIntensity(coinMapping.symbol, premium);
+                    // 방향별 매매강도 업데이트 (방향별 최적 경로 기준, 해당 방향 경로가 없으면 감소)
+                    const premium = result.value.premium;
+                    const signals = {};
+                    for (const direction of ['forward', 'reverse']) {
+                        const directionResult = KimchiMonitoringService.selectUserRoute(result.value, { thresholdBasis: this.settings.thresholdBasis }, direction);
+                        signals[direction] = directionResult ?
+                            KimchiMonitoringService.getSignalPercent(directionResult.premium, this.settings.thresholdBasis, direction) :
+                            0;
+                    }
+                    await this.updateTradingIntensity(coinMapping.symbol, premium.premiumPercent, signals);
                 } else {
                     failed.push(coinMapping.symbol);
                 }
             }
 
+            // 거래소별 가격/김프 이력 저장 (차트/백테스트용)
+            await this.priceHistoryService.recordTick(successful, this.coinMappings);
+
             // 사용자별 처리 추가
             const activeUsers = await this.getActiveUserBots();
             if (activeUsers.length > 0) {
@@ -446,13 +1184,71 @@ class KimchiMonitoringService {
                 for (const user of activeUsers) {
                     const userSettings = await this.getUserSettings(user.id);
                     if (userSettings) {
-                        for (const result of successful) {
-                            await this.updateUserTradingIntensity(
+                        // 사용자 수수료 등급 반영한 거래 수수료율 (순수익률 계산용)
+                        const userTradingFees = this.resolveTradingFees(await this.feeModelService.getUserFeeTiers(user.id));
+
+                        for (const coinResult of successful) {
+                            // 사용자 최대 거래 금액 기준 체결 예상가로 김프/순수익률 계산 후
+                            // 사용자가 지정한 거래소 쌍 중 최적 경로 (해당 쌍에 상장되지 않은 코인은 제외)
+                            const coinMapping = this.coinMappings.find(c => c.symbol === coinResult.symbol);
+                            const sizedResult = KimchiMonitoringService.applyTradeSizeToRoutes(
+                                coinResult,
+                                userSettings.maxTradeAmountKrw,
+                                coinMapping ? this.getFeeModel(coinMapping, userTradingFees) : null
+                            );
+                            const result = KimchiMonitoringService.selectUserRoute(sizedResult, userSettings);
+                            if (!result) continue;
+
+                            // 방향별 최적 경로 (김프: 해외 매수 → 국내 매도, 역프: 국내 매수 → 해외 매도)
+                            const directionResults = {
+                                forward: KimchiMonitoringService.selectUserRoute(sizedResult, userSettings, 'forward'),
+                                reverse: KimchiMonitoringService.selectUserRoute(sizedResult, userSettings, 'reverse')
+                            };
+
+                            if (result.execution && result.execution.insufficientDepth) {
+                                this.logger.info(`사용자 ${user.id} ${result.symbol} 호가 잔량 부족 - 조회된 호가 기준 김프 사용`, {
+                                    route: result.route.key,
+                                    amountKrw: result.execution.amountKrw,
+                                    domesticFilledKrw: Math.round(result.execution.domestic.totalAmount),
+                                    overseasFilled: result.execution.overseas.totalAmount
+                                });
+                            }
+
+                            const signalOf = (direction) => directionResults[direction] ?
+                                KimchiMonitoringService.getSignalPercent(directionResults[direction].premium, userSettings.thresholdBasis, direction) :
+                                0;
+                            const intensity = await this.updateUserTradingIntensity(
                                 user.id, 
                                 result.symbol, 
                                 result.premium.premiumPercent, 
-                                userSettings.premiumThresholdPercent
+                                {
+                                    forward: { signalPercent: signalOf('forward'), thresholdPercent: userSettings.premiumThresholdPercent },
+                                    reverse: { signalPercent: signalOf('reverse'), thresholdPercent: userSettings.reversePremiumThresholdPercent }
+                                }
                             );
+                            if (!intensity) continue;
+
+                            // 사용자 매수 조건 달성 시 자동 거래 (자동 거래를 켠 방향만, 한 주기에 한 방향)
+                            const triggered = [
+                                { direction: 'forward', enabled: userSettings.forwardTradingEnabled, intensity: intensity.currentIntensity },
+                                { direction: 'reverse', enabled: userSettings.reverseTradingEnabled, intensity: intensity.reverseIntensity }
+                            ].find(({ direction, enabled, intensity: value }) =>
+                                enabled && directionResults[direction] && value >= userSettings.tradingIntensityThreshold
+                            );
+
+                            if (triggered) {
+                                const directionResult = directionResults[triggered.direction];
+                                await this.dispatchUserTrade(
+                                    user,
+                                    directionResult.symbol,
+                                    directionResult.premium.premiumPercent,
+                                    triggered.intensity,
+                                    userSettings,
+                                    directionResult.route,
+                                    signalOf(triggered.direction),
+                                    triggered.direction
+                                );
+                            }
                         }
                     }
                 }
@@ -468,15 +1264,28 @@ class KimchiMonitoringService {
                 failed: failed.length,
                 totalTime,
                 averageTime: successful.length > 0 ? totalTime / successful.length : 0,
+                thresholdBasis: this.settings.thresholdBasis,
+                exchangeRate: this.cachedExchangeRate ? {
+                    basis: this.cachedExchangeRate.basis,
+                    rate: this.cachedExchangeRate.rate,
+                    stale: this.cachedExchangeRate.stale
+                } : null,
                 premiums: successful.map(r => ({
                     symbol: r.symbol,
                     premium: r.premium.premiumPercent.toFixed(4),
-                    isPositive: r.premium.isPositive
+                    netProfitPercent: r.premium.netProfitPercent?.toFixed(4) ?? null,
+                    costPercent: r.premium.costPercent?.toFixed(4) ?? null,
+                    isPositive: r.premium.isPositive,
+                    route: r.route.key,
+                    domesticExchange: r.route.domesticExchange,
+                    overseasExchange: r.route.overseasExchange,
+                    routes: KimchiMonitoringService.summarizeRoutes(r)
                 }))
             };
 
             // Redis에 모니터링 결과 저장
             await this.redis.setex('monitoring:latest', 300, JSON.stringify(summary));
+            await RealtimeService.publish(this.redis, 'monitoring', summary);
 
             this.logger.info('김프 모니터링 완료', summary);
 
@@ -488,6 +1297,73 @@ class KimchiMonitoringService {
         }
     }
 
+    /**
+     * 김프 이력 조회 (차트용)
+     * 매매강도는 저장된 김프에 같은 계산을 재적용하여 산출하므로 사용자별 임계값 기준으로 표시 가능
+     * @param {string} symbol - 코인 심볼
+     * @param {Object} options - { from, to, interval, premiumThresholdPercent, userId (거래 표시 대상, null이면 전체),
+     *                              domesticExchangeId, overseasExchangeId (거래소 쌍, 없으면 현재 최적 경로) }
+     */
+    async getPremiumHistory(symbol, options = {}) {
+        const to = options.to ? new Date(options.to) : new Date();
+        const from = options.from ? new Date(options.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+            throw new Error('조회 기간이 올바르지 않습니다');
+        }
+
+        const connection = await mysql.createConnection(this.dbConfig);
+        const [coinRows] = await connection.execute(
+            'SELECT id, symbol FROM coins WHERE symbol = ?',
+            [symbol.toUpperCase()]
+        );
+        await connection.end();
+
+        if (coinRows.length === 0) {
+            return null;
+        }
+
+        const coin = coinRows[0];
+        const threshold = options.premiumThresholdPercent || this.settings.premiumThresholdPercent;
+
+        // 거래소 쌍 지정이 없으면 현재 최적 경로 (경로가 섞이지 않도록 한 쌍만 조회)
+        const latest = this.latestResults.get(coin.symbol);
+        const routeResult = latest ? KimchiMonitoringService.selectUserRoute(latest, options) : null;
+        const route = routeResult ? routeResult.route : {
+            domesticExchangeId: options.domesticExchangeId || null,
+            domesticExchange: this.routes.find(r => r.domestic.id === options.domesticExchangeId)?.domestic.name || null,
+            overseasExchangeId: options.overseasExchangeId || null,
+            overseasExchange: this.routes.find(r => r.overseas.id === options.overseasExchangeId)?.overseas.name || null
+        };
+
+        const [series, trades] = await Promise.all([
+            this.priceHistoryService.getPremiumSeries(coin.id, from, to, options.interval, route),
+            options.includeTrades === false ?
+                Promise.resolve([]) :
+                this.priceHistoryService.getTradeMarkers(coin.id, from, to, options.userId ?? null)
+        ]);
+
+        let intensity = 0;
+        const points = series.points.map(point => {
+            intensity = KimchiMonitoringService.calculateNextIntensity(intensity, point.premium, threshold);
+            return { ...point, intensity };
+        });
+
+        return {
+            symbol: coin.symbol,
+            interval: series.interval,
+            route,
+            from,
+            to,
+            threshold: {
+                premiumPercent: threshold,
+                intensity: options.tradingIntensityThreshold || this.settings.tradingIntensityThreshold
+            },
+            points,
+            trades
+        };
+    }
+
     // 모니터링 시작
     async startMonitoring() {
         if (this.isRunning) {
@@ -496,17 +1372,24 @@ class KimchiMonitoringService {
         }
 
         try {
-            // 설정 로드
+            // 설정 및 코인 목록 로드
             await this.loadSettings();
+            await this.loadCoinMappings();
             
             this.isRunning = true;
             this.logger.info('김프 모니터링 시작', { 
                 interval: this.settings.searchIntervalSeconds,
-                coins: this.coinMappings.length
+                coins: this.coinMappings.length,
+                marketDataMode: this.settings.marketDataMode
             });
 
+            if (this.settings.marketDataMode === 'stream') {
+                this.marketStreamService.start(this.coinMappings);
+            }
+
             // 즉시 한 번 실행
             await this.monitorAllCoins();
+            this.priceHistoryService.startMaintenance();
 
             // 주기적 실행 설정 (기획서: 검색주기마다)
             this.monitoringInterval = setInterval(async () => {
@@ -519,6 +1402,7 @@ class KimchiMonitoringService {
         } catch (error) {
             this.logger.error('모니터링 시작 실패', { error: error.message });
             this.isRunning = false;
+            this.marketStreamService.stop();
             return false;
         }
     }
@@ -535,6 +1419,8 @@ class KimchiMonitoringService {
             clearInterval(this.monitoringInterval);
             this.monitoringInterval = null;
         }
+        this.priceHistoryService.stopMaintenance();
+        this.marketStreamService.stop();
 
         this.logger.info('김프 모니터링 중지');
         return true;
@@ -549,7 +1435,23 @@ class KimchiMonitoringService {
             settings: this.settings,
             coinCount: this.coinMappings.length,
             coins: this.coinMappings.map(c => c.symbol),
+            coinMappings: this.coinMappings,
+            routes: this.routes.map(r => ({
+                key: r.key,
+                domesticExchange: r.domestic.name,
+                overseasExchange: r.overseas.name
+            })),
+            coinsLoadedAt: this.coinMappingsLoadedAt ? this.coinMappingsLoadedAt.toISOString() : null,
             activeUsers: activeUsers.length,
+            marketData: {
+                mode: this.settings.marketDataMode,
+                stream: this.marketStreamService.getStatus()
+            },
+            exchangeRate: {
+                basis: this.settings.premiumBasis,
+                unavailable: this.rateUnavailable,
+                ...this.exchangeRateService.getStatus()
+            },
             nextExecution: this.isRunning ? 
                 new Date(Date.now() + this.settings.searchIntervalSeconds * 1000).toISOString() : 
                 null
@@ -569,10 +1471,18 @@ class KimchiMonitoringService {
                 }
             }
 
+            if (this.coinMappings.length === 0) {
+                return {
+                    summary: latestSummary ? JSON.parse(latestSummary) : null,
+                    coinResults: results,
+                    tradingIntensities: []
+                };
+            }
+
             // 매매강도 정보도 포함
             const connection = await mysql.createConnection(this.dbConfig);
             const [intensityRows] = await connection.execute(
-                `SELECT c.symbol, ti.current_intensity, ti.last_premium_rate, ti.last_updated 
+                `SELECT c.symbol, ti.current_intensity, ti.reverse_intensity, ti.last_premium_rate, ti.last_updated 
                  FROM trading_intensity ti 
                  JOIN coins c ON ti.coin_id = c.id 
                  WHERE c.symbol IN (${this.coinMappings.map(() => '?').join(',')}) AND ti.user_id IS NULL`,
@@ -583,6 +1493,7 @@ class KimchiMonitoringService {
             const processedIntensities = intensityRows.map(row => ({
                 ...row,
                 current_intensity: parseInt(row.current_intensity) || 0,
+                reverse_intensity: parseInt(row.reverse_intensity) || 0,
                 last_premium_rate: parseFloat(row.last_premium_rate) || 0
             }));
 
@@ -600,9 +1511,13 @@ class KimchiMonitoringService {
     // 사용자별 결과 조회
     async getUserLatestResults(userId) {
         try {
+            if (this.coinMappings.length === 0) {
+                return { userId, tradingIntensities: [] };
+            }
+
             const connection = await mysql.createConnection(this.dbConfig);
             const [intensityRows] = await connection.execute(
-                `SELECT c.symbol, ti.current_intensity, ti.last_premium_rate, ti.last_updated 
+                `SELECT c.symbol, ti.current_intensity, ti.reverse_intensity, ti.last_premium_rate, ti.last_updated 
                  FROM trading_intensity ti 
                  JOIN coins c ON ti.coin_id = c.id 
                  WHERE c.symbol IN (${this.coinMappings.map(() => '?').join(',')}) AND ti.user_id = ?`,
@@ -615,6 +1530,7 @@ class KimchiMonitoringService {
                 tradingIntensities: intensityRows.map(row => ({
                     ...row,
                     current_intensity: parseInt(row.current_intensity) || 0,
+                    reverse_intensity: parseInt(row.reverse_intensity) || 0,
                     last_premium_rate: parseFloat(row.last_premium_rate) || 0
                 }))
             };
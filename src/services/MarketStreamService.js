@@ -0,0 +1,263 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const winston = require('winston');
+
+/**
+ * 실시간 시세 스트림 관리 (market_data_mode = 'stream')
+ *
+ * - 업비트 orderbook/ticker, 바이낸스 depth20/ticker 스트림으로 거래소별 최신 호가 유지
+ * - 연결 끊김 시 지수 백오프로 재연결 후 재구독, ping/pong으로 응답 없는 연결 정리
+ * - 일정 시간 갱신이 없는 호가는 stale로 판단 (KimchiMonitoringService가 REST로 대체)
+ *
+ * 호가가 갱신될 때마다 'update' 이벤트 발생: { exchange, market }
+ */
+class MarketStreamService extends EventEmitter {
+    constructor(upbitService, binanceService) {
+        super();
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [MarketStream] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console(),
+                new winston.transports.File({
+                    filename: '../logs/kimchi-monitor.log',
+                    level: 'info'
+                })
+            ]
+        });
+
+        this.services = {
+            upbit: upbitService,
+            binance: binanceService
+        };
+
+        this.staleAfterMs = 10000;          // 이 시간 동안 호가 갱신이 없으면 stale
+        this.heartbeatIntervalMs = 20000;   // ping 주기 (업비트는 120초 무응답 시 연결 종료)
+        this.maxReconnectDelayMs = 30000;
+
+        this.isRunning = false;
+        this.markets = { upbit: [], binance: [] };
+        this.connections = {
+            upbit: { ws: null, isAlive: false, reconnectDelay: 1000, reconnectTimer: null, connectedAt: null, reconnects: 0 },
+            binance: { ws: null, isAlive: false, reconnectDelay: 1000, reconnectTimer: null, connectedAt: null, reconnects: 0 }
+        };
+        this.books = new Map(); // `${exchange}:${market}` → { orderbook, ticker, orderbookAt, tickerAt }
+        this.heartbeatInterval = null;
+    }
+
+    /**
+     * 스트림 시작
+     * @param {Array} coinMappings - 모니터링 코인 목록 ({ markets: { upbit, binance, ... } })
+     */
+    start(coinMappings) {
+        if (this.isRunning) {
+            this.updateMarkets(coinMappings);
+            return;
+        }
+
+        this.isRunning = true;
+        this.setMarkets(coinMappings);
+        this.connect('upbit');
+        this.connect('binance');
+
+        this.heartbeatInterval = setInterval(() => this.heartbeat(), this.heartbeatIntervalMs);
+        this.logger.info('실시간 시세 스트림 시작', this.markets);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = null;
+
+        Object.keys(this.connections).forEach(exchange => {
+            const connection = this.connections[exchange];
+            clearTimeout(connection.reconnectTimer);
+            connection.reconnectTimer = null;
+            if (connection.ws) {
+                connection.ws.removeAllListeners('close');
+                connection.ws.terminate();
+                connection.ws = null;
+            }
+        });
+
+        this.books.clear();
+        this.logger.info('실시간 시세 스트림 중지');
+    }
+
+    // 스트림을 지원하는 거래소 마켓만 구독 (매핑이 없는 코인 제외)
+    setMarkets(coinMappings) {
+        this.markets = {
+            upbit: coinMappings.map(c => c.markets.upbit).filter(Boolean),
+            binance: coinMappings.map(c => c.markets.binance).filter(Boolean).map(symbol => symbol.toUpperCase())
+        };
+    }
+
+    // 실시간 스트림 지원 거래소 여부 (거래소 코드)
+    supports(exchange) {
+        return Object.prototype.hasOwnProperty.call(this.connections, exchange);
+    }
+
+    /**
+     * 코인 목록 변경 시 재구독 (변경된 거래소만 재연결)
+     */
+    updateMarkets(coinMappings) {
+        const previous = this.markets;
+        this.setMarkets(coinMappings);
+
+        Object.keys(this.markets).forEach(exchange => {
+            const changed = previous[exchange].slice().sort().join(',') !== this.markets[exchange].slice().sort().join(',');
+            if (changed && this.isRunning) {
+                this.logger.info('구독 코인 변경, 재구독', { exchange, markets: this.markets[exchange] });
+                this.reconnect(exchange);
+            }
+        });
+    }
+
+    connect(exchange) {
+        const connection = this.connections[exchange];
+        const markets = this.markets[exchange];
+
+        if (!this.isRunning || markets.length === 0) return;
+
+        const onTicker = (ticker) => this.handleTicker(exchange, ticker);
+        const onOrderbook = (orderbook) => this.handleOrderbook(exchange, orderbook);
+
+        let ws;
+        try {
+            ws = this.services[exchange].subscribeRealtime(markets, onTicker, onOrderbook);
+        } catch (error) {
+            this.logger.error(`${exchange} 스트림 연결 실패`, { error: error.message });
+            this.scheduleReconnect(exchange);
+            return;
+        }
+
+        connection.ws = ws;
+        connection.isAlive = true;
+
+        ws.on('open', () => {
+            connection.reconnectDelay = 1000;
+            connection.connectedAt = new Date();
+        });
+        ws.on('pong', () => { connection.isAlive = true; });
+        // 오류 로그는 createWebSocket에서 기록, 오류 후에는 close 이벤트로 재연결
+        ws.on('close', () => {
+            if (connection.ws === ws) {
+                connection.ws = null;
+                connection.connectedAt = null;
+                this.scheduleReconnect(exchange);
+            }
+        });
+    }
+
+    reconnect(exchange) {
+        const connection = this.connections[exchange];
+        if (connection.ws) {
+            const ws = connection.ws;
+            connection.ws = null;
+            ws.removeAllListeners('close');
+            ws.terminate();
+        }
+        clearTimeout(connection.reconnectTimer);
+        connection.reconnectTimer = null;
+        this.connect(exchange);
+    }
+
+    scheduleReconnect(exchange) {
+        const connection = this.connections[exchange];
+        if (!this.isRunning || connection.reconnectTimer) return;
+
+        const delay = connection.reconnectDelay;
+        connection.reconnectDelay = Math.min(delay * 2, this.maxReconnectDelayMs);
+        connection.reconnects++;
+
+        this.logger.warn(`${exchange} 스트림 재연결 예약`, { delayMs: delay });
+        connection.reconnectTimer = setTimeout(() => {
+            connection.reconnectTimer = null;
+            this.connect(exchange);
+        }, delay);
+    }
+
+    // 응답 없는 연결 종료 (close 이벤트로 재연결)
+    heartbeat() {
+        Object.keys(this.connections).forEach(exchange => {
+            const connection = this.connections[exchange];
+            const ws = connection.ws;
+            if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+            if (!connection.isAlive) {
+                this.logger.warn(`${exchange} 스트림 응답 없음, 재연결`);
+                ws.terminate();
+                return;
+            }
+
+            connection.isAlive = false;
+            ws.ping();
+        });
+    }
+
+    handleTicker(exchange, ticker) {
+        const book = this.getBook(exchange, ticker.symbol);
+        book.ticker = ticker;
+        book.tickerAt = Date.now();
+    }
+
+    handleOrderbook(exchange, orderbook) {
+        const book = this.getBook(exchange, orderbook.symbol);
+        book.orderbook = orderbook;
+        book.orderbookAt = Date.now();
+        this.connections[exchange].isAlive = true;
+
+        this.emit('update', { exchange, market: orderbook.symbol });
+    }
+
+    getBook(exchange, market) {
+        const key = `${exchange}:${market.toUpperCase()}`;
+        if (!this.books.has(key)) {
+            this.books.set(key, { orderbook: null, ticker: null, orderbookAt: 0, tickerAt: 0 });
+        }
+        return this.books.get(key);
+    }
+
+    /**
+     * 최신 호가 스냅샷 조회
+     * @returns {Object|null} { orderbook, ticker, ageMs } - 호가가 없거나 stale이면 null
+     *   ticker는 체결이 있을 때만 갱신되므로 오래되었을 수 있음 (없으면 null)
+     */
+    getSnapshot(exchange, market) {
+        const book = this.books.get(`${exchange}:${market.toUpperCase()}`);
+        if (!book || !book.orderbook) return null;
+
+        const ageMs = Date.now() - book.orderbookAt;
+        if (ageMs > this.staleAfterMs) return null;
+
+        return { orderbook: book.orderbook, ticker: book.ticker, ageMs };
+    }
+
+    getStatus() {
+        const status = { isRunning: this.isRunning, staleAfterMs: this.staleAfterMs, exchanges: {} };
+
+        Object.keys(this.connections).forEach(exchange => {
+            const connection = this.connections[exchange];
+            const markets = this.markets[exchange];
+            status.exchanges[exchange] = {
+                connected: !!connection.ws && connection.ws.readyState === WebSocket.OPEN,
+                connectedAt: connection.connectedAt ? connection.connectedAt.toISOString() : null,
+                reconnects: connection.reconnects,
+                markets: markets.length,
+                freshMarkets: markets.filter(market => this.getSnapshot(exchange, market)).length
+            };
+        });
+
+        return status;
+    }
+}
+
+module.exports = MarketStreamService;
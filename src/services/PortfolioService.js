@@ -0,0 +1,365 @@
+const db = require('../config/database');
+const winston = require('winston');
+
+const UserBotService = require('./UserBotService');
+const ExchangeRateService = require('./ExchangeRateService');
+const KimchiMonitoringService = require('./KimchiMonitoringService');
+
+// 대시보드 조회 시 스냅샷 최소 간격 (주기 스냅샷과 별개로 너무 자주 쌓이지 않도록)
+const SNAPSHOT_MIN_INTERVAL_MS = 10 * 60 * 1000;
+// 주기 스냅샷 간격
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+// 모니터링 시세가 없는 스테이블코인은 호가통화 환율로 평가
+const STABLECOIN_QUOTES = { USDT: 'USDT', USDC: 'USD' };
+// 일별 손익 기본 조회 기간
+const DEFAULT_DAILY_DAYS = 14;
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+let snapshotInterval = null;
+
+/**
+ * 연결된 모든 거래소의 자산을 원화로 평가
+ *
+ * - 코인: 모니터링 최근 결과의 거래소별 원화 환산가 (그 거래소 시세가 없으면 다른 거래소 시세 평균)
+ * - 현금(KRW/USDT/USD): 호가통화 환율 (모니터링 결과 → 없으면 환율 서비스)
+ * - 총 자산은 portfolio_snapshots에 저장해 일별 손익 계산 (입출금도 손익에 포함됨)
+ */
+class PortfolioService {
+    /**
+     * @param {number} userId - 사용자 ID
+     * @param {TradeExecutionService} tradeExecutionService - Redis(모니터링 최근 결과), 환율 서비스 재사용
+     */
+    constructor(userId, tradeExecutionService) {
+        this.userId = userId;
+        this.tradeExecutionService = tradeExecutionService;
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [Portfolio] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console(),
+                new winston.transports.File({
+                    filename: '../logs/trade-execution.log',
+                    level: 'info'
+                })
+            ]
+        });
+    }
+
+    /**
+     * 잔고를 원화로 평가 (순수 계산)
+     * @param {Array} balances - getExchangeBalances 결과 항목 (domestic + overseas)
+     * @param {Object} market - { prices: { 심볼: { 거래소 ID: 원화 } }, quoteRates: { 거래소 ID: 환율 }, currencyRates: { 통화: 환율 } }
+     * @returns {Object} { totalKrw, fiatKrw, coinKrw, exchanges, allocation, unpriced }
+     */
+    static valueBalances(balances, market) {
+        const { prices = {}, quoteRates = {}, currencyRates = {} } = market;
+        const allocation = new Map();
+        const unpriced = new Set();
+
+        const rateFor = (exchangeId, currency) => {
+            if (currency === 'KRW') return 1;
+            return currencyRates[currency] || quoteRates[exchangeId] || null;
+        };
+
+        const priceFor = (symbol, exchangeId) => {
+            const byExchange = prices[symbol] || {};
+            if (byExchange[exchangeId]) return byExchange[exchangeId];
+
+            const others = Object.values(byExchange).filter(price => price > 0);
+            if (others.length > 0) {
+                return others.reduce((sum, price) => sum + price, 0) / others.length;
+            }
+            return STABLECOIN_QUOTES[symbol] ? rateFor(exchangeId, STABLECOIN_QUOTES[symbol]) : null;
+        };
+
+        const addAllocation = (asset, quantity, valueKrw) => {
+            const item = allocation.get(asset) || { asset, quantity: 0, valueKrw: 0 };
+            item.quantity += quantity;
+            item.valueKrw += valueKrw;
+            allocation.set(asset, item);
+        };
+
+        const exchanges = balances.filter(b => b.balance).map(b => {
+            const fiatCurrency = b.balance.fiatCurrency;
+            const fiatQuantity = (parseFloat(b.balance.fiatBalance) || 0) + (parseFloat(b.balance.fiatLocked) || 0);
+            const fiatRate = rateFor(b.exchangeId, fiatCurrency);
+            const fiatKrw = fiatRate ? fiatQuantity * fiatRate : 0;
+            if (fiatQuantity > 0) {
+                if (fiatRate) addAllocation(fiatCurrency, fiatQuantity, fiatKrw);
+                else unpriced.add(fiatCurrency);
+            }
+
+            let coinKrw = 0;
+            const coins = [];
+            (b.balance.coinBalances || []).forEach(c => {
+                const symbol = c.currency.toUpperCase();
+                const quantity = c.total !== undefined ?
+                    parseFloat(c.total) || 0 :
+                    (parseFloat(c.balance) || 0) + (parseFloat(c.locked) || 0);
+                if (quantity <= 0) return;
+
+                const price = priceFor(symbol, b.exchangeId);
+                if (!price) {
+                    unpriced.add(symbol);
+                    return;
+                }
+
+                const valueKrw = quantity * price;
+                coinKrw += valueKrw;
+                coins.push({ symbol, quantity, priceKrw: price, valueKrw });
+                addAllocation(symbol, quantity, valueKrw);
+            });
+
+            return {
+                exchangeId: b.exchangeId,
+                exchangeName: b.exchangeName,
+                fiatCurrency,
+                fiatQuantity,
+                fiatKrw,
+                coinKrw,
+                totalKrw: fiatKrw + coinKrw,
+                coins: coins.sort((a, b) => b.valueKrw - a.valueKrw)
+            };
+        });
+
+        const fiatKrw = exchanges.reduce((sum, e) => sum + e.fiatKrw, 0);
+        const coinKrw = exchanges.reduce((sum, e) => sum + e.coinKrw, 0);
+        const totalKrw = fiatKrw + coinKrw;
+
+        exchanges.forEach(e => {
+            e.percent = totalKrw > 0 ? (e.totalKrw / totalKrw) * 100 : 0;
+        });
+
+        return {
+            totalKrw,
+            fiatKrw,
+            coinKrw,
+            exchanges: exchanges.sort((a, b) => b.totalKrw - a.totalKrw),
+            allocation: [...allocation.values()]
+                .map(item => ({ ...item, percent: totalKrw > 0 ? (item.valueKrw / totalKrw) * 100 : 0 }))
+                .sort((a, b) => b.valueKrw - a.valueKrw),
+            unpriced: [...unpriced]
+        };
+    }
+
+    /**
+     * 일별 손익 (KST 기준 각 날짜의 마지막 스냅샷을 종가로 보고 전일 종가와 비교)
+     * @param {Array} snapshots - [{ total_krw, created_at }] 오래된 순
+     * @param {number|null} currentTotalKrw - 현재 평가액 (오늘 종가로 사용)
+     * @returns {Array} [{ date, totalKrw, pnlKrw, pnlPercent }] 최근 날짜 순
+     */
+    static computeDailyPnl(snapshots, currentTotalKrw = null, now = new Date()) {
+        const kstDate = time => new Date(new Date(time).getTime() + KST_OFFSET_MS).toISOString().slice(0, 10);
+
+        const closes = new Map();
+        snapshots.forEach(snapshot => {
+            closes.set(kstDate(snapshot.created_at), parseFloat(snapshot.total_krw));
+        });
+        if (currentTotalKrw !== null) {
+            closes.set(kstDate(now), currentTotalKrw);
+        }
+
+        const days = [...closes.entries()].sort(([a], [b]) => a.localeCompare(b));
+        return days.map(([date, totalKrw], index) => {
+            const previous = index > 0 ? days[index - 1][1] : null;
+            const pnlKrw = previous !== null ? totalKrw - previous : null;
+            return {
+                date,
+                totalKrw,
+                pnlKrw,
+                pnlPercent: previous > 0 ? (pnlKrw / previous) * 100 : null
+            };
+        }).reverse();
+    }
+
+    /**
+     * 모니터링 최근 결과에서 코인별 거래소 원화 시세와 호가통화 환율 수집, 빠진 통화는 환율 서비스로 보충
+     */
+    async loadMarketPrices(balances) {
+        const prices = {};
+        const quoteRates = {};
+        const symbols = new Set();
+        balances.filter(b => b.balance).forEach(b => {
+            (b.balance.coinBalances || []).forEach(c => symbols.add(c.currency.toUpperCase()));
+        });
+
+        for (const symbol of symbols) {
+            const latest = await this.tradeExecutionService.redis.get(`premium:${symbol}:latest`);
+            if (!latest) continue;
+
+            const extracted = KimchiMonitoringService.extractPricesKrw(JSON.parse(latest));
+            prices[symbol] = extracted.prices;
+            Object.entries(extracted.quoteRates).forEach(([exchangeId, rate]) => {
+                if (!quoteRates[exchangeId]) quoteRates[exchangeId] = rate;
+            });
+        }
+
+        // 현금/스테이블코인 통화별 환율 (USDT는 김프 기준 설정을 따름)
+        const currencies = new Set();
+        balances.filter(b => b.balance).forEach(b => {
+            if (b.balance.fiatCurrency !== 'KRW' && !quoteRates[b.exchangeId]) currencies.add(b.balance.fiatCurrency);
+        });
+        symbols.forEach(symbol => {
+            if (STABLECOIN_QUOTES[symbol] && !prices[symbol]) currencies.add(STABLECOIN_QUOTES[symbol]);
+        });
+
+        const currencyRates = {};
+        if (currencies.size > 0) {
+            const premiumBasis = await this.tradeExecutionService.getPremiumBasis();
+            for (const currency of currencies) {
+                try {
+                    const basis = ExchangeRateService.basisForQuote(currency, premiumBasis);
+                    currencyRates[currency] = (await this.tradeExecutionService.exchangeRateService.getRate(basis)).rate;
+                } catch (error) {
+                    this.logger.warn('환율 조회 실패', { currency, error: error.message });
+                }
+            }
+        }
+
+        return { prices, quoteRates, currencyRates };
+    }
+
+    /**
+     * 현재 포트폴리오 평가
+     * @param {Object} exchangeBalances - 이미 조회한 getExchangeBalances 결과 (없으면 조회)
+     */
+    async getPortfolio(exchangeBalances = null) {
+        const balances = exchangeBalances || await new UserBotService(this.userId).getExchangeBalances();
+        const entries = [...balances.domestic, ...balances.overseas];
+
+        const market = await this.loadMarketPrices(entries);
+        return {
+            ...PortfolioService.valueBalances(entries, market),
+            failedExchanges: entries.filter(b => !b.balance).map(b => b.exchangeName),
+            valuedAt: new Date()
+        };
+    }
+
+    /**
+     * 스냅샷 저장 (잔고 조회에 실패한 거래소가 있으면 총액이 틀어지므로 저장하지 않음)
+     * @param {boolean} force - 최소 간격 무시 (주기 스냅샷)
+     */
+    async saveSnapshot(portfolio, force = false) {
+        if (portfolio.failedExchanges.length > 0 || portfolio.exchanges.length === 0) {
+            return false;
+        }
+
+        const connection = await db.getConnection();
+        try {
+            if (!force) {
+                const [recent] = await connection.execute(`
+                    SELECT id FROM portfolio_snapshots
+                    WHERE user_id = ? AND created_at > ?
+                    LIMIT 1
+                `, [this.userId, new Date(Date.now() - SNAPSHOT_MIN_INTERVAL_MS)]);
+                if (recent.length > 0) {
+                    return false;
+                }
+            }
+
+            await connection.execute(`
+                INSERT INTO portfolio_snapshots (
+                    user_id, total_krw, fiat_krw, coin_krw, exchanges, allocation
+                ) VALUES (?, ?, ?, ?, ?, ?)
+            `, [
+                this.userId,
+                portfolio.totalKrw,
+                portfolio.fiatKrw,
+                portfolio.coinKrw,
+                JSON.stringify(portfolio.exchanges.map(({ coins, ...exchange }) => exchange)),
+                JSON.stringify(portfolio.allocation)
+            ]);
+            return true;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async getSnapshots(days = DEFAULT_DAILY_DAYS) {
+        const connection = await db.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT total_krw, fiat_krw, coin_krw, created_at
+            FROM portfolio_snapshots
+            WHERE user_id = ? AND created_at >= ?
+            ORDER BY created_at ASC
+        `, [this.userId, new Date(Date.now() - (parseInt(days) + 1) * 24 * 60 * 60 * 1000)]);
+        connection.release();
+
+        return rows;
+    }
+
+    /**
+     * 대시보드용 요약 (현재 평가 + 스냅샷 저장 + 일별 손익)
+     */
+    async getSummary(exchangeBalances = null, days = DEFAULT_DAILY_DAYS) {
+        const portfolio = await this.getPortfolio(exchangeBalances);
+        try {
+            await this.saveSnapshot(portfolio);
+        } catch (error) {
+            this.logger.warn('포트폴리오 스냅샷 저장 실패', { userId: this.userId, error: error.message });
+        }
+
+        const snapshots = await this.getSnapshots(days);
+        const current = portfolio.failedExchanges.length === 0 ? portfolio.totalKrw : null;
+        const dailyPnl = PortfolioService.computeDailyPnl(snapshots, current).slice(0, days);
+
+        return { ...portfolio, dailyPnl };
+    }
+
+    /**
+     * API 키가 검증된 모든 사용자의 스냅샷 저장
+     */
+    static async snapshotAllUsers(tradeExecutionService) {
+        const connection = await db.getConnection();
+        const [users] = await connection.execute(`
+            SELECT DISTINCT uec.user_id
+            FROM user_exchange_credentials uec
+            JOIN users u ON u.id = uec.user_id
+            WHERE uec.is_active = TRUE AND uec.is_verified = TRUE AND u.is_active = TRUE
+        `);
+        connection.release();
+
+        let saved = 0;
+        for (const { user_id: userId } of users) {
+            const service = new PortfolioService(userId, tradeExecutionService);
+            try {
+                const portfolio = await service.getPortfolio();
+                if (await service.saveSnapshot(portfolio, true)) saved++;
+            } catch (error) {
+                service.logger.warn('포트폴리오 스냅샷 실패', { userId, error: error.message });
+            }
+        }
+        return saved;
+    }
+
+    /**
+     * 주기 스냅샷 시작 (대시보드를 열지 않아도 일별 손익이 쌓이도록)
+     */
+    static startSnapshotScheduler(tradeExecutionService, intervalMs = SNAPSHOT_INTERVAL_MS) {
+        if (snapshotInterval) return;
+
+        snapshotInterval = setInterval(() => {
+            PortfolioService.snapshotAllUsers(tradeExecutionService).catch(error => {
+                console.error('포트폴리오 스냅샷 실패:', error.message);
+            });
+        }, intervalMs);
+    }
+
+    static stopSnapshotScheduler() {
+        if (snapshotInterval) {
+            clearInterval(snapshotInterval);
+            snapshotInterval = null;
+        }
+    }
+}
+
+PortfolioService.DEFAULT_DAILY_DAYS = DEFAULT_DAILY_DAYS;
+
+module.exports = PortfolioService;
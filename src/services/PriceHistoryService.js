@@ -0,0 +1,436 @@
+const db = require('../config/database');
+const winston = require('winston');
+
+/**
+ * 가격/김프 이력 저장 서비스
+ *
+ * - 모니터링 주기마다 거래소별 체결가(price_logs)와 김프 스냅샷(premium_snapshots) 저장
+ * - 원본은 7일 보관, 1분/1시간 단위 롤업(premium_history_1m / premium_history_1h)으로 장기 보관
+ */
+class PriceHistoryService {
+    constructor() {
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [PriceHistory] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console(),
+                new winston.transports.File({
+                    filename: '../logs/kimchi-monitor.log',
+                    level: 'info'
+                })
+            ]
+        });
+
+        // 보관 정책
+        this.retention = {
+            rawDays: 7,        // premium_snapshots, price_logs 원본
+            minuteDays: 90     // premium_history_1m (1시간 롤업은 영구 보관)
+        };
+
+        this.lastRollupAt = { '1m': null, '1h': null };
+        this.maintenanceIntervals = [];
+    }
+
+    /**
+     * 모니터링 1회 결과 저장
+     * @param {Array} results - KimchiMonitoringService.calculateCoinPremium 결과 목록 (경로별 결과 routes 포함)
+     * @param {Array} coinMappings - 모니터링 코인 목록 (coinId 조회용)
+     */
+    async recordTick(results, coinMappings) {
+        if (results.length === 0) return;
+
+        let connection;
+        try {
+            connection = await db.getConnection();
+
+            const priceRows = [];
+            const snapshotRows = [];
+
+            results.forEach(result => {
+                const coin = coinMappings.find(c => c.symbol === result.symbol);
+                if (!coin) return;
+
+                // 같은 거래소 가격은 여러 경로에 포함되므로 한 번만 저장
+                const pricedExchanges = new Set();
+                const addPrice = (exchangeId, ticker, timestamp) => {
+                    if (pricedExchanges.has(exchangeId)) return;
+                    pricedExchanges.add(exchangeId);
+                    priceRows.push([exchangeId, coin.coinId, ticker.price, ticker.volume24h ?? null, timestamp]);
+                };
+
+                (result.routes || [result]).forEach(routeResult => {
+                    const { route, domestic, overseas } = routeResult;
+                    addPrice(route.domesticExchangeId, domestic.ticker, routeResult.timestamp);
+                    addPrice(route.overseasExchangeId, overseas.ticker, routeResult.timestamp);
+
+                    snapshotRows.push([
+                        coin.coinId,
+                        route.domesticExchangeId,
+                        route.overseasExchangeId,
+                        domestic.ticker.price,
+                        overseas.ticker.price,
+                        domestic.askAverage.averagePrice,
+                        domestic.bidAverage.averagePrice,
+                        overseas.askAverage.averagePrice,
+                        overseas.bidAverage.averagePrice,
+                        routeResult.exchangeRate.rate,
+                        routeResult.premium.premiumPercent,
+                        routeResult.timestamp
+                    ]);
+                });
+            });
+
+            if (priceRows.length > 0) {
+                await connection.query(
+                    `INSERT INTO price_logs (exchange_id, coin_id, price, volume_24h, timestamp) VALUES ?`,
+                    [priceRows]
+                );
+            }
+
+            if (snapshotRows.length > 0) {
+                await connection.query(
+                    `INSERT INTO premium_snapshots (
+                        coin_id, domestic_exchange_id, overseas_exchange_id,
+                        domestic_price, overseas_price,
+                        domestic_ask, domestic_bid, overseas_ask, overseas_bid,
+                        exchange_rate, premium_percent, captured_at
+                    ) VALUES ?`,
+                    [snapshotRows]
+                );
+            }
+        } catch (error) {
+            this.logger.error('모니터링 결과 저장 실패', { error: error.message });
+        } finally {
+            if (connection) connection.release();
+        }
+    }
+
+    // 분 단위 절사
+    floorTo(date, ms) {
+        return new Date(Math.floor(date.getTime() / ms) * ms);
+    }
+
+    /**
+     * 1분 롤업 (premium_snapshots → premium_history_1m)
+     * 완료된 분 구간만 집계하며, 같은 구간을 다시 집계해도 덮어쓰므로 안전
+     */
+    async rollupMinutes() {
+        const until = this.floorTo(new Date(), 60 * 1000);
+        const since = this.lastRollupAt['1m'] ?
+            new Date(this.lastRollupAt['1m'].getTime() - 5 * 60 * 1000) :
+            new Date(until.getTime() - this.retention.rawDays * 24 * 60 * 60 * 1000);
+
+        const connection = await db.getConnection();
+        try {
+            const [result] = await connection.execute(`
+                INSERT INTO premium_history_1m (
+                    coin_id, domestic_exchange_id, overseas_exchange_id, bucket_start,
+                    domestic_price, overseas_price,
+                    domestic_ask, domestic_bid, overseas_ask, overseas_bid, exchange_rate,
+                    premium_avg, premium_min, premium_max, premium_close, sample_count
+                )
+                SELECT
+                    coin_id, domestic_exchange_id, overseas_exchange_id,
+                    FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(captured_at) / 60) * 60) AS bucket,
+                    AVG(domestic_price), AVG(overseas_price),
+                    AVG(domestic_ask), AVG(domestic_bid), AVG(overseas_ask), AVG(overseas_bid), AVG(exchange_rate),
+                    AVG(premium_percent), MIN(premium_percent), MAX(premium_percent),
+                    CAST(SUBSTRING_INDEX(GROUP_CONCAT(premium_percent ORDER BY captured_at DESC), ',', 1) AS DECIMAL(10, 4)),
+                    COUNT(*)
+                FROM premium_snapshots
+                WHERE captured_at >= ? AND captured_at < ?
+                GROUP BY coin_id, domestic_exchange_id, overseas_exchange_id, bucket
+                ON DUPLICATE KEY UPDATE
+                    domestic_price = VALUES(domestic_price),
+                    overseas_price = VALUES(overseas_price),
+                    domestic_ask = VALUES(domestic_ask),
+                    domestic_bid = VALUES(domestic_bid),
+                    overseas_ask = VALUES(overseas_ask),
+                    overseas_bid = VALUES(overseas_bid),
+                    exchange_rate = VALUES(exchange_rate),
+                    premium_avg = VALUES(premium_avg),
+                    premium_min = VALUES(premium_min),
+                    premium_max = VALUES(premium_max),
+                    premium_close = VALUES(premium_close),
+                    sample_count = VALUES(sample_count)
+            `, [since, until]);
+
+            this.lastRollupAt['1m'] = until;
+            return result.affectedRows;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 1시간 롤업 (premium_history_1m → premium_history_1h, 샘플 수 가중 평균)
+     */
+    async rollupHours() {
+        const until = this.floorTo(new Date(), 60 * 60 * 1000);
+        const since = this.lastRollupAt['1h'] ?
+            new Date(this.lastRollupAt['1h'].getTime() - 60 * 60 * 1000) :
+            new Date(until.getTime() - this.retention.minuteDays * 24 * 60 * 60 * 1000);
+
+        const connection = await db.getConnection();
+        try {
+            const [result] = await connection.execute(`
+                INSERT INTO premium_history_1h (
+                    coin_id, domestic_exchange_id, overseas_exchange_id, bucket_start,
+                    domestic_price, overseas_price,
+                    domestic_ask, domestic_bid, overseas_ask, overseas_bid, exchange_rate,
+                    premium_avg, premium_min, premium_max, premium_close, sample_count
+                )
+                SELECT
+                    coin_id, domestic_exchange_id, overseas_exchange_id,
+                    FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(bucket_start) / 3600) * 3600) AS bucket,
+                    SUM(domestic_price * sample_count) / SUM(sample_count),
+                    SUM(overseas_price * sample_count) / SUM(sample_count),
+                    SUM(domestic_ask * sample_count) / SUM(sample_count),
+                    SUM(domestic_bid * sample_count) / SUM(sample_count),
+                    SUM(overseas_ask * sample_count) / SUM(sample_count),
+                    SUM(overseas_bid * sample_count) / SUM(sample_count),
+                    SUM(exchange_rate * sample_count) / SUM(sample_count),
+                    SUM(premium_avg * sample_count) / SUM(sample_count),
+                    MIN(premium_min), MAX(premium_max),
+                    CAST(SUBSTRING_INDEX(GROUP_CONCAT(premium_close ORDER BY bucket_start DESC), ',', 1) AS DECIMAL(10, 4)),
+                    SUM(sample_count)
+                FROM premium_history_1m
+                WHERE bucket_start >= ? AND bucket_start < ?
+                GROUP BY coin_id, domestic_exchange_id, overseas_exchange_id, bucket
+                ON DUPLICATE KEY UPDATE
+                    domestic_price = VALUES(domestic_price),
+                    overseas_price = VALUES(overseas_price),
+                    domestic_ask = VALUES(domestic_ask),
+                    domestic_bid = VALUES(domestic_bid),
+                    overseas_ask = VALUES(overseas_ask),
+                    overseas_bid = VALUES(overseas_bid),
+                    exchange_rate = VALUES(exchange_rate),
+                    premium_avg = VALUES(premium_avg),
+                    premium_min = VALUES(premium_min),
+                    premium_max = VALUES(premium_max),
+                    premium_close = VALUES(premium_close),
+                    sample_count = VALUES(sample_count)
+            `, [since, until]);
+
+            this.lastRollupAt['1h'] = until;
+            return result.affectedRows;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 보관 기간이 지난 데이터 삭제 (테이블 잠금을 줄이기 위해 나눠서 삭제)
+     */
+    async applyRetention() {
+        const now = Date.now();
+        const rawCutoff = new Date(now - this.retention.rawDays * 24 * 60 * 60 * 1000);
+        const minuteCutoff = new Date(now - this.retention.minuteDays * 24 * 60 * 60 * 1000);
+
+        const deleted = {
+            premium_snapshots: await this.deleteInBatches('premium_snapshots', 'captured_at', rawCutoff),
+            price_logs: await this.deleteInBatches('price_logs', 'timestamp', rawCutoff),
+            premium_history_1m: await this.deleteInBatches('premium_history_1m', 'bucket_start', minuteCutoff)
+        };
+
+        this.logger.info('이력 보관 정책 적용', deleted);
+        return deleted;
+    }
+
+    async deleteInBatches(table, column, cutoff, batchSize = 5000) {
+        let total = 0;
+        const connection = await db.getConnection();
+        try {
+            while (true) {
+                const [result] = await connection.execute(
+                    `DELETE FROM ${table} WHERE ${column} < ? LIMIT ${batchSize}`,
+                    [cutoff]
+                );
+                total += result.affectedRows;
+                if (result.affectedRows < batchSize) break;
+            }
+        } finally {
+            connection.release();
+        }
+        return total;
+    }
+
+    /**
+     * 조회 기간에 맞는 해상도 선택 (auto: 6시간 이하 원본, 7일 이하 1분, 그 이상 1시간)
+     */
+    resolveInterval(from, to, interval = 'auto') {
+        if (['raw', '1m', '1h'].includes(interval)) {
+            return interval;
+        }
+
+        const rangeMs = to.getTime() - from.getTime();
+        const rawAvailableFrom = Date.now() - this.retention.rawDays * 24 * 60 * 60 * 1000;
+
+        if (rangeMs <= 6 * 60 * 60 * 1000 && from.getTime() >= rawAvailableFrom) return 'raw';
+        if (rangeMs <= 7 * 24 * 60 * 60 * 1000) return '1m';
+        return '1h';
+    }
+
+    /**
+     * 김프/가격 시계열 조회
+     * @param {number} coinId - 코인 ID
+     * @param {Date} from - 시작 시각
+     * @param {Date} to - 종료 시각
+     * @param {string} interval - 'raw' | '1m' | '1h' | 'auto'
+     * @param {Object} route - { domesticExchangeId, overseasExchangeId } 거래소 쌍 (없는 쪽은 조건 없음)
+     * @returns {Promise<Object>} { interval, points: [{ time, premium, premiumMin, premiumMax, domesticPrice, overseasPrice, overseasPriceKrw, exchangeRate }] }
+     */
+    async getPremiumSeries(coinId, from, to, interval = 'auto', route = {}, limit = 5000) {
+        const resolved = this.resolveInterval(from, to, interval);
+        const timeColumn = resolved === 'raw' ? 'captured_at' : 'bucket_start';
+
+        const conditions = ['coin_id = ?', `${timeColumn} BETWEEN ? AND ?`];
+        const params = [coinId, from, to];
+        if (route.domesticExchangeId) {
+            conditions.push('domestic_exchange_id = ?');
+            params.push(route.domesticExchangeId);
+        }
+        if (route.overseasExchangeId) {
+            conditions.push('overseas_exchange_id = ?');
+            params.push(route.overseasExchangeId);
+        }
+
+        const connection = await db.getConnection();
+
+        try {
+            let rows;
+            if (resolved === 'raw') {
+                [rows] = await connection.execute(`
+                    SELECT captured_at as time,
+                           premium_percent as premium, premium_percent as premium_min, premium_percent as premium_max,
+                           COALESCE(domestic_price, domestic_bid) as domestic_price,
+                           COALESCE(overseas_price, overseas_ask) as overseas_price,
+                           exchange_rate
+                    FROM premium_snapshots
+                    WHERE ${conditions.join(' AND ')}
+                    ORDER BY captured_at
+                    LIMIT ${limit}
+                `, params);
+            } else {
+                const table = resolved === '1m' ? 'premium_history_1m' : 'premium_history_1h';
+                [rows] = await connection.execute(`
+                    SELECT bucket_start as time,
+                           premium_close as premium, premium_min, premium_max,
+                           COALESCE(domestic_price, domestic_bid) as domestic_price,
+                           COALESCE(overseas_price, overseas_ask) as overseas_price,
+                           exchange_rate
+                    FROM ${table}
+                    WHERE ${conditions.join(' AND ')}
+                    ORDER BY bucket_start
+                    LIMIT ${limit}
+                `, params);
+            }
+
+            return {
+                interval: resolved,
+                points: rows.map(row => {
+                    const overseasPrice = parseFloat(row.overseas_price);
+                    const exchangeRate = parseFloat(row.exchange_rate);
+                    return {
+                        time: row.time,
+                        premium: parseFloat(row.premium),
+                        premiumMin: parseFloat(row.premium_min),
+                        premiumMax: parseFloat(row.premium_max),
+                        domesticPrice: parseFloat(row.domestic_price),
+                        overseasPrice,
+                        overseasPriceKrw: overseasPrice * exchangeRate,
+                        exchangeRate
+                    };
+                })
+            };
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 차트 표시용 거래 내역 (userId가 null이면 전체 사용자)
+     */
+    async getTradeMarkers(coinId, from, to, userId = null) {
+        const connection = await db.getConnection();
+        try {
+            const params = [coinId, from, to];
+            let userCondition = '';
+            if (userId !== null) {
+                userCondition = 'AND th.user_id = ?';
+                params.push(userId);
+            }
+
+            const [rows] = await connection.execute(`
+                SELECT th.id, th.user_id, th.status, th.created_at, th.completed_at,
+                       th.net_profit, th.profit_rate,
+                       be.name as buy_exchange_name, se.name as sell_exchange_name
+                FROM trade_history th
+                LEFT JOIN exchanges be ON th.buy_exchange_id = be.id
+                LEFT JOIN exchanges se ON th.sell_exchange_id = se.id
+                WHERE th.coin_id = ? AND th.created_at BETWEEN ? AND ? ${userCondition}
+                ORDER BY th.created_at
+            `, params);
+
+            return rows.map(row => ({
+                id: row.id,
+                userId: row.user_id,
+                time: row.created_at,
+                completedAt: row.completed_at,
+                status: row.status,
+                buyExchange: row.buy_exchange_name,
+                sellExchange: row.sell_exchange_name,
+                netProfit: parseFloat(row.net_profit),
+                profitRate: parseFloat(row.profit_rate)
+            }));
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 롤업/보관 작업 주기 실행 (1분 롤업: 매분, 1시간 롤업 + 보관 정책: 매시간)
+     */
+    startMaintenance() {
+        if (this.maintenanceIntervals.length > 0) return;
+
+        const runMinute = async () => {
+            try {
+                await this.rollupMinutes();
+            } catch (error) {
+                this.logger.error('1분 롤업 실패', { error: error.message });
+            }
+        };
+
+        const runHourly = async () => {
+            try {
+                await this.rollupHours();
+                await this.applyRetention();
+            } catch (error) {
+                this.logger.error('1시간 롤업/보관 정책 실패', { error: error.message });
+            }
+        };
+
+        // 시작 시 누락분 집계 후 주기 실행
+        runMinute().then(runHourly);
+
+        this.maintenanceIntervals.push(
+            setInterval(runMinute, 60 * 1000),
+            setInterval(runHourly, 60 * 60 * 1000)
+        );
+
+        this.logger.info('가격 이력 롤업 작업 시작', this.retention);
+    }
+
+    stopMaintenance() {
+        this.maintenanceIntervals.forEach(interval => clearInterval(interval));
+        this.maintenanceIntervals = [];
+    }
+}
+
+module.exports = PriceHistoryService;
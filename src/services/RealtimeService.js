@@ -0,0 +1,204 @@
+const WebSocket = require('ws');
+const Redis = require('ioredis');
+const winston = require('winston');
+const db = require('../config/database');
+
+// 서비스 → 브라우저 이벤트 채널 (모니터링/거래 서비스가 publish, 웹 서버가 subscribe)
+const REALTIME_CHANNEL = 'realtime:events';
+
+/**
+ * 대시보드 실시간 푸시 서비스
+ *
+ * - Express 서버의 /ws 경로로 WebSocket 연결을 받고, 세션 쿠키로 로그인 사용자 확인
+ * - Redis 채널로 받은 이벤트를 사용자별로 전달 (userId가 있는 이벤트는 본인과 관리자에게만)
+ *
+ * 이벤트 종류:
+ *   monitoring  - 모니터링 주기 요약 (전체)
+ *   intensity   - 사용자별 매매강도 변경
+ *   opportunity - 거래 기회 (userId가 없으면 전체)
+ *   trade       - 거래 상태 전환
+ */
+class RealtimeService {
+    /**
+     * @param {Function} sessionMiddleware - express-session 미들웨어 (업그레이드 요청 인증용)
+     */
+    constructor(sessionMiddleware) {
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [Realtime] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console(),
+                new winston.transports.File({
+                    filename: '../logs/kimchi-monitor.log',
+                    level: 'info'
+                })
+            ]
+        });
+
+        this.sessionMiddleware = sessionMiddleware;
+        this.path = '/ws';
+        this.heartbeatIntervalMs = 30000;
+
+        this.wss = null;
+        this.subscriber = null;
+        this.heartbeatInterval = null;
+        this.clients = new Map(); // socket → { userId, role }
+    }
+
+    /**
+     * 이벤트 발행 (다른 서비스에서 사용)
+     * 실시간 알림 실패는 본 처리에 영향을 주지 않도록 오류를 무시
+     * @param {Redis} redis - 발행에 사용할 Redis 연결
+     * @param {string} type - 이벤트 종류
+     * @param {Object} data - 이벤트 데이터
+     * @param {number|null} userId - 대상 사용자 (null이면 전체)
+     */
+    static publish(redis, type, data, userId = null) {
+        const event = { type, userId, data, timestamp: new Date().toISOString() };
+        return redis.publish(REALTIME_CHANNEL, JSON.stringify(event)).catch(() => 0);
+    }
+
+    /**
+     * HTTP 서버에 WebSocket 연결 처리 등록 및 이벤트 구독 시작
+     * @param {http.Server} server - app.listen() 반환값
+     */
+    attach(server) {
+        this.wss = new WebSocket.Server({ noServer: true });
+
+        server.on('upgrade', (req, socket, head) => {
+            if (new URL(req.url, 'http://localhost').pathname !== this.path) {
+                socket.destroy();
+                return;
+            }
+
+            this.authenticate(req)
+                .then(user => {
+                    if (!user) {
+                        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                        socket.destroy();
+                        return;
+                    }
+
+                    this.wss.handleUpgrade(req, socket, head, ws => this.handleConnection(ws, user));
+                })
+                .catch(error => {
+                    this.logger.error('WebSocket 인증 실패', { error: error.message });
+                    socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+                    socket.destroy();
+                });
+        });
+
+        // 구독 전용 Redis 연결 (subscribe 모드에서는 다른 명령 사용 불가)
+        this.subscriber = new Redis({
+            host: process.env.REDIS_HOST || 'redis',
+            port: process.env.REDIS_PORT || 6379
+        });
+        this.subscriber.subscribe(REALTIME_CHANNEL).catch(error => {
+            this.logger.error('이벤트 채널 구독 실패', { error: error.message });
+        });
+        this.subscriber.on('message', (channel, message) => {
+            if (channel === REALTIME_CHANNEL) {
+                this.dispatch(message);
+            }
+        });
+
+        // 응답 없는 연결 정리
+        this.heartbeatInterval = setInterval(() => {
+            this.clients.forEach((client, ws) => {
+                if (!client.isAlive) {
+                    ws.terminate();
+                    return;
+                }
+                client.isAlive = false;
+                ws.ping();
+            });
+        }, this.heartbeatIntervalMs);
+
+        this.logger.info(`실시간 푸시 시작 (${this.path})`);
+    }
+
+    /**
+     * 세션 쿠키로 로그인 사용자 확인
+     * @returns {Promise<Object|null>} { id, role } 또는 null
+     */
+    authenticate(req) {
+        return new Promise((resolve, reject) => {
+            this.sessionMiddleware(req, {}, async () => {
+                try {
+                    const userId = req.session?.passport?.user;
+                    if (!userId) {
+                        resolve(null);
+                        return;
+                    }
+
+                    const connection = await db.getConnection();
+                    const [rows] = await connection.execute(
+                        'SELECT id, role, is_active FROM users WHERE id = ?',
+                        [userId]
+                    );
+                    connection.release();
+
+                    resolve(rows.length > 0 && rows[0].is_active ? { id: rows[0].id, role: rows[0].role } : null);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    handleConnection(ws, user) {
+        const client = { userId: user.id, role: user.role, isAlive: true };
+        this.clients.set(ws, client);
+
+        ws.on('pong', () => { client.isAlive = true; });
+        ws.on('close', () => this.clients.delete(ws));
+        ws.on('error', error => {
+            this.logger.warn('WebSocket 오류', { userId: user.id, error: error.message });
+        });
+
+        ws.send(JSON.stringify({ type: 'connected', data: { userId: user.id }, timestamp: new Date().toISOString() }));
+    }
+
+    /**
+     * 구독한 이벤트를 대상 연결로 전달
+     */
+    dispatch(message) {
+        let event;
+        try {
+            event = JSON.parse(message);
+        } catch (error) {
+            this.logger.warn('잘못된 실시간 이벤트', { message });
+            return;
+        }
+
+        const payload = JSON.stringify({ type: event.type, data: event.data, timestamp: event.timestamp });
+
+        this.clients.forEach((client, ws) => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            if (event.userId !== null && event.userId !== client.userId && client.role !== 'admin') return;
+            ws.send(payload);
+        });
+    }
+
+    async close() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+
+        this.clients.forEach((client, ws) => ws.close(1001, 'server shutdown'));
+        this.clients.clear();
+
+        if (this.wss) this.wss.close();
+        if (this.subscriber) await this.subscriber.quit();
+    }
+}
+
+RealtimeService.REALTIME_CHANNEL = REALTIME_CHANNEL;
+
+module.exports = RealtimeService;
@@ -0,0 +1,912 @@
+const db = require('../config/database');
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+
+const UserBotService = require('./UserBotService');
+const UserSettingsService = require('./UserSettingsService');
+const ExchangeService = require('./ExchangeService');
+const ExchangeRateService = require('./ExchangeRateService');
+const KimchiMonitoringService = require('./KimchiMonitoringService');
+const FeeModelService = require('./FeeModelService');
+
+// 이보다 작은 이동은 제안하지 않음 (원화)
+const DEFAULT_MIN_TRANSFER_KRW = 100000;
+// 이동 금액 대비 수수료 상한 (%)
+const DEFAULT_MAX_FEE_PERCENT = 1.0;
+// 승인 가능한 계획의 유효 시간 (잔고/시세가 바뀌므로 오래된 계획은 다시 계산)
+const PLAN_EXPIRY_MS = 30 * 60 * 1000;
+// 전송 건 종료 상태
+const TERMINAL_TRANSFER_STATUSES = ['completed', 'failed'];
+
+/**
+ * 거래소 간 재고 재분배 계획
+ *
+ * - 거래소별 목표 비중(기본 균등)에 맞춰 현금(KRW/USDT)과 코인을 각각 나눠 가지도록 목표 배분 계산
+ * - 코인: 남는 거래소 → 부족한 거래소로 직접 출금 (출금 거래소 기본 네트워크 - 입금 주소가 기본 네트워크 기준으로 등록됨)
+ * - 현금: 출금 수수료 + 양쪽 거래 수수료가 가장 싼 코인을 매수 → 출금 → 도착 거래소에서 매도
+ * - 계획은 rebalance_plans에 저장되고 대시보드에서 승인해야 실행 (출금은 TransferService 경로 사용)
+ */
+class RebalancePlannerService {
+    /**
+     * @param {number} userId - 사용자 ID
+     * @param {TradeExecutionService} tradeExecutionService - 주문/출금 컨텍스트, 전송 서비스 재사용
+     */
+    constructor(userId, tradeExecutionService) {
+        this.userId = userId;
+        this.tradeExecutionService = tradeExecutionService;
+        this.feeModelService = new FeeModelService();
+
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [Rebalance] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console(),
+                new winston.transports.File({
+                    filename: '../logs/trade-execution.log',
+                    level: 'info'
+                })
+            ]
+        });
+    }
+
+    /**
+     * 남는 쪽/부족한 쪽을 큰 것부터 짝지음
+     * @param {Array} surplus - [{ entry, amount }]
+     * @param {Array} deficit - [{ entry, amount }]
+     * @returns {Array} [{ from, to, amount }]
+     */
+    static matchGreedy(surplus, deficit) {
+        const sources = surplus.map(s => ({ ...s })).sort((a, b) => b.amount - a.amount);
+        const targets = deficit.map(d => ({ ...d })).sort((a, b) => b.amount - a.amount);
+        const pairs = [];
+
+        let i = 0;
+        let j = 0;
+        while (i < sources.length && j < targets.length) {
+            const amount = Math.min(sources[i].amount, targets[j].amount);
+            pairs.push({ from: sources[i].entry, to: targets[j].entry, amount });
+
+            sources[i].amount -= amount;
+            targets[j].amount -= amount;
+            if (sources[i].amount <= 1e-12) i++;
+            if (targets[j].amount <= 1e-12) j++;
+        }
+
+        return pairs;
+    }
+
+    /**
+     * 출금 네트워크 선택 (출금 거래소 기본 네트워크)
+     * 입금 주소는 거래소/코인별로 하나만 저장되고 기본 네트워크 기준으로 등록되므로 다른 네트워크로는 출금하지 않음
+     * (더 싼 네트워크라도 주소 체인이 다르면 자산을 잃을 수 있음)
+     * @param {Object} coin - coins 테이블 행
+     * @param {Array} fromRows - 출금 거래소 coin_networks 행 (기본 네트워크 우선 정렬)
+     * @param {Array} toRows - 입금 거래소 coin_networks 행
+     * @returns {Object|null} FeeModelService.selectWithdrawalFee 결과 (입금 거래소가 기본 네트워크를 지원하지 않으면 null)
+     */
+    static selectNetwork(coin, fromRows = [], toRows = []) {
+        const network = FeeModelService.selectWithdrawalFee(coin, fromRows);
+        if (!network.network || toRows.length === 0) {
+            return network;
+        }
+
+        const supported = new Set(toRows.map(row => row.network.toUpperCase()));
+        return supported.has(network.network.toUpperCase()) ? network : null;
+    }
+
+    /**
+     * 코인 전송 가능 여부와 비용
+     * @returns {Object} 가능하면 { network, address, valueKrw, withdrawalFeeKrw }, 아니면 { reason }
+     */
+    static evaluateTransfer({ symbol, from, to, quantity, priceKrw }, options) {
+        const coin = options.coins[symbol];
+        if (!coin) {
+            return { reason: 'unknown_coin' };
+        }
+        if (!from.canWithdraw) {
+            return { reason: 'withdraw_unavailable' };
+        }
+
+        const address = options.addresses[`${to.exchangeId}:${symbol}`];
+        if (!address?.address) {
+            return { reason: 'no_deposit_address' };
+        }
+
+        const networks = options.networks[symbol] || {};
+        const network = RebalancePlannerService.selectNetwork(coin, networks[from.exchangeId], networks[to.exchangeId]);
+        if (!network) {
+            return { reason: 'no_shared_network' };
+        }
+
+        const valueKrw = quantity * priceKrw;
+        if (valueKrw < options.minTransferKrw) {
+            return { reason: 'below_min_value', valueKrw };
+        }
+        if (network.minWithdrawal && quantity < network.minWithdrawal) {
+            return { reason: 'below_min_withdrawal', valueKrw, minWithdrawal: network.minWithdrawal };
+        }
+
+        return {
+            network,
+            address,
+            valueKrw,
+            withdrawalFeeKrw: network.withdrawalFee * priceKrw
+        };
+    }
+
+    /**
+     * 재분배 계획 계산 (DB/거래소 조회 없는 순수 계산)
+     * @param {Array} inventory - [{ exchangeId, exchangeName, fiatCurrency, fiatBalance, coins: { 심볼: 수량 }, canWithdraw, canOrder }]
+     * @param {Object} options
+     * @param {Object} options.prices - { 심볼: { [exchangeId]: 원화 가격 } } (가격이 있는 거래소만 해당 코인 배분 대상)
+     * @param {Object} options.quoteRates - { [exchangeId]: 호가통화 원화 환율 }
+     * @param {Object} options.coins - { 심볼: coins 테이블 행 }
+     * @param {Object} options.networks - { 심볼: { [exchangeId]: coin_networks 행 } }
+     * @param {Object} options.addresses - { 'exchangeId:심볼': { address, memo } }
+     * @param {Object} options.tradingFees - { [exchangeId]: taker 수수료율 }
+     * @param {Object} options.weights - { [exchangeId]: 목표 비중 } (없으면 균등)
+     * @param {number} options.minTransferKrw - 최소 이동 금액
+     * @param {number} options.maxFeePercent - 이동 금액 대비 수수료 상한 (%)
+     * @returns {Object} { totalKrw, estimatedFeeKrw, allocations, transfers, skipped }
+     */
+    static computePlan(inventory, options) {
+        const settings = {
+            coins: {},
+            networks: {},
+            addresses: {},
+            tradingFees: {},
+            weights: {},
+            minTransferKrw: DEFAULT_MIN_TRANSFER_KRW,
+            maxFeePercent: DEFAULT_MAX_FEE_PERCENT,
+            ...options
+        };
+        const { prices, quoteRates } = settings;
+        const skipped = [];
+        const transfers = [];
+
+        const exchanges = inventory.filter(entry => {
+            if (quoteRates[entry.exchangeId] > 0) return true;
+            skipped.push({ type: 'exchange', exchangeId: entry.exchangeId, exchange: entry.exchangeName, reason: 'no_quote_rate' });
+            return false;
+        });
+        if (exchanges.length === 0) {
+            return { totalKrw: 0, estimatedFeeKrw: 0, allocations: [], transfers, skipped };
+        }
+
+        // 목표 비중 정규화 (지정되지 않았거나 합이 0이면 균등)
+        const rawWeight = (entry) => {
+            const weight = parseFloat(settings.weights[entry.exchangeId]);
+            return isFinite(weight) && weight >= 0 ? weight : 1;
+        };
+        const normalize = (entries) => {
+            const sum = entries.reduce((total, entry) => total + rawWeight(entry), 0);
+            return new Map(entries.map(entry => [entry, sum > 0 ? rawWeight(entry) / sum : 1 / entries.length]));
+        };
+        const weights = normalize(exchanges);
+
+        const priceOf = (symbol, exchangeId) => {
+            const symbolPrices = prices[symbol] || {};
+            return symbolPrices[exchangeId] ?? Object.values(symbolPrices)[0] ?? 0;
+        };
+
+        // 현재 배분
+        const allocations = exchanges.map(entry => {
+            const coins = {};
+            Object.entries(entry.coins || {}).forEach(([symbol, quantity]) => {
+                coins[symbol] = { quantity, targetQuantity: quantity, valueKrw: quantity * priceOf(symbol, entry.exchangeId) };
+            });
+            const cashKrw = (entry.fiatBalance || 0) * quoteRates[entry.exchangeId];
+            const coinKrw = Object.values(coins).reduce((total, c) => total + c.valueKrw, 0);
+
+            return {
+                exchangeId: entry.exchangeId,
+                exchangeName: entry.exchangeName,
+                fiatCurrency: entry.fiatCurrency,
+                fiatBalance: entry.fiatBalance || 0,
+                weight: weights.get(entry),
+                cashKrw,
+                coinKrw,
+                totalKrw: cashKrw + coinKrw,
+                targetCashKrw: cashKrw,
+                targetKrw: cashKrw + coinKrw,
+                projectedKrw: cashKrw + coinKrw,
+                coins
+            };
+        });
+        const byId = new Map(allocations.map(a => [a.exchangeId, a]));
+        const entryOf = new Map(exchanges.map(entry => [entry.exchangeId, entry]));
+        const totalKrw = allocations.reduce((total, a) => total + a.totalKrw, 0);
+
+        // 코인별 목표 수량 (해당 코인 가격이 있는 거래소끼리만 배분, 나머지 거래소 보유분은 그대로)
+        const symbols = [...new Set(allocations.flatMap(a => Object.keys(a.coins)))].sort();
+        symbols.forEach(symbol => {
+            const participants = exchanges.filter(entry => prices[symbol]?.[entry.exchangeId] > 0);
+            if (participants.length < 2) return;
+
+            const coinWeights = normalize(participants);
+            const totalQuantity = participants.reduce((total, entry) => total + (entry.coins?.[symbol] || 0), 0);
+            const surplus = [];
+            const deficit = [];
+
+            participants.forEach(entry => {
+                const allocation = byId.get(entry.exchangeId);
+                const holding = allocation.coins[symbol] ||
+                    (allocation.coins[symbol] = { quantity: 0, targetQuantity: 0, valueKrw: 0 });
+                holding.targetQuantity = totalQuantity * coinWeights.get(entry);
+
+                const diff = holding.quantity - holding.targetQuantity;
+                if (diff > 0) surplus.push({ entry, amount: diff });
+                else if (diff < 0) deficit.push({ entry, amount: -diff });
+            });
+
+            RebalancePlannerService.matchGreedy(surplus, deficit).forEach(({ from, to, amount }) => {
+                const priceKrw = priceOf(symbol, from.exchangeId);
+                const evaluation = RebalancePlannerService.evaluateTransfer(
+                    { symbol, from, to, quantity: amount, priceKrw }, settings
+                );
+                const base = {
+                    type: 'coin',
+                    symbol,
+                    fromExchangeId: from.exchangeId,
+                    fromExchange: from.exchangeName,
+                    toExchangeId: to.exchangeId,
+                    toExchange: to.exchangeName,
+                    quantity: amount,
+                    amountKrw: amount * priceKrw
+                };
+
+                if (evaluation.reason) {
+                    skipped.push({ ...base, reason: evaluation.reason });
+                    return;
+                }
+
+                const feePercent = evaluation.withdrawalFeeKrw / evaluation.valueKrw * 100;
+                if (feePercent > settings.maxFeePercent) {
+                    skipped.push({ ...base, reason: 'fee_too_high', feePercent });
+                    return;
+                }
+
+                transfers.push({
+                    ...base,
+                    coinId: settings.coins[symbol].id,
+                    network: evaluation.network.network,
+                    networkSource: evaluation.network.source,
+                    withdrawalFee: evaluation.network.withdrawalFee,
+                    withdrawalFeeKrw: evaluation.withdrawalFeeKrw,
+                    tradingFeeKrw: 0,
+                    feeKrw: evaluation.withdrawalFeeKrw,
+                    feePercent,
+                    address: evaluation.address.address,
+                    memo: evaluation.address.memo || null
+                });
+            });
+        });
+
+        // 현금 목표 (현금은 직접 보낼 수 없으므로 운반 코인 매수 → 출금 → 매도)
+        const totalCashKrw = allocations.reduce((total, a) => total + a.cashKrw, 0);
+        const cashSurplus = [];
+        const cashDeficit = [];
+        exchanges.forEach(entry => {
+            const allocation = byId.get(entry.exchangeId);
+            allocation.targetCashKrw = totalCashKrw * weights.get(entry);
+
+            const diff = allocation.cashKrw - allocation.targetCashKrw;
+            if (diff > 0) cashSurplus.push({ entry, amount: diff });
+            else if (diff < 0) cashDeficit.push({ entry, amount: -diff });
+        });
+
+        RebalancePlannerService.matchGreedy(cashSurplus, cashDeficit).forEach(({ from, to, amount }) => {
+            const base = {
+                type: 'cash',
+                fromExchangeId: from.exchangeId,
+                fromExchange: from.exchangeName,
+                toExchangeId: to.exchangeId,
+                toExchange: to.exchangeName,
+                amountKrw: amount
+            };
+
+            if (amount < settings.minTransferKrw) {
+                skipped.push({ ...base, reason: 'below_min_value' });
+                return;
+            }
+            if (!from.canOrder || !to.canOrder) {
+                skipped.push({ ...base, reason: 'orders_unavailable' });
+                return;
+            }
+
+            // 양쪽 거래소에 가격이 있는 코인 중 비용(출금 수수료 + 매수/매도 수수료)이 가장 싼 운반 코인
+            const tradingFeeKrw = amount * (
+                (settings.tradingFees[from.exchangeId] ?? FeeModelService.DEFAULT_TRADING_FEE_RATE) +
+                (settings.tradingFees[to.exchangeId] ?? FeeModelService.DEFAULT_TRADING_FEE_RATE)
+            );
+            const reasons = new Set();
+            let best = null;
+
+            Object.keys(prices).sort().forEach(symbol => {
+                const fromPrice = prices[symbol]?.[from.exchangeId];
+                if (!(fromPrice > 0) || !(prices[symbol]?.[to.exchangeId] > 0)) return;
+
+                const quantity = amount / fromPrice;
+                const evaluation = RebalancePlannerService.evaluateTransfer(
+                    { symbol, from, to, quantity, priceKrw: fromPrice }, settings
+                );
+                if (evaluation.reason) {
+                    reasons.add(evaluation.reason);
+                    return;
+                }
+
+                const feeKrw = evaluation.withdrawalFeeKrw + tradingFeeKrw;
+                if (!best || feeKrw < best.feeKrw) {
+                    best = { symbol, quantity, evaluation, feeKrw };
+                }
+            });
+
+            if (!best) {
+                skipped.push({ ...base, reason: 'no_carrier', carrierReasons: [...reasons] });
+                return;
+            }
+
+            const feePercent = best.feeKrw / amount * 100;
+            if (feePercent > settings.maxFeePercent) {
+                skipped.push({ ...base, symbol: best.symbol, reason: 'fee_too_high', feePercent });
+                return;
+            }
+
+            transfers.push({
+                ...base,
+                symbol: best.symbol,
+                coinId: settings.coins[best.symbol].id,
+                quantity: best.quantity,
+                fromQuoteRate: quoteRates[from.exchangeId],
+                network: best.evaluation.network.network,
+                networkSource: best.evaluation.network.source,
+                withdrawalFee: best.evaluation.network.withdrawalFee,
+                withdrawalFeeKrw: best.evaluation.withdrawalFeeKrw,
+                tradingFeeKrw,
+                feeKrw: best.feeKrw,
+                feePercent,
+                address: best.evaluation.address.address,
+                memo: best.evaluation.address.memo || null
+            });
+        });
+
+        // 목표 금액과 계획 실행 후 예상 금액
+        allocations.forEach(allocation => {
+            allocation.targetKrw = allocation.targetCashKrw + Object.entries(allocation.coins).reduce(
+                (total, [symbol, c]) => total + c.targetQuantity * priceOf(symbol, allocation.exchangeId), 0
+            );
+        });
+        transfers.forEach((transfer, index) => {
+            transfer.id = index + 1;
+            transfer.status = 'proposed';
+            byId.get(transfer.fromExchangeId).projectedKrw -= transfer.amountKrw;
+            byId.get(transfer.toExchangeId).projectedKrw += transfer.amountKrw - transfer.feeKrw;
+        });
+
+        return {
+            totalKrw,
+            estimatedFeeKrw: transfers.reduce((total, t) => total + t.feeKrw, 0),
+            allocations: allocations.map(a => ({ ...a, canWithdraw: entryOf.get(a.exchangeId).canWithdraw })),
+            transfers,
+            skipped
+        };
+    }
+
+    /**
+     * 인증된 거래소 잔고 → computePlan 입력 (사용 가능 수량 기준, 주문에 묶인 수량 제외)
+     */
+    async buildInventory() {
+        const userBotService = new UserBotService(this.userId);
+        const balances = await userBotService.getExchangeBalances();
+        const entries = [...balances.domestic, ...balances.overseas].filter(b => b.balance);
+        if (entries.length === 0) {
+            return [];
+        }
+
+        const connection = await db.getConnection();
+        const [exchanges] = await connection.execute(
+            `SELECT id, name, code FROM exchanges WHERE id IN (${entries.map(() => '?').join(', ')})`,
+            entries.map(b => b.exchangeId)
+        );
+        connection.release();
+
+        return entries.map(b => {
+            const exchange = exchanges.find(e => e.id === b.exchangeId) || {};
+            const coins = {};
+            (b.balance.coinBalances || []).forEach(c => {
+                const quantity = parseFloat(c.balance) || 0;
+                if (quantity > 0) coins[c.currency.toUpperCase()] = quantity;
+            });
+
+            return {
+                exchangeId: b.exchangeId,
+                exchangeName: b.exchangeName,
+                exchangeCode: exchange.code,
+                fiatCurrency: b.balance.fiatCurrency,
+                fiatBalance: parseFloat(b.balance.fiatBalance) || 0,
+                coins,
+                canWithdraw: ExchangeService.hasCapability(exchange.code, 'withdrawals') && b.balance.canWithdraw !== false,
+                canOrder: ExchangeService.hasCapability(exchange.code, 'orders')
+            };
+        });
+    }
+
+    /**
+     * 시세/네트워크/입금주소/수수료 (computePlan options)
+     * 시세는 모니터링 최근 결과, 시세가 없는 거래소의 호가통화 환율은 환율 서비스에서 조회
+     */
+    async loadPlanOptions(inventory) {
+        const exchangeIds = inventory.map(entry => entry.exchangeId);
+        const connection = await db.getConnection();
+        const [coinRows] = await connection.execute(
+            'SELECT * FROM coins WHERE is_active = TRUE AND is_tradable = TRUE'
+        );
+        const [networkRows] = exchangeIds.length > 0 ? await connection.execute(`
+            SELECT cn.coin_id, cn.exchange_id, cn.network, cn.withdrawal_fee, cn.min_withdrawal, cn.is_default
+            FROM coin_networks cn
+            WHERE cn.is_active = TRUE AND cn.exchange_id IN (${exchangeIds.map(() => '?').join(', ')})
+            ORDER BY cn.is_default DESC, cn.withdrawal_fee ASC
+        `, exchangeIds) : [[]];
+        const [exchangeRows] = exchangeIds.length > 0 ? await connection.execute(
+            `SELECT * FROM exchanges WHERE id IN (${exchangeIds.map(() => '?').join(', ')})`,
+            exchangeIds
+        ) : [[]];
+        connection.release();
+
+        const coins = {};
+        const prices = {};
+        const quoteRates = {};
+        for (const coin of coinRows) {
+            const symbol = coin.symbol.toUpperCase();
+            coins[symbol] = coin;
+
+            const latest = await this.tradeExecutionService.redis.get(`premium:${symbol}:latest`);
+            if (!latest) continue;
+
+            const extracted = KimchiMonitoringService.extractPricesKrw(JSON.parse(latest));
+            prices[symbol] = extracted.prices;
+            Object.entries(extracted.quoteRates).forEach(([exchangeId, rate]) => {
+                if (!quoteRates[exchangeId]) quoteRates[exchangeId] = rate;
+            });
+        }
+
+        const premiumBasis = await this.tradeExecutionService.getPremiumBasis();
+        for (const entry of inventory) {
+            if (quoteRates[entry.exchangeId]) continue;
+            if (entry.fiatCurrency === 'KRW') {
+                quoteRates[entry.exchangeId] = 1;
+                continue;
+            }
+            try {
+                const basis = ExchangeRateService.basisForQuote(entry.fiatCurrency, premiumBasis);
+                quoteRates[entry.exchangeId] = (await this.tradeExecutionService.exchangeRateService.getRate(basis)).rate;
+            } catch (error) {
+                this.logger.warn('호가통화 환율 조회 실패', { exchange: entry.exchangeName, error: error.message });
+            }
+        }
+
+        const networks = {};
+        const coinById = new Map(coinRows.map(coin => [coin.id, coin.symbol.toUpperCase()]));
+        networkRows.forEach(row => {
+            const symbol = coinById.get(row.coin_id);
+            if (!symbol) return;
+            networks[symbol] = networks[symbol] || {};
+            (networks[symbol][row.exchange_id] = networks[symbol][row.exchange_id] || []).push(row);
+        });
+
+        const settingsService = new UserSettingsService(this.userId);
+        const addresses = {};
+        (await settingsService.getAllDepositAddresses()).forEach(item => {
+            addresses[`${item.exchangeId}:${item.symbol}`] = { address: item.address, memo: item.memo };
+        });
+
+        const userFeeTiers = await this.feeModelService.getUserFeeTiers(this.userId);
+        const tradingFees = {};
+        exchangeRows.forEach(exchange => {
+            tradingFees[exchange.id] = FeeModelService.resolveTradingFees(exchange, userFeeTiers.get(exchange.id)).takerFeeRate;
+        });
+
+        return { prices, quoteRates, coins, networks, addresses, tradingFees };
+    }
+
+    /**
+     * 재분배 계획 생성 (승인 전까지 실행하지 않음)
+     * @param {Object} params - { weights, minTransferKrw, maxFeePercent }
+     */
+    async createPlan({ weights = {}, minTransferKrw = DEFAULT_MIN_TRANSFER_KRW, maxFeePercent = DEFAULT_MAX_FEE_PERCENT } = {}) {
+        const inventory = await this.buildInventory();
+        if (inventory.length < 2) {
+            throw new Error('잔고를 조회할 수 있는 거래소가 2개 이상 필요합니다');
+        }
+
+        const options = await this.loadPlanOptions(inventory);
+        const plan = RebalancePlannerService.computePlan(inventory, {
+            ...options,
+            weights,
+            minTransferKrw,
+            maxFeePercent
+        });
+
+        const connection = await db.getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO rebalance_plans (
+                user_id, status, total_krw, estimated_fee_krw, allocations, transfers, skipped
+            ) VALUES (?, 'proposed', ?, ?, ?, ?, ?)
+        `, [
+            this.userId,
+            plan.totalKrw,
+            plan.estimatedFeeKrw,
+            JSON.stringify(plan.allocations),
+            JSON.stringify(plan.transfers),
+            JSON.stringify(plan.skipped)
+        ]);
+        connection.release();
+
+        this.logger.info('재분배 계획 생성', {
+            userId: this.userId,
+            planId: result.insertId,
+            transfers: plan.transfers.length,
+            skipped: plan.skipped.length,
+            estimatedFeeKrw: Math.round(plan.estimatedFeeKrw)
+        });
+
+        return { id: result.insertId, status: 'proposed', ...plan };
+    }
+
+    static parsePlan(row) {
+        const parse = (value) => typeof value === 'string' ? JSON.parse(value) : (value || []);
+        return {
+            ...row,
+            total_krw: parseFloat(row.total_krw),
+            estimated_fee_krw: parseFloat(row.estimated_fee_krw),
+            allocations: parse(row.allocations),
+            transfers: parse(row.transfers),
+            skipped: parse(row.skipped)
+        };
+    }
+
+    async getPlans(limit = 10) {
+        const connection = await db.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT * FROM rebalance_plans
+            WHERE user_id = ?
+            ORDER BY created_at DESC
+            LIMIT ${parseInt(limit) || 10}
+        `, [this.userId]);
+        connection.release();
+
+        return rows.map(RebalancePlannerService.parsePlan);
+    }
+
+    async getPlan(planId) {
+        const connection = await db.getConnection();
+        const [rows] = await connection.execute(
+            'SELECT * FROM rebalance_plans WHERE id = ? AND user_id = ?',
+            [planId, this.userId]
+        );
+        connection.release();
+
+        if (rows.length === 0) {
+            throw new Error('재분배 계획을 찾을 수 없습니다');
+        }
+        return RebalancePlannerService.parsePlan(rows[0]);
+    }
+
+    async updatePlan(planId, updates) {
+        const fields = [];
+        const values = [];
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = ?`);
+            values.push(key === 'transfers' ? JSON.stringify(updates[key]) : updates[key]);
+        });
+        values.push(planId);
+
+        const connection = await db.getConnection();
+        await connection.execute(`UPDATE rebalance_plans SET ${fields.join(', ')} WHERE id = ?`, values);
+        connection.release();
+    }
+
+    /**
+     * 계획별 실행 잠금 (승인 실행과 진행 확인이 겹치지 않도록)
+     * @returns {Promise<*>} fn 결과, 잠금을 얻지 못하면 null
+     */
+    async withPlanLock(planId, fn) {
+        const redis = this.tradeExecutionService.redis;
+        const lockKey = `lock:rebalance:plan:${planId}`;
+        const lockToken = uuidv4();
+        const lockAcquired = await redis.set(lockKey, lockToken, 'EX', 600, 'NX');
+        if (!lockAcquired) {
+            return null;
+        }
+
+        try {
+            return await fn();
+        } finally {
+            const currentToken = await redis.get(lockKey);
+            if (currentToken === lockToken) {
+                await redis.del(lockKey);
+            }
+        }
+    }
+
+    /**
+     * 승인 대기 중인 계획의 상태 변경 (조건부 UPDATE라 동시에 승인/취소해도 한 요청만 성공)
+     * @returns {Promise<boolean>} 상태를 바꿨으면 true
+     */
+    async claimProposedPlan(planId, status) {
+        const approvedAt = status === 'executing' ? ', approved_at = NOW()' : '';
+        const connection = await db.getConnection();
+        const [result] = await connection.execute(
+            `UPDATE rebalance_plans SET status = ?${approvedAt} WHERE id = ? AND user_id = ? AND status = 'proposed'`,
+            [status, planId, this.userId]
+        );
+        connection.release();
+
+        return result.affectedRows === 1;
+    }
+
+    async cancelPlan(planId) {
+        const plan = await this.getPlan(planId);
+        if (plan.status !== 'proposed') {
+            throw new Error('승인 대기 중인 계획만 취소할 수 있습니다');
+        }
+
+        // 승인 실행 중에는 잠금을 얻지 못하므로 취소되지 않음
+        const cancelled = await this.withPlanLock(planId, () => this.claimProposedPlan(planId, 'cancelled'));
+        if (cancelled === null) {
+            throw new Error('실행 중인 계획은 취소할 수 없습니다');
+        }
+        if (!cancelled) {
+            throw new Error('승인 대기 중인 계획만 취소할 수 있습니다');
+        }
+
+        this.logger.info('재분배 계획 취소', { userId: this.userId, planId });
+    }
+
+    /**
+     * 계획 승인 및 실행 (전송 건별로 출금 요청까지 진행, 도착 확인은 refreshPlan)
+     * 한 건이 실패해도 나머지 전송은 계속 진행
+     */
+    async approvePlan(planId) {
+        const plan = await this.getPlan(planId);
+        if (plan.status !== 'proposed') {
+            throw new Error('승인 대기 중인 계획만 실행할 수 있습니다');
+        }
+        if (Date.now() - new Date(plan.created_at).getTime() > PLAN_EXPIRY_MS) {
+            throw new Error('계획이 만들어진 지 오래되어 잔고/시세가 달라졌을 수 있습니다. 다시 계산해주세요');
+        }
+        if (plan.transfers.length === 0) {
+            throw new Error('실행할 전송이 없습니다');
+        }
+
+        const executed = await this.withPlanLock(planId, async () => {
+            // 잠금을 얻기 전에 다른 요청이 이미 승인/취소했을 수 있으므로 상태를 조건부로 바꿔 한 번만 실행
+            if (!(await this.claimProposedPlan(planId, 'executing'))) {
+                throw new Error('승인 대기 중인 계획만 실행할 수 있습니다');
+            }
+            this.logger.info('재분배 계획 승인', { userId: this.userId, planId, transfers: plan.transfers.length });
+
+            for (const transfer of plan.transfers) {
+                try {
+                    await this.startTransfer(transfer, plan.transfers, planId);
+                } catch (error) {
+                    transfer.status = 'failed';
+                    transfer.error = error.message;
+                    this.logger.error('재분배 전송 시작 실패', { planId, transferId: transfer.id, error: error.message });
+                }
+                await this.updatePlan(planId, { transfers: plan.transfers });
+            }
+
+            await this.finalizePlan(planId, plan.transfers);
+            return true;
+        });
+
+        if (!executed) {
+            throw new Error('이미 실행 중인 계획입니다');
+        }
+        return this.getPlan(planId);
+    }
+
+    /**
+     * 전송 건 실행: (현금이면 운반 코인 매수 →) 출금 요청
+     */
+    async startTransfer(transfer, transfers, planId) {
+        const { coin, from, to } = await this.tradeExecutionService.getRebalanceContext(
+            this.userId, transfer.coinId, transfer.fromExchangeId, transfer.toExchangeId
+        );
+
+        // 승인 시점의 입금주소 사용 (계획 이후 변경되었을 수 있음)
+        const settingsService = new UserSettingsService(this.userId);
+        const depositInfo = await settingsService.getDepositAddress(to.exchange.id, coin.symbol);
+        if (!depositInfo?.address) {
+            throw new Error(`${to.exchange.name} ${coin.symbol} 입금주소가 없습니다`);
+        }
+
+        let quantity = transfer.quantity;
+        if (transfer.type === 'cash') {
+            transfer.status = 'buying';
+            await this.updatePlan(planId, { transfers });
+
+            const quoteAmount = from.quoteCurrency === 'KRW' ?
+                transfer.amountKrw :
+                transfer.amountKrw / transfer.fromQuoteRate;
+            const placed = await from.service.placeOrder(
+                from.market, 'buy', 'market', quoteAmount, null,
+                from.keys.api_key, from.keys.secret_key, from.keys.passphrase
+            );
+            transfer.buyOrderId = placed.orderId;
+
+            const order = await from.service.waitForOrderFill(
+                from.market, placed.orderId, from.keys.api_key, from.keys.secret_key, from.keys.passphrase
+            );
+            if (order.executedQty <= 0) {
+                throw new Error(`운반 코인 매수가 체결되지 않았습니다 (주문 ${placed.orderId}, 상태: ${order.status})`);
+            }
+
+            // 코인으로 차감된 매수 수수료를 제외한 실제 보유 수량까지만 출금
+            const balance = await from.service.getBalance(from.keys.api_key, from.keys.secret_key, from.keys.passphrase);
+            const held = (balance.coinBalances || []).find(b => b.currency === coin.symbol.toUpperCase());
+            quantity = Math.min(order.executedQty, held ? held.balance : 0);
+            transfer.boughtQuantity = order.executedQty;
+        }
+
+        // 입금 주소가 기본 네트워크 기준이므로 네트워크를 지정하지 않고 출금 (수수료도 기본 네트워크 기준)
+        const withdrawalFee = await this.feeModelService.getWithdrawalFee(coin, from.exchange.id);
+        const withdrawal = await this.tradeExecutionService.transferService.submitWithdrawal({
+            tradeId: null,
+            userId: this.userId,
+            coin,
+            quantity,
+            from,
+            to,
+            address: depositInfo.address,
+            memo: depositInfo.memo,
+            withdrawalFee,
+            network: null
+        });
+
+        transfer.withdrawalId = withdrawal.id;
+        transfer.withdrawnQuantity = parseFloat(withdrawal.amount);
+        transfer.status = 'withdrawing';
+
+        this.logger.info('재분배 출금 요청', {
+            planId,
+            transferId: transfer.id,
+            type: transfer.type,
+            symbol: coin.symbol,
+            quantity: transfer.withdrawnQuantity,
+            network: withdrawalFee.network,
+            from: from.exchange.name,
+            to: to.exchange.name,
+            withdrawalId: withdrawal.id
+        });
+    }
+
+    /**
+     * 실행 중인 계획의 전송 진행 상황 확인 (도착한 현금 전송은 도착 거래소에서 운반 코인 매도)
+     */
+    async refreshPlan(planId) {
+        const plan = await this.getPlan(planId);
+        if (plan.status !== 'executing') {
+            return plan;
+        }
+
+        await this.withPlanLock(planId, async () => {
+            for (const transfer of plan.transfers) {
+                if (TERMINAL_TRANSFER_STATUSES.includes(transfer.status)) continue;
+
+                try {
+                    await this.advanceTransfer(transfer);
+                } catch (error) {
+                    transfer.status = 'failed';
+                    transfer.error = error.message;
+                    this.logger.error('재분배 전송 확인 실패', { planId, transferId: transfer.id, error: error.message });
+                }
+            }
+
+            await this.updatePlan(planId, { transfers: plan.transfers });
+            await this.finalizePlan(planId, plan.transfers);
+        });
+
+        return this.getPlan(planId);
+    }
+
+    async advanceTransfer(transfer) {
+        // 잠금을 얻었는데 출금 전 단계라면 승인 실행이 중단된 것 (매수 여부는 거래소에서 확인 필요)
+        if (!transfer.withdrawalId) {
+            throw new Error(`실행이 중단되었습니다 (단계: ${transfer.status}${transfer.buyOrderId ? `, 매수 주문 ${transfer.buyOrderId}` : ''})`);
+        }
+
+        const { from, to } = await this.tradeExecutionService.getRebalanceContext(
+            this.userId, transfer.coinId, transfer.fromExchangeId, transfer.toExchangeId
+        );
+
+        if (transfer.status === 'withdrawing') {
+            const record = await this.tradeExecutionService.transferService.checkProgress(transfer.withdrawalId, from, to);
+            if (record.status === 'failed') {
+                throw new Error(`코인 전송 실패: ${record.error_message || '알 수 없는 오류'}`);
+            }
+            if (record.status !== 'completed') {
+                return;
+            }
+
+            transfer.receivedQuantity = parseFloat(record.received_amount);
+            transfer.status = transfer.type === 'cash' ? 'selling' : 'completed';
+        }
+
+        if (transfer.status === 'selling') {
+            if (!transfer.sellOrderId) {
+                const placed = await to.service.placeOrder(
+                    to.market, 'sell', 'market', null, transfer.receivedQuantity,
+                    to.keys.api_key, to.keys.secret_key, to.keys.passphrase
+                );
+                transfer.sellOrderId = placed.orderId;
+            }
+
+            const order = await to.service.waitForOrderFill(
+                to.market, transfer.sellOrderId, to.keys.api_key, to.keys.secret_key, to.keys.passphrase
+            );
+            if (order.executedQty <= 0) {
+                throw new Error(`운반 코인 매도가 체결되지 않았습니다 (주문 ${transfer.sellOrderId}, 상태: ${order.status})`);
+            }
+
+            transfer.soldQuantity = order.executedQty;
+            transfer.soldQuote = order.executedQuote;
+            transfer.status = 'completed';
+        }
+    }
+
+    // 모든 전송이 끝났으면 계획 종료 (한 건이라도 실패하면 failed)
+    async finalizePlan(planId, transfers) {
+        if (!transfers.every(t => TERMINAL_TRANSFER_STATUSES.includes(t.status))) {
+            return;
+        }
+
+        const failed = transfers.filter(t => t.status === 'failed');
+        await this.updatePlan(planId, {
+            status: failed.length > 0 ? 'failed' : 'completed',
+            error_message: failed.length > 0 ? `${failed.length}/${transfers.length}건 실패: ${failed.map(t => t.error).join(' / ')}` : null,
+            completed_at: new Date()
+        });
+
+        this.logger[failed.length > 0 ? 'warn' : 'info']('재분배 계획 종료', {
+            userId: this.userId,
+            planId,
+            completed: transfers.length - failed.length,
+            failed: failed.length
+        });
+    }
+
+    /**
+     * 전체 사용자의 실행 중인 계획 진행 확인 (재고 재분배 주기에서 호출)
+     */
+    static async refreshExecutingPlans(tradeExecutionService) {
+        const connection = await db.getConnection();
+        const [rows] = await connection.execute(
+            `SELECT id, user_id FROM rebalance_plans WHERE status = 'executing'`
+        );
+        connection.release();
+
+        const results = [];
+        for (const row of rows) {
+            const planner = new RebalancePlannerService(row.user_id, tradeExecutionService);
+            try {
+                const plan = await planner.refreshPlan(row.id);
+                results.push({ action: 'plan_checked', planId: row.id, status: plan.status });
+            } catch (error) {
+                planner.logger.error('재분배 계획 확인 실패', { planId: row.id, error: error.message });
+            }
+        }
+        return results;
+    }
+}
+
+RebalancePlannerService.DEFAULT_MIN_TRANSFER_KRW = DEFAULT_MIN_TRANSFER_KRW;
+RebalancePlannerService.DEFAULT_MAX_FEE_PERCENT = DEFAULT_MAX_FEE_PERCENT;
+
+module.exports = RebalancePlannerService;
@@ -7,8 +7,22 @@ const { v4: uuidv4 } = require('uuid');
 const ApiKeyService = require('./ApiKeyService');
 const UserSettingsService = require('./UserSettingsService');
 const ExchangeRateService = require('./ExchangeRateService');
-const UpbitService = require('./UpbitService');
-const BinanceService = require('./BinanceService');
+const ExchangeService = require('./ExchangeService');
+const KimchiMonitoringService = require('./KimchiMonitoringService');
+const TransferService = require('./TransferService');
+const FeeModelService = require('./FeeModelService');
+const RealtimeService = require('./RealtimeService');
+const RebalancePlannerService = require('./RebalancePlannerService');
+
+// 거래 사이클 단계 (순서대로 진행, 재시작 시 현재 단계부터 재개)
+const TRADE_STEPS = ['buying', 'transferring', 'selling'];
+const IN_FLIGHT_STATUSES = ['pending', 'buying', 'transferring', 'transfer_delayed', 'selling'];
+
+// 거래 실행 방식 (transfer: 매수 → 전송 → 매도, inventory: 양쪽 거래소 보유 재고로 동시 매수/매도 후 백그라운드 재분배)
+const EXECUTION_MODES = ['transfer', 'inventory'];
+
+// 전송 구간 헤지 선물 taker 수수료율 (체결 내역에 수수료가 없을 때 추정용)
+const HEDGE_FEE_RATE = 0.0005;
 
 class TradeExecutionService {
     constructor() {
@@ -34,10 +48,14 @@ class TradeExecutionService {
             ]
         });
 
-        // 거래소 서비스 인스턴스
-        this.upbitService = new UpbitService();
-        this.binanceService = new BinanceService();
+        // 거래소 서비스 인스턴스 (거래소 코드별, getExchangeService에서 생성)
+        this.exchangeServices = {};
         this.exchangeRateService = new ExchangeRateService();
+        this.transferService = new TransferService();
+        this.feeModelService = new FeeModelService();
+
+        // 재고 방식 거래 재분배 (startInventoryRebalancer)
+        this.rebalanceInterval = null;
     }
 
     /**
@@ -46,8 +64,11 @@ class TradeExecutionService {
      * @param {string} symbol - 코인 심볼
      * @param {number} budgetKrw - 거래 예산 (원화)
      * @param {boolean} dryRun - 드라이런 모드 여부
+     * @param {Object|null} route - 거래소 쌍 { domesticExchangeId, overseasExchangeId, direction } (null이면 사용자 설정/최적 경로)
+     *                              direction: 'forward' (김프) | 'reverse' (역프), 없으면 현재 김프 부호로 결정
+     * @param {Object} options - { onTradeCreated(tradeId) } 거래 내역 생성 직후 호출 (수동 거래를 백그라운드로 실행할 때 거래 ID 전달)
      */
-    async executeOnce(userId, symbol, budgetKrw, dryRun = true) {
+    async executeOnce(userId, symbol, budgetKrw, dryRun = true, route = null, options = {}) {
         const lockKey = `lock:trade:${userId}:${symbol}`;
         const lockToken = uuidv4();
         let tradeId = null;
@@ -65,25 +86,58 @@ class TradeExecutionService {
             });
 
             // 2. 거래 조건 검증
-            const validation = await this.validateTradeConditions(userId, symbol, budgetKrw);
+            const validation = await this.validateTradeConditions(userId, symbol, budgetKrw, route);
             if (!validation.valid) {
                 throw new Error(validation.error);
             }
 
-            // 3. 거래 내역 생성 (pending 상태)
-            tradeId = await this.createTradeRecord(userId, validation.data.coin.id, dryRun);
-
-            // 4. 시장 데이터 수집 및 분석
-            const marketAnalysis = await this.analyzeMarket(symbol, validation.data.coin);
+            // 3. 시장 데이터 수집 및 분석
+            const marketAnalysis = await this.analyzeMarket(symbol, validation.data.coin, validation.data.route);
+            const feeModel = await this.feeModelService.buildFeeModel({
+                userId,
+                coin: validation.data.coin,
+                exchanges: validation.data.exchanges
+            });
             
-            // 5. 거래 방향 및 수량 결정
+            // 4. 거래 방향 및 수량 결정
             const tradeParams = await this.calculateTradeParameters(
                 budgetKrw, 
                 marketAnalysis, 
-                validation.data.settings
+                validation.data.settings,
+                feeModel,
+                route?.direction
             );
+            tradeParams.executionMode = this.getExecutionMode(validation.data.settings);
+            this.applyHedgeSettings(tradeParams, validation.data);
+            tradeParams.lock = { key: lockKey, token: lockToken };
+            tradeParams.route = {
+                domesticExchangeId: validation.data.route.domestic.id,
+                overseasExchangeId: validation.data.route.overseas.id
+            };
 
-            // 6. 거래 실행
+            // 5. 실거래 사전 점검 (잔고, 출금 권한, 최소 출금량, 입출금 중단) - 통과해야 거래 내역 생성
+            if (!dryRun) {
+                const preTrade = await this.checkPreTradeConditions(userId, symbol, tradeParams, validation.data);
+                if (!preTrade.valid) {
+                    this.logger.warn('거래 사전 점검 실패', { userId, symbol, reasons: preTrade.reasons.map(r => r.code) });
+                    return {
+                        success: false,
+                        tradeId: null,
+                        symbol: symbol,
+                        error: preTrade.error,
+                        reasons: preTrade.reasons,
+                        dryRun: dryRun
+                    };
+                }
+            }
+
+            // 6. 거래 내역 생성 (pending 상태)
+            tradeId = await this.createTradeRecord(userId, validation.data.coin.id, dryRun);
+            if (options.onTradeCreated) {
+                options.onTradeCreated(tradeId);
+            }
+
+            // 7. 거래 실행
             const executionResult = await this.executeTradeCycle(
                 tradeId, 
                 userId, 
@@ -93,7 +147,18 @@ class TradeExecutionService {
                 dryRun
             );
 
-            // 7. 최종 결과 기록
+            // 8. 최종 결과 기록 (전송 지연 건은 transfer_delayed 상태로 유지)
+            if (executionResult.delayed) {
+                return {
+                    success: false,
+                    delayed: true,
+                    tradeId: tradeId,
+                    symbol: symbol,
+                    dryRun: dryRun,
+                    message: `${symbol} 코인 전송 확인이 지연되고 있습니다. 입금이 확인되면 이어서 매도할 수 있습니다.`
+                };
+            }
+
             await this.finalizeTradeRecord(tradeId, executionResult);
 
             this.logger.info(`거래 실행 완료`, {
@@ -110,6 +175,7 @@ class TradeExecutionService {
                 symbol: symbol,
                 netProfit: executionResult.netProfit,
                 profitRate: executionResult.profitRate,
+                fees: executionResult.fees,
                 dryRun: dryRun,
                 message: executionResult.success ? 
                     `${symbol} 거래 ${dryRun ? '시뮬레이션' : '실행'} 성공` : 
@@ -144,10 +210,65 @@ class TradeExecutionService {
         }
     }
 
+    /**
+     * 거래 미리보기 (주문 없이 현재 호가/수수료 모델 기준 예상 수익과 수수료 내역 계산)
+     * @returns {Promise<Object>} { success, symbol, direction, buyExchange, sellExchange, quantity, premium, netProfit, profitRate, fees } 또는 { success: false, error }
+     */
+    async previewTrade(userId, symbol, budgetKrw, route = null) {
+        try {
+            const validation = await this.validateTradeConditions(userId, symbol, budgetKrw, route);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const marketAnalysis = await this.analyzeMarket(symbol, validation.data.coin, validation.data.route);
+            const feeModel = await this.feeModelService.buildFeeModel({
+                userId,
+                coin: validation.data.coin,
+                exchanges: validation.data.exchanges
+            });
+            const tradeParams = await this.calculateTradeParameters(budgetKrw, marketAnalysis, validation.data.settings, feeModel, route?.direction);
+            tradeParams.executionMode = this.getExecutionMode(validation.data.settings);
+            this.applyHedgeSettings(tradeParams, validation.data);
+
+            const profit = this.calculateProfit(tradeParams, validation.data.coin);
+            // 미리보기는 실패로 처리하지 않고 실거래 시 막히는 사유만 표시
+            const preTrade = await this.checkPreTradeConditions(userId, symbol, tradeParams, validation.data);
+
+            return {
+                success: true,
+                symbol,
+                budgetKrw,
+                direction: tradeParams.direction,
+                tradeDirection: tradeParams.tradeDirection,
+                settlementCurrency: tradeParams.settlementCurrency,
+                executionMode: tradeParams.executionMode,
+                hedgeExchange: tradeParams.hedgeEnabled ? tradeParams.hedgeExchange : null,
+                buyExchange: tradeParams.buyExchange,
+                sellExchange: tradeParams.sellExchange,
+                buyPrice: tradeParams.buyPrice,
+                sellPrice: tradeParams.sellPrice,
+                quantity: tradeParams.quantity,
+                premium: tradeParams.premium,
+                reversePremium: tradeParams.reversePremium,
+                feeTier: tradeParams.feeTier,
+                grossProfit: profit.grossProfit,
+                netProfit: profit.netProfit,
+                profitRate: profit.profitRate,
+                fees: profit.fees,
+                preTradeReasons: preTrade.reasons
+            };
+        } catch (error) {
+            this.logger.error('거래 미리보기 실패', { userId, symbol, budgetKrw, error: error.message });
+            return { success: false, symbol, budgetKrw, error: error.message };
+        }
+    }
+
     /**
      * 거래 조건 검증
+     * @param {Object|null} route - { domesticExchangeId, overseasExchangeId, direction } (거래소 쌍이 없으면 사용자 설정 → 모니터링 최적 경로)
      */
-    async validateTradeConditions(userId, symbol, budgetKrw) {
+    async validateTradeConditions(userId, symbol, budgetKrw, route = null) {
         try {
             const connection = await db.getConnection();
 
@@ -188,46 +309,72 @@ class TradeExecutionService {
                 SELECT * FROM coins 
                 WHERE symbol = ? AND is_active = TRUE AND is_tradable = TRUE
             `, [symbol.toUpperCase()]);
+            connection.release();
 
             if (coinRows.length === 0) {
-                connection.release();
                 return { valid: false, error: `거래 불가능한 코인입니다: ${symbol}` };
             }
 
-            // 거래소 정보 확인
-            const [exchangeRows] = await connection.execute(`
-                SELECT * FROM exchanges 
-                WHERE name IN ('업비트', '바이낸스') AND is_active = TRUE
-                ORDER BY name
-            `);
+            // 거래소 쌍 확인 (지정된 경로 → 사용자 설정 + 모니터링 최적 경로, 방향을 지정했으면 해당 방향 최적 경로)
+            // 경로 결정 중 예외가 나도 연결이 남지 않도록 연결을 반납한 뒤 조회
+            const routeIds = route?.domesticExchangeId && route?.overseasExchangeId ?
+                route :
+                await this.resolveRoute(symbol, settings, route?.direction);
+            if (!routeIds) {
+                return { valid: false, error: `${symbol} 거래할 거래소 쌍을 결정할 수 없습니다 (모니터링 결과 없음)` };
+            }
 
-            if (exchangeRows.length < 2) {
-                connection.release();
-                return { valid: false, error: '업비트와 바이낸스가 모두 활성화되어야 합니다' };
+            const exchangeConnection = await db.getConnection();
+            const [exchangeRows] = await exchangeConnection.execute(`
+                SELECT * FROM exchanges 
+                WHERE id IN (?, ?) AND is_active = TRUE
+            `, [routeIds.domesticExchangeId, routeIds.overseasExchangeId]);
+            exchangeConnection.release();
+
+            // 거래 재개 시 매수/매도 거래소 ID로 전달될 수 있으므로 유형으로 구분
+            const domestic = exchangeRows.find(e => e.type === 'domestic');
+            const overseas = exchangeRows.find(e => e.type === 'overseas');
+            if (!domestic || !overseas) {
+                return { valid: false, error: '활성화된 국내/해외 거래소 쌍이 필요합니다' };
             }
 
-            connection.release();
+            // 양쪽 거래소 모두 시세/주문/입출금 필요
+            // 방향에 따라 어느 쪽이든 출금(매수 거래소)과 입금 확인(매도 거래소)을 맡고, 재고 방식도 재분배 시 같은 경로로 전송
+            for (const exchange of [domestic, overseas]) {
+                const missing = ['marketData', 'orders', 'withdrawals']
+                    .filter(capability => !ExchangeService.hasCapability(exchange.code, capability));
+                if (missing.length > 0) {
+                    const labels = missing.map(capability => ExchangeService.CAPABILITIES[capability]).join(', ');
+                    return { valid: false, error: `${exchange.name}는 아직 거래를 지원하지 않는 거래소입니다 (미지원: ${labels})` };
+                }
+                if (!this.getExchangeService(exchange.code).getMarketSymbol(coinRows[0])) {
+                    return { valid: false, error: `${exchange.name} ${symbol} 마켓이 등록되지 않았습니다` };
+                }
+            }
 
-            // API 키 확인
+            // API 키 확인 (거래소 쌍 모두 인증 필요)
             const apiKeyService = new ApiKeyService(userId);
             const verifiedExchanges = await apiKeyService.getVerifiedExchanges();
+            const unverified = [domestic, overseas].filter(exchange =>
+                !verifiedExchanges.some(v => v.exchange_id === exchange.id)
+            );
             
-            if (verifiedExchanges.length < 2) {
+            if (unverified.length > 0) {
                 return { 
                     valid: false, 
-                    error: '최소 2개 거래소의 인증된 API 키가 필요합니다' 
+                    error: `${unverified.map(e => e.name).join(', ')} 인증된 API 키가 필요합니다` 
                 };
             }
 
-            // 입금주소 확인
+            // 입금주소 확인 (거래소 ID별)
             const settingsService = new UserSettingsService(userId);
-            const upbitAddr = await settingsService.getDepositAddress(exchangeRows.find(e => e.name === '업비트').id, symbol);
-            const binanceAddr = await settingsService.getDepositAddress(exchangeRows.find(e => e.name === '바이낸스').id, symbol);
+            const domesticAddr = await settingsService.getDepositAddress(domestic.id, symbol);
+            const overseasAddr = await settingsService.getDepositAddress(overseas.id, symbol);
             
-            if (!upbitAddr?.address || !binanceAddr?.address) {
+            if (!domesticAddr?.address || !overseasAddr?.address) {
                 return { 
                     valid: false, 
-                    error: `업비트와 바이낸스 ${symbol} 입금주소가 모두 필요합니다` 
+                    error: `${domestic.name}와 ${overseas.name} ${symbol} 입금주소가 모두 필요합니다` 
                 };
             }
 
@@ -236,9 +383,13 @@ class TradeExecutionService {
                 data: {
                     coin: coinRows[0],
                     settings: settings,
-                    exchanges: exchangeRows,
+                    route: { domestic, overseas },
+                    exchanges: [domestic, overseas],
                     verifiedExchanges: verifiedExchanges,
-                    addresses: { upbit: upbitAddr, binance: binanceAddr }
+                    addresses: {
+                        [domestic.id]: domesticAddr,
+                        [overseas.id]: overseasAddr
+                    }
                 }
             };
 
@@ -248,6 +399,128 @@ class TradeExecutionService {
         }
     }
 
+    /**
+     * 실거래 사전 점검 (거래 방향이 정해진 뒤, 거래 내역 생성 전)
+     * 사유 코드:
+     * - balance_unavailable: 잔고 조회 실패
+     * - insufficient_balance: 매수 거래소 현금(KRW/USDT/USD) 부족
+     * - insufficient_coin_balance: 재고 방식에서 매도 거래소 코인 부족
+     * - withdrawal_not_permitted: API 키에 출금 권한 없음 (잔고 조회 응답의 canWithdraw)
+     * - below_min_withdrawal: 매수 수량이 출금 네트워크 최소 출금량 미만
+     * - withdrawal_suspended / deposit_suspended: 매수 거래소 출금 / 매도 거래소 입금 일시 중단
+     * 입출금 관련 항목은 전송 방식에서만 확인 (재고 방식은 나중에 재분배 시 출금)
+     * @returns {Promise<Object>} { valid, reasons: [{ code, exchange, message }], error }
+     */
+    async checkPreTradeConditions(userId, symbol, tradeParams, validationData) {
+        const reasons = [];
+        const addReason = (code, exchange, message) => reasons.push({ code, exchange, message });
+        const isTransfer = tradeParams.executionMode !== 'inventory';
+
+        const buy = await this.getOrderContext(userId, tradeParams.buyExchange, validationData);
+        const sell = await this.getOrderContext(userId, tradeParams.sellExchange, validationData);
+
+        const loadBalance = async context => {
+            try {
+                return await context.service.getBalance(context.keys.api_key, context.keys.secret_key, context.keys.passphrase);
+            } catch (error) {
+                addReason('balance_unavailable', context.exchange.name, `${context.exchange.name} 잔고 조회 실패: ${error.message}`);
+                return null;
+            }
+        };
+
+        const buyBalance = await loadBalance(buy);
+        if (buyBalance) {
+            const requiredQuote = buy.quoteCurrency === 'KRW' ?
+                tradeParams.budgetKrw :
+                tradeParams.budgetKrw / tradeParams.exchangeRate;
+            const available = parseFloat(buyBalance.fiatBalance) || 0;
+            if (available < requiredQuote) {
+                addReason('insufficient_balance', tradeParams.buyExchange,
+                    `${tradeParams.buyExchange} ${buy.quoteCurrency} 잔고 부족 (보유 ${available}, 필요 ${requiredQuote.toFixed(2)})`);
+            }
+            if (isTransfer && buyBalance.canWithdraw === false) {
+                addReason('withdrawal_not_permitted', tradeParams.buyExchange,
+                    `${tradeParams.buyExchange} API 키에 출금 권한이 없습니다`);
+            }
+        }
+
+        if (!isTransfer) {
+            const sellBalance = await loadBalance(sell);
+            if (sellBalance) {
+                const coinBalance = (sellBalance.coinBalances || []).find(b => b.currency === symbol.toUpperCase());
+                const available = coinBalance ? coinBalance.balance : 0;
+                if (available < tradeParams.quantity) {
+                    addReason('insufficient_coin_balance', tradeParams.sellExchange,
+                        `${tradeParams.sellExchange} ${symbol} 재고 부족 (보유 ${available}, 필요 ${tradeParams.quantity.toFixed(6)})`);
+                }
+            }
+        } else {
+            const network = tradeParams.withdrawal?.network || null;
+            const minWithdrawal = tradeParams.withdrawal ?
+                tradeParams.withdrawal.minWithdrawal :
+                parseFloat(validationData.coin.min_withdrawal) || 0;
+            if (minWithdrawal > 0 && tradeParams.quantity < minWithdrawal) {
+                addReason('below_min_withdrawal', tradeParams.buyExchange,
+                    `${symbol} 매수 예상 수량 ${tradeParams.quantity.toFixed(6)}개가 최소 출금량 ${minWithdrawal}개 미만입니다${network ? ` (${network})` : ''}`);
+            }
+
+            // 입출금 상태를 조회할 수 없으면 막지 않음 (전송 단계에서 다시 실패 처리)
+            const loadWalletStatus = async context => {
+                try {
+                    return await context.service.getWalletStatus(symbol, network, context.keys.api_key, context.keys.secret_key, context.keys.passphrase);
+                } catch (error) {
+                    this.logger.warn('입출금 상태 조회 실패', { exchange: context.exchange.name, symbol, error: error.message });
+                    return null;
+                }
+            };
+
+            const [buyWallet, sellWallet] = await Promise.all([loadWalletStatus(buy), loadWalletStatus(sell)]);
+            if (buyWallet && !buyWallet.withdrawEnabled) {
+                addReason('withdrawal_suspended', tradeParams.buyExchange,
+                    `${tradeParams.buyExchange} ${symbol} 출금이 일시 중단되었습니다${buyWallet.network ? ` (${buyWallet.network})` : ''}`);
+            }
+            if (sellWallet && !sellWallet.depositEnabled) {
+                addReason('deposit_suspended', tradeParams.sellExchange,
+                    `${tradeParams.sellExchange} ${symbol} 입금이 일시 중단되었습니다${sellWallet.network ? ` (${sellWallet.network})` : ''}`);
+            }
+        }
+
+        return {
+            valid: reasons.length === 0,
+            reasons,
+            error: reasons.map(reason => reason.message).join(', ')
+        };
+    }
+
+    /**
+     * 거래소 쌍이 지정되지 않은 거래(수동 거래)의 경로 결정
+     * 최근 모니터링 결과 중 사용자 설정(국내/해외 거래소 지정)에 맞는 최적 경로, 결과가 없으면 사용자 설정 쌍
+     * @param {string|null} direction - 'forward' | 'reverse' (지정하면 해당 방향 김프가 가장 큰 경로)
+     * @returns {Promise<Object|null>} { domesticExchangeId, overseasExchangeId }
+     */
+    async resolveRoute(symbol, settings, direction = null) {
+        const preference = {
+            domesticExchangeId: parseInt(settings.domestic_exchange_id) || null,
+            overseasExchangeId: parseInt(settings.overseas_exchange_id) || null
+        };
+
+        const latest = await this.redis.get(`premium:${symbol.toUpperCase()}:latest`);
+        const routeResult = latest ? KimchiMonitoringService.selectUserRoute(JSON.parse(latest), preference, direction) : null;
+        if (routeResult) {
+            return routeResult.route;
+        }
+
+        return preference.domesticExchangeId && preference.overseasExchangeId ? preference : null;
+    }
+
+    // 거래소 코드별 서비스 인스턴스 (재사용)
+    getExchangeService(code) {
+        if (!this.exchangeServices[code]) {
+            this.exchangeServices[code] = ExchangeService.createService(code);
+        }
+        return this.exchangeServices[code];
+    }
+
     /**
      * 거래 내역 생성
      */
@@ -265,6 +538,7 @@ class TradeExecutionService {
             connection.release();
             
             const tradeId = result.insertId;
+            await this.transitionTrade(tradeId, 'pending');
             this.logger.info('거래 내역 생성', { tradeId, userId, coinId, dryRun });
             
             return tradeId;
@@ -274,59 +548,55 @@ class TradeExecutionService {
         }
     }
 
+    /**
+     * 김프 기준 환율 설정 조회 ('forex' | 'usdt', 시스템 전체 설정)
+     */
+    async getPremiumBasis() {
+        const connection = await db.getConnection();
+        const [rows] = await connection.execute(
+            `SELECT value FROM bot_settings WHERE key_name = 'premium_basis' AND is_active = TRUE LIMIT 1`
+        );
+        connection.release();
+
+        return rows.length > 0 && rows[0].value === 'usdt' ? 'usdt' : 'forex';
+    }
+
     /**
      * 시장 분석
+     * @param {Object} route - { domestic, overseas } exchanges 테이블 행 (validateTradeConditions 결과)
      */
-    async analyzeMarket(symbol, coin) {
+    async analyzeMarket(symbol, coin, route) {
         try {
-            // 환율 정보
-            const exchangeRate = await this.exchangeRateService.getUsdKrwRate();
-            
-            // 업비트 데이터
-            const upbitMarket = coin.upbit_market || `KRW-${symbol.toUpperCase()}`;
-            const [upbitTicker, upbitOrderbook] = await Promise.all([
-                this.upbitService.getTicker(upbitMarket),
-                this.upbitService.getOrderbook(upbitMarket, 5)
+            // 환율 정보 (모니터링과 같은 기준: USDT 마켓은 premium_basis, USD 마켓은 USD/KRW, 사용 불가 시 예외로 거래 중단)
+            const overseasQuote = this.getExchangeService(route.overseas.code).quoteCurrency;
+            const basis = ExchangeRateService.basisForQuote(overseasQuote, await this.getPremiumBasis());
+            const exchangeRate = await this.exchangeRateService.getRate(basis);
+            const settlementRate = await this.getSettlementRate(overseasQuote, basis, exchangeRate);
+
+            const [domestic, overseas] = await Promise.all([
+                this.analyzeExchange(route.domestic, coin, exchangeRate),
+                this.analyzeExchange(route.overseas, coin, exchangeRate)
             ]);
 
-            // 바이낸스 데이터
-            const binanceSymbol = coin.binance_symbol || `${symbol.toUpperCase()}USDT`;
-            const [binanceTicker, binanceOrderbook] = await Promise.all([
-                this.binanceService.getTicker(binanceSymbol),
-                this.binanceService.getOrderbook(binanceSymbol, 5)
-            ]);
-
-            // 평균가 계산
-            const upbitAskAvg = this.upbitService.calculateAveragePrice(upbitOrderbook, 'ask');
-            const upbitBidAvg = this.upbitService.calculateAveragePrice(upbitOrderbook, 'bid');
-            const binanceAskAvg = this.binanceService.calculateAveragePrice(binanceOrderbook, 'ask');
-            const binanceBidAvg = this.binanceService.calculateAveragePrice(binanceOrderbook, 'bid');
+            // 김프 계산: 국내 매수호가(매도할 가격) vs 해외 매도호가(매수할 가격, 원화)
+            const domesticSellPrice = domestic.bidPrice;
+            const overseasBuyPriceKrw = overseas.askPriceKrw;
+            const premium = ((domesticSellPrice - overseasBuyPriceKrw) / overseasBuyPriceKrw) * 100;
 
-            // 김프 계산
-            const upbitSellPrice = upbitBidAvg.averagePrice;  // 업비트에서 매도할 가격
-            const binanceBuyPriceKrw = binanceAskAvg.averagePrice * exchangeRate.rate;  // 바이낸스에서 매수할 가격(원화)
-            const premium = ((upbitSellPrice - binanceBuyPriceKrw) / binanceBuyPriceKrw) * 100;
+            // 역프 계산: 해외 매수호가(매도할 가격, 정산 환율 기준 원화) vs 국내 매도호가(매수할 가격)
+            const domesticBuyPrice = domestic.askPrice;
+            const overseasSellPriceKrw = overseas.bidPrice * settlementRate.rate;
+            const reversePremium = ((overseasSellPriceKrw - domesticBuyPrice) / domesticBuyPrice) * 100;
 
             return {
                 symbol: symbol,
                 exchangeRate: exchangeRate,
-                upbit: {
-                    ticker: upbitTicker,
-                    askPrice: upbitAskAvg.averagePrice,
-                    bidPrice: upbitBidAvg.averagePrice,
-                    askQuantity: upbitAskAvg.totalQuantity,
-                    bidQuantity: upbitBidAvg.totalQuantity
-                },
-                binance: {
-                    ticker: binanceTicker,
-                    askPrice: binanceAskAvg.averagePrice,
-                    bidPrice: binanceBidAvg.averagePrice,
-                    askPriceKrw: binanceAskAvg.averagePrice * exchangeRate.rate,
-                    bidPriceKrw: binanceBidAvg.averagePrice * exchangeRate.rate,
-                    askQuantity: binanceAskAvg.totalQuantity,
-                    bidQuantity: binanceBidAvg.totalQuantity
-                },
+                settlementRate,
+                quoteCurrency: overseasQuote,
+                domestic,
+                overseas,
                 premium: premium,
+                reversePremium,
                 timestamp: new Date()
             };
 
@@ -336,53 +606,130 @@ class TradeExecutionService {
         }
     }
 
+    /**
+     * 역프 방향 매도 대금(해외 호가 통화)의 원화 정산 환율
+     * 매도 대금은 USDT/USD로 남으므로 김프 기준 환율(premium_basis)이 아닌 실제 원화로 바꿀 수 있는 환율로 평가
+     * (USDT 마켓은 업비트 KRW-USDT 시세, USD 마켓은 USD/KRW 환율 - 조회 실패 시 김프 기준 환율)
+     */
+    async getSettlementRate(quoteCurrency, premiumBasis, exchangeRate) {
+        if (quoteCurrency === 'KRW') {
+            return { rate: 1, basis: 'krw' };
+        }
+
+        const basis = ExchangeRateService.basisForQuote(quoteCurrency, 'usdt');
+        if (basis === premiumBasis) {
+            return exchangeRate;
+        }
+
+        try {
+            return await this.exchangeRateService.getRate(basis);
+        } catch (error) {
+            this.logger.warn('정산 환율 조회 실패 - 김프 기준 환율로 정산 금액 계산', { quoteCurrency, basis, error: error.message });
+            return exchangeRate;
+        }
+    }
+
+    // 거래소 하나의 시세/호가 평균가 (원화 환산 포함)
+    async analyzeExchange(exchange, coin, exchangeRate) {
+        const service = this.getExchangeService(exchange.code);
+        const market = service.getMarketSymbol(coin);
+        const [ticker, orderbook] = await Promise.all([
+            service.getTicker(market),
+            service.getOrderbook(market, ExchangeService.ORDERBOOK_DEPTH)
+        ]);
+
+        const askAvg = service.calculateAveragePrice(orderbook, 'ask');
+        const bidAvg = service.calculateAveragePrice(orderbook, 'bid');
+        const rate = service.quoteCurrency === 'KRW' ? 1 : exchangeRate.rate;
+
+        return {
+            exchangeId: exchange.id,
+            exchange: exchange.name,
+            code: service.code,
+            market,
+            ticker,
+            orderbook,      // 거래 금액 기준 체결가 계산용
+            rate,           // 호가 통화 → 원화 환산 비율
+            askPrice: askAvg.averagePrice,
+            bidPrice: bidAvg.averagePrice,
+            askPriceKrw: askAvg.averagePrice * rate,
+            bidPriceKrw: bidAvg.averagePrice * rate,
+            askQuantity: askAvg.totalQuantity,
+            bidQuantity: bidAvg.totalQuantity
+        };
+    }
+
     /**
      * 거래 파라미터 계산
+     * @param {Object|null} feeModel - FeeModelService.buildFeeModel 결과 (없으면 기본 수수료율, 코인 기본 출금 수수료)
+     * @param {string|null} direction - 'forward' (김프) | 'reverse' (역프), 없으면 김프 부호로 결정
      */
-    async calculateTradeParameters(budgetKrw, marketAnalysis, settings) {
+    async calculateTradeParameters(budgetKrw, marketAnalysis, settings, feeModel = null, direction = null) {
         try {
-            // 거래 방향 결정 (프리미엄 기반)
-            const isPositivePremium = marketAnalysis.premium > 0;
-            
-            let buyExchange, sellExchange, buyPrice, sellPrice;
-            
-            if (isPositivePremium) {
-                // 바이낸스 매수 → 업비트 매도
-                buyExchange = '바이낸스';
-                sellExchange = '업비트';
-                buyPrice = marketAnalysis.binance.askPriceKrw;
-                sellPrice = marketAnalysis.upbit.bidPrice;
-            } else {
-                // 업비트 매수 → 바이낸스 매도
-                buyExchange = '업비트';
-                sellExchange = '바이낸스';
-                buyPrice = marketAnalysis.upbit.askPrice;
-                sellPrice = marketAnalysis.binance.bidPriceKrw;
+            // 거래 방향 결정 (지정된 방향 → 프리미엄 부호)
+            const tradeDirection = direction || (marketAnalysis.premium > 0 ? 'forward' : 'reverse');
+            const isPositivePremium = tradeDirection === 'forward';
+
+            // 방향을 지정한 거래는 해당 방향 김프가 있어야 실행 (반대 방향이면 손실 거래)
+            if (direction) {
+                const directionPremium = isPositivePremium ? marketAnalysis.premium : marketAnalysis.reversePremium;
+                if (directionPremium !== undefined && !(directionPremium > 0)) {
+                    throw new Error(`${isPositivePremium ? '김프' : '역프'} 방향 거래 조건이 아닙니다 (${isPositivePremium ? '김프' : '역프'} ${directionPremium.toFixed(4)}%)`);
+                }
             }
 
-            // 수량 계산 (수수료 고려)
-            const tradingFeeRate = 0.0025; // 0.25%
-            const slippageRate = 0.001;    // 0.1%
+            // 김프 양수: 해외 매수 → 국내 매도, 음수(역프): 국내 매수 → 해외 매도
+            const buySide = isPositivePremium ? marketAnalysis.overseas : marketAnalysis.domestic;
+            const sellSide = isPositivePremium ? marketAnalysis.domestic : marketAnalysis.overseas;
+
+            // 역프 방향 매도 대금은 해외 호가 통화(USDT/USD)로 정산되므로 정산 환율로 원화 환산
+            const settlementRate = !isPositivePremium && marketAnalysis.settlementRate ?
+                marketAnalysis.settlementRate.rate :
+                sellSide.rate;
+            const settlementCurrency = isPositivePremium ? 'KRW' : (marketAnalysis.quoteCurrency || 'USDT');
+
+            // 호가창이 있으면 거래 금액만큼 호가를 소진한 체결 예상가 사용 (백테스트 스냅샷은 평균가)
+            const execution = this.calculateExecution(budgetKrw, buySide, sellSide);
+            const buyPrice = execution ? execution.buy.averagePrice * buySide.rate : buySide.askPriceKrw;
+            const sellPrice = execution ?
+                execution.sell.averagePrice * settlementRate :
+                (sellSide.rate === settlementRate ? sellSide.bidPriceKrw : sellSide.bidPrice * settlementRate);
+
+            // 수량 계산 (매수/매도 거래소별 수수료율 고려)
+            const fees = FeeModelService.getTradeFees(feeModel, buySide.exchangeId, sellSide.exchangeId);
+            const slippageRate = FeeModelService.SLIPPAGE_RATE;    // 0.1% (호가 조회 후 주문까지의 시세 변동)
             
             const adjustedBuyPrice = buyPrice * (1 + slippageRate);
             const adjustedSellPrice = sellPrice * (1 - slippageRate);
             
             // 수수료를 고려한 실제 수량
             const grossQuantity = budgetKrw / adjustedBuyPrice;
-            const buyFee = budgetKrw * tradingFeeRate;
+            const buyFee = budgetKrw * fees.buyFeeRate;
             const actualBudget = budgetKrw - buyFee;
             const quantity = actualBudget / adjustedBuyPrice;
 
             return {
-                direction: isPositivePremium ? 'BINANCE_TO_UPBIT' : 'UPBIT_TO_BINANCE',
-                buyExchange: buyExchange,
-                sellExchange: sellExchange,
+                direction: `${buySide.code.toUpperCase()}_TO_${sellSide.code.toUpperCase()}`,
+                tradeDirection,
+                settlementCurrency,
+                settlementRate,
+                buyExchange: buySide.exchange,
+                sellExchange: sellSide.exchange,
+                sellSide: isPositivePremium ? 'domestic' : 'overseas',
                 buyPrice: adjustedBuyPrice,
                 sellPrice: adjustedSellPrice,
                 quantity: quantity,
+                budgetKrw: budgetKrw,
+                exchangeRate: marketAnalysis.exchangeRate.rate,
                 premium: marketAnalysis.premium,
-                tradingFeeRate: tradingFeeRate,
-                slippageRate: slippageRate
+                reversePremium: marketAnalysis.reversePremium,
+                buyFeeRate: fees.buyFeeRate,
+                sellFeeRate: fees.sellFeeRate,
+                feeTier: fees.feeTier,
+                // 매수 거래소에서 출금하는 네트워크 수수료 (수량 기준)
+                withdrawal: fees.withdrawal,
+                slippageRate: slippageRate,
+                execution
             };
 
         } catch (error) {
@@ -391,45 +738,143 @@ class TradeExecutionService {
         }
     }
 
+    /**
+     * 거래 금액 기준 매수/매도 체결 예상가 (호가 잔량이 부족하면 거래하지 않음)
+     * 매수는 예산만큼 매도호가를, 매도는 매수 예상 수량만큼 매수호가를 소진
+     * @returns {Object|null} { buy, sell } - 호가창이 없으면 null
+     */
+    calculateExecution(budgetKrw, buySide, sellSide) {
+        if (!buySide.orderbook || !sellSide.orderbook) {
+            return null;
+        }
+
+        const buy = ExchangeService.calculateExecutablePrice(buySide.orderbook, 'ask', { quoteAmount: budgetKrw / buySide.rate });
+        if (!buy || buy.insufficientDepth) {
+            throw new Error(`${buySide.exchange} 매도호가 잔량 부족 - ${budgetKrw.toLocaleString()}원을 체결할 수 없습니다`);
+        }
+
+        const sell = ExchangeService.calculateExecutablePrice(sellSide.orderbook, 'bid', { quantity: buy.totalQuantity });
+        if (!sell || sell.insufficientDepth) {
+            throw new Error(`${sellSide.exchange} 매수호가 잔량 부족 - ${buy.totalQuantity.toFixed(6)}개를 체결할 수 없습니다`);
+        }
+
+        const summarize = fill => ({
+            averagePrice: fill.averagePrice,
+            bestPrice: fill.bestPrice,
+            worstPrice: fill.worstPrice,
+            slippagePercent: fill.slippagePercent,
+            ordersCount: fill.ordersCount
+        });
+
+        return { buy: summarize(buy), sell: summarize(sell) };
+    }
+
+    // 사용자 거래 실행 방식 (execution_mode 설정, 기본 transfer)
+    getExecutionMode(settings) {
+        return EXECUTION_MODES.includes(settings.execution_mode) ? settings.execution_mode : 'transfer';
+    }
+
+    // 선물 헤지를 지원하는 매수/매도 거래소 (없으면 null)
+    getHedgeExchange(tradeParams, validationData) {
+        return validationData.exchanges.find(e =>
+            [tradeParams.buyExchange, tradeParams.sellExchange].includes(e.name) &&
+            ExchangeService.hasCapability(e.code, 'futures')
+        ) || null;
+    }
+
+    /**
+     * 전송 구간 헤지 설정 (hedge_enabled, 전송 방식이고 경로에 선물 헤지 거래소가 있을 때만)
+     */
+    applyHedgeSettings(tradeParams, validationData) {
+        const settings = validationData.settings;
+        const hedgeExchange = this.getHedgeExchange(tradeParams, validationData);
+
+        tradeParams.hedgeEnabled = settings.hedge_enabled === true &&
+            tradeParams.executionMode !== 'inventory' &&
+            !!hedgeExchange;
+        tradeParams.hedgeExchange = hedgeExchange ? hedgeExchange.name : null;
+        tradeParams.hedgeLeverage = parseInt(settings.hedge_leverage) || 1;
+    }
+
     /**
      * 거래 사이클 실행
+     * @param {string} startStep - 시작 단계 (재시작 후 재개 시 현재 단계부터)
      */
-    async executeTradeCycle(tradeId, userId, symbol, tradeParams, validationData, dryRun) {
+    async executeTradeCycle(tradeId, userId, symbol, tradeParams, validationData, dryRun, startStep = 'buying') {
         try {
-            // 거래소 ID 매핑
-            const buyExchangeId = validationData.exchanges.find(e => e.name === tradeParams.buyExchange).id;
-            const sellExchangeId = validationData.exchanges.find(e => e.name === tradeParams.sellExchange).id;
+            if (startStep === 'buying') {
+                // 거래소 ID 매핑
+                const buyExchangeId = validationData.exchanges.find(e => e.name === tradeParams.buyExchange).id;
+                const sellExchangeId = validationData.exchanges.find(e => e.name === tradeParams.sellExchange).id;
+
+                // 거래 내역 업데이트
+                await this.updateTradeRecord(tradeId, {
+                    buy_exchange_id: buyExchangeId,
+                    sell_exchange_id: sellExchangeId,
+                    trade_direction: tradeParams.tradeDirection ?? null,
+                    settlement_currency: tradeParams.settlementCurrency ?? null,
+                    execution_mode: tradeParams.executionMode || 'transfer',
+                    buy_price: tradeParams.buyPrice,
+                    sell_price: tradeParams.sellPrice,
+                    quantity: tradeParams.quantity
+                });
+            }
 
-            // 거래 내역 업데이트
-            await this.updateTradeRecord(tradeId, {
-                buy_exchange_id: buyExchangeId,
-                sell_exchange_id: sellExchangeId,
-                buy_price: tradeParams.buyPrice,
-                sell_price: tradeParams.sellPrice,
-                quantity: tradeParams.quantity
-            });
+            tradeParams.dryRun = dryRun;
 
-            this.logger.info(`거래 사이클 시작`, {
-                tradeId, symbol,
+            this.logger.info(startStep === 'buying' ? `거래 사이클 시작` : `거래 사이클 재개`, {
+                tradeId, symbol, startStep,
+                executionMode: tradeParams.executionMode || 'transfer',
                 direction: `${tradeParams.buyExchange} → ${tradeParams.sellExchange}`,
+                tradeDirection: tradeParams.tradeDirection,
+                settlementCurrency: tradeParams.settlementCurrency,
                 premium: `${tradeParams.premium.toFixed(4)}%`,
                 quantity: tradeParams.quantity.toFixed(6)
             });
 
+            // 재고 방식: 전송 없이 양쪽 거래소에서 동시에 매수/매도
+            if (tradeParams.executionMode === 'inventory') {
+                return await this.executeInventoryCycle(tradeId, userId, symbol, tradeParams, validationData, dryRun);
+            }
+
+            const startIndex = TRADE_STEPS.indexOf(startStep);
+
             // 1. 매수 단계
-            await this.updateTradeRecord(tradeId, { status: 'buying' });
-            await this.executeBuyOrder(tradeId, tradeParams, dryRun);
+            if (startIndex <= 0) {
+                await this.transitionTrade(tradeId, 'buying', tradeParams);
+                tradeParams.buyFill = await this.executeBuyOrder(tradeId, userId, symbol, tradeParams, validationData, dryRun);
+                await this.saveTradeContext(tradeId, tradeParams);
+            }
 
-            // 2. 전송 단계
-            await this.updateTradeRecord(tradeId, { status: 'transferring' });
-            await this.executeTransfer(tradeId, userId, symbol, tradeParams, validationData, dryRun);
+            // 2. 전송 단계 (헤지 사용 시 전송 전에 선물 숏 진입, 전송 지연 중에는 유지)
+            if (startIndex <= 1) {
+                await this.transitionTrade(tradeId, 'transferring', tradeParams);
+                if (tradeParams.hedgeEnabled && !tradeParams.hedge) {
+                    await this.openHedge(tradeId, userId, tradeParams, validationData, dryRun);
+                }
+                const transfer = await this.executeTransfer(tradeId, userId, symbol, tradeParams, validationData, dryRun);
+
+                if (transfer && transfer.status === 'timeout') {
+                    const message = `코인 전송 확인 시간 초과 (단계: ${transfer.stage}, 출금 ID: ${transfer.withdrawal.id})`;
+                    await this.transitionTrade(tradeId, 'transfer_delayed', tradeParams, { withdrawalId: transfer.withdrawal.id, stage: transfer.stage });
+                    await this.updateTradeRecord(tradeId, { error_message: message });
+                    return {
+                        success: false,
+                        delayed: true,
+                        error: message
+                    };
+                }
+            }
 
             // 3. 매도 단계
-            await this.updateTradeRecord(tradeId, { status: 'selling' });
-            await this.executeSellOrder(tradeId, tradeParams, dryRun);
+            await this.transitionTrade(tradeId, 'selling', tradeParams);
+            tradeParams.sellFill = await this.executeSellOrder(tradeId, userId, symbol, tradeParams, validationData, dryRun);
+            await this.saveTradeContext(tradeId, tradeParams);
+            await this.closeHedge(tradeId, userId, tradeParams, validationData, dryRun);
 
-            // 4. 수익 계산
-            const profitCalculation = this.calculateProfit(tradeParams, validationData.coin);
+            // 4. 수익 계산 (실거래는 실제 체결 내역과 헤지 손익 기준)
+            const fills = dryRun ? null : { buy: tradeParams.buyFill, sell: tradeParams.sellFill };
+            const profitCalculation = this.calculateProfit(tradeParams, validationData.coin, fills);
 
             return {
                 success: true,
@@ -437,11 +882,84 @@ class TradeExecutionService {
                 netProfit: profitCalculation.netProfit,
                 profitRate: profitCalculation.profitRate,
                 tradingFees: profitCalculation.tradingFees,
-                transferFees: profitCalculation.transferFees
+                transferFees: profitCalculation.transferFees,
+                fees: profitCalculation.fees
             };
 
         } catch (error) {
             this.logger.error(`거래 사이클 실행 실패`, { tradeId, error: error.message });
+
+            // 거래가 실패하면 헤지 포지션도 정리 (남겨두면 관리하는 거래가 없음)
+            await this.closeHedge(tradeId, userId, tradeParams, validationData, dryRun);
+
+            return {
+                success: false,
+                error: error.message,
+                grossProfit: 0,
+                netProfit: 0,
+                profitRate: 0,
+                tradingFees: 0,
+                transferFees: 0
+            };
+        }
+    }
+
+    /**
+     * 재고 방식 거래 사이클
+     * 매수 거래소의 현금과 매도 거래소의 코인 재고로 두 주문을 동시에 실행 (코인 전송 중 가격 변동 노출 없음)
+     * 매수 거래소에 쌓인 코인은 거래 완료 후 rebalanceInventory에서 매도 거래소로 묶어서 전송
+     */
+    async executeInventoryCycle(tradeId, userId, symbol, tradeParams, validationData, dryRun) {
+        try {
+            // 잔고/재고 확인은 거래 내역 생성 전 checkPreTradeConditions에서 처리
+            await this.transitionTrade(tradeId, 'buying', tradeParams, { executionMode: 'inventory' });
+
+            // 매도는 매수 체결을 기다리지 않으므로 예상 수량으로 고정 (차이는 재분배에서 정리)
+            tradeParams.sellQuantity = tradeParams.sellQuantity || tradeParams.quantity;
+
+            // 한쪽 주문이 실패해도 다른 쪽 체결 결과를 기록하도록 모두 기다림
+            const [buyResult, sellResult] = await Promise.allSettled([
+                this.executeBuyOrder(tradeId, userId, symbol, tradeParams, validationData, dryRun),
+                this.executeSellOrder(tradeId, userId, symbol, tradeParams, validationData, dryRun)
+            ]);
+            tradeParams.buyFill = buyResult.status === 'fulfilled' ? buyResult.value : null;
+            tradeParams.sellFill = sellResult.status === 'fulfilled' ? sellResult.value : null;
+            await this.saveTradeContext(tradeId, tradeParams);
+
+            const failed = [['매수', buyResult], ['매도', sellResult]].filter(([, result]) => result.status === 'rejected');
+            if (failed.length > 0) {
+                const reasons = failed.map(([label, result]) => `${label}: ${result.reason.message}`).join(', ');
+                if (failed.length === 2) {
+                    throw new Error(`재고 방식 주문 실패 (${reasons})`);
+                }
+
+                // 한쪽만 체결되면 헤지되지 않은 포지션이 남으므로 같은 거래소에서 반대 주문으로 되돌림
+                const unwound = await this.unwindInventoryLeg(tradeId, userId, symbol, tradeParams, validationData, dryRun);
+                throw new Error(unwound ?
+                    `재고 방식 ${failed[0][0]} 주문 실패 - 체결된 반대쪽 주문은 되돌렸습니다 (${reasons})` :
+                    `재고 방식 ${failed[0][0]} 주문 실패 - 체결된 반대쪽 주문을 되돌리지 못했으니 거래소 잔고를 확인해주세요 (${reasons})`);
+            }
+
+            const fills = dryRun ? null : { buy: tradeParams.buyFill, sell: tradeParams.sellFill };
+            const profitCalculation = this.calculateProfit(tradeParams, validationData.coin, fills);
+
+            // 실거래는 매수 거래소에 쌓인 코인을 나중에 매도 거래소로 재분배
+            if (!dryRun) {
+                await this.updateTradeRecord(tradeId, { rebalance_status: 'pending' });
+            }
+
+            return {
+                success: true,
+                grossProfit: profitCalculation.grossProfit,
+                netProfit: profitCalculation.netProfit,
+                profitRate: profitCalculation.profitRate,
+                tradingFees: profitCalculation.tradingFees,
+                transferFees: profitCalculation.transferFees,
+                fees: profitCalculation.fees
+            };
+
+        } catch (error) {
+            this.logger.error(`재고 방식 거래 실행 실패`, { tradeId, error: error.message });
             return {
                 success: false,
                 error: error.message,
@@ -454,10 +972,68 @@ class TradeExecutionService {
         }
     }
 
+    /**
+     * 재고 방식에서 한쪽만 체결된 주문 되돌리기
+     * 매수만 체결 → 매수 거래소에서 체결 수량 매도, 매도만 체결 → 매도 거래소에서 매도 대금(수수료 제외)만큼 재매수
+     * 실패 시 단계 정보에 사유를 남기고 false 반환 (수동 정리 필요)
+     */
+    async unwindInventoryLeg(tradeId, userId, symbol, tradeParams, validationData, dryRun) {
+        if (dryRun) {
+            return true;
+        }
+
+        const filled = tradeParams.buyFill ?
+            { exchange: tradeParams.buyExchange, side: 'sell', fill: tradeParams.buyFill } :
+            { exchange: tradeParams.sellExchange, side: 'buy', fill: tradeParams.sellFill };
+        const unwind = tradeParams.unwind = tradeParams.unwind || { exchange: filled.exchange, side: filled.side };
+
+        try {
+            const context = await this.getOrderContext(userId, filled.exchange, validationData);
+            const { service, market, keys } = context;
+
+            if (!unwind.orderId) {
+                let placed;
+                if (filled.side === 'sell') {
+                    placed = await service.placeOrder(market, 'sell', 'market', null, filled.fill.netQuantity, keys.api_key, keys.secret_key, keys.passphrase);
+                } else {
+                    const rate = context.quoteCurrency === 'KRW' ? 1 : (tradeParams.settlementRate || tradeParams.exchangeRate);
+                    const quoteAmount = (filled.fill.quoteKrw - filled.fill.feeKrw) / rate;
+                    placed = await service.placeOrder(market, 'buy', 'market', quoteAmount, null, keys.api_key, keys.secret_key, keys.passphrase);
+                }
+                unwind.orderId = placed.orderId;
+                await this.recordStepDetail(tradeId, { unwindOrderId: placed.orderId });
+                await this.saveTradeContext(tradeId, tradeParams);
+            }
+
+            const order = await service.waitForOrderFill(market, unwind.orderId, keys.api_key, keys.secret_key, keys.passphrase);
+            if (order.executedQty <= 0) {
+                throw new Error(`되돌림 주문이 체결되지 않았습니다 (주문 ${unwind.orderId}, 상태: ${order.status})`);
+            }
+
+            Object.assign(unwind, { status: order.status, executedQty: order.executedQty, avgFillPrice: order.avgFillPrice });
+            await this.saveTradeContext(tradeId, tradeParams);
+
+            this.logger.warn('재고 방식 한쪽 체결 주문 되돌림 완료', {
+                tradeId,
+                exchange: filled.exchange,
+                side: filled.side,
+                orderId: unwind.orderId,
+                executedQty: order.executedQty
+            });
+            return true;
+        } catch (error) {
+            unwind.error = error.message;
+            await this.recordStepDetail(tradeId, { unwindError: error.message });
+            await this.saveTradeContext(tradeId, tradeParams);
+            this.logger.error('재고 방식 되돌림 실패 - 거래소 잔고를 확인해주세요', { tradeId, exchange: filled.exchange, orderId: unwind.orderId, error: error.message });
+            return false;
+        }
+    }
+
     /**
      * 매수 실행
      */
-    async executeBuyOrder(tradeId, tradeParams, dryRun) {
+    async executeBuyOrder(tradeId, userId, symbol, tradeParams, validationData, dryRun) {
         this.logger.info(`매수 단계 시작`, {
             tradeId,
             exchange: tradeParams.buyExchange,
@@ -468,10 +1044,53 @@ class TradeExecutionService {
         if (dryRun) {
             await this.simulateDelay(500, 2000);
             this.logger.info(`매수 시뮬레이션 완료`, { tradeId });
-        } else {
-            // TODO: 실제 거래소 API 호출
-            throw new Error('실제 매수 주문 기능은 아직 구현되지 않았습니다');
+            return null;
+        }
+
+        const context = await this.getOrderContext(userId, tradeParams.buyExchange, validationData);
+        const { service, market, keys } = context;
+
+        // 시장가 매수: 예산을 호가통화(KRW/USDT)로 환산하여 지출 금액 지정
+        const quoteAmount = context.quoteCurrency === 'KRW' ?
+            tradeParams.budgetKrw :
+            tradeParams.budgetKrw / tradeParams.exchangeRate;
+
+        // 재개 시에는 이미 접수된 주문의 체결만 확인
+        if (!tradeParams.buyOrderId) {
+            const placed = await service.placeOrder(market, 'buy', 'market', quoteAmount, null, keys.api_key, keys.secret_key, keys.passphrase);
+            tradeParams.buyOrderId = placed.orderId;
+            await this.updateTradeRecord(tradeId, { buy_order_id: placed.orderId });
+            await this.recordStepDetail(tradeId, { orderId: placed.orderId });
+            await this.saveTradeContext(tradeId, tradeParams);
+        }
+
+        const order = await service.waitForOrderFill(market, tradeParams.buyOrderId, keys.api_key, keys.secret_key, keys.passphrase);
+        if (order.executedQty <= 0) {
+            throw new Error(`매수 주문이 체결되지 않았습니다 (주문 ${tradeParams.buyOrderId}, 상태: ${order.status})`);
         }
+        if (order.status !== 'filled') {
+            this.logger.warn(`매수 주문 부분 체결 - 체결 수량으로 진행`, { tradeId, orderId: tradeParams.buyOrderId, executedQty: order.executedQty });
+        }
+
+        const fill = this.summarizeFill(order, symbol, context, tradeParams);
+
+        // 이후 전송/매도 단계는 실제 매수 수량 기준
+        tradeParams.filledQuantity = fill.netQuantity;
+
+        await this.updateTradeRecord(tradeId, {
+            buy_price: fill.avgPriceKrw,
+            quantity: fill.netQuantity
+        });
+
+        this.logger.info(`매수 체결 완료`, {
+            tradeId,
+            orderId: fill.orderId,
+            quantity: fill.netQuantity,
+            avgPriceKrw: fill.avgPriceKrw.toFixed(2),
+            feeKrw: fill.feeKrw.toFixed(2)
+        });
+
+        return fill;
     }
 
     /**
@@ -485,80 +1104,586 @@ class TradeExecutionService {
             quantity: tradeParams.quantity.toFixed(6)
         });
 
-        // 입금주소 확인
-        const targetExchange = tradeParams.sellExchange === '업비트' ? 'upbit' : 'binance';
-        const depositInfo = validationData.addresses[targetExchange];
+        // 입금주소 확인 (매도 거래소)
+        const sellExchange = validationData.exchanges.find(e => e.name === tradeParams.sellExchange);
+        const depositInfo = validationData.addresses[sellExchange.id];
         
         this.logger.info(`입금주소 확인`, {
             tradeId,
-            address: depositInfo.address,
-            memo: depositInfo.memo || '없음'
+            address: depositInfo?.address || '없음',
+            memo: depositInfo?.memo || '없음'
         });
 
         if (dryRun) {
             await this.simulateDelay(30000, 60000);
             this.logger.info(`전송 시뮬레이션 완료`, { tradeId });
-        } else {
-            // TODO: 실제 출금 API 호출
-            throw new Error('실제 코인 전송 기능은 아직 구현되지 않았습니다');
+            return null;
         }
-    }
 
-    /**
-     * 매도 실행
-     */
-    async executeSellOrder(tradeId, tradeParams, dryRun) {
-        this.logger.info(`매도 단계 시작`, {
-            tradeId,
-            exchange: tradeParams.sellExchange,
-            quantity: tradeParams.quantity.toFixed(6),
-            price: tradeParams.sellPrice.toFixed(2)
+        const from = await this.getOrderContext(userId, tradeParams.buyExchange, validationData);
+        const to = await this.getOrderContext(userId, tradeParams.sellExchange, validationData);
+
+        // 출금 ID 저장 전에 중단됐을 수 있으므로 거래의 출금 기록이 있으면 재사용 (실패 건만 새로 출금)
+        if (!tradeParams.withdrawalId) {
+            const existing = await this.transferService.getWithdrawalByTrade(tradeId);
+            if (existing && existing.status !== 'failed') {
+                tradeParams.withdrawalId = existing.id;
+                await this.saveTradeContext(tradeId, tradeParams);
+                this.logger.warn('기존 출금 기록으로 전송 재개', { tradeId, withdrawalId: existing.id, status: existing.status });
+            }
+        }
+
+        // 거래소 접수 여부를 알 수 없는 출금 (requested 상태, 거래소 출금 ID 없음)은 자동으로 진행하지 않음
+        if (tradeParams.withdrawalId) {
+            const record = await this.transferService.getWithdrawalRecord(tradeParams.withdrawalId);
+            if (record && record.status === 'requested' && !record.exchange_withdrawal_id) {
+                this.logger.error('출금 접수 여부 확인 불가 - 거래소 출금 내역 확인 필요', { tradeId, withdrawalId: record.id });
+                return { status: 'timeout', stage: 'requested', receivedAmount: null, withdrawal: record };
+            }
+        }
+
+        // 재개 시에는 이미 요청된 출금의 진행 상황만 확인
+        if (!tradeParams.withdrawalId) {
+            if (!depositInfo?.address) {
+                throw new Error(`${tradeParams.sellExchange} ${symbol} 입금주소가 없어 출금할 수 없습니다`);
+            }
+            const withdrawal = await this.transferService.submitWithdrawal({
+                tradeId,
+                userId,
+                coin: validationData.coin,
+                quantity: tradeParams.filledQuantity || tradeParams.quantity,
+                from,
+                to,
+                address: depositInfo.address,
+                memo: depositInfo.memo,
+                withdrawalFee: tradeParams.withdrawal
+            });
+            tradeParams.withdrawalId = withdrawal.id;
+            await this.recordStepDetail(tradeId, {
+                withdrawalId: withdrawal.id,
+                exchangeWithdrawalId: withdrawal.exchange_withdrawal_id
+            });
+            await this.saveTradeContext(tradeId, tradeParams);
+        }
+
+        // 입금 확인 대기 중 거래 락 연장
+        const arrival = await this.transferService.waitForArrival(tradeParams.withdrawalId, from, to, {
+            onPoll: () => this.extendLock(tradeParams.lock)
         });
 
-        if (dryRun) {
-            await this.simulateDelay(500, 2000);
-            this.logger.info(`매도 시뮬레이션 완료`, { tradeId });
-        } else {
-            // TODO: 실제 거래소 API 호출
-            throw new Error('실제 매도 주문 기능은 아직 구현되지 않았습니다');
+        if (arrival.status === 'completed') {
+            // 매도는 실제 입금된 수량 기준
+            tradeParams.sellQuantity = arrival.receivedAmount;
+            this.logger.info(`전송 완료`, { tradeId, receivedAmount: arrival.receivedAmount });
         }
+
+        return arrival;
     }
 
     /**
-     * 수익 계산
+     * 헤지 기준가 (헤지 거래소 쪽 예상 체결가를 호가통화로 환산, 드라이런 시뮬레이션용)
      */
-    calculateProfit(tradeParams, coin) {
-        const { buyPrice, sellPrice, quantity, tradingFeeRate } = tradeParams;
-        
-        // 총 수익
-        const grossProfit = (sellPrice - buyPrice) * quantity;
-        
-        // 거래 수수료
-        const buyFee = buyPrice * quantity * tradingFeeRate;
-        const sellFee = sellPrice * quantity * tradingFeeRate;
-        const tradingFees = buyFee + sellFee;
-        
-        // 전송 수수료 (코인별 고정 수수료)
-        const transferFees = (coin.withdrawal_fee || 0) * sellPrice;
-        
-        // 순수익
-        const netProfit = grossProfit - tradingFees - transferFees;
-        const profitRate = (netProfit / (buyPrice * quantity)) * 100;
-
-        return {
-            grossProfit,
-            netProfit,
-            profitRate,
-            tradingFees,
-            transferFees
-        };
+    getHedgeReferencePrice(tradeParams) {
+        return tradeParams.hedgeExchange === tradeParams.buyExchange ?
+            tradeParams.buyPrice / tradeParams.exchangeRate :
+            tradeParams.sellPrice / (tradeParams.settlementRate || tradeParams.exchangeRate);
     }
 
     /**
-     * 거래 내역 업데이트
+     * 전송 구간 헤지 진입 (선물 숏, 매수 체결 수량만큼)
+     * 헤지 실패는 거래를 중단하지 않고 헤지 없이 전송 진행
      */
-    async updateTradeRecord(tradeId, updates) {
-        try {
+    async openHedge(tradeId, userId, tradeParams, validationData, dryRun) {
+        const quantity = tradeParams.filledQuantity || tradeParams.quantity;
+
+        if (dryRun) {
+            const entryPrice = this.getHedgeReferencePrice(tradeParams);
+            tradeParams.hedge = {
+                status: 'open',
+                exchange: tradeParams.hedgeExchange,
+                quantity,
+                entryPrice,
+                entryFee: quantity * entryPrice * HEDGE_FEE_RATE,
+                simulated: true
+            };
+            this.logger.info('헤지 진입 시뮬레이션', { tradeId, quantity, entryPrice });
+            return;
+        }
+
+        try {
+            const context = await this.getOrderContext(userId, tradeParams.hedgeExchange, validationData);
+            const { service, market, keys } = context;
+
+            await service.setFuturesLeverage(market, tradeParams.hedgeLeverage, keys.api_key, keys.secret_key);
+            const positionSide = await service.isFuturesHedgeMode(keys.api_key, keys.secret_key) ? 'SHORT' : null;
+
+            const placed = await service.placeFuturesOrder(market, 'sell', quantity, { positionSide }, keys.api_key, keys.secret_key);
+            tradeParams.hedge = { status: 'open', exchange: tradeParams.hedgeExchange, market, positionSide, openOrderId: placed.orderId };
+            await this.recordStepDetail(tradeId, { hedgeOrderId: placed.orderId });
+            await this.saveTradeContext(tradeId, tradeParams);
+
+            const order = placed.isDone ?
+                placed :
+                await service.waitForFuturesOrderFill(market, placed.orderId, keys.api_key, keys.secret_key);
+            if (!order || order.executedQty <= 0) {
+                throw new Error(`헤지 숏 주문이 체결되지 않았습니다 (주문 ${placed.orderId}, 상태: ${order?.status})`);
+            }
+
+            Object.assign(tradeParams.hedge, {
+                quantity: order.executedQty,
+                entryPrice: order.avgFillPrice,
+                entryFee: order.fee || order.executedQuote * HEDGE_FEE_RATE
+            });
+            await this.updateTradeRecord(tradeId, {
+                hedge_status: 'open',
+                hedge_quantity: order.executedQty,
+                hedge_entry_price: order.avgFillPrice
+            });
+            await this.saveTradeContext(tradeId, tradeParams);
+
+            this.logger.info('헤지 진입 완료', {
+                tradeId,
+                exchange: tradeParams.hedgeExchange,
+                quantity: order.executedQty,
+                entryPrice: order.avgFillPrice,
+                positionSide
+            });
+        } catch (error) {
+            // 주문 접수 후 실패(체결 대기 시간 초과, 기록 실패 등)했다면 이미 체결됐을 수 있으므로 주문을 다시 조회
+            // 체결분이 있거나 확인할 수 없으면 open으로 유지해 closeHedge가 정리하도록 함
+            const openOrderId = tradeParams.hedge?.openOrderId || null;
+            if (openOrderId) {
+                let filled = null;
+                try {
+                    filled = await this.recoverHedgeFill(userId, tradeParams, validationData);
+                } catch (recoverError) {
+                    this.logger.error('헤지 주문 재조회 실패 - 청산 시 다시 확인', { tradeId, openOrderId, error: recoverError.message });
+                }
+
+                if (filled !== false) {
+                    tradeParams.hedge.status = 'open';
+                    tradeParams.hedge.error = error.message;
+                    if (filled) {
+                        await this.updateTradeRecord(tradeId, {
+                            hedge_status: 'open',
+                            hedge_quantity: tradeParams.hedge.quantity,
+                            hedge_entry_price: tradeParams.hedge.entryPrice
+                        });
+                    }
+                    await this.recordStepDetail(tradeId, { hedgeError: error.message });
+                    await this.saveTradeContext(tradeId, tradeParams);
+
+                    this.logger.warn('헤지 진입 중 오류 - 주문이 체결됐을 수 있어 청산 대상으로 유지', {
+                        tradeId, openOrderId, quantity: tradeParams.hedge.quantity, error: error.message
+                    });
+                    return;
+                }
+            }
+
+            tradeParams.hedge = { status: 'failed', exchange: tradeParams.hedgeExchange, openOrderId, error: error.message };
+            await this.updateTradeRecord(tradeId, { hedge_status: 'failed' });
+            await this.recordStepDetail(tradeId, { hedgeError: error.message });
+            await this.saveTradeContext(tradeId, tradeParams);
+
+            this.logger.error('헤지 진입 실패 - 헤지 없이 전송 진행', { tradeId, openOrderId, error: error.message });
+        }
+    }
+
+    /**
+     * 접수된 헤지 진입 주문의 체결분 재조회 (체결분이 있으면 수량/진입가를 체결 기준으로 갱신)
+     * @returns {Promise<boolean>} 체결분 존재 여부
+     */
+    async recoverHedgeFill(userId, tradeParams, validationData) {
+        const hedge = tradeParams.hedge;
+        const { service, keys } = await this.getOrderContext(userId, hedge.exchange, validationData);
+        const order = await service.getFuturesOrder(hedge.market, hedge.openOrderId, keys.api_key, keys.secret_key);
+        if (!order || order.executedQty <= 0) {
+            return false;
+        }
+
+        Object.assign(hedge, {
+            quantity: order.executedQty,
+            entryPrice: order.avgFillPrice,
+            entryFee: order.fee || order.executedQuote * HEDGE_FEE_RATE
+        });
+        return true;
+    }
+
+    /**
+     * 헤지 청산 (매도 체결 후, 또는 거래 실패 시 정리)
+     * 청산 손익 = (진입가 - 청산가) × 수량 - 진입/청산 수수료, 원화 환산은 거래 환율
+     * 청산 실패 시 hedge_status는 open으로 남기고 단계 정보에 사유 기록
+     */
+    async closeHedge(tradeId, userId, tradeParams, validationData, dryRun) {
+        const hedge = tradeParams.hedge;
+        if (!hedge || hedge.status !== 'open') {
+            return;
+        }
+
+        try {
+            // 진입 체결을 확인하지 못한 헤지 (진입 중 오류, 재시작) - 체결분이 없으면 정리할 포지션 없음
+            if (!dryRun && !hedge.simulated && !(hedge.quantity > 0)) {
+                if (!await this.recoverHedgeFill(userId, tradeParams, validationData)) {
+                    hedge.status = 'failed';
+                    await this.updateTradeRecord(tradeId, { hedge_status: 'failed' });
+                    await this.saveTradeContext(tradeId, tradeParams);
+                    this.logger.warn('헤지 진입 주문 미체결 - 청산 생략', { tradeId, openOrderId: hedge.openOrderId });
+                    return;
+                }
+                await this.updateTradeRecord(tradeId, {
+                    hedge_status: 'open',
+                    hedge_quantity: hedge.quantity,
+                    hedge_entry_price: hedge.entryPrice
+                });
+            }
+
+            let exitPrice;
+            let exitFee;
+
+            if (dryRun || hedge.simulated) {
+                exitPrice = hedge.entryPrice;
+                exitFee = hedge.quantity * exitPrice * HEDGE_FEE_RATE;
+            } else {
+                const context = await this.getOrderContext(userId, hedge.exchange, validationData);
+                const { service, market, keys } = context;
+
+                let order;
+                if (!hedge.closeOrderId) {
+                    const placed = await service.placeFuturesOrder(
+                        market, 'buy', hedge.quantity,
+                        { reduceOnly: true, positionSide: hedge.positionSide },
+                        keys.api_key, keys.secret_key
+                    );
+                    hedge.closeOrderId = placed.orderId;
+                    await this.saveTradeContext(tradeId, tradeParams);
+                    order = placed.isDone ? placed : null;
+                }
+                order = order || await service.waitForFuturesOrderFill(market, hedge.closeOrderId, keys.api_key, keys.secret_key);
+                if (!order || order.executedQty <= 0) {
+                    throw new Error(`헤지 청산 주문이 체결되지 않았습니다 (주문 ${hedge.closeOrderId}, 상태: ${order?.status})`);
+                }
+
+                exitPrice = order.avgFillPrice;
+                exitFee = order.fee || order.executedQuote * HEDGE_FEE_RATE;
+            }
+
+            const rate = tradeParams.exchangeRate;
+            const feesQuote = hedge.entryFee + exitFee;
+            const pnlQuote = (hedge.entryPrice - exitPrice) * hedge.quantity - feesQuote;
+
+            Object.assign(hedge, {
+                status: 'closed',
+                exitPrice,
+                exitFee,
+                feesKrw: feesQuote * rate,
+                pnlKrw: pnlQuote * rate
+            });
+            if (!dryRun) {
+                await this.updateTradeRecord(tradeId, {
+                    hedge_status: 'closed',
+                    hedge_exit_price: exitPrice,
+                    hedge_fees: hedge.feesKrw,
+                    hedge_pnl: hedge.pnlKrw
+                });
+            }
+            await this.saveTradeContext(tradeId, tradeParams);
+
+            this.logger.info('헤지 청산 완료', {
+                tradeId,
+                quantity: hedge.quantity,
+                entryPrice: hedge.entryPrice,
+                exitPrice,
+                pnlKrw: hedge.pnlKrw.toFixed(0)
+            });
+        } catch (error) {
+            hedge.error = error.message;
+            await this.recordStepDetail(tradeId, { hedgeError: error.message });
+            await this.saveTradeContext(tradeId, tradeParams);
+            this.logger.error('헤지 청산 실패 - 선물 포지션을 확인해주세요', { tradeId, closeOrderId: hedge.closeOrderId, error: error.message });
+        }
+    }
+
+    /**
+     * 거래 락 만료 시간 연장 (본인 토큰인 경우에만)
+     */
+    async extendLock(lock, ttlSeconds = 300) {
+        if (!lock) return;
+
+        const currentToken = await this.redis.get(lock.key);
+        if (currentToken === lock.token) {
+            await this.redis.expire(lock.key, ttlSeconds);
+        }
+    }
+
+    /**
+     * 매도 실행
+     */
+    async executeSellOrder(tradeId, userId, symbol, tradeParams, validationData, dryRun) {
+        this.logger.info(`매도 단계 시작`, {
+            tradeId,
+            exchange: tradeParams.sellExchange,
+            quantity: tradeParams.quantity.toFixed(6),
+            price: tradeParams.sellPrice.toFixed(2)
+        });
+
+        if (dryRun) {
+            await this.simulateDelay(500, 2000);
+            this.logger.info(`매도 시뮬레이션 완료`, { tradeId });
+            return null;
+        }
+
+        const context = await this.getOrderContext(userId, tradeParams.sellExchange, validationData);
+        const { service, market, keys } = context;
+
+        // 전송 후 실제 도착 수량 → 매수 체결 수량 순으로 사용
+        const sellQuantity = tradeParams.sellQuantity || tradeParams.filledQuantity || tradeParams.quantity;
+
+        // 재개 시에는 이미 접수된 주문의 체결만 확인
+        if (!tradeParams.sellOrderId) {
+            const placed = await service.placeOrder(market, 'sell', 'market', null, sellQuantity, keys.api_key, keys.secret_key, keys.passphrase);
+            tradeParams.sellOrderId = placed.orderId;
+            await this.updateTradeRecord(tradeId, { sell_order_id: placed.orderId });
+            await this.recordStepDetail(tradeId, { orderId: placed.orderId });
+            await this.saveTradeContext(tradeId, tradeParams);
+        }
+
+        const order = await service.waitForOrderFill(market, tradeParams.sellOrderId, keys.api_key, keys.secret_key, keys.passphrase);
+        if (order.status !== 'filled' || order.executedQty <= 0) {
+            throw new Error(`매도 주문이 체결되지 않았습니다 (주문 ${tradeParams.sellOrderId}, 상태: ${order.status})`);
+        }
+
+        const fill = this.summarizeFill(order, symbol, context, tradeParams);
+
+        await this.updateTradeRecord(tradeId, {
+            sell_price: fill.avgPriceKrw,
+            sell_quantity: fill.quantity
+        });
+
+        this.logger.info(`매도 체결 완료`, {
+            tradeId,
+            orderId: fill.orderId,
+            quantity: fill.quantity,
+            avgPriceKrw: fill.avgPriceKrw.toFixed(2),
+            feeKrw: fill.feeKrw.toFixed(2)
+        });
+
+        return fill;
+    }
+
+    /**
+     * 주문 실행에 필요한 거래소 서비스/마켓/API 키 조회
+     */
+    async getOrderContext(userId, exchangeName, validationData) {
+        const coin = validationData.coin;
+        const exchange = validationData.exchanges.find(e => e.name === exchangeName);
+        const credential = validationData.verifiedExchanges.find(v => v.exchange_id === exchange?.id);
+
+        if (!exchange || !credential) {
+            throw new Error(`${exchangeName} 인증된 API 키가 없습니다`);
+        }
+
+        const apiKeyService = new ApiKeyService(userId);
+        const keys = await apiKeyService.getDecryptedApiKey(credential.id);
+        const service = this.getExchangeService(exchange.code);
+
+        return {
+            exchange,
+            service,
+            market: service.getMarketSymbol(coin),
+            quoteCurrency: service.quoteCurrency,
+            keys
+        };
+    }
+
+    /**
+     * 체결 내역을 원화 기준으로 요약
+     * 역프 방향 해외 매도 대금은 정산 환율(settlementRate)로 환산
+     */
+    summarizeFill(order, symbol, context, tradeParams) {
+        const quoteRate = order.side === 'sell' && tradeParams.settlementRate ?
+            tradeParams.settlementRate :
+            tradeParams.exchangeRate;
+        const rate = context.quoteCurrency === 'KRW' ? 1 : quoteRate;
+        const avgPriceKrw = order.avgFillPrice * rate;
+        const quoteKrw = order.executedQuote * rate;
+
+        // 수수료 통화별 원화 환산 (코인으로 차감된 수수료는 수량에서 제외)
+        let feeKrw;
+        let feeDeductedFromQuantity = false;
+        const feeCurrency = (order.feeCurrency || '').toUpperCase();
+
+        if (feeCurrency === symbol.toUpperCase()) {
+            feeKrw = order.fee * avgPriceKrw;
+            feeDeductedFromQuantity = true;
+        } else if (feeCurrency === 'KRW') {
+            feeKrw = order.fee;
+        } else if (['USDT', 'USD', 'USDC', 'FDUSD'].includes(feeCurrency)) {
+            feeKrw = order.fee * quoteRate;
+        } else {
+            // BNB 등 별도 자산 차감 수수료는 수수료율로 추정
+            feeKrw = quoteKrw * this.getFeeRate(tradeParams, order.side);
+        }
+
+        const netQuantity = order.side === 'buy' && feeDeductedFromQuantity ?
+            order.executedQty - order.fee :
+            order.executedQty;
+
+        return {
+            orderId: order.orderId,
+            exchange: context.exchange.name,
+            side: order.side,
+            quantity: order.executedQty,
+            netQuantity,
+            avgPriceKrw,
+            quoteKrw,
+            feeKrw,
+            feeCurrency: order.feeCurrency,
+            feeDeductedFromQuantity
+        };
+    }
+
+    // 매수/매도 수수료율 (수수료 모델 도입 전 저장된 거래는 단일 tradingFeeRate)
+    getFeeRate(tradeParams, side) {
+        const rate = side === 'buy' ? tradeParams.buyFeeRate : tradeParams.sellFeeRate;
+        return rate ?? tradeParams.tradingFeeRate ?? FeeModelService.DEFAULT_TRADING_FEE_RATE;
+    }
+
+    // 출금 수수료 (수량, 네트워크별 수수료가 없으면 코인 기본값)
+    getWithdrawalFee(tradeParams, coin) {
+        return tradeParams.withdrawal ? tradeParams.withdrawal.withdrawalFee : (parseFloat(coin.withdrawal_fee) || 0);
+    }
+
+    /**
+     * 수익 계산 (헤지를 사용한 거래는 헤지 손익 포함)
+     */
+    calculateProfit(tradeParams, coin, fills = null) {
+        const profit = fills && fills.buy && fills.sell ?
+            this.calculateFilledProfit(fills, coin, tradeParams) :
+            this.calculateEstimatedProfit(tradeParams, coin);
+
+        return this.applyHedgeProfit(profit, tradeParams);
+    }
+
+    /**
+     * 전송 구간 헤지 손익 (원화)
+     * 청산된 헤지는 실제 손익, 진입 전(미리보기)에는 가격 변동 없이 진입/청산 수수료만 추정
+     * @returns {Object|null} { pnlKrw, feesKrw, estimated }
+     */
+    getHedgeResult(tradeParams) {
+        const hedge = tradeParams.hedge;
+        if (hedge?.status === 'closed') {
+            return { pnlKrw: hedge.pnlKrw, feesKrw: hedge.feesKrw, estimated: false };
+        }
+        if (tradeParams.hedgeEnabled && !hedge) {
+            const feesKrw = tradeParams.buyPrice * tradeParams.quantity * HEDGE_FEE_RATE * 2;
+            return { pnlKrw: -feesKrw, feesKrw, estimated: true };
+        }
+        return null;
+    }
+
+    applyHedgeProfit(profit, tradeParams) {
+        const hedge = this.getHedgeResult(tradeParams);
+        if (!hedge) {
+            return profit;
+        }
+
+        const netProfit = profit.netProfit + hedge.pnlKrw;
+        return {
+            ...profit,
+            netProfit,
+            profitRate: profit.buyAmountKrw > 0 ? (netProfit / profit.buyAmountKrw) * 100 : profit.profitRate,
+            hedgePnl: hedge.pnlKrw,
+            fees: {
+                ...profit.fees,
+                hedgeFeesKrw: hedge.feesKrw,
+                hedgePnlKrw: hedge.pnlKrw,
+                hedgeEstimated: hedge.estimated
+            }
+        };
+    }
+
+    /**
+     * 예상 체결가 기준 수익 계산
+     */
+    calculateEstimatedProfit(tradeParams, coin) {
+        const { buyPrice, sellPrice, quantity } = tradeParams;
+        
+        // 총 수익
+        const grossProfit = (sellPrice - buyPrice) * quantity;
+        
+        // 수수료 내역 (거래소별 수수료율, 출금 네트워크 수수료)
+        const fees = FeeModelService.buildBreakdown({
+            buyAmountKrw: buyPrice * quantity,
+            sellAmountKrw: sellPrice * quantity,
+            buyFeeRate: this.getFeeRate(tradeParams, 'buy'),
+            sellFeeRate: this.getFeeRate(tradeParams, 'sell'),
+            withdrawalFee: this.getWithdrawalFee(tradeParams, coin),
+            sellPriceKrw: sellPrice,
+            network: tradeParams.withdrawal?.network
+        });
+        
+        // 순수익
+        const netProfit = grossProfit - fees.totalFeesKrw;
+        const profitRate = (netProfit / (buyPrice * quantity)) * 100;
+
+        return {
+            grossProfit,
+            netProfit,
+            profitRate,
+            buyAmountKrw: buyPrice * quantity,
+            tradingFees: fees.tradingFeesKrw,
+            transferFees: fees.withdrawalFeeKrw,
+            fees
+        };
+    }
+
+    /**
+     * 실제 체결 내역 기준 수익 계산
+     */
+    calculateFilledProfit(fills, coin, tradeParams = {}) {
+        const { buy, sell } = fills;
+
+        // 거래 수수료 (코인 차감분 포함 전체)
+        const tradingFees = buy.feeKrw + sell.feeKrw;
+
+        // 현금으로 지불된 수수료 (코인으로 차감된 수수료는 매도 수량에 이미 반영)
+        const cashFees = [buy, sell]
+            .filter(fill => !fill.feeDeductedFromQuantity)
+            .reduce((sum, fill) => sum + fill.feeKrw, 0);
+
+        // 수수료 내역 (거래 수수료는 체결 내역, 출금 수수료는 네트워크별 수수료)
+        const fees = FeeModelService.buildBreakdown({
+            buyFeeRate: buy.quoteKrw > 0 ? buy.feeKrw / buy.quoteKrw : 0,
+            sellFeeRate: sell.quoteKrw > 0 ? sell.feeKrw / sell.quoteKrw : 0,
+            buyFeeKrw: buy.feeKrw,
+            sellFeeKrw: sell.feeKrw,
+            withdrawalFee: this.getWithdrawalFee(tradeParams, coin),
+            sellPriceKrw: sell.avgPriceKrw,
+            network: tradeParams.withdrawal?.network
+        });
+        const transferFees = fees.withdrawalFeeKrw;
+
+        // 순수익 = 매도 대금 - 매수 대금 - 현금 수수료
+        const netProfit = sell.quoteKrw - buy.quoteKrw - cashFees;
+        const grossProfit = netProfit + tradingFees + transferFees;
+        const profitRate = (netProfit / buy.quoteKrw) * 100;
+
+        return {
+            grossProfit,
+            netProfit,
+            profitRate,
+            buyAmountKrw: buy.quoteKrw,
+            tradingFees,
+            transferFees,
+            fees
+        };
+    }
+
+    /**
+     * 거래 내역 업데이트
+     */
+    async updateTradeRecord(tradeId, updates) {
+        try {
             const connection = await db.getConnection();
             
             const fields = [];
@@ -594,13 +1719,14 @@ class TradeExecutionService {
      * 최종 거래 내역 완료
      */
     async finalizeTradeRecord(tradeId, executionResult) {
+        await this.transitionTrade(tradeId, executionResult.success ? 'completed' : 'failed', null, null, executionResult.error);
         await this.updateTradeRecord(tradeId, {
-            status: executionResult.success ? 'completed' : 'failed',
             gross_profit: executionResult.grossProfit,
             net_profit: executionResult.netProfit,
             profit_rate: executionResult.profitRate,
             trading_fees: executionResult.tradingFees,
             transfer_fees: executionResult.transferFees,
+            fee_breakdown: executionResult.fees ? JSON.stringify(executionResult.fees) : null,
             completed_at: new Date(),
             error_message: executionResult.error || null
         });
@@ -610,13 +1736,490 @@ class TradeExecutionService {
      * 거래 실패 처리
      */
     async markTradeFailed(tradeId, errorMessage) {
+        await this.transitionTrade(tradeId, 'failed', null, null, errorMessage);
         await this.updateTradeRecord(tradeId, {
-            status: 'failed',
             error_message: errorMessage,
             completed_at: new Date()
         });
     }
 
+    /**
+     * 거래 단계 전환
+     * 현재 단계 기록을 종료하고 새 단계 기록을 시작하며, 거래 컨텍스트를 함께 저장
+     * @param {string} step - 새 단계 (pending/buying/transferring/transfer_delayed/selling/completed/failed)
+     * @param {Object|null} tradeParams - 저장할 거래 컨텍스트 (null이면 기존 값 유지)
+     * @param {Object|null} detail - 단계별 정보 (주문 ID, 출금 ID 등)
+     */
+    async transitionTrade(tradeId, step, tradeParams = null, detail = null, errorMessage = null) {
+        const isTerminal = step === 'completed' || step === 'failed';
+
+        try {
+            const connection = await db.getConnection();
+
+            // 진행 중인 이전 단계 종료 (실패로 끝나면 실패 처리)
+            await connection.execute(`
+                UPDATE trade_steps
+                SET status = ?, error_message = ?, finished_at = NOW()
+                WHERE trade_id = ? AND finished_at IS NULL
+            `, [step === 'failed' ? 'failed' : 'completed', step === 'failed' ? errorMessage : null, tradeId]);
+
+            await connection.execute(`
+                INSERT INTO trade_steps (trade_id, step, status, detail, error_message, finished_at)
+                VALUES (?, ?, ?, ?, ?, ${isTerminal ? 'NOW()' : 'NULL'})
+            `, [
+                tradeId,
+                step,
+                step === 'failed' ? 'failed' : (isTerminal ? 'completed' : 'started'),
+                detail ? JSON.stringify(detail) : null,
+                errorMessage
+            ]);
+
+            if (tradeParams) {
+                await connection.execute(`
+                    UPDATE trade_history SET status = ?, trade_context = ? WHERE id = ?
+                `, [step, this.serializeTradeContext(tradeParams), tradeId]);
+            } else {
+                await connection.execute(`
+                    UPDATE trade_history SET status = ? WHERE id = ?
+                `, [step, tradeId]);
+            }
+
+            const [tradeRows] = await connection.execute(`
+                SELECT th.user_id, c.symbol
+                FROM trade_history th
+                LEFT JOIN coins c ON th.coin_id = c.id
+                WHERE th.id = ?
+            `, [tradeId]);
+
+            connection.release();
+
+            this.logger.info(`거래 단계 전환`, { tradeId, step });
+
+            if (tradeRows.length > 0) {
+                await RealtimeService.publish(this.redis, 'trade', {
+                    tradeId,
+                    symbol: tradeRows[0].symbol,
+                    status: step,
+                    detail,
+                    errorMessage
+                }, tradeRows[0].user_id);
+            }
+        } catch (error) {
+            this.logger.error('거래 단계 전환 실패', { tradeId, step, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 진행 중인 단계에 정보 추가 (주문 ID, 출금 ID 등)
+     */
+    async recordStepDetail(tradeId, detail) {
+        try {
+            const connection = await db.getConnection();
+            await connection.execute(`
+                UPDATE trade_steps
+                SET detail = JSON_MERGE_PATCH(COALESCE(detail, JSON_OBJECT()), CAST(? AS JSON))
+                WHERE trade_id = ? AND finished_at IS NULL
+            `, [JSON.stringify(detail), tradeId]);
+            connection.release();
+        } catch (error) {
+            this.logger.error('거래 단계 정보 기록 실패', { tradeId, detail, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 거래 컨텍스트 저장 (재시작 후 재개에 필요한 거래 파라미터/체결 정보)
+     */
+    async saveTradeContext(tradeId, tradeParams) {
+        await this.updateTradeRecord(tradeId, {
+            trade_context: this.serializeTradeContext(tradeParams)
+        });
+    }
+
+    serializeTradeContext(tradeParams) {
+        // 락 토큰은 프로세스별 값이므로 저장하지 않음
+        const { lock, ...context } = tradeParams;
+        return JSON.stringify(context);
+    }
+
+    /**
+     * 서버 시작 시 진행 중이던 거래 재개/정리
+     */
+    async resumeInFlightTrades() {
+        let trades;
+        try {
+            const connection = await db.getConnection();
+            const [rows] = await connection.execute(`
+                SELECT th.id, th.user_id, th.coin_id, th.status, th.trade_context, th.buy_exchange_id, th.sell_exchange_id, c.symbol
+                FROM trade_history th
+                JOIN coins c ON th.coin_id = c.id
+                WHERE th.status IN (${IN_FLIGHT_STATUSES.map(() => '?').join(', ')})
+                ORDER BY th.id
+            `, IN_FLIGHT_STATUSES);
+            connection.release();
+            trades = rows;
+        } catch (error) {
+            this.logger.error('진행 중 거래 조회 실패', { error: error.message });
+            return [];
+        }
+
+        if (trades.length === 0) {
+            return [];
+        }
+
+        this.logger.info(`진행 중이던 거래 ${trades.length}건 재개 시작`);
+
+        const results = [];
+        for (const trade of trades) {
+            try {
+                results.push(await this.resumeTrade(trade));
+            } catch (error) {
+                this.logger.error('거래 재개 실패', { tradeId: trade.id, error: error.message });
+                results.push({ tradeId: trade.id, action: 'error', error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 단일 거래 재개
+     * - 드라이런/주문 접수 전 거래는 실패 처리 (정리)
+     * - 실거래는 저장된 주문/출금 ID를 기준으로 현재 단계부터 이어서 실행
+     */
+    async resumeTrade(trade) {
+        const lockKey = `lock:trade:${trade.user_id}:${trade.symbol}`;
+        const lockToken = uuidv4();
+
+        const lockAcquired = await this.redis.set(lockKey, lockToken, 'EX', 300, 'NX');
+        if (!lockAcquired) {
+            this.logger.warn('거래 재개 건너뜀 - 다른 프로세스에서 진행 중', { tradeId: trade.id });
+            return { tradeId: trade.id, action: 'skipped' };
+        }
+
+        try {
+            const tradeParams = typeof trade.trade_context === 'string' ?
+                JSON.parse(trade.trade_context) :
+                trade.trade_context;
+
+            // 실제 주문이 나가지 않은 거래는 안전하게 정리
+            let unwindReason = null;
+            if (!tradeParams) {
+                unwindReason = '서버 재시작으로 중단됨 (거래 정보 없음 - 거래소 내역을 확인해주세요)';
+            } else if (tradeParams.dryRun) {
+                unwindReason = '서버 재시작으로 시뮬레이션이 중단되었습니다';
+            } else if (trade.status === 'pending' || (trade.status === 'buying' && !tradeParams.buyOrderId && !tradeParams.sellOrderId)) {
+                unwindReason = '서버 재시작으로 매수 주문 전 중단되었습니다';
+            }
+
+            if (unwindReason) {
+                await this.markTradeFailed(trade.id, unwindReason);
+                this.logger.info('중단된 거래 정리', { tradeId: trade.id, status: trade.status, reason: unwindReason });
+                return { tradeId: trade.id, action: 'unwound', reason: unwindReason };
+            }
+
+            // 거래소 쌍 정보가 없는 이전 거래는 매수/매도 거래소 ID로 재구성
+            const route = tradeParams.route || {
+                domesticExchangeId: trade.buy_exchange_id,
+                overseasExchangeId: trade.sell_exchange_id
+            };
+            // 이미 주문/출금이 나간 거래이므로 진입 조건(예산 범위, 거래 가능 코인, 거래소 활성화 등)은 다시 확인하지 않음
+            let validationData;
+            try {
+                validationData = await this.getResumeContext(trade, route);
+            } catch (error) {
+                // 자동 재개 불가 - 현재 단계에 사유를 남기고 유지
+                await this.recordStepDetail(trade.id, { resumeError: error.message });
+                this.logger.warn('거래 재개 불가', { tradeId: trade.id, status: trade.status, error: error.message });
+                return { tradeId: trade.id, action: 'blocked', error: error.message };
+            }
+
+            tradeParams.lock = { key: lockKey, token: lockToken };
+            const startStep = trade.status === 'transfer_delayed' ? 'transferring' : trade.status;
+
+            const executionResult = await this.executeTradeCycle(
+                trade.id,
+                trade.user_id,
+                trade.symbol,
+                tradeParams,
+                validationData,
+                false,
+                startStep
+            );
+
+            if (!executionResult.delayed) {
+                await this.finalizeTradeRecord(trade.id, executionResult);
+            }
+
+            this.logger.info('거래 재개 완료', {
+                tradeId: trade.id,
+                fromStep: trade.status,
+                success: executionResult.success,
+                delayed: !!executionResult.delayed
+            });
+
+            return {
+                tradeId: trade.id,
+                action: 'resumed',
+                success: executionResult.success,
+                delayed: !!executionResult.delayed
+            };
+
+        } finally {
+            const currentToken = await this.redis.get(lockKey);
+            if (currentToken === lockToken) {
+                await this.redis.del(lockKey);
+            }
+        }
+    }
+
+    /**
+     * 재고 재분배 주기 실행 시작 (재고 방식 거래로 매수 거래소에 쌓인 코인을 매도 거래소로 전송)
+     */
+    startInventoryRebalancer(intervalMs = 5 * 60 * 1000) {
+        if (this.rebalanceInterval) return;
+
+        this.rebalanceInterval = setInterval(() => {
+            this.rebalanceInventory().catch(error => {
+                this.logger.error('재고 재분배 실패', { error: error.message });
+            });
+        }, intervalMs);
+        this.logger.info('재고 재분배 시작', { intervalMs });
+    }
+
+    stopInventoryRebalancer() {
+        if (this.rebalanceInterval) {
+            clearInterval(this.rebalanceInterval);
+            this.rebalanceInterval = null;
+        }
+    }
+
+    /**
+     * 재고 재분배
+     * 1. 전송 중인 재분배 출금의 진행 상황 확인 (완료/실패 시 거래에 반영)
+     * 2. 재분배 대기 거래를 사용자/코인/거래소 쌍별로 묶어 한 번에 출금 (최소 출금량 미만이면 다음 주기까지 누적)
+     * 3. 승인된 재분배 계획(RebalancePlannerService)의 전송 진행 확인
+     */
+    async rebalanceInventory() {
+        const lockKey = 'lock:inventory:rebalance';
+        const lockToken = uuidv4();
+        const lockAcquired = await this.redis.set(lockKey, lockToken, 'EX', 600, 'NX');
+        if (!lockAcquired) {
+            return [];
+        }
+
+        const results = [];
+        try {
+            const connection = await db.getConnection();
+            const [inFlight] = await connection.execute(`
+                SELECT DISTINCT th.rebalance_withdrawal_id AS withdrawal_id, th.user_id, th.coin_id,
+                       th.buy_exchange_id, th.sell_exchange_id
+                FROM trade_history th
+                WHERE th.execution_mode = 'inventory' AND th.rebalance_status = 'rebalancing'
+                    AND th.rebalance_withdrawal_id IS NOT NULL
+            `);
+            const [pending] = await connection.execute(`
+                SELECT th.user_id, th.coin_id, th.buy_exchange_id, th.sell_exchange_id,
+                       SUM(th.quantity) AS quantity, GROUP_CONCAT(th.id) AS trade_ids
+                FROM trade_history th
+                WHERE th.execution_mode = 'inventory' AND th.rebalance_status = 'pending' AND th.status = 'completed'
+                GROUP BY th.user_id, th.coin_id, th.buy_exchange_id, th.sell_exchange_id
+            `);
+            connection.release();
+
+            for (const group of inFlight) {
+                try {
+                    results.push(await this.checkRebalanceTransfer(group));
+                } catch (error) {
+                    this.logger.error('재분배 전송 확인 실패', { withdrawalId: group.withdrawal_id, error: error.message });
+                }
+            }
+
+            for (const group of pending) {
+                try {
+                    results.push(await this.submitRebalanceTransfer(group));
+                } catch (error) {
+                    this.logger.error('재분배 출금 실패', {
+                        userId: group.user_id, coinId: group.coin_id, tradeIds: group.trade_ids, error: error.message
+                    });
+                }
+            }
+
+            // 대시보드에서 승인한 재분배 계획의 전송 진행 확인
+            try {
+                results.push(...await RebalancePlannerService.refreshExecutingPlans(this));
+            } catch (error) {
+                this.logger.error('재분배 계획 확인 실패', { error: error.message });
+            }
+
+            return results;
+        } finally {
+            const currentToken = await this.redis.get(lockKey);
+            if (currentToken === lockToken) {
+                await this.redis.del(lockKey);
+            }
+        }
+    }
+
+    /**
+     * 재개할 거래의 코인/거래소/API 키/입금주소 (validateTradeConditions의 data 형태)
+     * 남은 단계를 마치는 데 필요한 정보만 조회 (코인/거래소 비활성화, 예산 범위 변경과 무관)
+     */
+    async getResumeContext(trade, route) {
+        const connection = await db.getConnection();
+        const [coinRows] = await connection.execute('SELECT * FROM coins WHERE id = ?', [trade.coin_id]);
+        const [exchangeRows] = await connection.execute(
+            'SELECT * FROM exchanges WHERE id IN (?, ?)',
+            [route.domesticExchangeId, route.overseasExchangeId]
+        );
+        connection.release();
+
+        const coin = coinRows[0];
+        const domestic = exchangeRows.find(e => e.type === 'domestic');
+        const overseas = exchangeRows.find(e => e.type === 'overseas');
+        if (!coin || !domestic || !overseas) {
+            throw new Error('거래 코인/거래소 정보를 찾을 수 없습니다');
+        }
+
+        // 입금주소는 출금 전 단계에서만 사용 (없으면 출금 요청 시 실패 처리)
+        const apiKeyService = new ApiKeyService(trade.user_id);
+        const settingsService = new UserSettingsService(trade.user_id);
+        const [verifiedExchanges, domesticAddr, overseasAddr] = await Promise.all([
+            apiKeyService.getVerifiedExchanges(),
+            settingsService.getDepositAddress(domestic.id, coin.symbol),
+            settingsService.getDepositAddress(overseas.id, coin.symbol)
+        ]);
+
+        return {
+            coin,
+            route: { domestic, overseas },
+            exchanges: [domestic, overseas],
+            verifiedExchanges,
+            addresses: {
+                [domestic.id]: domesticAddr,
+                [overseas.id]: overseasAddr
+            }
+        };
+    }
+
+    /**
+     * 재분배 전송에 필요한 코인/거래소/API 키 정보 (getOrderContext 형태)
+     */
+    async getRebalanceContext(userId, coinId, fromExchangeId, toExchangeId) {
+        const connection = await db.getConnection();
+        const [coinRows] = await connection.execute('SELECT * FROM coins WHERE id = ?', [coinId]);
+        const [exchangeRows] = await connection.execute(
+            'SELECT * FROM exchanges WHERE id IN (?, ?)',
+            [fromExchangeId, toExchangeId]
+        );
+        connection.release();
+
+        const coin = coinRows[0];
+        const fromExchange = exchangeRows.find(e => e.id === fromExchangeId);
+        const toExchange = exchangeRows.find(e => e.id === toExchangeId);
+        if (!coin || !fromExchange || !toExchange) {
+            throw new Error('재분배 대상 코인/거래소 정보를 찾을 수 없습니다');
+        }
+
+        const apiKeyService = new ApiKeyService(userId);
+        const validationData = {
+            coin,
+            exchanges: [fromExchange, toExchange],
+            verifiedExchanges: await apiKeyService.getVerifiedExchanges()
+        };
+
+        return {
+            coin,
+            validationData,
+            from: await this.getOrderContext(userId, fromExchange.name, validationData),
+            to: await this.getOrderContext(userId, toExchange.name, validationData)
+        };
+    }
+
+    // 재분배 대기 거래 묶음 출금 요청 (매수 거래소 → 매도 거래소)
+    async submitRebalanceTransfer(group) {
+        const tradeIds = String(group.trade_ids).split(',').map(id => parseInt(id));
+        const quantity = parseFloat(group.quantity);
+        const { coin, from, to } = await this.getRebalanceContext(
+            group.user_id, group.coin_id, group.buy_exchange_id, group.sell_exchange_id
+        );
+
+        const withdrawalFee = await this.feeModelService.getWithdrawalFee(coin, from.exchange.id);
+        if (withdrawalFee.minWithdrawal && quantity < withdrawalFee.minWithdrawal) {
+            this.logger.info('재분배 수량이 최소 출금량 미만 - 다음 주기까지 누적', {
+                userId: group.user_id, symbol: coin.symbol, quantity, minWithdrawal: withdrawalFee.minWithdrawal
+            });
+            return { action: 'waiting', symbol: coin.symbol, tradeIds, quantity };
+        }
+
+        const settingsService = new UserSettingsService(group.user_id);
+        const depositInfo = await settingsService.getDepositAddress(to.exchange.id, coin.symbol);
+        if (!depositInfo?.address) {
+            throw new Error(`${to.exchange.name} ${coin.symbol} 입금주소가 없습니다`);
+        }
+
+        const withdrawal = await this.transferService.submitWithdrawal({
+            tradeId: null,
+            userId: group.user_id,
+            coin,
+            quantity,
+            from,
+            to,
+            address: depositInfo.address,
+            memo: depositInfo.memo,
+            withdrawalFee
+        });
+
+        await this.updateRebalanceStatus(tradeIds, 'rebalancing', withdrawal.id);
+        this.logger.info('재고 재분배 출금 요청', {
+            userId: group.user_id,
+            symbol: coin.symbol,
+            quantity,
+            from: from.exchange.name,
+            to: to.exchange.name,
+            withdrawalId: withdrawal.id,
+            tradeIds
+        });
+
+        return { action: 'submitted', symbol: coin.symbol, tradeIds, quantity, withdrawalId: withdrawal.id };
+    }
+
+    // 전송 중인 재분배 출금 상태 확인
+    async checkRebalanceTransfer(group) {
+        const { from, to } = await this.getRebalanceContext(
+            group.user_id, group.coin_id, group.buy_exchange_id, group.sell_exchange_id
+        );
+        const record = await this.transferService.checkProgress(group.withdrawal_id, from, to);
+
+        if (record.status === 'completed' || record.status === 'failed') {
+            const status = record.status === 'completed' ? 'completed' : 'failed';
+            const connection = await db.getConnection();
+            await connection.execute(`
+                UPDATE trade_history SET rebalance_status = ?
+                WHERE rebalance_withdrawal_id = ? AND rebalance_status = 'rebalancing'
+            `, [status, group.withdrawal_id]);
+            connection.release();
+
+            this.logger[status === 'completed' ? 'info' : 'error'](`재고 재분배 ${status === 'completed' ? '완료' : '실패'}`, {
+                withdrawalId: group.withdrawal_id,
+                receivedAmount: record.received_amount,
+                error: record.error_message
+            });
+        }
+
+        return { action: 'checked', withdrawalId: group.withdrawal_id, status: record.status };
+    }
+
+    async updateRebalanceStatus(tradeIds, status, withdrawalId = null) {
+        const connection = await db.getConnection();
+        await connection.execute(`
+            UPDATE trade_history SET rebalance_status = ?, rebalance_withdrawal_id = ?
+            WHERE id IN (${tradeIds.map(() => '?').join(', ')})
+        `, [status, withdrawalId, ...tradeIds]);
+        connection.release();
+    }
+
     /**
      * 시뮬레이션 지연
      */
@@ -0,0 +1,386 @@
+const db = require('../config/database');
+const winston = require('winston');
+
+/**
+ * 거래소 간 코인 전송 서비스
+ * - 매수 거래소에서 출금 요청 → 출금 txid 확인 → 매도 거래소 입금 반영 확인
+ * - 진행 상황은 withdrawals 테이블에 기록되어 재시작 후에도 이어서 확인 가능
+ */
+class TransferService {
+    constructor() {
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.combine(
+                winston.format.timestamp(),
+                winston.format.printf(({ timestamp, level, message, ...meta }) => {
+                    return `${timestamp} [${level.toUpperCase()}] [Transfer] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                })
+            ),
+            transports: [
+                new winston.transports.Console(),
+                new winston.transports.File({
+                    filename: '../logs/trade-execution.log',
+                    level: 'info'
+                })
+            ]
+        });
+
+        this.arrivalTimeoutMs = 30 * 60 * 1000; // 입금 확인 최대 대기 시간 (30분)
+        this.pollIntervalMs = 15000;            // 출금/입금 상태 조회 주기
+    }
+
+    /**
+     * 출금 수량 계산
+     * 출금 수수료를 잔고에서 별도 차감하는 거래소는 수수료만큼 빼고 출금
+     */
+    calculateWithdrawAmount(service, quantity, withdrawalFee) {
+        const amount = service.withdrawFeeFromBalance ?
+            quantity - (withdrawalFee || 0) :
+            quantity;
+
+        // 소수점 8자리 내림 (잔고 초과 방지)
+        return Math.floor(amount * 1e8) / 1e8;
+    }
+
+    /**
+     * 출금 요청
+     * @param {Object} params
+     * @param {number} params.tradeId - 거래 ID
+     * @param {number} params.userId - 사용자 ID
+     * @param {Object} params.coin - coins 테이블 행
+     * @param {number} params.quantity - 전송할 보유 수량
+     * @param {Object} params.from - 출금 거래소 컨텍스트 { exchange, service, keys }
+     * @param {Object} params.to - 입금 거래소 컨텍스트 { exchange, service, keys }
+     * @param {string} params.address - 입금 주소
+     * @param {string|null} params.memo - 보조 주소 (메모/태그)
+     * @param {Object|null} params.withdrawalFee - 네트워크별 출금 수수료 (FeeModelService.getWithdrawalFee 결과, 없으면 코인 기본값)
+     * @param {string|null} params.network - 출금 네트워크 (null이면 거래소 기본 네트워크)
+     */
+    async submitWithdrawal({ tradeId, userId, coin, quantity, from, to, address, memo = null, withdrawalFee = null, network = null }) {
+        const fee = withdrawalFee ? withdrawalFee.withdrawalFee : coin.withdrawal_fee;
+        const minWithdrawal = withdrawalFee ? withdrawalFee.minWithdrawal : coin.min_withdrawal;
+        const amount = this.calculateWithdrawAmount(from.service, quantity, fee);
+
+        if (amount <= 0 || (minWithdrawal && amount < minWithdrawal)) {
+            throw new Error(`출금 가능 수량이 부족합니다 (${amount} ${coin.symbol}, 최소 ${minWithdrawal})`);
+        }
+
+        const withdrawalId = await this.createWithdrawalRecord({
+            tradeId,
+            userId,
+            coinId: coin.id,
+            fromExchangeId: from.exchange.id,
+            toExchangeId: to.exchange.id,
+            amount,
+            address,
+            memo
+        });
+
+        let withdrawal;
+        try {
+            // 네트워크 미지정 시 거래소 기본값 사용 (입금 주소도 기본 네트워크 기준으로 등록)
+            withdrawal = await from.service.withdraw(
+                coin.symbol, amount, address, memo || null, network,
+                from.keys.api_key, from.keys.secret_key, from.keys.passphrase
+            );
+
+            if (withdrawal.status === 'failed') {
+                throw new Error(`출금 요청이 거절되었습니다 (상태: ${withdrawal.raw?.state ?? withdrawal.raw?.status})`);
+            }
+        } catch (error) {
+            await this.updateWithdrawalRecord(withdrawalId, {
+                status: 'failed',
+                error_message: error.message
+            });
+            this.logger.error('출금 요청 실패', { tradeId, withdrawalId, error: error.message });
+            throw error;
+        }
+
+        // 거래소 출금은 이미 접수됨 - 기록 실패 시 failed로 바꾸지 않고 거래소 출금 ID를 남김 (재시도 시 중복 출금 방지)
+        try {
+            await this.updateWithdrawalRecord(withdrawalId, {
+                exchange_withdrawal_id: withdrawal.withdrawalId,
+                fee: withdrawal.fee || fee || 0,
+                txid: withdrawal.txid,
+                status: 'withdrawing'
+            });
+        } catch (error) {
+            this.logger.error('출금 접수 후 기록 실패 - 거래소 출금 내역 확인 필요', {
+                tradeId, withdrawalId,
+                exchangeWithdrawalId: withdrawal.withdrawalId,
+                error: error.message
+            });
+            throw new Error(`출금은 접수되었으나 기록하지 못했습니다 (거래소 출금 ID: ${withdrawal.withdrawalId}): ${error.message}`);
+        }
+
+        this.logger.info('출금 요청 완료', {
+            tradeId, withdrawalId,
+            exchangeWithdrawalId: withdrawal.withdrawalId,
+            symbol: coin.symbol,
+            amount,
+            from: from.exchange.name,
+            to: to.exchange.name
+        });
+
+        return this.getWithdrawalRecord(withdrawalId);
+    }
+
+    /**
+     * 출금 완료 및 입금 반영 대기
+     * withdrawals 행의 현재 상태부터 이어서 확인하므로 시간 초과 후 재호출 가능
+     * @param {number} withdrawalId - withdrawals.id
+     * @param {Object} from - 출금 거래소 컨텍스트
+     * @param {Object} to - 입금 거래소 컨텍스트
+     * @param {Object} options - { timeoutMs, intervalMs, onPoll }
+     * @returns {Promise<Object>} { status: 'completed' | 'timeout', stage, receivedAmount, withdrawal }
+     */
+    async waitForArrival(withdrawalId, from, to, options = {}) {
+        const {
+            timeoutMs = this.arrivalTimeoutMs,
+            intervalMs = this.pollIntervalMs,
+            onPoll = null
+        } = options;
+        const deadline = Date.now() + timeoutMs;
+
+        let record = await this.getWithdrawalRecord(withdrawalId);
+        if (!record) {
+            throw new Error(`출금 기록을 찾을 수 없습니다: ${withdrawalId}`);
+        }
+
+        // 시간 초과로 멈춘 건은 다시 확인 단계로 복귀
+        if (record.status === 'timeout') {
+            await this.updateWithdrawalRecord(withdrawalId, { status: record.txid ? 'depositing' : 'withdrawing' });
+            record = await this.getWithdrawalRecord(withdrawalId);
+        }
+
+        while (Date.now() < deadline) {
+            if (record.status === 'completed') {
+                return {
+                    status: 'completed',
+                    stage: 'completed',
+                    receivedAmount: parseFloat(record.received_amount),
+                    withdrawal: record
+                };
+            }
+
+            if (record.status === 'failed') {
+                throw new Error(`코인 전송 실패: ${record.error_message || '알 수 없는 오류'}`);
+            }
+
+            if (record.status === 'withdrawing') {
+                await this.checkWithdrawal(record, from);
+            } else if (record.status === 'depositing') {
+                await this.checkDeposit(record, to);
+            }
+
+            record = await this.getWithdrawalRecord(withdrawalId);
+            if (record.status === 'completed' || record.status === 'failed') {
+                continue;
+            }
+
+            if (onPoll) {
+                await onPoll(record);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+
+        await this.updateWithdrawalRecord(withdrawalId, { status: 'timeout' });
+
+        this.logger.warn('코인 전송 확인 시간 초과', {
+            withdrawalId,
+            tradeId: record.trade_id,
+            stage: record.status,
+            txid: record.txid,
+            timeoutMs
+        });
+
+        return {
+            status: 'timeout',
+            stage: record.status,
+            receivedAmount: null,
+            withdrawal: record
+        };
+    }
+
+    /**
+     * 전송 진행 상황 1회 확인 (대기하지 않음 - 백그라운드 재고 재분배용)
+     * @returns {Promise<Object>} 갱신된 withdrawals 행
+     */
+    async checkProgress(withdrawalId, from, to) {
+        const record = await this.getWithdrawalRecord(withdrawalId);
+        if (!record) {
+            throw new Error(`출금 기록을 찾을 수 없습니다: ${withdrawalId}`);
+        }
+
+        const stage = record.status === 'timeout' ? (record.txid ? 'depositing' : 'withdrawing') : record.status;
+        if (stage === 'withdrawing') {
+            await this.checkWithdrawal(record, from);
+        } else if (stage === 'depositing') {
+            await this.checkDeposit(record, to);
+        }
+
+        return this.getWithdrawalRecord(withdrawalId);
+    }
+
+    /**
+     * 출금 거래소의 출금 상태 확인
+     */
+    async checkWithdrawal(record, from) {
+        const withdrawal = await from.service.getWithdrawal(
+            record.coin_symbol, record.exchange_withdrawal_id,
+            from.keys.api_key, from.keys.secret_key, from.keys.passphrase
+        );
+
+        if (withdrawal.status === 'failed') {
+            await this.updateWithdrawalRecord(record.id, {
+                status: 'failed',
+                error_message: `출금 거래소에서 출금이 취소/거절되었습니다 (${withdrawal.raw?.state ?? withdrawal.raw?.status})`
+            });
+            return;
+        }
+
+        // txid가 발급되면 입금 거래소 확인 단계로 진행
+        if (withdrawal.txid) {
+            await this.updateWithdrawalRecord(record.id, {
+                txid: withdrawal.txid,
+                fee: withdrawal.fee || record.fee,
+                status: 'depositing'
+            });
+
+            this.logger.info('출금 txid 확인', {
+                withdrawalId: record.id,
+                tradeId: record.trade_id,
+                txid: withdrawal.txid
+            });
+        }
+    }
+
+    /**
+     * 입금 거래소의 입금 반영 확인
+     */
+    async checkDeposit(record, to) {
+        const deposit = await to.service.findDeposit(
+            record.coin_symbol, record.txid,
+            to.keys.api_key, to.keys.secret_key, to.keys.passphrase
+        );
+
+        if (!deposit) {
+            return;
+        }
+
+        if (deposit.status === 'failed') {
+            await this.updateWithdrawalRecord(record.id, {
+                status: 'failed',
+                error_message: `입금 거래소에서 입금이 거절되었습니다 (${deposit.raw?.state ?? deposit.raw?.status})`
+            });
+            return;
+        }
+
+        if (deposit.status === 'credited') {
+            await this.updateWithdrawalRecord(record.id, {
+                status: 'completed',
+                received_amount: deposit.amount,
+                completed_at: new Date()
+            });
+
+            this.logger.info('입금 반영 확인', {
+                withdrawalId: record.id,
+                tradeId: record.trade_id,
+                receivedAmount: deposit.amount
+            });
+        }
+    }
+
+    /**
+     * 출금 기록 생성
+     */
+    async createWithdrawalRecord({ tradeId, userId, coinId, fromExchangeId, toExchangeId, amount, address, memo }) {
+        try {
+            const connection = await db.getConnection();
+            const [result] = await connection.execute(`
+                INSERT INTO withdrawals (
+                    trade_id, user_id, coin_id, from_exchange_id, to_exchange_id,
+                    amount, address, memo, status
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'requested')
+            `, [tradeId, userId, coinId, fromExchangeId, toExchangeId, amount, address, memo || null]);
+            connection.release();
+
+            return result.insertId;
+        } catch (error) {
+            this.logger.error('출금 기록 생성 실패', { tradeId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 출금 기록 업데이트
+     */
+    async updateWithdrawalRecord(withdrawalId, updates) {
+        try {
+            const connection = await db.getConnection();
+
+            const fields = [];
+            const values = [];
+
+            Object.keys(updates).forEach(key => {
+                fields.push(`${key} = ?`);
+                values.push(updates[key] === undefined ? null : updates[key]);
+            });
+
+            if (fields.length === 0) {
+                connection.release();
+                return;
+            }
+
+            values.push(withdrawalId);
+
+            await connection.execute(`
+                UPDATE withdrawals
+                SET ${fields.join(', ')}
+                WHERE id = ?
+            `, values);
+
+            connection.release();
+        } catch (error) {
+            this.logger.error('출금 기록 업데이트 실패', { withdrawalId, updates, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 출금 기록 조회
+     */
+    async getWithdrawalRecord(withdrawalId) {
+        const connection = await db.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT w.*, c.symbol as coin_symbol
+            FROM withdrawals w
+            JOIN coins c ON w.coin_id = c.id
+            WHERE w.id = ?
+        `, [withdrawalId]);
+        connection.release();
+
+        return rows[0] || null;
+    }
+
+    /**
+     * 거래의 최근 출금 기록 조회
+     */
+    async getWithdrawalByTrade(tradeId) {
+        const connection = await db.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT w.*, c.symbol as coin_symbol
+            FROM withdrawals w
+            JOIN coins c ON w.coin_id = c.id
+            WHERE w.trade_id = ?
+            ORDER BY w.id DESC
+            LIMIT 1
+        `, [tradeId]);
+        connection.release();
+
+        return rows[0] || null;
+    }
+}
+
+module.exports = TransferService;
@@ -7,6 +7,11 @@ const ExchangeService = require('./ExchangeService');
 class UpbitService extends ExchangeService {
     constructor() {
         super('Upbit', 'https://api.upbit.com/v1', 'wss://api.upbit.com/websocket/v1');
+        this.withdrawFeeFromBalance = true; // 업비트는 출금액 + 수수료가 잔고에서 차감됨
+    }
+
+    getMarketSymbol(coin) {
+        return coin.upbit_market || null;
     }
 
     // 업비트 티커 정보 조회
@@ -24,6 +29,7 @@ class UpbitService extends ExchangeService {
                 symbol: ticker.market,
                 price: ticker.trade_price,
                 volume: ticker.trade_volume,
+                volume24h: ticker.acc_trade_volume_24h,
                 change: ticker.change,
                 changeRate: ticker.change_rate,
                 timestamp: new Date(ticker.timestamp)
@@ -90,6 +96,7 @@ class UpbitService extends ExchangeService {
                         symbol: data.code,
                         price: data.trade_price,
                         volume: data.trade_volume,
+                        volume24h: data.acc_trade_volume_24h,
                         timestamp: new Date(data.timestamp)
                     });
                 } else if (data.type === 'orderbook' && onOrderbook) {
@@ -100,11 +107,11 @@ class UpbitService extends ExchangeService {
                         asks: data.orderbook_units.map(unit => ({
                             price: unit.ask_price,
                             quantity: unit.ask_size
-                        })),
+                        })).sort((a, b) => a.price - b.price),
                         bids: data.orderbook_units.map(unit => ({
                             price: unit.bid_price,
                             quantity: unit.bid_size
-                        }))
+                        })).sort((a, b) => b.price - a.price)
                     });
                 }
             } catch (error) {
@@ -127,6 +134,235 @@ class UpbitService extends ExchangeService {
         return ws;
     }
 
+    // 업비트 인증 요청 (JWT + query_hash)
+    async makePrivateRequest(method, endpoint, params = {}, apiKey, secretKey) {
+        try {
+            const queryString = new URLSearchParams(params).toString();
+            const payload = {
+                access_key: apiKey,
+                nonce: uuidv4()
+            };
+
+            // 파라미터가 있는 경우 쿼리 해시 포함 (업비트 인증 규격)
+            if (queryString) {
+                payload.query_hash = crypto.createHash('sha512').update(queryString, 'utf-8').digest('hex');
+                payload.query_hash_alg = 'SHA512';
+            }
+
+            const token = jwt.sign(payload, secretKey);
+            const config = {
+                method,
+                url: `${this.baseUrl}${endpoint}`,
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CoinBot/1.0'
+                },
+                timeout: 10000
+            };
+
+            if (method === 'POST') {
+                config.data = params;
+            } else if (queryString) {
+                config.url += `?${queryString}`;
+            }
+
+            const response = await axios(config);
+            return response.data;
+        } catch (error) {
+            const upbitError = error.response?.data?.error;
+            this.logger.error(`업비트 인증 요청 실패: ${method} ${endpoint}`, {
+                error: error.message,
+                status: error.response?.status,
+                upbitError: upbitError?.name,
+                upbitMessage: upbitError?.message
+            });
+
+            if (error.response?.status === 401) {
+                throw new Error(`API 키 인증 실패 - ${upbitError?.message || '키를 확인해주세요'}`);
+            } else if (upbitError?.message) {
+                throw new Error(`업비트 오류 (${upbitError.name}): ${upbitError.message}`);
+            }
+
+            throw error;
+        }
+    }
+
+    // 업비트 주문 상태 → 공통 상태
+    mapOrderState(order) {
+        const executedVolume = parseFloat(order.executed_volume || 0);
+
+        if (order.state === 'done') return 'filled';
+        // 시장가 매수(price)는 잔여 금액이 남으면 cancel 상태로 종료되므로 체결분이 있으면 체결 처리
+        if (order.state === 'cancel') {
+            return order.ord_type === 'price' && executedVolume > 0 ? 'filled' : 'cancelled';
+        }
+        return 'open';
+    }
+
+    // 업비트 주문 응답 정규화
+    parseOrder(order) {
+        const trades = order.trades || [];
+        const executedQuote = trades.reduce((sum, trade) => sum + parseFloat(trade.funds || 0), 0);
+
+        return this.normalizeOrder({
+            orderId: order.uuid,
+            symbol: order.market,
+            side: order.side === 'bid' ? 'buy' : 'sell',
+            type: order.ord_type === 'limit' ? 'limit' : 'market',
+            status: this.mapOrderState(order),
+            price: order.price,
+            quantity: order.volume,
+            executedQty: order.executed_volume,
+            executedQuote: executedQuote,
+            fee: order.paid_fee,
+            feeCurrency: 'KRW',
+            raw: order
+        });
+    }
+
+    // 소수점 8자리로 절사 (반올림하면 보유 수량을 넘어 주문/출금이 거부될 수 있음)
+    truncateAmount(value) {
+        return (Math.floor(parseFloat(value) * 1e8 + 1e-6) / 1e8).toFixed(8);
+    }
+
+    // 업비트 주문 생성 (인증 필요)
+    async placeOrder(market, side, type, price, quantity, apiKey, secretKey) {
+        const params = {
+            market,
+            side: side === 'buy' ? 'bid' : 'ask'
+        };
+
+        if (type === 'limit') {
+            params.ord_type = 'limit';
+            params.price = String(price);
+            params.volume = String(quantity);
+        } else if (side === 'buy') {
+            // 시장가 매수: 총 지출 금액(KRW) 지정
+            params.ord_type = 'price';
+            params.price = String(Math.floor(price));
+        } else {
+            // 시장가 매도: 수량 지정
+            params.ord_type = 'market';
+            params.volume = this.truncateAmount(quantity);
+        }
+
+        this.logger.info('업비트 주문 요청', params);
+        const order = await this.makePrivateRequest('POST', '/orders', params, apiKey, secretKey);
+        this.logger.info('업비트 주문 접수', { uuid: order.uuid, market, side, type });
+
+        return this.parseOrder(order);
+    }
+
+    // 업비트 주문 조회 (인증 필요)
+    async getOrder(market, orderId, apiKey, secretKey) {
+        const order = await this.makePrivateRequest('GET', '/order', { uuid: orderId }, apiKey, secretKey);
+        return this.parseOrder(order);
+    }
+
+    // 업비트 주문 취소 (인증 필요)
+    async cancelOrder(market, orderId, apiKey, secretKey) {
+        const order = await this.makePrivateRequest('DELETE', '/order', { uuid: orderId }, apiKey, secretKey);
+        this.logger.info('업비트 주문 취소', { uuid: orderId, market });
+        return this.parseOrder(order);
+    }
+
+    // 업비트 출금 상태 → 공통 상태
+    mapWithdrawalState(state) {
+        const upper = (state || '').toUpperCase();
+        if (upper === 'DONE') return 'done';
+        if (['FAILED', 'CANCELLED', 'CANCELED', 'REJECTED'].includes(upper)) return 'failed';
+        return 'pending';
+    }
+
+    // 업비트 입금 상태 → 공통 상태
+    mapDepositState(state) {
+        const upper = (state || '').toUpperCase();
+        if (upper === 'ACCEPTED') return 'credited';
+        if (['CANCELLED', 'CANCELED', 'REJECTED', 'REFUNDING', 'REFUNDED'].includes(upper)) return 'failed';
+        return 'pending';
+    }
+
+    // 업비트 코인 출금 (인증 필요)
+    async withdraw(currency, amount, address, memo, network, apiKey, secretKey) {
+        const params = {
+            currency: currency.toUpperCase(),
+            net_type: network || currency.toUpperCase(),
+            amount: this.truncateAmount(amount),
+            address,
+            transaction_type: 'default'
+        };
+
+        if (memo) {
+            params.secondary_address = memo;
+        }
+
+        const withdrawal = await this.makePrivateRequest('POST', '/withdraws/coin', params, apiKey, secretKey);
+        this.logger.info('업비트 출금 요청', { uuid: withdrawal.uuid, currency, amount: params.amount });
+
+        return this.parseWithdrawal(withdrawal);
+    }
+
+    // 업비트 출금 조회 (인증 필요)
+    async getWithdrawal(currency, withdrawalId, apiKey, secretKey) {
+        const withdrawal = await this.makePrivateRequest('GET', '/withdraw', { uuid: withdrawalId }, apiKey, secretKey);
+        return this.parseWithdrawal(withdrawal);
+    }
+
+    parseWithdrawal(withdrawal) {
+        return this.normalizeWithdrawal({
+            withdrawalId: withdrawal.uuid,
+            currency: withdrawal.currency,
+            status: this.mapWithdrawalState(withdrawal.state),
+            amount: withdrawal.amount,
+            fee: withdrawal.fee,
+            txid: withdrawal.txid,
+            raw: withdrawal
+        });
+    }
+
+    // 업비트 입금 조회 - 최근 입금 내역에서 txid 매칭 (인증 필요)
+    async findDeposit(currency, txid, apiKey, secretKey) {
+        const deposits = await this.makePrivateRequest('GET', '/deposits', {
+            currency: currency.toUpperCase(),
+            limit: 100
+        }, apiKey, secretKey);
+
+        const deposit = deposits.find(d => d.txid === txid);
+        if (!deposit) {
+            return null;
+        }
+
+        return this.normalizeDeposit({
+            depositId: deposit.uuid,
+            currency: deposit.currency,
+            status: this.mapDepositState(deposit.state),
+            amount: deposit.amount,
+            txid: deposit.txid,
+            raw: deposit
+        });
+    }
+
+    // 업비트 입출금 상태 조회 (인증 필요)
+    // wallet_state: working | withdraw_only | deposit_only | paused | unsupported
+    async getWalletStatus(currency, network, apiKey, secretKey) {
+        const statuses = await this.makePrivateRequest('GET', '/status/wallet', {}, apiKey, secretKey);
+        const netType = (network || currency).toUpperCase();
+        const wallet = statuses.find(s => s.currency === currency.toUpperCase() && (s.net_type || s.currency) === netType) ||
+            statuses.find(s => s.currency === currency.toUpperCase());
+        if (!wallet) {
+            return null;
+        }
+
+        return this.normalizeWalletStatus({
+            currency: wallet.currency,
+            network: wallet.net_type || netType,
+            depositEnabled: ['working', 'deposit_only'].includes(wallet.wallet_state),
+            withdrawEnabled: ['working', 'withdraw_only'].includes(wallet.wallet_state),
+            raw: wallet
+        });
+    }
+
     // 업비트 잔고 조회 (인증 필요)
     async getBalance(apiKey, secretKey) {
         try {
@@ -193,4 +429,14 @@ class UpbitService extends ExchangeService {
     }
 }
 
+// 지원 기능 (ExchangeService 어댑터 레지스트리에서 사용)
+UpbitService.capabilities = {
+    marketData: true,
+    balance: true,
+    orders: true,
+    withdrawals: true,
+    websocket: true,
+    futures: false
+};
+
 module.exports = UpbitService;
\ No newline at end of file
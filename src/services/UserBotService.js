@@ -61,19 +61,37 @@ class UserBotService {
                 // ✅ 실제 설정값 (없으면 null)
                 search_interval_seconds: savedSettings.search_interval_seconds || null,
                 premium_threshold_percent: savedSettings.premium_threshold_percent || null,
+                threshold_basis: savedSettings.threshold_basis || 'gross',
+                reverse_premium_threshold_percent: savedSettings.reverse_premium_threshold_percent || null,
+                forward_trading_enabled: savedSettings.forward_trading_enabled !== false,
+                reverse_trading_enabled: savedSettings.reverse_trading_enabled || false,
+                execution_mode: savedSettings.execution_mode || 'transfer',
+                hedge_enabled: savedSettings.hedge_enabled || false,
+                hedge_leverage: savedSettings.hedge_leverage || 1,
                 trading_intensity_threshold: savedSettings.trading_intensity_threshold || null,
                 min_trade_amount_krw: savedSettings.min_trade_amount_krw || null,
                 max_trade_amount_krw: savedSettings.max_trade_amount_krw || null,
                 bot_enabled: savedSettings.bot_enabled || false,
+                dry_run_enabled: savedSettings.dry_run_enabled !== false,
+                domestic_exchange_id: savedSettings.domestic_exchange_id || '',
+                overseas_exchange_id: savedSettings.overseas_exchange_id || '',
                 
                 // ✅ 권장 기본값 (UI에서 사용)
                 defaults: {
                     search_interval_seconds: 60,
                     premium_threshold_percent: 1.0,
+                    threshold_basis: 'gross',
+                    reverse_premium_threshold_percent: 1.0,
+                    forward_trading_enabled: true,
+                    reverse_trading_enabled: false,
+                    execution_mode: 'transfer',
+                    hedge_enabled: false,
+                    hedge_leverage: 1,
                     trading_intensity_threshold: 5,
                     min_trade_amount_krw: 1000000,
                     max_trade_amount_krw: 10000000,
-                    bot_enabled: false
+                    bot_enabled: false,
+                    dry_run_enabled: true
                 }
             };
         } catch (error) {
@@ -90,7 +108,8 @@ class UserBotService {
                 trading_intensity_threshold: 5,
                 min_trade_amount_krw: 1000000,
                 max_trade_amount_krw: 10000000,
-                bot_enabled: false
+                bot_enabled: false,
+                dry_run_enabled: true
             };
 
             await this.updateBotSettings(defaultSettings);
@@ -112,10 +131,20 @@ class UserBotService {
             const settingsToUpdate = [
                 'search_interval_seconds',
                 'premium_threshold_percent', 
+                'threshold_basis',
+                'reverse_premium_threshold_percent',
+                'forward_trading_enabled',
+                'reverse_trading_enabled',
+                'execution_mode',
+                'hedge_enabled',
+                'hedge_leverage',
                 'trading_intensity_threshold',
                 'min_trade_amount_krw',
                 'max_trade_amount_krw',
-                'bot_enabled'
+                'bot_enabled',
+                'dry_run_enabled',
+                'domestic_exchange_id',
+                'overseas_exchange_id'
             ];
 
             for (const key of settingsToUpdate) {
@@ -176,6 +205,8 @@ class UserBotService {
                     );
                     
                     const balanceInfo = {
+                        exchangeId: exchange.exchange_id,
+                        credentialId: exchange.id,
                         exchangeName: exchange.exchange_name,
                         balance: balance,
                         isVerified: true
@@ -190,6 +221,8 @@ class UserBotService {
                     console.error(`잔고 조회 실패 (${exchange.exchange_name}):`, error);
                     // 실패한 경우에도 기본 정보는 표시
                     const balanceInfo = {
+                        exchangeId: exchange.exchange_id,
+                        credentialId: exchange.id,
                         exchangeName: exchange.exchange_name,
                         balance: null,
                         error: error.message,
@@ -238,12 +271,13 @@ class UserBotService {
                     c.symbol,
                     c.name,
                     ti.current_intensity,
+                    ti.reverse_intensity,
                     ti.last_premium_rate,
                     ti.last_updated
                 FROM trading_intensity ti
                 JOIN coins c ON ti.coin_id = c.id
                 WHERE ti.user_id = ?
-                ORDER BY ti.current_intensity DESC, ti.last_updated DESC
+                ORDER BY GREATEST(ti.current_intensity, ti.reverse_intensity) DESC, ti.last_updated DESC
             `, [this.userId]);
             connection.release();
 
@@ -263,8 +297,13 @@ class UserBotService {
                     c.symbol as coin_symbol,
                     c.name as coin_name,
                     be.name as buy_exchange_name,
-                    se.name as sell_exchange_name
+                    se.name as sell_exchange_name,
+                    ts.started_at as step_started_at,
+                    ts.detail as step_detail
                 FROM trade_history th
+                LEFT JOIN trade_steps ts ON ts.id = (
+                    SELECT MAX(id) FROM trade_steps WHERE trade_id = th.id
+                )
                 JOIN coins c ON th.coin_id = c.id
                 JOIN exchanges be ON th.buy_exchange_id = be.id
                 JOIN exchanges se ON th.sell_exchange_id = se.id
@@ -282,8 +321,8 @@ class UserBotService {
     }
 
     getDataType(key) {
-        const numberFields = ['search_interval_seconds', 'trading_intensity_threshold', 'min_trade_amount_krw', 'max_trade_amount_krw', 'premium_threshold_percent'];
-        const booleanFields = ['bot_enabled'];
+        const numberFields = ['search_interval_seconds', 'trading_intensity_threshold', 'min_trade_amount_krw', 'max_trade_amount_krw', 'premium_threshold_percent', 'reverse_premium_threshold_percent', 'hedge_leverage'];
+        const booleanFields = ['bot_enabled', 'dry_run_enabled', 'forward_trading_enabled', 'reverse_trading_enabled', 'hedge_enabled'];
         
         if (numberFields.includes(key)) return 'number';
         if (booleanFields.includes(key)) return 'boolean';
@@ -294,10 +333,20 @@ class UserBotService {
         const descriptions = {
             'search_interval_seconds': '가격 검색 주기(초)',
             'premium_threshold_percent': '프리미엄 임계값(%)',
+            'threshold_basis': '임계값 기준 (gross: 김프, net: 수수료 차감 후 예상 순수익률)',
+            'reverse_premium_threshold_percent': '역프 임계값(%)',
+            'forward_trading_enabled': '김프 방향 자동 거래 (해외 매수 → 국내 매도)',
+            'reverse_trading_enabled': '역프 방향 자동 거래 (국내 매수 → 해외 매도)',
+            'execution_mode': '거래 실행 방식 (transfer: 매수 → 전송 → 매도, inventory: 양쪽 거래소 재고로 동시 매수/매도 후 재분배)',
+            'hedge_enabled': '전송 구간 바이낸스 선물 숏 헤지',
+            'hedge_leverage': '헤지 선물 레버리지',
             'trading_intensity_threshold': '매수 조건 임계값',
             'min_trade_amount_krw': '최소 거래 금액(원)',
             'max_trade_amount_krw': '최대 거래 금액(원)',
-            'bot_enabled': '봇 활성화 상태'
+            'bot_enabled': '봇 활성화 상태',
+            'dry_run_enabled': '자동 거래 드라이런 모드',
+            'domestic_exchange_id': '거래할 국내 거래소 (비어 있으면 최적 경로)',
+            'overseas_exchange_id': '거래할 해외 거래소 (비어 있으면 최적 경로)'
         };
         return descriptions[key] || '';
     }